@@ -22,7 +22,9 @@ document.addEventListener('DOMContentLoaded', function() {
             companyName: formData.get('companyName').trim(),
             fakeAccountBalance: parseFloat(formData.get('fakeAccountBalance') || '2500.00'),
             loanApplicationStatus: formData.get('loanApplicationStatus') || 'None',
-            fraudScenario: formData.get('fraudScenario') === 'on'
+            fraudScenario: formData.get('fraudScenario') === 'on',
+            persona: formData.get('persona') || undefined,
+            accounts: formData.getAll('accounts').map(type => ({ type }))
         };
 
         // Validate phone number format
@@ -173,6 +175,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 <p><strong>Welcome, ${result.user.name}!</strong></p>
                 <p><strong>Account Number:</strong> ${result.user.fakeAccountNumber}</p>
                 <p><strong>Demo Balance:</strong> $${parseFloat(result.user.fakeAccountBalance).toLocaleString()}</p>
+                ${(result.accounts || []).slice(1).map(account => `<p><strong>${account.nickname || account.name}:</strong> ${account.accountNumber}</p>`).join('')}
                 <p><strong>Phone:</strong> ${result.user.phoneNumber}</p>
                 ${result.user.loanApplicationStatus !== 'None' ? `<p><strong>Loan Status:</strong> ${result.user.loanApplicationStatus}</p>` : ''}
                 ${result.user.fraudScenario ? '<p><strong>Fraud Scenario:</strong> ✅ Enabled</p>' : ''}
@@ -19,6 +19,7 @@ const path = require('path');
 const DatabaseFactory = require('./database/DatabaseFactory');
 const routes = require('./web/routes');
 const WebSocketProxy = require('./voice/websocketProxy');
+const loanService = require('./banking/LoanService');
 
 // Initialize database manager based on environment
 const databaseManager = DatabaseFactory.create();
@@ -31,7 +32,13 @@ app.use(cors({
     origin: process.env.NODE_ENV === 'production' ? false : true,
     credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for webhook signature checks (see web/webhookVerification.js)
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buffer) => {
+        req.rawBody = buffer;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
@@ -64,6 +71,9 @@ async function startServer() {
         await databaseManager.initialize();
         console.log('✅ Database initialized successfully');
 
+        // Move loan applications on as their steps fall due
+        loanService.startProgression();
+
         // Check service configurations
         const services = {
             database: '✅ Connected',
@@ -115,6 +125,7 @@ process.on('SIGINT', async () => {
             wsProxy.stop();
             console.log('✅ WebSocket proxy stopped');
         }
+        loanService.stopProgression();
         await databaseManager.close();
         console.log('✅ Database connection closed');
         process.exit(0);
@@ -132,6 +143,7 @@ process.on('SIGTERM', async () => {
             wsProxy.stop();
             console.log('✅ WebSocket proxy stopped');
         }
+        loanService.stopProgression();
         await databaseManager.close();
         console.log('✅ Database connection closed');
         process.exit(0);
@@ -0,0 +1,163 @@
+const DatabaseFactory = require('../database/DatabaseFactory');
+const { formatCurrency } = require('./transfers');
+const {
+    CARD_STATUS,
+    CARD_ACTIONS,
+    REPLACEMENT_DELIVERY_DAYS,
+    buildCard,
+    checkCardAction,
+    resolveCard,
+    describeCard
+} = require('./cards');
+
+/**
+ * CardService - Freeze, unfreeze, report lost and replace payment cards
+ *
+ * Used by the agent tools (cards named by the caller, e.g. "my debit card") and the /api/cards
+ * routes (cards addressed by ID). Status changes are conditional on the card's current status,
+ * so two concurrent requests can't both succeed; the loser is told what the card's status is now.
+ *
+ * Methods return { success, message, ... } results for the agent to speak rather than throwing.
+ */
+class CardService {
+    constructor(repository = DatabaseFactory.create()) {
+        this.repository = repository;
+    }
+
+    async listCards(user) {
+        const cards = await this.repository.getUserCards(user.id);
+        return {
+            success: true,
+            cards: cards.filter(card => card.status !== CARD_STATUS.CLOSED).map(card => this.summarize(card))
+        };
+    }
+
+    /**
+     * Apply an action to the card the caller is referring to
+     * @param {object} user - Caller (mapped user)
+     * @param {string} [reference] - "debit", "ending 4242"...; optional if they have a single card
+     * @param {string} action - Key of CARD_ACTIONS
+     * @returns {Promise<object>} - { success, status, message, card, replacement? }
+     */
+    async updateCard(user, reference, action) {
+        const cards = await this.repository.getUserCards(user.id);
+        const card = resolveCard(cards, reference);
+        if (!card) {
+            const open = cards.filter(c => c.status !== CARD_STATUS.CLOSED);
+            return this.failure(`I couldn't tell which card you mean. The cards on file are: ${open.map(describeCard).join(', ') || 'none'}.`);
+        }
+        return this.applyAction(card, action);
+    }
+
+    /**
+     * Apply an action to a specific card
+     * @param {object} card - Mapped card
+     * @param {string} action - Key of CARD_ACTIONS
+     * @returns {Promise<object>} - { success, status, message, card, replacement? }
+     */
+    async applyAction(card, action) {
+        const rule = CARD_ACTIONS[action];
+
+        // Repeating a request (e.g. the caller asks twice) is not an error
+        if (rule && rule.to && card.status === rule.to) {
+            return { ...this.describe(card, `The ${describeCard(card)} is already ${rule.verb}.`), success: true };
+        }
+
+        const cards = await this.repository.getUserCards(card.userId);
+        const reason = checkCardAction(card, action, cards);
+        if (reason) {
+            return { ...this.describe(card, reason), success: false };
+        }
+
+        if (action === 'replace') {
+            return this.orderReplacement(card);
+        }
+
+        const updated = await this.repository.updateCardStatus(card.id, rule.from, rule.to);
+        const current = await this.repository.getCard(card.id);
+        if (!updated) {
+            return { ...this.describe(current, `The ${describeCard(current)} is now ${current.status}; nothing was changed.`), success: false };
+        }
+
+        console.log(`[Cards] 💳 Card ${card.id} (user ${card.userId}) ${card.status} -> ${current.status}`);
+        const result = this.describe(current, await this.actionMessage(current, action));
+        return { ...result, success: true };
+    }
+
+    async orderReplacement(card) {
+        const replacement = await this.repository.replaceCard(card.id, buildCard({
+            userId: card.userId,
+            accountId: card.accountId,
+            cardType: card.cardType,
+            cardholderName: card.cardholderName,
+            status: CARD_STATUS.ORDERED
+        }), CARD_ACTIONS.replace.from);
+
+        const current = await this.repository.getCard(card.id);
+        if (!replacement) {
+            return { ...this.describe(current, `A replacement for the ${describeCard(current)} can't be ordered right now.`), success: false };
+        }
+
+        console.log(`[Cards] 📦 Replacement card ${replacement.id} ordered for card ${card.id} (user ${card.userId})`);
+        const closed = current.status === CARD_STATUS.CLOSED ? ` The old card ending ${current.last4} has been closed.` : '';
+        return {
+            ...this.describe(current, `A replacement ${describeCard(replacement)} has been ordered and should arrive ` +
+                `within ${REPLACEMENT_DELIVERY_DAYS} business days.${closed}`),
+            success: true,
+            replacement: this.summarize(replacement)
+        };
+    }
+
+    // What to tell the caller after a successful status change
+    async actionMessage(card, action) {
+        const name = describeCard(card);
+        if (action === 'freeze') {
+            return `The ${name} is frozen. New purchases and withdrawals will be declined until it is unfrozen.${await this.suspiciousNote(card)}`;
+        }
+        if (action === 'report_lost') {
+            return `The ${name} is blocked permanently. Offer to order a replacement.${await this.suspiciousNote(card)}`;
+        }
+        if (action === 'activate') {
+            return `The ${name} is active and ready to use.`;
+        }
+        return `The ${name} is active again.`;
+    }
+
+    // Mention suspicious charges on the card so the agent can raise them with the caller
+    async suspiciousNote(card) {
+        const transactions = (await this.repository.getSuspiciousTransactions(card.userId))
+            .filter(tx => tx.cardId === card.id);
+        if (transactions.length === 0) {
+            return '';
+        }
+        const charges = transactions.map(tx => `${formatCurrency(Math.abs(tx.amount))} at ${tx.merchant || tx.description}`);
+        return ` Suspicious charges on this card (${charges.join(', ')}) are flagged for the fraud team.`;
+    }
+
+    // Agent-facing summary of a card
+    summarize(card) {
+        return {
+            cardId: card.id,
+            description: describeCard(card),
+            cardType: card.cardType,
+            last4: card.last4,
+            status: card.status,
+            expires: `${String(card.expiryMonth).padStart(2, '0')}/${card.expiryYear}`
+        };
+    }
+
+    describe(card, message) {
+        return {
+            status: card.status,
+            card: this.summarize(card),
+            message
+        };
+    }
+
+    failure(message) {
+        return { success: false, message };
+    }
+}
+
+module.exports = new CardService();
+module.exports.CardService = CardService;
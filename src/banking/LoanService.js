@@ -0,0 +1,382 @@
+const DatabaseFactory = require('../database/DatabaseFactory');
+const { roundCents } = require('../database/ledger');
+const { formatCurrency } = require('./transfers');
+const {
+    LOAN_STATUS,
+    LOAN_ACTIONS,
+    LOAN_PRODUCTS,
+    LOAN_OFFICER_SPECIALIZATION,
+    getLoanProduct,
+    buildLoanApplication,
+    checkLoanTransition,
+    buildLoanTransition,
+    getNextMilestone,
+    getDueMilestone,
+    buildAmortizationSchedule,
+    getFirstPaymentDate,
+    explainLoan,
+    formatLoansSummary
+} = require('./loans');
+const {
+    getIncomeWindowStart,
+    buildFinancialProfile,
+    prequalify,
+    formatQuote,
+    formatQuotesSummary
+} = require('./prequalification');
+
+const DEFAULT_PROGRESSION_INTERVAL_MS = 60 * 1000;
+
+// Quotes shown in the call context and returned by the agent tool
+const RECENT_QUOTES = 3;
+
+/**
+ * LoanService - Loan applications from submission to funding
+ *
+ * Staff move applications through the lifecycle via /api/loans; applications also move on by
+ * themselves once a step has taken its normal time (see loans.getNextMilestone). Progression runs
+ * on a timer and again whenever a customer's loans are read, so the agent never explains a status
+ * that should already have changed. Automatic steps are recorded at the time they fell due, not
+ * when they were noticed.
+ *
+ * Status changes are conditional on the status they were decided from, so a staff action racing
+ * the timer can't apply twice. Methods return { success, message, ... } results rather than throwing.
+ *
+ * Pre-qualification quotes (see prequalification.js) are stored so a later call can refer back to them.
+ */
+class LoanService {
+    constructor(repository = DatabaseFactory.create()) {
+        this.repository = repository;
+        this.progressionTimer = null;
+    }
+
+    /**
+     * A customer's applications, brought up to date and explained, newest first
+     * @param {object} user - Customer (mapped user)
+     * @param {object} [options] - { now }
+     * @returns {Promise<object>} - { success, loans (explainLoan() results), message }
+     */
+    async getUserLoans(user, { now = new Date() } = {}) {
+        const loans = await this.repository.getUserLoanApplications(user.id);
+        const current = [];
+        for (const loan of loans) {
+            current.push(await this.advanceLoan(loan, now));
+        }
+        const explanations = await Promise.all(current.map(loan => this.explain(loan, now)));
+        return { success: true, loans: explanations, message: formatLoansSummary(explanations) };
+    }
+
+    /**
+     * @param {object} loan - Mapped application
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<object>} - explainLoan() result with its history
+     */
+    async explain(loan, now = new Date()) {
+        return explainLoan(loan, await this.repository.getLoanEvents(loan.id), now);
+    }
+
+    /**
+     * Submit a new application for a customer
+     * @param {object} user - Customer (mapped user)
+     * @param {object} request - { loanType, loanAmount, termMonths? }
+     * @returns {Promise<object>} - { success, loan (explanation), message } or { success: false, message }
+     */
+    async apply(user, { loanType, loanAmount, termMonths }) {
+        const { error, amount, term } = this.validateRequest(loanType, loanAmount, termMonths);
+        if (error) {
+            return this.failure(error);
+        }
+
+        const officer = await this.repository.getOfficerBySpecialization(LOAN_OFFICER_SPECIALIZATION);
+        const { loan, events } = buildLoanApplication({
+            userId: user.id,
+            loanType,
+            loanAmount: amount,
+            termMonths: term,
+            assignedOfficer: officer ? officer.name : null
+        });
+        const created = await this.repository.createLoanApplication(loan, events);
+
+        console.log(`[Loans] 📝 Application ${created.id} (user ${user.id}): ${loanType} for ${formatCurrency(amount)}`);
+        const explanation = await this.explain(created);
+        return { success: true, loan: explanation, message: explanation.message };
+    }
+
+    /**
+     * Check a requested product, amount and term
+     * @param {string} loanType - Key of LOAN_PRODUCTS
+     * @param {*} loanAmount - Requested amount
+     * @param {*} [termMonths] - Requested term; the product's default if omitted
+     * @returns {object} - { amount, term } or { error }
+     */
+    validateRequest(loanType, loanAmount, termMonths) {
+        const product = LOAN_PRODUCTS[loanType];
+        if (!product) {
+            return { error: `Unknown loan type. Choose one of: ${Object.keys(LOAN_PRODUCTS).join(', ')}.` };
+        }
+        if (loanAmount === undefined || loanAmount === null || loanAmount === '') {
+            return { error: 'loanAmount is required.' };
+        }
+        const amount = roundCents(Number(loanAmount));
+        if (!Number.isFinite(amount)) {
+            return { error: 'loanAmount must be a number.' };
+        }
+        if (amount < product.minAmount) {
+            return { error: `${loanType} applications start at ${formatCurrency(product.minAmount)}.` };
+        }
+        const term = termMonths === undefined || termMonths === null || termMonths === '' ? product.defaultTerm : Number(termMonths);
+        if (!product.terms.includes(term)) {
+            return { error: `${loanType} terms are ${product.terms.join(', ')} months.` };
+        }
+        return { amount, term };
+    }
+
+    /**
+     * Pre-qualify a customer for a loan from their income, balances and existing debt, and store the quote
+     * @param {object} user - Customer (mapped user)
+     * @param {object} request - { loanType, loanAmount, termMonths? }
+     * @param {object} [options] - { now }
+     * @returns {Promise<object>} - { success, quote, schedule (see getSchedule()), message } or { success: false, message }
+     */
+    async quote(user, { loanType, loanAmount, termMonths }, { now = new Date() } = {}) {
+        const { error, amount, term } = this.validateRequest(loanType, loanAmount, termMonths);
+        if (error) {
+            return this.failure(error);
+        }
+
+        const profile = await this.getFinancialProfile(user, now);
+        const quote = await this.repository.createLoanQuote({
+            userId: user.id,
+            ...prequalify({ loanType, loanAmount: amount, termMonths: term }, profile, now)
+        });
+
+        console.log(`[Loans] 🧮 Quote ${quote.id} (user ${user.id}): ${loanType} for ${formatCurrency(amount)} - ${quote.outcome}`);
+        return {
+            success: true,
+            quote,
+            schedule: quote.loanAmount ? this.getSchedule(quote) : null,
+            message: formatQuote(quote, now)
+        };
+    }
+
+    /**
+     * What a customer earns, owns and owes, from their ledger
+     * @param {object} user - Customer (mapped user)
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<object>} - prequalification.buildFinancialProfile() result
+     */
+    async getFinancialProfile(user, now = new Date()) {
+        const window = { sort: 'oldest', offset: 0, limit: 1 };
+        const [income, first, accounts, loans] = await Promise.all([
+            this.repository.searchTransactions(user.id, {
+                ...window,
+                from: getIncomeWindowStart(now).toISOString(),
+                to: now.toISOString(),
+                category: 'Income',
+                type: 'credit'
+            }),
+            this.repository.searchTransactions(user.id, window),
+            this.repository.getUserAccounts(user.id),
+            this.repository.getUserLoanApplications(user.id)
+        ]);
+
+        return buildFinancialProfile({
+            incomeTotal: income.creditTotal,
+            historyStart: first.transactions.length ? first.transactions[0].transactionDate : null,
+            accounts,
+            loans,
+            now
+        });
+    }
+
+    /**
+     * A customer's most recent quotes
+     * @param {object} user - Customer (mapped user)
+     * @param {object} [options] - { now }
+     * @returns {Promise<object>} - { success, quotes, message }
+     */
+    async getUserQuotes(user, { now = new Date() } = {}) {
+        const quotes = await this.repository.getUserLoanQuotes(user.id, RECENT_QUOTES);
+        return { success: true, quotes, message: formatQuotesSummary(quotes, now) };
+    }
+
+    /**
+     * Apply a staff action (or an automatic step) to an application
+     * @param {object} loan - Mapped application
+     * @param {string} action - Key of LOAN_ACTIONS
+     * @param {object} [options] - { actor, note, reason, documents, at (ISO time, default now) }
+     * @returns {Promise<object>} - { success, loan (explanation), message }
+     */
+    async applyAction(loan, action, options = {}) {
+        const rule = LOAN_ACTIONS[action];
+
+        // Repeating a request (e.g. the admin clicks twice) is not an error
+        if (rule && loan.status === rule.to) {
+            const explanation = await this.explain(loan);
+            return { success: true, loan: explanation, message: `Loan application ${loan.id} is already ${rule.verb}.` };
+        }
+
+        const reason = checkLoanTransition(loan, action);
+        if (reason) {
+            const explanation = await this.explain(loan);
+            return { success: false, loan: explanation, message: reason };
+        }
+
+        const { changes, event } = buildLoanTransition(loan, action, options);
+        const updated = await this.repository.transitionLoan(
+            loan.id, loan.status, changes, event, this.buildDisbursement(loan, action, event.createdAt)
+        );
+        if (!updated) {
+            const current = await this.repository.getLoanApplication(loan.id);
+            const explanation = await this.explain(current);
+            return {
+                success: false,
+                loan: explanation,
+                message: `Loan application ${loan.id} is now ${explanation.statusLabel.toLowerCase()}; nothing was changed.`
+            };
+        }
+
+        console.log(`[Loans] 🏦 Application ${loan.id} (user ${loan.userId}) ${loan.status} -> ${updated.status} by ${event.actor}`);
+        const explanation = await this.explain(updated);
+        return { success: true, loan: explanation, message: explanation.message };
+    }
+
+    // Ledger transaction paying a loan out into primary checking
+    buildDisbursement(loan, action, at) {
+        if (action !== 'fund') {
+            return null;
+        }
+        return {
+            description: `${loan.loanType} Disbursement`,
+            amount: loan.loanAmount,
+            transactionType: 'credit',
+            category: 'Loans',
+            transactionDate: at
+        };
+    }
+
+    /**
+     * Apply the application's next automatic step immediately, whether or not it is due yet
+     * (lets staff fast-forward a demo)
+     * @param {object} loan - Mapped application
+     * @param {string} [actor] - Who asked
+     * @returns {Promise<object>} - applyAction() result
+     */
+    async advanceNow(loan, actor = 'staff') {
+        const milestone = getNextMilestone(loan);
+        if (!milestone) {
+            const explanation = await this.explain(loan);
+            return {
+                success: false,
+                loan: explanation,
+                message: `Loan application ${loan.id} is ${explanation.statusLabel.toLowerCase()} and has no automatic next step.`
+            };
+        }
+        return this.applyAction(loan, milestone.action, { actor });
+    }
+
+    /**
+     * Apply every automatic step that has fallen due, each dated when it fell due
+     * @param {object} loan - Mapped application
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<object>} - The application as it is now
+     */
+    async advanceLoan(loan, now = new Date()) {
+        let current = loan;
+        let milestone = getDueMilestone(current, now);
+        while (milestone) {
+            const { changes, event } = buildLoanTransition(current, milestone.action, { at: milestone.dueAt });
+            const updated = await this.repository.transitionLoan(
+                current.id, current.status, changes, event, this.buildDisbursement(current, milestone.action, milestone.dueAt)
+            );
+            if (!updated) {
+                // Someone else moved it on; start again from what is stored
+                return this.repository.getLoanApplication(current.id);
+            }
+            console.log(`[Loans] ⏱️  Application ${current.id} (user ${current.userId}) ${current.status} -> ${updated.status}`);
+            current = updated;
+            milestone = getDueMilestone(current, now);
+        }
+        return current;
+    }
+
+    /**
+     * Move every open application on by the steps that have fallen due
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<number>} - Applications whose status changed
+     */
+    async advanceDueLoans(now = new Date()) {
+        const loans = await this.repository.getOpenLoanApplications();
+        let changed = 0;
+        for (const loan of loans) {
+            const current = await this.advanceLoan(loan, now);
+            if (current.status !== loan.status) {
+                changed++;
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Repayment schedule: the actual one for a funded loan, otherwise as it would be if the loan
+     * were paid out today
+     * @param {object} loan - Mapped application (or quote)
+     * @returns {object} - { projected, firstPaymentDate, monthlyPayment, totalInterest, payments }
+     */
+    getSchedule(loan) {
+        const projected = loan.status !== LOAN_STATUS.FUNDED || !loan.firstPaymentDate;
+        const firstPaymentDate = projected ? getFirstPaymentDate(new Date()) : loan.firstPaymentDate;
+        const payments = buildAmortizationSchedule({
+            principal: loan.loanAmount,
+            annualRate: loan.interestRate,
+            termMonths: loan.termMonths || getLoanProduct(loan.loanType).defaultTerm,
+            firstPaymentDate
+        });
+        return {
+            projected,
+            firstPaymentDate,
+            monthlyPayment: payments.length > 0 ? payments[0].payment : 0,
+            totalInterest: roundCents(payments.reduce((sum, row) => sum + row.interest, 0)),
+            payments
+        };
+    }
+
+    /**
+     * Run advanceDueLoans() every LOAN_PROGRESSION_INTERVAL_MS (default one minute; 0 disables it)
+     */
+    startProgression() {
+        const configured = process.env.LOAN_PROGRESSION_INTERVAL_MS;
+        const intervalMs = configured === undefined || configured === '' ? DEFAULT_PROGRESSION_INTERVAL_MS : Number(configured);
+        if (this.progressionTimer || !(intervalMs > 0)) {
+            return;
+        }
+
+        this.progressionTimer = setInterval(async () => {
+            try {
+                const changed = await this.advanceDueLoans();
+                if (changed > 0) {
+                    console.log(`[Loans] ⏱️  ${changed} application(s) moved on`);
+                }
+            } catch (error) {
+                console.error('[Loans] ❌ Progression failed:', error.message);
+            }
+        }, intervalMs);
+        // Don't keep the process alive just for this
+        this.progressionTimer.unref();
+        console.log(`[Loans] ⏱️  Progression every ${intervalMs / 1000}s`);
+    }
+
+    stopProgression() {
+        if (this.progressionTimer) {
+            clearInterval(this.progressionTimer);
+            this.progressionTimer = null;
+        }
+    }
+
+    failure(message) {
+        return { success: false, message };
+    }
+}
+
+module.exports = new LoanService();
+module.exports.LoanService = LoanService;
@@ -0,0 +1,152 @@
+const DatabaseFactory = require('../database/DatabaseFactory');
+const {
+    TRANSFER_STALE_MS,
+    getOfficerAvailability,
+    routeTransfer,
+    normalizeOfficer
+} = require('./officers');
+
+/**
+ * OfficerService - The officer directory and live-agent routing
+ *
+ * Staff manage officers through /api/admin/officers; the voice flow asks routeTransfer() who should
+ * take a call, records the hand-off with assignTransfer() and frees the officer again with
+ * releaseCall() when the call ends. An officer's load is their open transfers, so routing spreads
+ * calls across everyone on shift with the skill.
+ *
+ * Methods return { success, message, ... } results rather than throwing.
+ */
+class OfficerService {
+    constructor(repository = DatabaseFactory.create()) {
+        this.repository = repository;
+    }
+
+    /**
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<object>} - { [officerId]: transferred calls in progress }
+     */
+    async getLoads(now = new Date()) {
+        return this.repository.getOfficerLoads(new Date(now.getTime() - TRANSFER_STALE_MS).toISOString());
+    }
+
+    /**
+     * Every officer with whether they can take a call right now
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<object[]>} - Officers, each with an `availability` (see officers.getOfficerAvailability)
+     */
+    async listOfficers(now = new Date()) {
+        const [officers, loads] = await Promise.all([this.repository.getAllOfficers(), this.getLoads(now)]);
+        return officers.map(officer => this.withAvailability(officer, loads, now));
+    }
+
+    async getOfficer(officerId, now = new Date()) {
+        const officer = await this.repository.getOfficer(officerId);
+        return officer ? this.withAvailability(officer, await this.getLoads(now), now) : null;
+    }
+
+    /**
+     * @param {object} input - Officer fields (see officers.OFFICER_FIELDS)
+     * @returns {Promise<object>} - { success, officer } or { success: false, message, duplicate? }
+     */
+    async createOfficer(input) {
+        const { officer, error } = normalizeOfficer(input || {});
+        if (error) {
+            return this.failure(error);
+        }
+        const officers = await this.repository.getAllOfficers();
+        if (officers.some(existing => existing.name.toLowerCase() === officer.name.toLowerCase())) {
+            return { ...this.failure(`There is already an officer called ${officer.name}`), duplicate: true };
+        }
+
+        const created = await this.repository.createOfficer(officer);
+        console.log(`[Officers] ➕ Added ${created.name} (${created.skills.join(', ')})`);
+        return { success: true, officer: await this.getOfficer(created.id), message: `${created.name} was added.` };
+    }
+
+    /**
+     * @param {object} existing - Mapped officer
+     * @param {object} input - Fields to change; the rest keep their values
+     * @returns {Promise<object>} - { success, officer } or { success: false, message, duplicate? }
+     */
+    async updateOfficer(existing, input) {
+        const { officer, error } = normalizeOfficer(input || {}, existing);
+        if (error) {
+            return this.failure(error);
+        }
+        const officers = await this.repository.getAllOfficers();
+        if (officers.some(other => other.id !== existing.id && other.name.toLowerCase() === officer.name.toLowerCase())) {
+            return { ...this.failure(`There is already an officer called ${officer.name}`), duplicate: true };
+        }
+
+        await this.repository.updateOfficer(existing.id, officer);
+        return { success: true, officer: await this.getOfficer(existing.id), message: `${officer.name} was updated.` };
+    }
+
+    /**
+     * Stop routing calls to an officer; they stay in the directory and can be reactivated
+     * @param {object} existing - Mapped officer
+     */
+    async deactivateOfficer(existing) {
+        const result = await this.updateOfficer(existing, { active: false });
+        if (result.success) {
+            result.message = `${existing.name} will no longer receive transferred calls.`;
+        }
+        return result;
+    }
+
+    /**
+     * Who a call should go to
+     * @param {string} reason - Transfer reason (e.g. 'fraud', 'loan_inquiry') or skill
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<object>} - { officer (with availability, or null), skill, fallback, message }
+     */
+    async routeTransfer(reason, now = new Date()) {
+        const [officers, loads] = await Promise.all([this.repository.getAllOfficers(), this.getLoads(now)]);
+        const routing = routeTransfer(officers, reason, { loads, now });
+        return {
+            ...routing,
+            officer: routing.officer ? this.withAvailability(routing.officer, loads, now) : null
+        };
+    }
+
+    /**
+     * Count a call against the officer it was routed to
+     * @param {object} routing - routeTransfer() result with an officer
+     * @param {string} callId - Call being transferred
+     * @param {string} reason - Transfer reason
+     */
+    async assignTransfer(routing, callId, reason, now = new Date()) {
+        await this.repository.startOfficerTransfer({
+            officerId: routing.officer.id,
+            callId,
+            reason,
+            skill: routing.skill,
+            startedAt: now.toISOString()
+        });
+        console.log(`[Officers] 📞 Call ${callId} assigned to ${routing.officer.name} (${routing.skill})`);
+    }
+
+    /**
+     * Free whoever was handling a call
+     * @param {string} callId - Call that ended or whose transfer failed
+     * @returns {Promise<number>} - Transfers closed
+     */
+    async releaseCall(callId, now = new Date()) {
+        const released = await this.repository.endOfficerTransfers(callId, now.toISOString());
+        if (released > 0) {
+            console.log(`[Officers] ✅ Released the officer on call ${callId}`);
+        }
+        return released;
+    }
+
+    withAvailability(officer, loads, now) {
+        return { ...officer, availability: getOfficerAvailability(officer, loads[officer.id] || 0, now) };
+    }
+
+    failure(message) {
+        return { success: false, message };
+    }
+}
+
+module.exports = new OfficerService();
+module.exports.OfficerService = OfficerService;
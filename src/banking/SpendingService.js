@@ -0,0 +1,66 @@
+const DatabaseFactory = require('../database/DatabaseFactory');
+const {
+    DEFAULT_ANALYTICS_MONTHS,
+    MAX_ANALYTICS_MONTHS,
+    getAnalyticsWindowStart,
+    analyzeSpending,
+    formatSpendingSummary
+} = require('./spendingAnalytics');
+
+// Upper bound on transactions loaded for one customer's analytics window
+const MAX_ANALYZED_TRANSACTIONS = 5000;
+
+/**
+ * SpendingService - Per-customer spending analytics
+ *
+ * Loads the customer's transactions for the analytics window and hands them to
+ * spendingAnalytics. Used by GET /api/users/:id/spending, the call context built when a customer
+ * calls, and the knowledge base, so the agent can answer "how much did I spend on groceries
+ * last month?" or "am I spending more than usual?".
+ */
+class SpendingService {
+    constructor(repository = DatabaseFactory.create()) {
+        this.repository = repository;
+    }
+
+    /**
+     * @param {object} user - Customer (mapped user)
+     * @param {object} [options] - { months (calendar months before the current one, default 3), now }
+     * @returns {Promise<object>} - analyzeSpending() result plus a spoken `summary`
+     */
+    async getAnalytics(user, { months = DEFAULT_ANALYTICS_MONTHS, now = new Date() } = {}) {
+        const window = { sort: 'oldest', offset: 0 };
+        const [result, first] = await Promise.all([
+            this.repository.searchTransactions(user.id, {
+                ...window,
+                from: getAnalyticsWindowStart(now, months).toISOString(),
+                type: 'debit',
+                limit: MAX_ANALYZED_TRANSACTIONS
+            }),
+            this.repository.searchTransactions(user.id, { ...window, limit: 1 })
+        ]);
+
+        const analytics = analyzeSpending(result.transactions, {
+            months,
+            now,
+            historyStart: first.transactions.length ? first.transactions[0].transactionDate : null
+        });
+        return { ...analytics, summary: formatSpendingSummary(analytics) };
+    }
+
+    /**
+     * Parse the `months` parameter of the REST API
+     * @param {*} value - Query string value
+     * @returns {number|null} - Months, or null if invalid
+     */
+    parseMonths(value) {
+        if (value === undefined || value === '') {
+            return DEFAULT_ANALYTICS_MONTHS;
+        }
+        const months = Number(value);
+        return Number.isInteger(months) && months >= 1 && months <= MAX_ANALYTICS_MONTHS ? months : null;
+    }
+}
+
+module.exports = new SpendingService();
+module.exports.SpendingService = SpendingService;
@@ -0,0 +1,71 @@
+const DatabaseFactory = require('../database/DatabaseFactory');
+const { resolveAccount } = require('./transfers');
+const { getDisplayName } = require('./accounts');
+const { normalizeTransactionQuery, describeTransactionSearch } = require('./transactionSearch');
+
+/**
+ * TransactionSearchService - Filtered, paginated transaction history
+ *
+ * Backs GET /api/users/:id/transactions and the agent's search_transactions tool, so "how much
+ * did I spend at Amazon last month?" and the REST API use the same filters and totals.
+ *
+ * Methods return { success, message, ... } results rather than throwing; invalid parameters
+ * come back as { success: false, message }.
+ */
+class TransactionSearchService {
+    constructor(repository = DatabaseFactory.create()) {
+        this.repository = repository;
+    }
+
+    /**
+     * @param {object} user - Customer (mapped user)
+     * @param {object} params - Search parameters (see banking/transactionSearch), plus `account`:
+     *   an account number or a name like "savings" / "ending 1234"
+     * @returns {Promise<object>} - { success, message, transactions, summary, pagination }
+     */
+    async search(user, params = {}) {
+        const { query, error } = normalizeTransactionQuery(params);
+        if (error) {
+            return this.failure(error);
+        }
+
+        let account = null;
+        if (params.account) {
+            const accounts = await this.repository.getUserAccounts(user.id);
+            account = resolveAccount(accounts, params.account);
+            if (!account) {
+                return this.failure(`I couldn't tell which account you mean. The accounts on file are: ${accounts.map(getDisplayName).join(', ')}.`);
+            }
+            query.accountId = account.id;
+        }
+
+        const result = await this.repository.searchTransactions(user.id, query);
+        const nextOffset = query.offset + result.transactions.length;
+
+        return {
+            success: true,
+            message: `${account ? `${getDisplayName(account)}: ` : ''}${describeTransactionSearch(query, result)}`,
+            transactions: result.transactions,
+            summary: {
+                count: result.total,
+                totalSpent: Math.abs(result.debitTotal),
+                totalReceived: result.creditTotal,
+                from: query.from || null,
+                to: query.to || null
+            },
+            pagination: {
+                limit: query.limit,
+                offset: query.offset,
+                total: result.total,
+                nextOffset: nextOffset < result.total ? nextOffset : null
+            }
+        };
+    }
+
+    failure(message) {
+        return { success: false, message };
+    }
+}
+
+module.exports = new TransactionSearchService();
+module.exports.TransactionSearchService = TransactionSearchService;
@@ -0,0 +1,233 @@
+const DatabaseFactory = require('../database/DatabaseFactory');
+const { generateTransactionId, roundCents } = require('../database/ledger');
+const { getDisplayName } = require('./accounts');
+const {
+    TRANSFER_STATUS,
+    TRANSFER_TYPES,
+    getTransferLimits,
+    resolveAccount,
+    resolvePayee,
+    checkTransferAllowed,
+    buildReadBack,
+    formatCurrency
+} = require('./transfers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * TransferService - Two-step money movement for the voice agent
+ *
+ * prepareTransfer() validates the request and stores it as pending_confirmation along with a
+ * read-back sentence; nothing moves until confirmTransfer() is called with the caller's spoken
+ * "yes". Both steps are safe to retry: prepare is keyed by an idempotency key (reusing one for a
+ * different transfer is refused), and confirming an already-completed transfer just reports it again.
+ *
+ * Methods return { success, message, ... } results for the agent to speak rather than throwing,
+ * so a declined transfer is a normal outcome of the conversation.
+ */
+class TransferService {
+    constructor(repository = DatabaseFactory.create()) {
+        this.repository = repository;
+    }
+
+    async listPayees(user) {
+        const payees = await this.repository.getUserPayees(user.id);
+        return {
+            success: true,
+            payees: payees.map(payee => ({ name: payee.name, nickname: payee.nickname, bank: payee.bankName }))
+        };
+    }
+
+    /**
+     * Validate a transfer and hold it for confirmation
+     * @param {object} user - Caller (mapped user)
+     * @param {object} request - { from, to, payee, amount, memo, idempotencyKey }; `to` may name an
+     *   account or a payee, `from` defaults to the primary checking account
+     * @returns {Promise<object>} - { success, transferId, status, readBack, expiresAt } or { success: false, message }
+     */
+    async prepareTransfer(user, request) {
+        const [existing, accounts, payees] = await Promise.all([
+            request.idempotencyKey ? this.repository.getTransferByIdempotencyKey(user.id, request.idempotencyKey) : null,
+            this.repository.getUserAccounts(user.id),
+            this.repository.getUserPayees(user.id)
+        ]);
+
+        const fromAccount = request.from
+            ? resolveAccount(accounts, request.from)
+            : accounts.find(account => account.accountNumber === user.fakeAccountNumber);
+        if (!fromAccount) {
+            return this.accountNotFound(accounts);
+        }
+
+        // "to" can name one of the caller's accounts or a saved payee
+        const toAccount = request.to ? resolveAccount(accounts, request.to) : null;
+        const payee = toAccount ? null : resolvePayee(payees, request.payee || request.to);
+        if (!toAccount && !payee) {
+            return this.recipientNotFound(accounts, payees);
+        }
+
+        const amount = roundCents(Number(request.amount));
+
+        // A retry gets the original transfer back; the same key for a different transfer is refused
+        if (existing) {
+            const matches = existing.amount === amount &&
+                existing.fromAccountId === fromAccount.id &&
+                existing.toAccountId === (toAccount ? toAccount.id : null) &&
+                existing.payeeId === (payee ? payee.id : null) &&
+                existing.memo === (request.memo || null);
+            if (!matches) {
+                console.warn(`[Transfers] ⚠️  Idempotency key ${request.idempotencyKey} reused for a different transfer than ${existing.transferId}`);
+                return this.failure('That request was already used for a different transfer. Set this one up as a new transfer.', {
+                    error: 'idempotency_conflict',
+                    transferId: existing.transferId
+                });
+            }
+            console.log(`[Transfers] ♻️  Reusing ${existing.transferId} for idempotency key ${request.idempotencyKey}`);
+            return this.describe(existing);
+        }
+
+        const transferredToday = await this.repository.getCompletedTransferTotal(user.id, new Date(Date.now() - DAY_MS).toISOString());
+        const reason = checkTransferAllowed({ amount, fromAccount, toAccount, transferredToday });
+        if (reason) {
+            return this.failure(reason);
+        }
+
+        const now = new Date();
+        const transferId = `TRF${generateTransactionId().slice(3)}`;
+        const transfer = await this.repository.createTransfer({
+            transferId,
+            userId: user.id,
+            idempotencyKey: request.idempotencyKey || transferId,
+            transferType: toAccount ? TRANSFER_TYPES.INTERNAL : TRANSFER_TYPES.PAYEE,
+            fromAccountId: fromAccount.id,
+            toAccountId: toAccount ? toAccount.id : null,
+            payeeId: payee ? payee.id : null,
+            amount,
+            memo: request.memo || null,
+            status: TRANSFER_STATUS.PENDING_CONFIRMATION,
+            readBack: buildReadBack({ amount, fromAccount, toAccount, payee, memo: request.memo }),
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + getTransferLimits().confirmationTtlMs).toISOString()
+        });
+
+        console.log(`[Transfers] 📝 ${transfer.transferId} awaiting confirmation: ${formatCurrency(amount)} for user ${user.id}`);
+        return this.describe(transfer);
+    }
+
+    /**
+     * Execute (or cancel) a prepared transfer once the caller has answered the read-back
+     * @param {object} user - Caller (mapped user)
+     * @param {object} params - { transferId, confirmed }
+     * @returns {Promise<object>} - { success, status, message, ... }
+     */
+    async confirmTransfer(user, { transferId, confirmed }) {
+        const transfer = await this.repository.getTransfer(transferId);
+        if (!transfer || transfer.userId !== user.id) {
+            return this.failure('I couldn\'t find that transfer. Let\'s set it up again.');
+        }
+
+        if (transfer.status !== TRANSFER_STATUS.PENDING_CONFIRMATION) {
+            return this.describe(transfer);
+        }
+
+        if (Date.now() > new Date(transfer.expiresAt).getTime()) {
+            await this.repository.updateTransferStatus(transferId, TRANSFER_STATUS.PENDING_CONFIRMATION, TRANSFER_STATUS.EXPIRED);
+            return this.describe({ ...transfer, status: TRANSFER_STATUS.EXPIRED });
+        }
+
+        if (!confirmed) {
+            await this.repository.updateTransferStatus(transferId, TRANSFER_STATUS.PENDING_CONFIRMATION, TRANSFER_STATUS.CANCELLED);
+            console.log(`[Transfers] 🚫 ${transferId} cancelled by caller`);
+            return this.describe({ ...transfer, status: TRANSFER_STATUS.CANCELLED });
+        }
+
+        // Limits may have changed since the read-back (another transfer completed meanwhile)
+        const [accounts, payees, transferredToday] = await Promise.all([
+            this.repository.getUserAccounts(user.id),
+            this.repository.getUserPayees(user.id),
+            this.repository.getCompletedTransferTotal(user.id, new Date(Date.now() - DAY_MS).toISOString())
+        ]);
+        const fromAccount = accounts.find(account => account.id === transfer.fromAccountId);
+        const toAccount = accounts.find(account => account.id === transfer.toAccountId) || null;
+        const payee = payees.find(p => p.id === transfer.payeeId) || null;
+
+        // An account or payee may have been closed or removed since the read-back
+        if (!fromAccount || (transfer.toAccountId && !toAccount) || (transfer.payeeId && !payee)) {
+            await this.repository.updateTransferStatus(transferId, TRANSFER_STATUS.PENDING_CONFIRMATION, TRANSFER_STATUS.CANCELLED);
+            return fromAccount ? this.recipientNotFound(accounts, payees) : this.accountNotFound(accounts);
+        }
+
+        const reason = checkTransferAllowed({ amount: transfer.amount, fromAccount, toAccount, transferredToday });
+        if (reason) {
+            await this.repository.updateTransferStatus(transferId, TRANSFER_STATUS.PENDING_CONFIRMATION, TRANSFER_STATUS.CANCELLED);
+            return this.failure(`${reason} The transfer was not made.`);
+        }
+
+        const describeAccount = (account) => `${getDisplayName(account)} ending ${account.accountNumber.slice(-4)}`;
+        let completed;
+        try {
+            completed = await this.repository.completeTransfer(transferId, {
+                from: describeAccount(fromAccount),
+                to: toAccount ? describeAccount(toAccount) : payee.name
+            });
+        } catch (error) {
+            if (error.message !== 'Insufficient funds') {
+                throw error;
+            }
+            await this.repository.updateTransferStatus(transferId, TRANSFER_STATUS.PENDING_CONFIRMATION, TRANSFER_STATUS.CANCELLED);
+            return this.failure(`${getDisplayName(fromAccount)} no longer has enough available. The transfer was not made.`);
+        }
+
+        // Someone else confirmed or cancelled it first - report whatever it is now
+        if (!completed) {
+            return this.describe(await this.repository.getTransfer(transferId));
+        }
+
+        console.log(`[Transfers] ✅ ${transferId} completed: ${formatCurrency(completed.amount)} for user ${user.id}`);
+        const balance = await this.repository.getAccountBalance(fromAccount.accountNumber);
+        return {
+            ...this.describe(completed),
+            fromAccountBalance: balance ? balance.availableBalance : null
+        };
+    }
+
+    // Agent-facing summary of a transfer in its current state
+    describe(transfer) {
+        const messages = {
+            [TRANSFER_STATUS.PENDING_CONFIRMATION]: 'Read the read_back to the caller word for word and only confirm the transfer if they clearly say yes.',
+            [TRANSFER_STATUS.COMPLETED]: `The transfer of ${formatCurrency(transfer.amount)} is complete. Reference ${transfer.transferId}.`,
+            [TRANSFER_STATUS.CANCELLED]: 'The transfer was cancelled and no money was moved.',
+            [TRANSFER_STATUS.EXPIRED]: 'The confirmation window expired and no money was moved. Offer to set it up again.'
+        };
+
+        return {
+            success: transfer.status === TRANSFER_STATUS.PENDING_CONFIRMATION || transfer.status === TRANSFER_STATUS.COMPLETED,
+            transferId: transfer.transferId,
+            status: transfer.status,
+            amount: transfer.amount,
+            readBack: transfer.readBack,
+            expiresAt: transfer.expiresAt,
+            message: messages[transfer.status]
+        };
+    }
+
+    failure(message, details = {}) {
+        return { success: false, message, ...details };
+    }
+
+    accountNotFound(accounts) {
+        return this.failure(`I couldn't tell which account to send from. The options are: ${this.listNames(accounts)}.`);
+    }
+
+    recipientNotFound(accounts, payees) {
+        return this.failure(`I couldn't find that recipient. You can send to your accounts (${this.listNames(accounts)}) ` +
+            `or saved payees (${this.listNames(payees)}).`);
+    }
+
+    listNames(items) {
+        return items.map(item => item.nickname || item.name).join(', ') || 'none';
+    }
+}
+
+module.exports = new TransferService();
+module.exports.TransferService = TransferService;
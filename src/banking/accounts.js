@@ -0,0 +1,186 @@
+/**
+ * Account Products
+ * The account types a demo customer can hold and how their opening history is generated.
+ *
+ * Every customer keeps their primary checking account (users.fakeAccountNumber); savings,
+ * credit cards and loans are optional extras chosen at registration. Liability accounts
+ * (credit cards, loans) carry a negative ledger balance - the amount owed is its absolute value.
+ */
+
+const { createSeededRandom } = require('../utils/seededRandom');
+const { planAccountHistory, roundCents, POSTING_STATUS } = require('../database/ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACCOUNT_TYPES = {
+    checking: {
+        label: 'Checking',
+        defaultName: 'Everyday Checking',
+        liability: false,
+        defaultBalance: [500, 5000]
+    },
+    savings: {
+        label: 'Savings',
+        defaultName: 'High-Yield Savings',
+        liability: false,
+        defaultBalance: [1000, 25000]
+    },
+    credit_card: {
+        label: 'Credit Card',
+        defaultName: 'Infobip Rewards Card',
+        liability: true,
+        defaultBalance: [150, 3000]
+    },
+    loan: {
+        label: 'Loan',
+        defaultName: 'Personal Loan',
+        liability: true,
+        defaultBalance: [5000, 40000]
+    }
+};
+
+// Extra products a customer can add at registration (the primary checking account is implicit)
+const MAX_ADDITIONAL_ACCOUNTS = 5;
+
+/**
+ * @param {string} type - Account type
+ * @returns {boolean} - Whether the type is known
+ */
+function isValidAccountType(type) {
+    return Object.prototype.hasOwnProperty.call(ACCOUNT_TYPES, type);
+}
+
+/**
+ * Fill in defaults for an account requested at registration
+ * @param {object} request - { type, nickname?, balance? } (balance is the amount owed for liabilities)
+ * @param {object} [random] - Seeded generator from createSeededRandom()
+ * @returns {object} - { type, name, nickname, balance }
+ */
+function normalizeAccountRequest(request, random = createSeededRandom()) {
+    const definition = ACCOUNT_TYPES[request.type];
+    if (!definition) {
+        throw new Error(`Unknown account type: ${request.type}`);
+    }
+
+    const hasBalance = request.balance !== undefined && request.balance !== null && request.balance !== '';
+    const [min, max] = definition.defaultBalance;
+
+    return {
+        type: request.type,
+        name: definition.defaultName,
+        nickname: request.nickname ? String(request.nickname).trim() : null,
+        balance: roundCents(hasBalance ? Math.abs(Number(request.balance)) : random.float(min, max))
+    };
+}
+
+/**
+ * Build the history for a newly opened additional account, ready to post to the ledger
+ * @param {object} account - Normalized request from normalizeAccountRequest()
+ * @param {object} [random] - Seeded generator from createSeededRandom()
+ * @returns {object[]} - Transactions, oldest first
+ */
+function planAccountOpening(account, random = createSeededRandom()) {
+    const now = Date.now();
+    const daysAgo = (days) => new Date(now - days * DAY_MS - random.int(0, 12 * 60 * 60 * 1000)).toISOString();
+
+    switch (account.type) {
+        case 'savings': {
+            // Monthly interest on top of the opening deposit
+            const interest = [1, 2, 3].map(month => ({
+                description: 'Interest Payment',
+                amount: roundCents(account.balance * 0.0035),
+                transactionType: 'credit',
+                category: 'Interest',
+                status: POSTING_STATUS.POSTED,
+                transactionDate: daysAgo(month * 30 - 28)
+            }));
+            return planAccountHistory(account.balance, interest);
+        }
+
+        case 'credit_card': {
+            const merchants = [
+                ['Delta Air Lines', 'Travel'], ['Marriott Hotels', 'Travel'], ['Apple Store', 'Shopping'],
+                ['Whole Foods', 'Groceries'], ['Chevron', 'Gas & Fuel'], ['OpenTable', 'Food & Dining']
+            ];
+            const purchases = [];
+            for (let i = 0; i < 3; i++) {
+                const [merchant, category] = random.pick(merchants);
+                purchases.push({
+                    description: merchant,
+                    amount: -roundCents(random.float(20, Math.max(25, account.balance / 3))),
+                    transactionType: 'debit',
+                    merchant,
+                    category,
+                    status: POSTING_STATUS.POSTED,
+                    transactionDate: daysAgo(random.int(1, 25))
+                });
+            }
+            return planAccountHistory(-account.balance, purchases, {
+                description: 'Previous Statement Balance',
+                category: 'Credit Card'
+            });
+        }
+
+        case 'loan': {
+            // Two on-time repayments since disbursement
+            const payment = roundCents(account.balance * 0.02);
+            const repayments = [1, 2].map(month => ({
+                description: 'Loan Payment - Thank You',
+                amount: payment,
+                transactionType: 'credit',
+                category: 'Loans',
+                status: POSTING_STATUS.POSTED,
+                transactionDate: daysAgo(month * 30 - 25)
+            }));
+            return planAccountHistory(-account.balance, repayments, {
+                description: 'Loan Disbursement',
+                category: 'Loans'
+            });
+        }
+
+        default:
+            return planAccountHistory(account.balance, []);
+    }
+}
+
+/**
+ * Name a customer would use for the account ("Rainy Day Fund", "High-Yield Savings")
+ * @param {object} account - Mapped account
+ * @returns {string}
+ */
+function getDisplayName(account) {
+    return account.nickname || account.name;
+}
+
+/**
+ * One-line spoken summary of a customer's accounts, e.g. for an ElevenLabs dynamic variable
+ * @param {object[]} accounts - Mapped accounts with balances (see rowMappers.mapAccount)
+ * @returns {string} - e.g. "Primary Checking ending 7890: $1,234.50 available; Rainy Day Fund savings ending 1234: $5,000.00"
+ */
+function formatAccountsSummary(accounts) {
+    const currency = (amount) => Math.abs(amount).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+
+    return accounts.map(account => {
+        const definition = ACCOUNT_TYPES[account.accountType] || { label: account.accountType, liability: false };
+        const name = getDisplayName(account);
+        const type = definition.label.toLowerCase();
+        const label = `${name}${name.toLowerCase().includes(type) ? '' : ` ${type}`} ending ${account.accountNumber.slice(-4)}`;
+        let amount = `${currency(account.availableBalance)} available`;
+        if (definition.liability) {
+            amount = `${currency(account.ledgerBalance)} owed`;
+        } else if (account.availableBalance < 0) {
+            amount = `overdrawn by ${currency(account.availableBalance)}`;
+        }
+        return `${label}: ${amount}`;
+    }).join('; ');
+}
+
+module.exports = {
+    ACCOUNT_TYPES,
+    MAX_ADDITIONAL_ACCOUNTS,
+    isValidAccountType,
+    normalizeAccountRequest,
+    planAccountOpening,
+    getDisplayName,
+    formatAccountsSummary
+};
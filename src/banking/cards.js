@@ -0,0 +1,174 @@
+/**
+ * Cards
+ * Driver-independent rules for payment cards: what is issued at registration and which status
+ * changes are allowed.
+ *
+ * Status lifecycle:
+ *   active <-> frozen                temporary block the customer can undo
+ *   active | frozen -> lost          permanent; only a replacement helps
+ *   active | frozen -> closed        when a replacement is ordered for it (lost cards stay lost)
+ *   ordered -> active                the replacement arrived and was activated
+ */
+
+const { createSeededRandom } = require('../utils/seededRandom');
+const { formatCurrency } = require('./transfers');
+
+const CARD_STATUS = {
+    ACTIVE: 'active',
+    FROZEN: 'frozen',
+    LOST: 'lost',
+    ORDERED: 'ordered',
+    CLOSED: 'closed'
+};
+
+const CARD_TYPES = {
+    DEBIT: 'debit',
+    CREDIT: 'credit'
+};
+
+// Statuses each action is allowed from, and the status it leaves the card in
+const CARD_ACTIONS = {
+    freeze: { from: [CARD_STATUS.ACTIVE], to: CARD_STATUS.FROZEN, verb: 'frozen' },
+    unfreeze: { from: [CARD_STATUS.FROZEN], to: CARD_STATUS.ACTIVE, verb: 'unfrozen' },
+    report_lost: { from: [CARD_STATUS.ACTIVE, CARD_STATUS.FROZEN], to: CARD_STATUS.LOST, verb: 'reported lost' },
+    replace: { from: [CARD_STATUS.ACTIVE, CARD_STATUS.FROZEN, CARD_STATUS.LOST], verb: 'replaced' },
+    activate: { from: [CARD_STATUS.ORDERED], to: CARD_STATUS.ACTIVE, verb: 'activated' }
+};
+
+const REPLACEMENT_DELIVERY_DAYS = 5;
+
+/**
+ * Generate a new card for an account
+ * @param {object} params - { userId, accountId, cardType, cardholderName, status?, replacesCardId? }
+ * @param {object} [random] - Seeded generator from createSeededRandom()
+ * @returns {object} - Card row to insert
+ */
+function buildCard({ userId, accountId, cardType, cardholderName, status = CARD_STATUS.ACTIVE, replacesCardId = null }, random = createSeededRandom()) {
+    const now = new Date();
+    return {
+        userId,
+        accountId,
+        cardType,
+        network: cardType === CARD_TYPES.CREDIT ? 'Mastercard' : 'Visa',
+        last4: String(random.int(0, 9999)).padStart(4, '0'),
+        cardholderName: String(cardholderName || '').toUpperCase(),
+        expiryMonth: now.getUTCMonth() + 1,
+        expiryYear: now.getUTCFullYear() + 4,
+        status,
+        replacesCardId,
+        issuedAt: now.toISOString(),
+        statusChangedAt: now.toISOString()
+    };
+}
+
+/**
+ * Cards every new customer gets: a debit card on their primary checking account and a
+ * credit card for each credit card account
+ * @param {object} user - { id, name }
+ * @param {object[]} accounts - [{ id, accountType }] with the primary checking account first
+ * @param {object} [random] - Seeded generator
+ * @returns {object[]} - Card rows to insert
+ */
+function buildRegistrationCards(user, accounts, random = createSeededRandom()) {
+    const cards = [];
+    const [primary] = accounts;
+    if (primary) {
+        cards.push(buildCard({ userId: user.id, accountId: primary.id, cardType: CARD_TYPES.DEBIT, cardholderName: user.name }, random));
+    }
+    for (const account of accounts.filter(a => a.accountType === 'credit_card')) {
+        cards.push(buildCard({ userId: user.id, accountId: account.id, cardType: CARD_TYPES.CREDIT, cardholderName: user.name }, random));
+    }
+    return cards;
+}
+
+/**
+ * Check whether an action is allowed for a card
+ * @param {object} card - Card with status
+ * @param {string} action - Key of CARD_ACTIONS
+ * @param {object[]} [cards] - All of the customer's cards, to spot an existing replacement
+ * @returns {string|null} - Reason it is not allowed, or null
+ */
+function checkCardAction(card, action, cards = []) {
+    const rule = CARD_ACTIONS[action];
+    if (!rule) {
+        return `Unknown card action: ${action}`;
+    }
+    if (!rule.from.includes(card.status)) {
+        return `The ${describeCard(card)} is ${card.status}, so it can't be ${rule.verb}.`;
+    }
+    const replacement = cards.find(other => other.replacesCardId === card.id);
+    if (action === 'replace' && replacement) {
+        return `A replacement for the ${describeCard(card)} was already ordered (${describeCard(replacement)}).`;
+    }
+    return null;
+}
+
+/**
+ * Find the card a caller is referring to ("my debit card", "the card ending 4242")
+ * Closed cards are ignored; if several cards match, the one still in use wins.
+ * @param {object[]} cards - Customer's cards
+ * @param {string} [reference] - Last four digits, 'debit'/'credit', or network; optional if they only have one
+ * @returns {object|null} - Matching card, or null if none or ambiguous
+ */
+function resolveCard(cards, reference) {
+    const open = cards.filter(card => card.status !== CARD_STATUS.CLOSED);
+    if (!reference) {
+        return open.length === 1 ? open[0] : null;
+    }
+
+    const text = String(reference).toLowerCase();
+    const digits = text.replace(/\D/g, '');
+    const matches = open.filter(card =>
+        (digits.length === 4 && card.last4 === digits) ||
+        (digits.length !== 4 && (text.includes(card.cardType) || text.includes(card.network.toLowerCase())))
+    );
+    if (matches.length <= 1) {
+        return matches[0] || null;
+    }
+
+    const inUse = matches.filter(card => card.status !== CARD_STATUS.LOST);
+    return inUse.length === 1 ? inUse[0] : null;
+}
+
+/**
+ * @param {object} card - Card
+ * @returns {string} - e.g. "Visa debit card ending 4242"
+ */
+function describeCard(card) {
+    return `${card.network} ${card.cardType} card ending ${card.last4}`;
+}
+
+/**
+ * One-line spoken summary of a customer's cards and any suspicious charges on them
+ * @param {object[]} cards - Customer's cards
+ * @param {object[]} [suspiciousTransactions] - Transactions flagged as suspected fraud
+ * @returns {string} - e.g. "Visa debit card ending 4242 (frozen). Suspicious charge: $812.40 at ... on the card ending 4242."
+ */
+function formatCardsSummary(cards, suspiciousTransactions = []) {
+    const open = cards.filter(card => card.status !== CARD_STATUS.CLOSED);
+    if (open.length === 0) {
+        return 'No cards on file.';
+    }
+
+    const summary = open.map(card => `${describeCard(card)} (${card.status})`).join('; ');
+    const charges = suspiciousTransactions.map(tx => {
+        const card = cards.find(c => c.id === tx.cardId);
+        return `${formatCurrency(Math.abs(tx.amount))} at ${tx.merchant || tx.description}${card ? ` on the card ending ${card.last4}` : ''}`;
+    });
+    return charges.length > 0
+        ? `${summary}. Suspicious ${charges.length === 1 ? 'charge' : 'charges'}: ${charges.join('; ')}.`
+        : `${summary}.`;
+}
+
+module.exports = {
+    CARD_STATUS,
+    CARD_TYPES,
+    CARD_ACTIONS,
+    REPLACEMENT_DELIVERY_DAYS,
+    buildCard,
+    buildRegistrationCards,
+    checkCardAction,
+    resolveCard,
+    describeCard,
+    formatCardsSummary
+};
@@ -0,0 +1,612 @@
+/**
+ * Loans
+ * Driver-independent rules for loan applications: the products on offer, which status changes
+ * are allowed, when an application moves on by itself, repayment schedules, and how to explain
+ * an application's state to the caller.
+ *
+ * Status lifecycle:
+ *   submitted -> under_review                       a loan officer picks the application up
+ *   under_review -> documents_requested             more paperwork is needed
+ *   documents_requested -> under_review             the documents arrived
+ *   under_review -> approved | declined             the decision
+ *   submitted | documents_requested -> declined     declined without a full review
+ *   approved -> funded                              the money is paid into primary checking
+ *
+ * Applications progress over time on their own (see LOAN_PROGRESSION): each one carries a
+ * `plannedDecision` (approve, decline, or ask for documents first) standing in for underwriting,
+ * and staff can push any application along through the admin API at any time. Waiting for the
+ * customer's documents never times out.
+ */
+
+const { createSeededRandom } = require('../utils/seededRandom');
+const { roundCents } = require('../database/ledger');
+const { formatCurrency } = require('./transfers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const LOAN_STATUS = {
+    SUBMITTED: 'submitted',
+    UNDER_REVIEW: 'under_review',
+    DOCUMENTS_REQUESTED: 'documents_requested',
+    APPROVED: 'approved',
+    DECLINED: 'declined',
+    FUNDED: 'funded'
+};
+
+// Statuses an application can still move on from
+const OPEN_LOAN_STATUSES = [
+    LOAN_STATUS.SUBMITTED,
+    LOAN_STATUS.UNDER_REVIEW,
+    LOAN_STATUS.DOCUMENTS_REQUESTED,
+    LOAN_STATUS.APPROVED
+];
+
+// Statuses each action is allowed from, and the status it leaves the application in
+const LOAN_ACTIONS = {
+    start_review: { from: [LOAN_STATUS.SUBMITTED], to: LOAN_STATUS.UNDER_REVIEW, verb: 'put under review' },
+    request_documents: { from: [LOAN_STATUS.UNDER_REVIEW], to: LOAN_STATUS.DOCUMENTS_REQUESTED, verb: 'sent a document request' },
+    receive_documents: { from: [LOAN_STATUS.DOCUMENTS_REQUESTED], to: LOAN_STATUS.UNDER_REVIEW, verb: 'marked as having its documents' },
+    approve: { from: [LOAN_STATUS.UNDER_REVIEW], to: LOAN_STATUS.APPROVED, verb: 'approved' },
+    decline: {
+        from: [LOAN_STATUS.SUBMITTED, LOAN_STATUS.UNDER_REVIEW, LOAN_STATUS.DOCUMENTS_REQUESTED],
+        to: LOAN_STATUS.DECLINED,
+        verb: 'declined'
+    },
+    fund: { from: [LOAN_STATUS.APPROVED], to: LOAN_STATUS.FUNDED, verb: 'funded' }
+};
+
+// What each status means for the customer. `hours` is how long the step normally takes
+// (null when it waits on someone outside the bank, or the application is closed).
+const LOAN_STAGES = {
+    submitted: {
+        label: 'Submitted',
+        why: 'The application has been received and is waiting for a loan officer to pick it up.',
+        nextStep: 'A loan officer starts the review, including a credit check',
+        hours: 24
+    },
+    under_review: {
+        label: 'Under Review',
+        why: 'A loan officer is verifying the applicant\'s income, credit history and the amount requested.',
+        nextStep: 'A decision: approval, a request for more documents, or a decline',
+        hours: 72
+    },
+    documents_requested: {
+        label: 'Documents Requested',
+        why: 'The review is paused until the bank receives the requested documents.',
+        nextStep: 'Send the requested documents; the review resumes as soon as they arrive',
+        hours: null
+    },
+    approved: {
+        label: 'Approved',
+        why: 'The application has been approved.',
+        nextStep: 'The funds are paid into the primary checking account',
+        hours: 48
+    },
+    declined: {
+        label: 'Declined',
+        why: 'The application was declined.',
+        nextStep: 'The customer can speak to their loan officer or reapply after 90 days',
+        hours: null
+    },
+    funded: {
+        label: 'Funded',
+        why: 'The loan has been paid out.',
+        nextStep: 'Monthly repayments as per the repayment schedule',
+        hours: null
+    }
+};
+
+// Products: the amounts offered at registration, allowed terms (months), APR range (percent) and
+// the paperwork underwriting asks for
+const LOAN_PRODUCTS = {
+    'Personal Loan': {
+        amounts: [5000, 15000, 25000, 50000],
+        minAmount: 1000,
+        maxAmount: 100000,
+        terms: [24, 36, 48, 60],
+        defaultTerm: 36,
+        apr: [7.99, 14.99],
+        documents: 'Two recent pay stubs and a photo ID'
+    },
+    'Auto Loan': {
+        amounts: [15000, 25000, 50000],
+        minAmount: 5000,
+        maxAmount: 150000,
+        terms: [36, 48, 60, 72],
+        defaultTerm: 60,
+        apr: [5.49, 8.99],
+        documents: 'Proof of income and the vehicle purchase agreement'
+    },
+    'Home Mortgage': {
+        amounts: [100000, 250000],
+        minAmount: 50000,
+        maxAmount: 2000000,
+        terms: [180, 360],
+        defaultTerm: 360,
+        apr: [5.99, 6.99],
+        documents: 'Two years of tax returns and the property appraisal'
+    },
+    'Business Loan': {
+        amounts: [25000, 50000, 100000, 250000],
+        minAmount: 10000,
+        maxAmount: 500000,
+        terms: [12, 24, 36, 60, 84],
+        defaultTerm: 60,
+        apr: [8.99, 12.99],
+        documents: 'Twelve months of business bank statements and the latest profit and loss statement'
+    }
+};
+
+// Officer specialization applications are assigned to
+const LOAN_OFFICER_SPECIALIZATION = 'personal_loans';
+
+// Underwriting outcomes an application can be headed for
+const LOAN_DECISIONS = ['approve', 'decline', 'documents'];
+
+// Statuses chosen on the registration form (users.loanApplicationStatus) -> lifecycle status
+const REGISTRATION_STATUSES = {
+    'Pending': LOAN_STATUS.SUBMITTED,
+    'Under Review': LOAN_STATUS.UNDER_REVIEW,
+    'Requires Documentation': LOAN_STATUS.DOCUMENTS_REQUESTED,
+    'Approved': LOAN_STATUS.APPROVED
+};
+
+// Columns transitions may change (see drivers' transitionLoan)
+const LOAN_MUTABLE_FIELDS = [
+    'status', 'nextStep', 'statusChangedAt', 'plannedDecision', 'decisionReason', 'documentsRequested',
+    'interestRate', 'termMonths', 'monthlyPayment', 'fundedAt', 'firstPaymentDate', 'disbursementTransactionId'
+];
+
+const DEFAULT_DECLINE_REASON = 'The requested amount is too high for the income and credit history on file';
+
+/**
+ * Hours a status normally lasts before the application moves on by itself, scaled by
+ * LOAN_PROGRESSION_SCALE (e.g. 0.01 runs the lifecycle 100x faster for a live demo)
+ * @param {string} status - Loan status
+ * @returns {number|null} - Hours, or null if the status never times out
+ */
+function getStageHours(status) {
+    const stage = LOAN_STAGES[status];
+    if (!stage || stage.hours === null) {
+        return null;
+    }
+    const scale = Number(process.env.LOAN_PROGRESSION_SCALE);
+    return stage.hours * (Number.isFinite(scale) && scale > 0 ? scale : 1);
+}
+
+/**
+ * @param {string} loanType - e.g. 'Auto Loan'
+ * @returns {object} - Product definition (unknown types are treated as personal loans)
+ */
+function getLoanProduct(loanType) {
+    return LOAN_PRODUCTS[loanType] || LOAN_PRODUCTS['Personal Loan'];
+}
+
+/**
+ * Monthly repayment for a fully amortizing loan
+ * @param {number} principal - Amount borrowed
+ * @param {number} annualRate - APR in percent (e.g. 7.99)
+ * @param {number} termMonths - Number of monthly payments
+ * @returns {number} - Payment, rounded to cents
+ */
+function calculateMonthlyPayment(principal, annualRate, termMonths) {
+    const rate = annualRate / 100 / 12;
+    if (rate === 0) {
+        return roundCents(principal / termMonths);
+    }
+    return roundCents(principal * rate / (1 - Math.pow(1 + rate, -termMonths)));
+}
+
+// Same day of month `months` later (days past the 28th move to the 28th so every month has one)
+function addMonths(date, months) {
+    const start = new Date(date);
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, Math.min(start.getUTCDate(), 28)));
+}
+
+/**
+ * First repayment is due one month after the money is paid out
+ * @param {string|Date} fundedAt - Disbursement time
+ * @returns {string} - ISO timestamp (midnight UTC)
+ */
+function getFirstPaymentDate(fundedAt) {
+    return addMonths(fundedAt, 1).toISOString();
+}
+
+/**
+ * Build a repayment schedule; the last payment absorbs the rounding so the balance ends at zero
+ * @param {object} params - { principal, annualRate (percent), termMonths, firstPaymentDate }
+ * @returns {object[]} - [{ number, dueDate, payment, principal, interest, balance }]
+ */
+function buildAmortizationSchedule({ principal, annualRate, termMonths, firstPaymentDate }) {
+    const rate = annualRate / 100 / 12;
+    const payment = calculateMonthlyPayment(principal, annualRate, termMonths);
+    const schedule = [];
+    let balance = principal;
+
+    for (let number = 1; number <= termMonths; number++) {
+        const interest = roundCents(balance * rate);
+        const principalPaid = number === termMonths ? balance : roundCents(payment - interest);
+        balance = roundCents(balance - principalPaid);
+        schedule.push({
+            number,
+            dueDate: addMonths(firstPaymentDate, number - 1).toISOString(),
+            payment: roundCents(principalPaid + interest),
+            principal: roundCents(principalPaid),
+            interest,
+            balance
+        });
+    }
+    return schedule;
+}
+
+/**
+ * Pick the underwriting outcome an application is headed for
+ * @param {object} loan - { loanType, loanAmount }
+ * @param {object} [random] - Seeded generator from createSeededRandom()
+ * @returns {string} - One of LOAN_DECISIONS
+ */
+function planLoanDecision(loan, random = createSeededRandom()) {
+    const product = getLoanProduct(loan.loanType);
+    if (loan.loanAmount > product.maxAmount) {
+        return 'decline';
+    }
+    const roll = random.next();
+    if (roll < 0.1) return 'decline';
+    if (roll < 0.35) return 'documents';
+    return 'approve';
+}
+
+/**
+ * Build a new application and its 'submitted' event
+ * @param {object} params - { userId, loanType, loanAmount, termMonths?, assignedOfficer, plannedDecision?, appliedAt? }
+ * @param {object} [random] - Seeded generator
+ * @returns {object} - { loan, events } ready to insert
+ */
+function buildLoanApplication({ userId, loanType, loanAmount, termMonths, assignedOfficer, plannedDecision, appliedAt }, random = createSeededRandom()) {
+    const product = getLoanProduct(loanType);
+    const [minApr, maxApr] = product.apr;
+    const submittedAt = appliedAt || new Date().toISOString();
+    const term = termMonths || product.defaultTerm;
+    const interestRate = roundCents(random.float(minApr, maxApr));
+
+    const loan = {
+        userId,
+        loanType,
+        loanAmount: roundCents(loanAmount),
+        termMonths: term,
+        interestRate,
+        monthlyPayment: calculateMonthlyPayment(loanAmount, interestRate, term),
+        status: LOAN_STATUS.SUBMITTED,
+        nextStep: LOAN_STAGES.submitted.nextStep,
+        assignedOfficer: assignedOfficer || 'Loan Services',
+        plannedDecision: plannedDecision || planLoanDecision({ loanType, loanAmount }, random),
+        decisionReason: null,
+        documentsRequested: null,
+        appliedAt: submittedAt,
+        statusChangedAt: submittedAt,
+        fundedAt: null,
+        firstPaymentDate: null,
+        disbursementTransactionId: null
+    };
+
+    return {
+        loan,
+        events: [{
+            eventType: 'submitted',
+            fromStatus: null,
+            toStatus: LOAN_STATUS.SUBMITTED,
+            note: `${loanType} application for ${formatCurrency(loan.loanAmount)} over ${term} months`,
+            actor: 'customer',
+            createdAt: submittedAt
+        }]
+    };
+}
+
+/**
+ * Check whether an action is allowed for an application
+ * @param {object} loan - Application with status
+ * @param {string} action - Key of LOAN_ACTIONS
+ * @returns {string|null} - Reason it is not allowed, or null
+ */
+function checkLoanTransition(loan, action) {
+    const rule = LOAN_ACTIONS[action];
+    if (!rule) {
+        return `Unknown loan action: ${action}`;
+    }
+    if (!rule.from.includes(loan.status)) {
+        return `Loan application ${loan.id} is ${LOAN_STAGES[loan.status] ? LOAN_STAGES[loan.status].label.toLowerCase() : loan.status}, so it can't be ${rule.verb}.`;
+    }
+    return null;
+}
+
+/**
+ * Column changes and event for an action (the action must be allowed - see checkLoanTransition)
+ * @param {object} loan - Mapped application
+ * @param {string} action - Key of LOAN_ACTIONS
+ * @param {object} [options] - { at (ISO time), actor, note, reason (decline), documents (request_documents) }
+ * @returns {object} - { changes, event }
+ */
+function buildLoanTransition(loan, action, { at = new Date().toISOString(), actor = 'system', note = null, reason = null, documents = null } = {}) {
+    const rule = LOAN_ACTIONS[action];
+    const changes = {
+        status: rule.to,
+        nextStep: LOAN_STAGES[rule.to].nextStep,
+        statusChangedAt: at
+    };
+
+    switch (action) {
+        case 'request_documents':
+            changes.documentsRequested = documents || getLoanProduct(loan.loanType).documents;
+            break;
+        case 'approve':
+            changes.monthlyPayment = calculateMonthlyPayment(loan.loanAmount, loan.interestRate, loan.termMonths);
+            changes.decisionReason = reason || 'Income and credit history support the requested amount';
+            break;
+        case 'decline':
+            changes.decisionReason = reason || DEFAULT_DECLINE_REASON;
+            break;
+        case 'fund':
+            changes.fundedAt = at;
+            changes.firstPaymentDate = getFirstPaymentDate(at);
+            break;
+    }
+
+    const event = {
+        eventType: action,
+        fromStatus: loan.status,
+        toStatus: rule.to,
+        note: note || changes.decisionReason || changes.documentsRequested || null,
+        actor,
+        createdAt: at
+    };
+    return { changes, event };
+}
+
+/**
+ * The next step that happens without anyone intervening, and when it is due
+ * @param {object} loan - Mapped application
+ * @returns {object|null} - { action, dueAt (ISO) }, or null if the application is waiting on someone or closed
+ */
+function getNextMilestone(loan) {
+    const hours = getStageHours(loan.status);
+    if (hours === null) {
+        return null;
+    }
+
+    let action;
+    if (loan.status === LOAN_STATUS.SUBMITTED) {
+        action = 'start_review';
+    } else if (loan.status === LOAN_STATUS.APPROVED) {
+        action = 'fund';
+    } else if (loan.plannedDecision === 'decline') {
+        action = 'decline';
+    } else if (loan.plannedDecision === 'documents' && !loan.documentsRequested) {
+        action = 'request_documents';
+    } else {
+        action = 'approve';
+    }
+
+    const since = new Date(loan.statusChangedAt || loan.appliedAt).getTime();
+    return { action, dueAt: new Date(since + hours * HOUR_MS).toISOString() };
+}
+
+/**
+ * @param {object} loan - Mapped application
+ * @param {Date} [now] - Reference time
+ * @returns {object|null} - Milestone that is due by now, or null
+ */
+function getDueMilestone(loan, now = new Date()) {
+    const milestone = getNextMilestone(loan);
+    return milestone && milestone.dueAt <= now.toISOString() ? milestone : null;
+}
+
+/**
+ * Application and events for a registration that chose a loan status on the form. The history is
+ * backdated so the application sits part-way through its current step.
+ * @param {string} registrationStatus - 'Pending', 'Under Review', 'Requires Documentation' or 'Approved'
+ * @param {object} params - { userId, assignedOfficer }
+ * @param {object} [random] - Seeded generator
+ * @param {Date} [now] - Reference time
+ * @returns {object|null} - { loan, events }, or null for unknown statuses ('None')
+ */
+function buildRegistrationLoan(registrationStatus, { userId, assignedOfficer }, random = createSeededRandom(), now = new Date()) {
+    const target = REGISTRATION_STATUSES[registrationStatus];
+    if (!target) {
+        return null;
+    }
+
+    const loanType = random.pick(Object.keys(LOAN_PRODUCTS));
+    const product = LOAN_PRODUCTS[loanType];
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR_MS).toISOString();
+
+    // Steps leading to the chosen status, oldest first, each ending some hours before now
+    const path = {
+        submitted: [],
+        under_review: ['start_review'],
+        documents_requested: ['start_review', 'request_documents'],
+        approved: ['start_review', 'approve']
+    }[target];
+    const stepHours = path.map(() => random.int(6, 30));
+    // Time already spent in the current step (less than it normally takes)
+    const currentHours = random.int(1, Math.max(1, Math.floor((LOAN_STAGES[target].hours || 48) / 2)));
+    let elapsed = currentHours + stepHours.reduce((sum, hours) => sum + hours, 0);
+
+    const { loan, events } = buildLoanApplication({
+        userId,
+        loanType,
+        loanAmount: random.pick(product.amounts),
+        termMonths: random.pick(product.terms),
+        assignedOfficer,
+        plannedDecision: target === LOAN_STATUS.DOCUMENTS_REQUESTED ? 'documents' : 'approve',
+        appliedAt: hoursAgo(elapsed)
+    }, random);
+
+    let current = loan;
+    path.forEach((action, index) => {
+        elapsed -= stepHours[index];
+        const { changes, event } = buildLoanTransition(current, action, { at: hoursAgo(elapsed) });
+        current = { ...current, ...changes };
+        events.push(event);
+    });
+
+    return { loan: current, events };
+}
+
+/**
+ * Lifecycle status for a loan_applications.status value written before the lifecycle existed
+ * @param {string} status - e.g. 'Under Review'
+ * @returns {string} - Loan status
+ */
+function normalizeLegacyLoanStatus(status) {
+    if (LOAN_STAGES[status]) {
+        return status;
+    }
+    return REGISTRATION_STATUSES[status] || LOAN_STATUS.SUBMITTED;
+}
+
+/**
+ * @param {string} iso - ISO timestamp
+ * @returns {string} - e.g. "Oct 17, 2026"
+ */
+function formatDate(iso) {
+    return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * The next repayment on a funded loan
+ * @param {object} loan - Mapped application
+ * @param {Date} [now] - Reference time
+ * @returns {object|null} - Schedule row, or null if the loan is not funded or fully repaid
+ */
+function getNextPayment(loan, now = new Date()) {
+    if (loan.status !== LOAN_STATUS.FUNDED || !loan.firstPaymentDate) {
+        return null;
+    }
+    const schedule = buildAmortizationSchedule({
+        principal: loan.loanAmount,
+        annualRate: loan.interestRate,
+        termMonths: loan.termMonths,
+        firstPaymentDate: loan.firstPaymentDate
+    });
+    return schedule.find(row => row.dueDate >= now.toISOString()) || null;
+}
+
+/**
+ * Why an application is where it is and what happens next
+ * @param {object} loan - Mapped application
+ * @param {object[]} [events] - Its events, oldest first
+ * @param {Date} [now] - Reference time
+ * @returns {object} - { loanId, loanType, loanAmount, status, statusLabel, since, reason, nextStep, expectedBy,
+ *   assignedOfficer, documentsRequested, termMonths, interestRate, monthlyPayment, nextPayment, history, message }
+ */
+function explainLoan(loan, events = [], now = new Date()) {
+    const stage = LOAN_STAGES[loan.status] || { label: loan.status, why: '', nextStep: loan.nextStep };
+    const milestone = getNextMilestone(loan);
+    const nextPayment = getNextPayment(loan, now);
+
+    let reason = stage.why;
+    let nextStep = stage.nextStep;
+    if (loan.status === LOAN_STATUS.DOCUMENTS_REQUESTED && loan.documentsRequested) {
+        reason = `The review is paused until the bank receives: ${loan.documentsRequested}.`;
+    } else if (loan.status === LOAN_STATUS.APPROVED) {
+        reason = `Approved for ${formatCurrency(loan.loanAmount)} over ${loan.termMonths} months at ${loan.interestRate}% APR` +
+            `${loan.decisionReason ? ` (${loan.decisionReason.toLowerCase()})` : ''}.`;
+    } else if (loan.status === LOAN_STATUS.DECLINED) {
+        reason = `Declined: ${loan.decisionReason || DEFAULT_DECLINE_REASON}.`;
+    } else if (loan.status === LOAN_STATUS.FUNDED) {
+        reason = `${formatCurrency(loan.loanAmount)} was paid into the primary checking account on ${formatDate(loan.fundedAt)}.`;
+        nextStep = nextPayment
+            ? `Payment ${nextPayment.number} of ${loan.termMonths}: ${formatCurrency(nextPayment.payment)} due ${formatDate(nextPayment.dueDate)}`
+            : 'The loan is fully repaid';
+    } else if (loan.status === LOAN_STATUS.UNDER_REVIEW && loan.documentsRequested) {
+        reason = 'The requested documents have arrived and the loan officer is completing the review.';
+    }
+
+    const explanation = {
+        loanId: loan.id,
+        loanType: loan.loanType,
+        loanAmount: loan.loanAmount,
+        status: loan.status,
+        statusLabel: stage.label,
+        since: loan.statusChangedAt || loan.appliedAt,
+        reason,
+        nextStep,
+        expectedBy: milestone ? milestone.dueAt : null,
+        assignedOfficer: loan.assignedOfficer,
+        documentsRequested: loan.status === LOAN_STATUS.DOCUMENTS_REQUESTED ? loan.documentsRequested : null,
+        termMonths: loan.termMonths,
+        interestRate: loan.interestRate,
+        monthlyPayment: loan.monthlyPayment,
+        nextPayment: nextPayment ? { dueDate: nextPayment.dueDate, amount: nextPayment.payment } : null,
+        history: events.map(event => ({
+            date: event.createdAt,
+            event: event.eventType,
+            status: event.toStatus,
+            note: event.note
+        }))
+    };
+    return { ...explanation, message: formatLoanExplanation(explanation) };
+}
+
+/**
+ * Spoken explanation of one application
+ * @param {object} explanation - Result of explainLoan() (without message)
+ * @returns {string} - e.g. "Auto Loan application for $25,000.00: under review since Oct 17, 2026. A loan officer is ..."
+ */
+function formatLoanExplanation(explanation) {
+    const parts = [
+        `${explanation.loanType} application for ${formatCurrency(explanation.loanAmount)}: ` +
+            `${explanation.statusLabel.toLowerCase()} since ${formatDate(explanation.since)}`,
+        explanation.reason.replace(/\.$/, ''),
+        `Next: ${explanation.nextStep}${explanation.expectedBy ? `, expected by ${formatDate(explanation.expectedBy)}` : ''}`
+    ];
+    if (explanation.status === LOAN_STATUS.APPROVED) {
+        parts.push(`Monthly payment will be ${formatCurrency(explanation.monthlyPayment)}`);
+    }
+    if (explanation.assignedOfficer) {
+        parts.push(`Loan officer: ${explanation.assignedOfficer}`);
+    }
+    return `${parts.join('. ')}.`;
+}
+
+/**
+ * One-line summary of a customer's applications, newest first, for the call context
+ * @param {object[]} explanations - Results of explainLoan()
+ * @returns {string}
+ */
+function formatLoansSummary(explanations) {
+    if (explanations.length === 0) {
+        return 'No loan applications.';
+    }
+    return explanations.map(explanation => explanation.message).join(' ');
+}
+
+module.exports = {
+    LOAN_STATUS,
+    OPEN_LOAN_STATUSES,
+    LOAN_ACTIONS,
+    LOAN_STAGES,
+    LOAN_PRODUCTS,
+    LOAN_DECISIONS,
+    LOAN_OFFICER_SPECIALIZATION,
+    LOAN_MUTABLE_FIELDS,
+    REGISTRATION_STATUSES,
+    getStageHours,
+    getLoanProduct,
+    calculateMonthlyPayment,
+    getFirstPaymentDate,
+    buildAmortizationSchedule,
+    planLoanDecision,
+    buildLoanApplication,
+    checkLoanTransition,
+    buildLoanTransition,
+    getNextMilestone,
+    getDueMilestone,
+    buildRegistrationLoan,
+    normalizeLegacyLoanStatus,
+    getNextPayment,
+    explainLoan,
+    formatLoanExplanation,
+    formatLoansSummary,
+    formatDate
+};
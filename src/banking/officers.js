@@ -0,0 +1,392 @@
+/**
+ * Officers
+ * The bank staff callers can be transferred to, and how a transfer picks one.
+ *
+ * Each officer has skills (the first is their specialization), a weekly shift in their own time
+ * zone and a capacity - how many transferred calls they can take at once. A transfer reason maps
+ * to a skill (see TRANSFER_REASON_SKILLS); routing picks, among active officers with that skill
+ * who are on shift and below capacity:
+ *   1. specialists (the skill is their specialization) over officers who merely have it
+ *   2. the lowest share of capacity in use
+ *   3. whoever has gone longest without a transfer
+ * When nobody with the skill is free, general support takes the call.
+ */
+
+const PhoneNumberUtils = require('../utils/phoneUtils');
+
+const OFFICER_SKILLS = {
+    fraud_investigation: 'Fraud investigation',
+    personal_loans: 'Personal and auto loans',
+    business_banking: 'Business banking',
+    card_services: 'Card services',
+    account_services: 'Accounts and payments',
+    general_support: 'General support'
+};
+
+// Transfer reasons used by the voice flows and POST /api/calls/:callId/transfer; a skill name is
+// also accepted as a reason
+const TRANSFER_REASON_SKILLS = {
+    fraud: 'fraud_investigation',
+    loan: 'personal_loans',
+    loan_inquiry: 'personal_loans',
+    business: 'business_banking',
+    card: 'card_services',
+    lost_card: 'card_services',
+    account: 'account_services',
+    transfer: 'account_services',
+    general: 'general_support'
+};
+
+const FALLBACK_SKILL = 'general_support';
+
+const DEFAULT_SHIFT = {
+    timeZone: 'America/New_York',
+    workingDays: [1, 2, 3, 4, 5], // ISO weekdays, Monday = 1
+    shiftStart: '09:00',
+    shiftEnd: '17:00',
+    capacity: 2
+};
+
+const MAX_CAPACITY = 20;
+
+// Fields staff can set through /api/admin/officers
+const OFFICER_FIELDS = [
+    'name', 'department', 'phoneNumber', 'email', 'skills', 'timeZone', 'workingDays', 'shiftStart', 'shiftEnd',
+    'capacity', 'active'
+];
+
+// Stored columns drivers may write (the specialization follows the first skill)
+const OFFICER_COLUMNS = [...OFFICER_FIELDS, 'specialization'];
+
+// Open transfers older than this are assumed to have ended without a hangup event reaching us
+const TRANSFER_STALE_MS = 2 * 60 * 60 * 1000;
+
+// Numbers the directory was once seeded with; they don't exist, so migration 013 clears them
+const PLACEHOLDER_PHONE_NUMBERS = [
+    '+15553728321', '+15553728322', '+15555626767', '+15555626768', '+15554357000', '+15554357001'
+];
+
+// Seeded on every start; existing officers (matched by name) are left as staff configured them.
+// They have no phone numbers until staff add real ones, so transfers go to LIVE_AGENT_NUMBER until then.
+const DEFAULT_OFFICERS = [
+    {
+        name: 'Sarah Johnson',
+        department: 'Fraud Prevention',
+        email: 'sarah.johnson@infobipCapital.demo',
+        skills: ['fraud_investigation', 'card_services'],
+        ...DEFAULT_SHIFT,
+        shiftStart: '08:00',
+        shiftEnd: '20:00'
+    },
+    {
+        name: 'David Okafor',
+        department: 'Fraud Prevention',
+        email: 'david.okafor@infobipCapital.demo',
+        skills: ['fraud_investigation', 'card_services'],
+        ...DEFAULT_SHIFT,
+        timeZone: 'America/Los_Angeles',
+        workingDays: [1, 2, 3, 4, 5, 6, 7],
+        shiftStart: '17:00',
+        shiftEnd: '05:00'
+    },
+    {
+        name: 'Michael Chen',
+        department: 'Loan Services',
+        email: 'michael.chen@infobipCapital.demo',
+        skills: ['personal_loans', 'business_banking'],
+        ...DEFAULT_SHIFT
+    },
+    {
+        name: 'Priya Raman',
+        department: 'Loan Services',
+        email: 'priya.raman@infobipCapital.demo',
+        skills: ['business_banking', 'personal_loans'],
+        ...DEFAULT_SHIFT,
+        timeZone: 'America/Chicago'
+    },
+    {
+        name: 'Emily Rodriguez',
+        department: 'Customer Service',
+        email: 'emily.rodriguez@infobipCapital.demo',
+        skills: ['general_support', 'account_services', 'card_services'],
+        ...DEFAULT_SHIFT,
+        workingDays: [1, 2, 3, 4, 5, 6],
+        capacity: 3
+    },
+    {
+        name: 'Marcus Lee',
+        department: 'Customer Service',
+        email: 'marcus.lee@infobipCapital.demo',
+        skills: ['general_support', 'account_services'],
+        ...DEFAULT_SHIFT,
+        timeZone: 'America/Los_Angeles',
+        workingDays: [1, 2, 3, 4, 5, 6, 7],
+        shiftStart: '07:00',
+        shiftEnd: '23:00',
+        capacity: 3
+    }
+].map(officer => ({ ...officer, phoneNumber: null, specialization: officer.skills[0], active: true }));
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+/**
+ * @param {string} timeZone - IANA time zone, e.g. 'America/Chicago'
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock time in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} now - Reference time
+ * @returns {object} - { weekday (ISO, Monday = 1), minutes (since midnight), time ('HH:MM') }
+ */
+function getLocalTime(timeZone, now) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    return {
+        weekday: WEEKDAYS[parts.weekday],
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+/**
+ * Is the officer working right now? Shifts ending before they start run past midnight and
+ * belong to the day they start on.
+ * @param {object} officer - Mapped officer
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+function isOnShift(officer, now = new Date()) {
+    const { weekday, minutes } = getLocalTime(officer.timeZone, now);
+    const start = toMinutes(officer.shiftStart);
+    const end = toMinutes(officer.shiftEnd);
+    if (start < end) {
+        return officer.workingDays.includes(weekday) && minutes >= start && minutes < end;
+    }
+    const yesterday = weekday === 1 ? 7 : weekday - 1;
+    return (officer.workingDays.includes(weekday) && minutes >= start) ||
+        (officer.workingDays.includes(yesterday) && minutes < end);
+}
+
+/**
+ * @param {string} reason - Transfer reason or skill
+ * @returns {string} - Skill the transfer needs
+ */
+function getSkillForReason(reason) {
+    if (OFFICER_SKILLS[reason]) {
+        return reason;
+    }
+    return TRANSFER_REASON_SKILLS[reason] || FALLBACK_SKILL;
+}
+
+/**
+ * Whether an officer can take a call right now
+ * @param {object} officer - Mapped officer
+ * @param {number} load - Transferred calls they are on
+ * @param {Date} [now] - Reference time
+ * @returns {object} - { available, onShift, load, capacity, localTime, status } - status is 'available', 'busy',
+ *   'off_shift', 'no_phone' (transfers can't reach them) or 'inactive'
+ */
+function getOfficerAvailability(officer, load = 0, now = new Date()) {
+    const onShift = isOnShift(officer, now);
+    let status = 'available';
+    if (!officer.active) {
+        status = 'inactive';
+    } else if (!officer.phoneNumber) {
+        status = 'no_phone';
+    } else if (!onShift) {
+        status = 'off_shift';
+    } else if (load >= officer.capacity) {
+        status = 'busy';
+    }
+    return {
+        available: status === 'available',
+        onShift,
+        load,
+        capacity: officer.capacity,
+        localTime: getLocalTime(officer.timeZone, now).time,
+        status
+    };
+}
+
+// Best available officer with the skill, or null (see the ordering at the top of this file)
+function pickOfficer(officers, skill, loads, now) {
+    const candidates = officers
+        .filter(officer => officer.skills.includes(skill))
+        .filter(officer => getOfficerAvailability(officer, loads[officer.id] || 0, now).available);
+
+    candidates.sort((a, b) =>
+        Number(b.skills[0] === skill) - Number(a.skills[0] === skill) ||
+        (loads[a.id] || 0) / a.capacity - (loads[b.id] || 0) / b.capacity ||
+        (a.lastAssignedAt || '').localeCompare(b.lastAssignedAt || '') ||
+        a.id - b.id);
+    return candidates[0] || null;
+}
+
+/**
+ * Pick the officer a call should be transferred to
+ * @param {object[]} officers - Mapped officers
+ * @param {string} reason - Transfer reason or skill
+ * @param {object} [options] - { loads: { [officerId]: active transferred calls }, now }
+ * @returns {object} - { officer (or null), skill, fallback (general support took it), message }
+ */
+function routeTransfer(officers, reason, { loads = {}, now = new Date() } = {}) {
+    const skill = getSkillForReason(reason);
+    const officer = pickOfficer(officers, skill, loads, now);
+    if (officer) {
+        return {
+            officer,
+            skill,
+            fallback: false,
+            message: `${officer.name} (${officer.department}) is available for ${OFFICER_SKILLS[skill].toLowerCase()}.`
+        };
+    }
+
+    const fallback = skill === FALLBACK_SKILL ? null : pickOfficer(officers, FALLBACK_SKILL, loads, now);
+    if (fallback) {
+        return {
+            officer: fallback,
+            skill,
+            fallback: true,
+            message: `No ${OFFICER_SKILLS[skill].toLowerCase()} specialist is free, so ${fallback.name} ` +
+                `(${fallback.department}) will take the call.`
+        };
+    }
+    return {
+        officer: null,
+        skill,
+        fallback: false,
+        message: `No officer is available for ${OFFICER_SKILLS[skill].toLowerCase()} right now.`
+    };
+}
+
+/**
+ * Validate and fill in an officer from the admin API
+ * @param {object} input - Fields to set (see OFFICER_FIELDS)
+ * @param {object} [existing] - Officer being updated; omitted fields keep its values
+ * @returns {object} - { officer } or { error }
+ */
+function normalizeOfficer(input, existing = null) {
+    const base = existing || { ...DEFAULT_SHIFT, email: null, active: true, specialization: null };
+    const officer = { ...base };
+    for (const field of OFFICER_FIELDS) {
+        if (input[field] !== undefined) {
+            officer[field] = input[field];
+        }
+    }
+
+    if (typeof officer.name !== 'string' || !officer.name.trim()) {
+        return { error: 'name is required' };
+    }
+    if (typeof officer.department !== 'string' || !officer.department.trim()) {
+        return { error: 'department is required' };
+    }
+    officer.name = officer.name.trim();
+    officer.department = officer.department.trim();
+
+    if (officer.phoneNumber) {
+        officer.phoneNumber = PhoneNumberUtils.standardizeNorthAmerican(officer.phoneNumber);
+        if (!officer.phoneNumber) {
+            return { error: 'phoneNumber must be a valid North American number' };
+        }
+    } else {
+        officer.phoneNumber = null;
+    }
+
+    const skills = typeof officer.skills === 'string' ? officer.skills.split(',') : officer.skills;
+    if (!Array.isArray(skills) || skills.length === 0) {
+        return { error: `skills must list at least one of: ${Object.keys(OFFICER_SKILLS).join(', ')}` };
+    }
+    officer.skills = [...new Set(skills.map(skill => String(skill).trim()))];
+    const unknown = officer.skills.find(skill => !OFFICER_SKILLS[skill]);
+    if (unknown) {
+        return { error: `Unknown skill: ${unknown}. Choose from: ${Object.keys(OFFICER_SKILLS).join(', ')}` };
+    }
+
+    if (!isValidTimeZone(officer.timeZone)) {
+        return { error: `Unknown time zone: ${officer.timeZone}` };
+    }
+    const days = Array.isArray(officer.workingDays) ? officer.workingDays.map(Number) : [];
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+        return { error: 'workingDays must list ISO weekdays (1 = Monday ... 7 = Sunday)' };
+    }
+    officer.workingDays = [...new Set(days)].sort((a, b) => a - b);
+    if (!TIME_PATTERN.test(officer.shiftStart) || !TIME_PATTERN.test(officer.shiftEnd) || officer.shiftStart === officer.shiftEnd) {
+        return { error: 'shiftStart and shiftEnd must be different HH:MM times' };
+    }
+    officer.capacity = Number(officer.capacity);
+    if (!Number.isInteger(officer.capacity) || officer.capacity < 1 || officer.capacity > MAX_CAPACITY) {
+        return { error: `capacity must be between 1 and ${MAX_CAPACITY}` };
+    }
+    officer.active = officer.active !== false && officer.active !== 'false';
+    officer.specialization = officer.skills[0];
+    return { officer };
+}
+
+/**
+ * One line for the knowledge base, e.g. "Mon-Fri 09:00-17:00 America/New_York, available (1 of 2 lines in use)"
+ * @param {object} officer - Mapped officer
+ * @param {object} availability - getOfficerAvailability() result
+ * @returns {string}
+ */
+function describeOfficerSchedule(officer, availability) {
+    const dayNames = Object.keys(WEEKDAYS);
+    // Consecutive days as ranges: [1, 2, 3, 4, 5, 7] -> "Mon-Fri, Sun"
+    const ranges = [];
+    for (const day of officer.workingDays) {
+        const last = ranges[ranges.length - 1];
+        if (last && day === last[1] + 1) {
+            last[1] = day;
+        } else {
+            ranges.push([day, day]);
+        }
+    }
+    const days = officer.workingDays.length === 7
+        ? 'Every day'
+        : ranges.map(([from, to]) => (from === to ? dayNames[from - 1] : `${dayNames[from - 1]}-${dayNames[to - 1]}`)).join(', ');
+    const status = {
+        available: `available (${availability.load} of ${availability.capacity} lines in use)`,
+        busy: 'on calls at capacity',
+        off_shift: `off shift (local time ${availability.localTime})`,
+        no_phone: 'no direct line - calls go to the main line',
+        inactive: 'not taking calls'
+    }[availability.status];
+    return `${days} ${officer.shiftStart}-${officer.shiftEnd} ${officer.timeZone}, ${status}`;
+}
+
+module.exports = {
+    OFFICER_SKILLS,
+    TRANSFER_REASON_SKILLS,
+    FALLBACK_SKILL,
+    DEFAULT_SHIFT,
+    DEFAULT_OFFICERS,
+    PLACEHOLDER_PHONE_NUMBERS,
+    OFFICER_FIELDS,
+    OFFICER_COLUMNS,
+    TRANSFER_STALE_MS,
+    isValidTimeZone,
+    getLocalTime,
+    isOnShift,
+    getSkillForReason,
+    getOfficerAvailability,
+    routeTransfer,
+    normalizeOfficer,
+    describeOfficerSchedule
+};
@@ -0,0 +1,274 @@
+/**
+ * Loan Pre-qualification
+ * Indicative loan quotes from a customer's synthetic finances, without a credit check:
+ *   - monthly income is the average of the 'Income' deposits over the last 90 days
+ *   - existing debt payments are the monthly payments on approved or funded applications plus a
+ *     minimum payment on any credit card or loan account balance
+ *   - the quote is affordable while all debt payments, including the new loan, stay within 43% of
+ *     monthly income; above that the customer is offered the largest amount that fits instead
+ *   - the rate sits within the product's APR range: the lower the debt-to-income ratio, the lower
+ *     the rate, with a further discount for savings covering six months of payments
+ *
+ * Quotes are indicative only and are valid for 30 days.
+ */
+
+const { roundCents } = require('../database/ledger');
+const { formatCurrency } = require('./transfers');
+const { ACCOUNT_TYPES } = require('./accounts');
+const {
+    LOAN_STATUS,
+    getLoanProduct,
+    calculateMonthlyPayment,
+    buildAmortizationSchedule,
+    getFirstPaymentDate,
+    formatDate
+} = require('./loans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INCOME_LOOKBACK_DAYS = 90;
+const QUOTE_VALID_DAYS = 30;
+const MAX_DEBT_TO_INCOME = 0.43;
+
+// Counter-offers are rounded down to this
+const COUNTEROFFER_STEP = 500;
+
+const QUOTE_OUTCOMES = {
+    PREQUALIFIED: 'prequalified',
+    COUNTEROFFER: 'counteroffer',
+    NOT_PREQUALIFIED: 'not_prequalified'
+};
+
+// Where in the product's APR range the rate falls (0 = lowest), by debt-to-income ratio
+const RATE_TIERS = [
+    { maxDebtToIncome: 0.2, position: 0 },
+    { maxDebtToIncome: 0.3, position: 0.35 },
+    { maxDebtToIncome: 0.36, position: 0.7 },
+    { maxDebtToIncome: MAX_DEBT_TO_INCOME, position: 1 }
+];
+const RESERVE_MONTHS = 6;
+const RESERVE_DISCOUNT = 0.15;
+
+// Minimum monthly payment assumed on balances owed, as a share of the balance
+const MINIMUM_PAYMENT_RATES = {
+    credit_card: 0.03,
+    loan: 0.02
+};
+
+// Applications whose payments the customer has already taken on
+const COMMITTED_LOAN_STATUSES = [LOAN_STATUS.APPROVED, LOAN_STATUS.FUNDED];
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+/**
+ * @param {Date} now - Reference time
+ * @returns {Date} - Start of the window income is averaged over
+ */
+function getIncomeWindowStart(now) {
+    return new Date(now.getTime() - INCOME_LOOKBACK_DAYS * DAY_MS);
+}
+
+/**
+ * Summarize what a customer earns, owns and owes
+ * @param {object} params - { incomeTotal (deposits since getIncomeWindowStart()), historyStart (ISO date of the
+ *   customer's first transaction, or null), accounts (mapped, with balances), loans (mapped applications), now }
+ * @returns {object} - { monthlyIncome, liquidAssets, amountOwed, monthlyDebtPayments }
+ */
+function buildFinancialProfile({ incomeTotal, historyStart, accounts, loans, now = new Date() }) {
+    // A history shorter than the window averages over the days it covers
+    const windowStart = getIncomeWindowStart(now).getTime();
+    const coveredFrom = historyStart ? Math.max(windowStart, new Date(historyStart).getTime()) : windowStart;
+    const coveredMonths = Math.max(1, (now.getTime() - coveredFrom) / DAY_MS) / 30;
+
+    let liquidAssets = 0;
+    let amountOwed = 0;
+    let monthlyDebtPayments = 0;
+    for (const account of accounts) {
+        const definition = ACCOUNT_TYPES[account.accountType];
+        if (!definition) {
+            continue; // system accounts
+        }
+        if (definition.liability) {
+            const owed = Math.abs(account.ledgerBalance);
+            amountOwed += owed;
+            monthlyDebtPayments += owed * (MINIMUM_PAYMENT_RATES[account.accountType] || 0);
+        } else {
+            liquidAssets += Math.max(0, account.availableBalance);
+        }
+    }
+    for (const loan of loans) {
+        if (COMMITTED_LOAN_STATUSES.includes(loan.status)) {
+            monthlyDebtPayments += loan.monthlyPayment || 0;
+        }
+    }
+
+    return {
+        monthlyIncome: roundCents(incomeTotal / coveredMonths),
+        liquidAssets: roundCents(liquidAssets),
+        amountOwed: roundCents(amountOwed),
+        monthlyDebtPayments: roundCents(monthlyDebtPayments)
+    };
+}
+
+// Largest principal a monthly payment repays over the term, rounded down to COUNTEROFFER_STEP
+function getAffordableAmount(payment, annualRate, termMonths) {
+    if (payment <= 0) {
+        return 0;
+    }
+    const rate = annualRate / 100 / 12;
+    const principal = rate === 0 ? payment * termMonths : payment * (1 - Math.pow(1 + rate, -termMonths)) / rate;
+    return Math.floor(principal / COUNTEROFFER_STEP) * COUNTEROFFER_STEP;
+}
+
+/**
+ * Rate for a loan, from the debt-to-income ratio it leaves the customer with
+ * @param {object} product - Loan product
+ * @param {number} debtToIncome - Ratio at the top of the product's APR range
+ * @param {boolean} hasReserves - Savings cover RESERVE_MONTHS of payments
+ * @returns {number} - APR in percent
+ */
+function getIndicativeRate(product, debtToIncome, hasReserves) {
+    const [minApr, maxApr] = product.apr;
+    const tier = RATE_TIERS.find(candidate => debtToIncome <= candidate.maxDebtToIncome) || RATE_TIERS[RATE_TIERS.length - 1];
+    const position = Math.max(0, tier.position - (hasReserves ? RESERVE_DISCOUNT : 0));
+    return roundCents(minApr + position * (maxApr - minApr));
+}
+
+/**
+ * Pre-qualify a customer for a loan
+ * @param {object} request - { loanType, loanAmount, termMonths } (already validated)
+ * @param {object} profile - buildFinancialProfile() result
+ * @param {Date} [now] - Reference time
+ * @returns {object} - Quote ready to store: { loanType, requestedAmount, loanAmount, termMonths, outcome, interestRate,
+ *   monthlyPayment, totalInterest, maxAmount, monthlyIncome, monthlyDebtPayments, debtToIncome, reason, createdAt, expiresAt }
+ */
+function prequalify({ loanType, loanAmount, termMonths }, profile, now = new Date()) {
+    const product = getLoanProduct(loanType);
+    const maxApr = product.apr[1];
+    const { monthlyIncome, monthlyDebtPayments, liquidAssets } = profile;
+    const quote = {
+        loanType,
+        requestedAmount: roundCents(loanAmount),
+        loanAmount: null,
+        termMonths,
+        outcome: QUOTE_OUTCOMES.NOT_PREQUALIFIED,
+        interestRate: null,
+        monthlyPayment: null,
+        totalInterest: null,
+        maxAmount: 0,
+        monthlyIncome,
+        monthlyDebtPayments,
+        debtToIncome: null,
+        reason: null,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + QUOTE_VALID_DAYS * DAY_MS).toISOString()
+    };
+
+    if (monthlyIncome <= 0) {
+        quote.reason = `No regular income has been deposited in the last ${INCOME_LOOKBACK_DAYS} days`;
+        return quote;
+    }
+
+    // Sized at the top of the APR range so the customer can afford whatever rate they end up with
+    const affordablePayment = monthlyIncome * MAX_DEBT_TO_INCOME - monthlyDebtPayments;
+    quote.maxAmount = Math.min(product.maxAmount, getAffordableAmount(affordablePayment, maxApr, termMonths));
+
+    let amount = quote.requestedAmount;
+    if (amount > quote.maxAmount) {
+        if (quote.maxAmount < product.minAmount) {
+            quote.reason = monthlyDebtPayments > 0
+                ? `Existing debt payments of ${formatCurrency(monthlyDebtPayments)} a month leave too little of the ` +
+                  `${formatCurrency(monthlyIncome)} monthly income for the smallest ${loanType.toLowerCase()}`
+                : `A monthly income of ${formatCurrency(monthlyIncome)} does not support the smallest ${loanType.toLowerCase()}`;
+            return quote;
+        }
+        amount = quote.maxAmount;
+    }
+
+    const worstCasePayment = calculateMonthlyPayment(amount, maxApr, termMonths);
+    quote.interestRate = getIndicativeRate(
+        product,
+        (monthlyDebtPayments + worstCasePayment) / monthlyIncome,
+        liquidAssets >= RESERVE_MONTHS * worstCasePayment
+    );
+    quote.loanAmount = amount;
+    quote.monthlyPayment = calculateMonthlyPayment(amount, quote.interestRate, termMonths);
+    const schedule = buildAmortizationSchedule({
+        principal: amount,
+        annualRate: quote.interestRate,
+        termMonths,
+        firstPaymentDate: getFirstPaymentDate(now)
+    });
+    quote.totalInterest = roundCents(schedule.reduce((sum, row) => sum + row.interest, 0));
+    quote.debtToIncome = roundCents((monthlyDebtPayments + quote.monthlyPayment) / monthlyIncome);
+
+    if (amount < quote.requestedAmount) {
+        quote.outcome = QUOTE_OUTCOMES.COUNTEROFFER;
+        quote.reason = quote.requestedAmount > product.maxAmount
+            ? `${loanType}s go up to ${formatCurrency(product.maxAmount)}`
+            : `${formatCurrency(quote.requestedAmount)} would take debt payments above ${percent(MAX_DEBT_TO_INCOME)} of the ` +
+              `${formatCurrency(monthlyIncome)} monthly income`;
+    } else {
+        quote.outcome = QUOTE_OUTCOMES.PREQUALIFIED;
+        quote.reason = `Debt payments including this loan would be ${percent(quote.debtToIncome)} of the ` +
+            `${formatCurrency(monthlyIncome)} monthly income`;
+    }
+    return quote;
+}
+
+/**
+ * @param {object} quote - Mapped quote
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} - Whether the quote can no longer be relied on
+ */
+function isQuoteExpired(quote, now = new Date()) {
+    return quote.expiresAt <= now.toISOString();
+}
+
+/**
+ * Spoken summary of one quote
+ * @param {object} quote - Mapped quote (or prequalify() result)
+ * @param {Date} [now] - Reference time
+ * @returns {string} - e.g. "Quote 3 from Oct 19, 2026 (Auto Loan): pre-qualified for $20,000.00 over 60 months at 6.12% APR, ..."
+ */
+function formatQuote(quote, now = new Date()) {
+    const validity = isQuoteExpired(quote, now) ? 'expired' : `valid until ${formatDate(quote.expiresAt)}`;
+
+    const label = `${quote.id ? `Quote ${quote.id}` : 'Quote'} from ${formatDate(quote.createdAt)} (${quote.loanType})`;
+    if (quote.outcome === QUOTE_OUTCOMES.NOT_PREQUALIFIED) {
+        return `${label}: not pre-qualified for ${formatCurrency(quote.requestedAmount)}. ${quote.reason}.`;
+    }
+    const offer = `${formatCurrency(quote.loanAmount)} over ${quote.termMonths} months at ${quote.interestRate}% APR, ` +
+        `${formatCurrency(quote.monthlyPayment)} a month (${formatCurrency(quote.totalInterest)} total interest)`;
+    if (quote.outcome === QUOTE_OUTCOMES.COUNTEROFFER) {
+        return `${label}: ${formatCurrency(quote.requestedAmount)} was requested; pre-qualified for ${offer} instead. ` +
+            `${quote.reason}. Indicative only, ${validity}.`;
+    }
+    return `${label}: pre-qualified for ${offer}. ${quote.reason}. Indicative only, ${validity}.`;
+}
+
+/**
+ * One-line summary of a customer's quotes, newest first, for the call context
+ * @param {object[]} quotes - Mapped quotes
+ * @param {Date} [now] - Reference time
+ * @returns {string}
+ */
+function formatQuotesSummary(quotes, now = new Date()) {
+    if (quotes.length === 0) {
+        return 'No loan quotes.';
+    }
+    return quotes.map(quote => formatQuote(quote, now)).join(' ');
+}
+
+module.exports = {
+    QUOTE_OUTCOMES,
+    QUOTE_VALID_DAYS,
+    MAX_DEBT_TO_INCOME,
+    getIncomeWindowStart,
+    buildFinancialProfile,
+    getIndicativeRate,
+    prequalify,
+    isQuoteExpired,
+    formatQuote,
+    formatQuotesSummary
+};
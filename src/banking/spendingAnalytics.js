@@ -0,0 +1,252 @@
+/**
+ * Spending Analytics
+ * Budgeting insights computed from a customer's card and bill payments:
+ *   - spend per category for each month in the window (the current month is month-to-date)
+ *   - top merchants over the window
+ *   - month-over-month change between the last two complete months
+ *   - unusual spend: a category running well above its monthly average this month, or a single
+ *     charge far larger than the customer's typical purchase in that category
+ *
+ * Spending is money leaving an account (debits); transfers, payee payments and balances carried
+ * over from before the history are not spending, but a suspected-fraud charge always counts.
+ * Months are calendar months in UTC.
+ */
+
+const { roundCents } = require('../database/ledger');
+const { formatCurrency } = require('./transfers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ANALYTICS_MONTHS = 3;
+const MAX_ANALYTICS_MONTHS = 12;
+
+// Categories that move money rather than spend it (opening balances, transfers and payments
+// to payees, income, loan disbursements)
+const NON_SPENDING_CATEGORIES = ['Transfer', 'Income', 'Interest', 'Credit Card', 'Loans'];
+
+// A category is unusual this month when it is this far above its monthly average...
+const UNUSUAL_CATEGORY_RATIO = 1.5;
+const UNUSUAL_CATEGORY_MIN_EXCESS = 50;
+// ...and a charge is unusual when it is this many times the category's median charge
+const UNUSUAL_TRANSACTION_RATIO = 3;
+const UNUSUAL_TRANSACTION_MIN_AMOUNT = 100;
+const UNUSUAL_TRANSACTION_MIN_HISTORY = 3;
+const UNUSUAL_TRANSACTION_LOOKBACK_DAYS = 30;
+
+const TOP_MERCHANTS = 5;
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+const monthLabel = (key) => new Date(`${key}-01T00:00:00.000Z`)
+    .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+const percentChange = (current, previous) => (previous > 0 ? Math.round(((current - previous) / previous) * 100) : null);
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * @param {Date} now - Reference time
+ * @param {number} months - Complete months before the current one
+ * @returns {Date} - Start of the analytics window (first day of the oldest month)
+ */
+function getAnalyticsWindowStart(now, months) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - months, 1));
+}
+
+/**
+ * Is this transaction spending (as opposed to income or moving money between accounts)?
+ * @param {object} transaction - Mapped transaction
+ * @returns {boolean}
+ */
+function isSpending(transaction) {
+    return transaction.amount < 0 && (transaction.suspectedFraud || !NON_SPENDING_CATEGORIES.includes(transaction.category));
+}
+
+// Totals per key ({ key, total, count }), largest first
+function totalBy(transactions, keyOf) {
+    const totals = new Map();
+    for (const tx of transactions) {
+        const key = keyOf(tx);
+        const entry = totals.get(key) || { key, total: 0, count: 0 };
+        entry.total += Math.abs(tx.amount);
+        entry.count += 1;
+        totals.set(key, entry);
+    }
+    return [...totals.values()]
+        .map(entry => ({ ...entry, total: roundCents(entry.total) }))
+        .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Compute spending analytics for one customer
+ * @param {object[]} transactions - Mapped transactions (any order; non-spending ones are ignored)
+ * @param {object} [options]
+ * @param {number} [options.months] - Calendar months to analyze before the current month (default 3)
+ * @param {Date} [options.now] - Reference time
+ * @param {string} [options.historyStart] - Date of the customer's first transaction; earlier months count as partial
+ * @returns {object} - { from, months, categories, topMerchants, monthOverMonth, unusualSpend }
+ */
+function analyzeSpending(transactions, { months = DEFAULT_ANALYTICS_MONTHS, now = new Date(), historyStart = null } = {}) {
+    const from = getAnalyticsWindowStart(now, months).toISOString();
+    const spending = transactions.filter(tx => isSpending(tx) && tx.transactionDate >= from);
+    const categoryOf = tx => tx.category || 'Other';
+
+    // Oldest month first; the last one is the current, partial month
+    const monthKeys = [];
+    for (let offset = months; offset >= 0; offset--) {
+        monthKeys.push(monthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset, 1))));
+    }
+    const currentMonth = monthKeys[monthKeys.length - 1];
+    // Months the customer's history only partly covers would drag the averages down
+    const completeMonths = monthKeys.filter(key => key !== currentMonth && (!historyStart || `${key}-01T00:00:00.000Z` >= historyStart));
+
+    const monthly = monthKeys.map(key => {
+        const inMonth = spending.filter(tx => tx.transactionDate.startsWith(key));
+        return {
+            month: key,
+            label: monthLabel(key),
+            partial: !completeMonths.includes(key),
+            total: roundCents(inMonth.reduce((sum, tx) => sum + Math.abs(tx.amount), 0)),
+            categories: totalBy(inMonth, categoryOf).map(({ key: category, total, count }) => ({ category, total, count }))
+        };
+    });
+    const monthTotal = (key, category) => {
+        const month = monthly.find(m => m.month === key);
+        const entry = month && month.categories.find(c => c.category === category);
+        return entry ? entry.total : 0;
+    };
+
+    const categories = totalBy(spending, categoryOf).map(({ key: category, total, count }) => ({
+        category,
+        total,
+        count,
+        monthlyAverage: completeMonths.length
+            ? roundCents(completeMonths.reduce((sum, key) => sum + monthTotal(key, category), 0) / completeMonths.length)
+            : null,
+        currentMonth: monthTotal(currentMonth, category)
+    }));
+
+    const topMerchants = totalBy(spending, tx => tx.merchant || tx.description)
+        .slice(0, TOP_MERCHANTS)
+        .map(({ key: merchant, total, count }) => ({ merchant, total, count }));
+
+    let monthOverMonth = null;
+    if (completeMonths.length >= 2) {
+        const [previous, latest] = completeMonths.slice(-2).map(key => monthly.find(m => m.month === key));
+        const names = new Set([...latest.categories, ...previous.categories].map(c => c.category));
+        monthOverMonth = {
+            month: latest.month,
+            previousMonth: previous.month,
+            label: `${latest.label} vs ${previous.label}`,
+            total: latest.total,
+            previousTotal: previous.total,
+            change: roundCents(latest.total - previous.total),
+            changePercent: percentChange(latest.total, previous.total),
+            categories: [...names].map(category => {
+                const total = monthTotal(latest.month, category);
+                const previousTotal = monthTotal(previous.month, category);
+                return { category, total, previousTotal, change: roundCents(total - previousTotal), changePercent: percentChange(total, previousTotal) };
+            }).sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+        };
+    }
+
+    return {
+        from,
+        months: monthly,
+        categories,
+        topMerchants,
+        monthOverMonth,
+        unusualSpend: findUnusualSpend(spending, categories, now)
+    };
+}
+
+// Categories running hot this month, and recent charges far above the category's typical charge
+function findUnusualSpend(spending, categories, now) {
+    const unusual = [];
+
+    for (const category of categories) {
+        if (!category.monthlyAverage) continue;
+        const excess = category.currentMonth - category.monthlyAverage;
+        if (category.currentMonth >= category.monthlyAverage * UNUSUAL_CATEGORY_RATIO && excess >= UNUSUAL_CATEGORY_MIN_EXCESS) {
+            unusual.push({
+                type: 'category',
+                category: category.category,
+                amount: category.currentMonth,
+                typical: category.monthlyAverage,
+                ratio: roundCents(category.currentMonth / category.monthlyAverage)
+            });
+        }
+    }
+
+    const since = new Date(now.getTime() - UNUSUAL_TRANSACTION_LOOKBACK_DAYS * DAY_MS).toISOString();
+    for (const tx of spending.filter(t => t.transactionDate >= since)) {
+        const amount = Math.abs(tx.amount);
+        const others = spending
+            .filter(other => other !== tx && (other.category || 'Other') === (tx.category || 'Other'))
+            .map(other => Math.abs(other.amount));
+        const typical = others.length >= UNUSUAL_TRANSACTION_MIN_HISTORY ? roundCents(median(others)) : null;
+        const outsized = typical !== null && amount >= UNUSUAL_TRANSACTION_MIN_AMOUNT && amount >= typical * UNUSUAL_TRANSACTION_RATIO;
+
+        if (outsized || tx.suspectedFraud) {
+            unusual.push({
+                type: 'transaction',
+                transactionId: tx.transactionId,
+                date: tx.transactionDate,
+                description: tx.description,
+                category: tx.category || 'Other',
+                amount: roundCents(amount),
+                typical,
+                ratio: typical ? roundCents(amount / typical) : null,
+                suspectedFraud: Boolean(tx.suspectedFraud)
+            });
+        }
+    }
+
+    return unusual;
+}
+
+/**
+ * Short spoken summary of the analytics, e.g. for the call context
+ * @param {object} analytics - Result of analyzeSpending()
+ * @returns {string} - e.g. "September 2026: $3,912.40 spent (up 8% on August 2026). Top categories: Housing $1,950.00, ..."
+ */
+function formatSpendingSummary(analytics) {
+    const parts = [];
+    const complete = analytics.months.filter(month => !month.partial);
+    const latest = complete[complete.length - 1];
+    const current = analytics.months[analytics.months.length - 1];
+
+    if (latest) {
+        const mom = analytics.monthOverMonth;
+        const change = mom && mom.changePercent !== null
+            ? ` (${mom.changePercent === 0 ? 'level with' : `${mom.changePercent > 0 ? 'up' : 'down'} ${Math.abs(mom.changePercent)}% on`} ${monthLabel(mom.previousMonth)})`
+            : '';
+        const top = latest.categories.slice(0, 3).map(c => `${c.category} ${formatCurrency(c.total)}`).join(', ');
+        parts.push(`${latest.label}: ${formatCurrency(latest.total)} spent${change}${top ? `. Top categories: ${top}` : ''}`);
+    }
+    parts.push(`${current.label} so far: ${formatCurrency(current.total)} spent`);
+
+    if (analytics.topMerchants.length > 0) {
+        parts.push(`Top merchants: ${analytics.topMerchants.slice(0, 3).map(m => `${m.merchant} ${formatCurrency(m.total)}`).join(', ')}`);
+    }
+
+    const unusual = analytics.unusualSpend.map(item => (item.type === 'category'
+        ? `${item.category} at ${formatCurrency(item.amount)} this month vs ${formatCurrency(item.typical)} typical`
+        : `${item.description} ${formatCurrency(item.amount)} on ${item.date.slice(0, 10)}${item.suspectedFraud ? ' (suspected fraud)' : item.ratio ? ` (${Math.round(item.ratio)}x a typical ${item.category} charge)` : ''}`));
+    if (unusual.length > 0) {
+        parts.push(`Unusual: ${unusual.join('; ')}`);
+    }
+
+    return `${parts.join('. ')}.`;
+}
+
+module.exports = {
+    DEFAULT_ANALYTICS_MONTHS,
+    MAX_ANALYTICS_MONTHS,
+    NON_SPENDING_CATEGORIES,
+    getAnalyticsWindowStart,
+    isSpending,
+    analyzeSpending,
+    formatSpendingSummary
+};
@@ -0,0 +1,446 @@
+/**
+ * Transaction Generator
+ * Builds the demo history of a customer's primary checking account, shared by every database
+ * driver. Generators are pluggable (registerGenerator); the default `persona` generator walks
+ * day by day over the configured number of months and produces:
+ *   - income on the persona's pay schedule (biweekly, semimonthly, monthly or irregular invoices)
+ *   - recurring rent/mortgage, utility bills and subscriptions on fixed days of the month
+ *   - discretionary card spending that is busier at weekends and in seasonal peaks (holidays, summer)
+ *
+ * Everything is drawn from a seeded PRNG, so the same seed always yields the same history
+ * (dates are relative to "now"). With fraudScenario a plausible card-not-present charge is added
+ * as a pending, suspected-fraud transaction.
+ *
+ * Environment:
+ *   TRANSACTION_GENERATOR        - generator name (default: persona)
+ *   TRANSACTION_HISTORY_MONTHS   - months of history, 1-24 (default: 3)
+ *   TRANSACTION_SEED             - seed for reproducible histories (combined with the phone number)
+ */
+
+const { createSeededRandom } = require('../utils/seededRandom');
+const { POSTING_STATUS, roundCents, planAccountHistory } = require('../database/ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GENERATOR = 'persona';
+const DEFAULT_MONTHS = 3;
+const MAX_MONTHS = 24;
+
+// Card purchases this recent are still authorization holds
+const PENDING_WINDOW_MS = 2 * DAY_MS;
+
+// Discretionary spending multiplier by month (0 = January)
+const SEASONALITY = [0.8, 0.9, 1, 1, 1.05, 1.1, 1.15, 1.15, 1, 1, 1.2, 1.45];
+
+/**
+ * Personas
+ * income:    { source, amount: [min, max], schedule: 'biweekly' | 'semimonthly' | 'monthly' | 'irregular', day?, perMonth? }
+ * recurring: { merchant, category, amount: [min, max] or fixed number, day, months? (only in these months) }
+ * spending:  { merchant, category, amount: [min, max], perWeek, days?: 'weekday' | 'weekend', hours: [from, to] }
+ */
+const PERSONAS = {
+    young_professional: {
+        label: 'Young professional',
+        income: [{ source: 'Brightline Tech Payroll', amount: [2150, 2750], schedule: 'biweekly' }],
+        recurring: [
+            { merchant: 'Park Avenue Properties', category: 'Housing', amount: [1650, 2200], day: 1, description: 'Rent Payment' },
+            { merchant: 'Con Edison', category: 'Bills & Utilities', amount: [55, 140], day: 14 },
+            { merchant: 'Verizon Wireless', category: 'Bills & Utilities', amount: 72.5, day: 21 },
+            { merchant: 'Spectrum Internet', category: 'Bills & Utilities', amount: 69.99, day: 9 },
+            { merchant: 'Netflix', category: 'Entertainment', amount: 15.49, day: 5 },
+            { merchant: 'Spotify', category: 'Entertainment', amount: 11.99, day: 12 },
+            { merchant: 'Equinox', category: 'Health & Fitness', amount: 235, day: 3 }
+        ],
+        spending: [
+            { merchant: 'Starbucks Coffee', category: 'Food & Dining', amount: [4.5, 9.5], perWeek: 4, days: 'weekday', hours: [7, 10] },
+            { merchant: 'Sweetgreen', category: 'Food & Dining', amount: [13, 19], perWeek: 2.5, days: 'weekday', hours: [12, 14] },
+            { merchant: 'Uber Ride', category: 'Transportation', amount: [11, 42], perWeek: 2.5, hours: [18, 23] },
+            { merchant: 'OpenTable', category: 'Food & Dining', amount: [45, 140], perWeek: 1.2, days: 'weekend', hours: [19, 22] },
+            { merchant: 'Whole Foods', category: 'Groceries', amount: [35, 110], perWeek: 1.2, hours: [17, 20] },
+            { merchant: 'Amazon.com', category: 'Shopping', amount: [14, 120], perWeek: 1.3, hours: [9, 23] },
+            { merchant: 'AMC Theatres', category: 'Entertainment', amount: [18, 42], perWeek: 0.4, days: 'weekend', hours: [14, 21] }
+        ]
+    },
+
+    family: {
+        label: 'Family household',
+        income: [{ source: 'Midwest Health Systems Payroll', amount: [3300, 4300], schedule: 'semimonthly' }],
+        recurring: [
+            { merchant: 'Rocket Mortgage', category: 'Housing', amount: [2150, 2950], day: 1, description: 'Mortgage Payment' },
+            { merchant: 'Bright Horizons', category: 'Education', amount: [980, 1350], day: 5, description: 'Childcare Tuition' },
+            { merchant: 'GEICO', category: 'Insurance', amount: [145, 210], day: 18 },
+            { merchant: 'Duke Energy', category: 'Bills & Utilities', amount: [110, 260], day: 16 },
+            { merchant: 'AT&T Wireless', category: 'Bills & Utilities', amount: 185.4, day: 24 },
+            { merchant: 'Disney+', category: 'Entertainment', amount: 13.99, day: 8 },
+            { merchant: 'Amazon Prime', category: 'Shopping', amount: 14.99, day: 11 }
+        ],
+        spending: [
+            { merchant: 'Costco Wholesale', category: 'Groceries', amount: [120, 340], perWeek: 0.9, days: 'weekend', hours: [9, 17] },
+            { merchant: 'Kroger', category: 'Groceries', amount: [40, 140], perWeek: 1.5, hours: [16, 20] },
+            { merchant: 'Shell Gas Station', category: 'Gas & Fuel', amount: [38, 72], perWeek: 1.4, hours: [7, 19] },
+            { merchant: 'Target Store', category: 'Shopping', amount: [25, 160], perWeek: 1, days: 'weekend', hours: [10, 19] },
+            { merchant: 'Chick-fil-A', category: 'Food & Dining', amount: [18, 45], perWeek: 1.2, hours: [11, 19] },
+            { merchant: 'CVS Pharmacy', category: 'Health & Fitness', amount: [8, 55], perWeek: 0.6, hours: [9, 20] },
+            { merchant: 'Home Depot', category: 'Home Improvement', amount: [20, 230], perWeek: 0.5, days: 'weekend', hours: [8, 16] }
+        ]
+    },
+
+    student: {
+        label: 'Student',
+        income: [
+            { source: 'Campus Dining Services Payroll', amount: [420, 780], schedule: 'biweekly' },
+            { source: 'Family Transfer', amount: [300, 600], schedule: 'monthly', day: 1 }
+        ],
+        recurring: [
+            { merchant: 'University Village Apartments', category: 'Housing', amount: [720, 980], day: 1, description: 'Rent Payment' },
+            { merchant: 'Mint Mobile', category: 'Bills & Utilities', amount: 30, day: 6 },
+            { merchant: 'Spotify', category: 'Entertainment', amount: 5.99, day: 12 },
+            { merchant: 'Campus Bookstore', category: 'Education', amount: [180, 420], day: 20, months: [0, 7] }
+        ],
+        spending: [
+            { merchant: 'Chipotle', category: 'Food & Dining', amount: [10, 16], perWeek: 2, hours: [12, 21] },
+            { merchant: 'Domino\'s Pizza', category: 'Food & Dining', amount: [14, 32], perWeek: 1, days: 'weekend', hours: [19, 24] },
+            { merchant: 'Trader Joe\'s', category: 'Groceries', amount: [22, 65], perWeek: 1, hours: [15, 20] },
+            { merchant: 'Dunkin\'', category: 'Food & Dining', amount: [3.5, 8], perWeek: 3, days: 'weekday', hours: [7, 11] },
+            { merchant: 'Lyft', category: 'Transportation', amount: [8, 24], perWeek: 1, days: 'weekend', hours: [20, 24] },
+            { merchant: 'Steam Games', category: 'Entertainment', amount: [5, 60], perWeek: 0.3, hours: [18, 24] }
+        ]
+    },
+
+    retiree: {
+        label: 'Retiree',
+        income: [
+            { source: 'SSA TREAS 310 Social Security', amount: [1850, 2450], schedule: 'monthly', day: 3 },
+            { source: 'State Teachers Pension', amount: [1300, 1900], schedule: 'monthly', day: 1 }
+        ],
+        recurring: [
+            { merchant: 'Humana Medicare', category: 'Insurance', amount: [165, 240], day: 7 },
+            { merchant: 'Florida Power & Light', category: 'Bills & Utilities', amount: [95, 210], day: 15 },
+            { merchant: 'Comcast Xfinity', category: 'Bills & Utilities', amount: 129.99, day: 19 },
+            { merchant: 'HOA Management', category: 'Housing', amount: 385, day: 1, description: 'HOA Dues' },
+            { merchant: 'Delta Air Lines', category: 'Travel', amount: [420, 880], day: 10, months: [0, 1, 10] }
+        ],
+        spending: [
+            { merchant: 'Publix', category: 'Groceries', amount: [35, 120], perWeek: 2, days: 'weekday', hours: [8, 12] },
+            { merchant: 'Walgreens', category: 'Health & Fitness', amount: [9, 65], perWeek: 1, hours: [9, 16] },
+            { merchant: 'Cracker Barrel', category: 'Food & Dining', amount: [22, 58], perWeek: 1, hours: [11, 18] },
+            { merchant: 'Chevron', category: 'Gas & Fuel', amount: [30, 55], perWeek: 0.7, hours: [8, 15] },
+            { merchant: 'Barnes & Noble', category: 'Shopping', amount: [12, 48], perWeek: 0.4, hours: [10, 16] },
+            { merchant: 'Marriott Hotels', category: 'Travel', amount: [160, 420], perWeek: 0.1, hours: [15, 20] }
+        ]
+    },
+
+    business_owner: {
+        label: 'Small business owner',
+        income: [{ source: 'Stripe Transfer', amount: [900, 4800], schedule: 'irregular', perMonth: 4 }],
+        recurring: [
+            { merchant: 'WeWork', category: 'Business Services', amount: 450, day: 1, description: 'Coworking Membership' },
+            { merchant: 'Google Workspace', category: 'Business Services', amount: 28.8, day: 2 },
+            { merchant: 'Adobe Creative Cloud', category: 'Business Services', amount: 59.99, day: 14 },
+            { merchant: 'Zoom', category: 'Business Services', amount: 15.99, day: 22 },
+            { merchant: 'IRS USATAXPYMT', category: 'Taxes', amount: [1800, 3600], day: 15, months: [0, 3, 5, 8], description: 'Estimated Tax Payment' },
+            { merchant: 'Pacific Gas & Electric', category: 'Bills & Utilities', amount: [70, 160], day: 17 }
+        ],
+        spending: [
+            { merchant: 'Blue Bottle Coffee', category: 'Food & Dining', amount: [5, 14], perWeek: 3, days: 'weekday', hours: [8, 11] },
+            { merchant: 'Delta Air Lines', category: 'Travel', amount: [240, 690], perWeek: 0.25, days: 'weekday', hours: [6, 20] },
+            { merchant: 'Staples', category: 'Business Services', amount: [18, 140], perWeek: 0.6, days: 'weekday', hours: [9, 18] },
+            { merchant: 'The Capital Grille', category: 'Food & Dining', amount: [85, 260], perWeek: 0.7, days: 'weekday', hours: [12, 21] },
+            { merchant: 'Uber Ride', category: 'Transportation', amount: [14, 55], perWeek: 2, hours: [7, 22] },
+            { merchant: 'Whole Foods', category: 'Groceries', amount: [45, 150], perWeek: 1, days: 'weekend', hours: [10, 19] }
+        ]
+    }
+};
+
+// Card-not-present merchants for the fraud scenario
+const FRAUD_MERCHANTS = [
+    { merchant: 'ELECTRONICS HUB - LAGOS NG', category: 'Shopping' },
+    { merchant: 'LUXURY WATCHES ONLINE - RU', category: 'Shopping' },
+    { merchant: 'CRYPTO EXCHANGE XFER - CY', category: 'Transfer' },
+    { merchant: 'GIFT CARDS DIRECT - PH', category: 'Shopping' }
+];
+
+const generators = new Map();
+
+/**
+ * Register a transaction generator
+ * @param {string} name - Generator name (selected with TRANSACTION_GENERATOR)
+ * @param {function} generate - ({ random, months, now, persona }) => transactions ({ description, amount, transactionType,
+ *   merchant, category, status, transactionDate }), newest debits may already be pending
+ */
+function registerGenerator(name, generate) {
+    generators.set(name, generate);
+}
+
+function getGeneratorNames() {
+    return Array.from(generators.keys());
+}
+
+function getPersonaNames() {
+    return Object.keys(PERSONAS);
+}
+
+// Amounts are either fixed or a [min, max] range
+function drawAmount(random, amount) {
+    return roundCents(Array.isArray(amount) ? random.float(amount[0], amount[1]) : amount);
+}
+
+// Timestamp on the given day at a random time between the hours
+function timeOnDay(random, day, [fromHour, toHour]) {
+    const minutes = random.int(fromHour * 60, Math.min(toHour * 60, 24 * 60) - 1);
+    return new Date(day.getTime() + minutes * 60 * 1000);
+}
+
+function entry({ description, merchant, category, amount, date }) {
+    return {
+        description: description || merchant,
+        amount,
+        transactionType: amount < 0 ? 'debit' : 'credit',
+        merchant,
+        category,
+        status: POSTING_STATUS.POSTED,
+        transactionDate: date.toISOString()
+    };
+}
+
+// Days income arrives on, for the whole period
+function incomeDays(income, start, days, random) {
+    const result = [];
+    if (income.schedule === 'biweekly') {
+        // Every other Friday, starting on one of the first two Fridays
+        const firstFriday = (5 - start.getUTCDay() + 7) % 7;
+        for (let offset = firstFriday + (random.chance(0.5) ? 7 : 0); offset < days; offset += 14) {
+            result.push(offset);
+        }
+        return result;
+    }
+
+    for (let offset = 0; offset < days; offset++) {
+        const day = new Date(start.getTime() + offset * DAY_MS);
+        const date = day.getUTCDate();
+        const lastDay = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+        if (income.schedule === 'semimonthly' && (date === 15 || date === lastDay)) {
+            result.push(offset);
+        } else if (income.schedule === 'monthly' && date === Math.min(income.day || 1, lastDay)) {
+            result.push(offset);
+        } else if (income.schedule === 'irregular' && random.chance((income.perMonth || 3) / 30)) {
+            result.push(offset);
+        }
+    }
+    return result;
+}
+
+/**
+ * Persona generator: paydays, recurring bills and weekend/seasonal discretionary spending
+ */
+function generatePersonaTransactions({ random, months, now, persona }) {
+    const profile = PERSONAS[persona] || PERSONAS[random.pick(getPersonaNames())];
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - months, today.getUTCDate()));
+    const days = Math.round((today - start) / DAY_MS) + 1;
+    const transactions = [];
+
+    for (const income of profile.income) {
+        for (const offset of incomeDays(income, start, days, random)) {
+            const day = new Date(start.getTime() + offset * DAY_MS);
+            transactions.push(entry({
+                description: `Direct Deposit - ${income.source}`,
+                merchant: income.source,
+                category: 'Income',
+                amount: drawAmount(random, income.amount),
+                date: timeOnDay(random, day, [5, 7])
+            }));
+        }
+    }
+
+    for (let offset = 0; offset < days; offset++) {
+        const day = new Date(start.getTime() + offset * DAY_MS);
+        const month = day.getUTCMonth();
+        const weekend = day.getUTCDay() === 0 || day.getUTCDay() === 6;
+        const lastDay = new Date(Date.UTC(day.getUTCFullYear(), month + 1, 0)).getUTCDate();
+
+        for (const bill of profile.recurring) {
+            if (day.getUTCDate() === Math.min(bill.day, lastDay) && (!bill.months || bill.months.includes(month))) {
+                transactions.push(entry({
+                    description: bill.description ? `${bill.description} - ${bill.merchant}` : bill.merchant,
+                    merchant: bill.merchant,
+                    category: bill.category,
+                    amount: -drawAmount(random, bill.amount),
+                    date: timeOnDay(random, day, [2, 6])
+                }));
+            }
+        }
+
+        for (const item of profile.spending) {
+            if ((item.days === 'weekday' && weekend) || (item.days === 'weekend' && !weekend)) {
+                continue;
+            }
+            // Spread the weekly frequency over the days the merchant is used, busier at weekends
+            const activeDays = item.days === 'weekday' ? 5 : item.days === 'weekend' ? 2 : 7;
+            const weekendBoost = !item.days && weekend ? 1.6 : 1;
+            if (random.chance(Math.min(0.95, (item.perWeek / activeDays) * weekendBoost * SEASONALITY[month]))) {
+                transactions.push(entry({
+                    merchant: item.merchant,
+                    category: item.category,
+                    amount: -drawAmount(random, item.amount),
+                    date: timeOnDay(random, day, item.hours)
+                }));
+            }
+        }
+    }
+
+    const history = transactions.filter(tx => new Date(tx.transactionDate) <= now);
+
+    // Recent card purchases haven't settled yet
+    const cardPurchases = history.filter(tx => profile.spending.some(item => item.merchant === tx.merchant));
+    const recent = cardPurchases.filter(tx => now - new Date(tx.transactionDate) < PENDING_WINDOW_MS);
+    const pending = recent.length > 0
+        ? recent
+        : cardPurchases.sort((a, b) => b.transactionDate.localeCompare(a.transactionDate)).slice(0, 1);
+    pending.forEach(tx => { tx.status = POSTING_STATUS.PENDING; });
+
+    return history;
+}
+
+/**
+ * Basic generator: a handful of uniformly random purchases over the last 30 days
+ * (the original demo data, kept for lightweight setups)
+ */
+function generateBasicTransactions({ random, now }) {
+    const merchants = [
+        'Starbucks Coffee', 'Amazon.com', 'Shell Gas Station', 'Target Store',
+        'McDonald\'s', 'Uber Ride', 'Netflix', 'Spotify', 'Whole Foods',
+        'CVS Pharmacy', 'Home Depot', 'Best Buy', 'Costco Wholesale'
+    ];
+    const categories = [
+        'Food & Dining', 'Shopping', 'Gas & Fuel', 'Entertainment',
+        'Transportation', 'Groceries', 'Health & Fitness', 'Bills & Utilities'
+    ];
+
+    const transactions = [];
+    for (let i = 0; i < 5; i++) {
+        const merchant = random.pick(merchants);
+        const amount = roundCents(random.float(5, 205));
+        // Most transactions are debits, some are credits (refunds/deposits)
+        const credit = !random.chance(0.85);
+        transactions.push(entry({
+            merchant,
+            category: random.pick(categories),
+            amount: credit ? amount : -amount,
+            date: new Date(now.getTime() - random.next() * 30 * DAY_MS)
+        }));
+    }
+
+    // The newest card purchase is still an authorization hold
+    const newestDebit = transactions
+        .filter(tx => tx.amount < 0)
+        .sort((a, b) => b.transactionDate.localeCompare(a.transactionDate))[0];
+    if (newestDebit) {
+        newestDebit.status = POSTING_STATUS.PENDING;
+    }
+    return transactions;
+}
+
+/**
+ * A plausible fraudulent charge: card-not-present, foreign merchant, small hours of the night,
+ * several times larger than the customer's usual card purchases
+ * @param {object[]} transactions - The customer's generated history
+ * @param {object} random - Seeded generator
+ * @param {Date} now - Current time
+ * @returns {object} - Pending transaction flagged suspectedFraud
+ */
+function buildFraudTransaction(transactions, random, now) {
+    const purchases = transactions
+        .filter(tx => tx.amount < 0 && tx.category !== 'Housing' && tx.category !== 'Taxes')
+        .map(tx => Math.abs(tx.amount))
+        .sort((a, b) => a - b);
+    const typical = purchases.length > 0 ? purchases[Math.floor(purchases.length * 0.9)] : 100;
+    const { merchant, category } = random.pick(FRAUD_MERCHANTS);
+
+    // Between 1am and 5am within the last day
+    const lastNight = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - (now.getUTCHours() < 5 ? DAY_MS : 0));
+    const date = timeOnDay(random, lastNight, [1, 5]);
+
+    return {
+        ...entry({
+            merchant,
+            category,
+            amount: -roundCents(Math.min(2500, Math.max(450, typical * random.float(4, 8)))),
+            date: date > now ? new Date(now.getTime() - random.int(10, 90) * 60 * 1000) : date
+        }),
+        status: POSTING_STATUS.PENDING,
+        suspectedFraud: true
+    };
+}
+
+/**
+ * History length from TRANSACTION_HISTORY_MONTHS
+ * @returns {number} - Whole months between 1 and 24
+ */
+function getHistoryMonths() {
+    const months = Math.round(Number(process.env.TRANSACTION_HISTORY_MONTHS) || DEFAULT_MONTHS);
+    return Math.min(MAX_MONTHS, Math.max(1, months));
+}
+
+/**
+ * Generate the full ledger plan for a new primary checking account
+ * @param {number} targetBalance - Ledger balance the account must end up with
+ * @param {object} [options]
+ * @param {object} [options.random] - Seeded generator (default: seeded from TRANSACTION_SEED + seedKey, else Math.random)
+ * @param {string} [options.seedKey] - Per-customer part of the seed (e.g. phone number)
+ * @param {string} [options.generator] - Generator name (default: TRANSACTION_GENERATOR or 'persona')
+ * @param {string} [options.persona] - Persona name (default: picked at random)
+ * @param {number} [options.months] - Months of history (default: TRANSACTION_HISTORY_MONTHS or 3)
+ * @param {boolean} [options.fraudScenario] - Add a suspected-fraud charge
+ * @param {Date} [options.now] - Reference time (default: now)
+ * @returns {object[]} - Transactions to post, oldest first, starting with the opening deposit
+ */
+function generateAccountHistory(targetBalance, options = {}) {
+    const seed = process.env.TRANSACTION_SEED ? `${process.env.TRANSACTION_SEED}:${options.seedKey || ''}` : undefined;
+    const random = options.random || createSeededRandom(seed);
+    const now = options.now || new Date();
+    const name = options.generator || process.env.TRANSACTION_GENERATOR || DEFAULT_GENERATOR;
+    const generate = generators.get(name);
+    if (!generate) {
+        throw new Error(`Unknown transaction generator: ${name} (available: ${getGeneratorNames().join(', ')})`);
+    }
+
+    const transactions = generate({ random, months: options.months || getHistoryMonths(), now, persona: options.persona });
+
+    // Income can outpace spending by more than the target balance - sweep the surplus out so the
+    // opening balance stays a positive, plausible amount
+    const postedTotal = transactions
+        .filter(tx => tx.status === POSTING_STATUS.POSTED)
+        .reduce((sum, tx) => sum + tx.amount, 0);
+    const openingBalance = roundCents(random.float(150, 900));
+    const surplus = roundCents(postedTotal + openingBalance - Number(targetBalance));
+    if (surplus > 0 && transactions.length > 0) {
+        const sorted = transactions.slice().sort((a, b) => a.transactionDate.localeCompare(b.transactionDate));
+        const midpoint = new Date(sorted[Math.floor(sorted.length / 2)].transactionDate);
+        transactions.push(entry({
+            description: 'Online Transfer to Brokerage Account',
+            merchant: null,
+            category: 'Transfer',
+            amount: -surplus,
+            date: new Date(midpoint.getTime() + 60 * 1000)
+        }));
+    }
+
+    if (options.fraudScenario) {
+        transactions.push(buildFraudTransaction(transactions, random, now));
+    }
+
+    return planAccountHistory(targetBalance, transactions);
+}
+
+registerGenerator('persona', generatePersonaTransactions);
+registerGenerator('basic', generateBasicTransactions);
+
+module.exports = {
+    PERSONAS,
+    registerGenerator,
+    getGeneratorNames,
+    getPersonaNames,
+    getHistoryMonths,
+    buildFraudTransaction,
+    generateAccountHistory
+};
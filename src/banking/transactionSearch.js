@@ -0,0 +1,195 @@
+/**
+ * Transaction Search
+ * Validates search parameters from the REST API and the agent and summarizes the results.
+ *
+ * Parameters (all optional):
+ *   from, to              - dates (YYYY-MM-DD, both inclusive) or ISO timestamps
+ *   period                - shortcut for a date range, e.g. 'last_month' (see TRANSACTION_PERIODS)
+ *   merchant, category    - merchant name (partial match) or exact category
+ *   text                  - free text matched against description, merchant and category
+ *   minAmount, maxAmount  - bounds on the absolute amount in dollars
+ *   type, status          - 'debit' / 'credit', 'posted' / 'pending'
+ *   sort                  - 'newest' (default), 'oldest' or 'largest'
+ *   limit, offset         - pagination
+ */
+
+const { roundCents } = require('../database/ledger');
+const { SORT_ORDERS } = require('../database/transactionQuery');
+const { formatCurrency } = require('./transfers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+const utcDate = (year, month, day = 1) => new Date(Date.UTC(year, month, day));
+const startOfDay = (date) => utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+// Date ranges (UTC, `to` exclusive) relative to now
+const TRANSACTION_PERIODS = {
+    today: now => ({ from: startOfDay(now), to: new Date(startOfDay(now).getTime() + DAY_MS) }),
+    yesterday: now => ({ from: new Date(startOfDay(now).getTime() - DAY_MS), to: startOfDay(now) }),
+    last_7_days: now => ({ from: new Date(startOfDay(now).getTime() - 6 * DAY_MS), to: null }),
+    last_30_days: now => ({ from: new Date(startOfDay(now).getTime() - 29 * DAY_MS), to: null }),
+    last_90_days: now => ({ from: new Date(startOfDay(now).getTime() - 89 * DAY_MS), to: null }),
+    this_month: now => ({ from: utcDate(now.getUTCFullYear(), now.getUTCMonth()), to: null }),
+    last_month: now => ({
+        from: utcDate(now.getUTCFullYear(), now.getUTCMonth() - 1),
+        to: utcDate(now.getUTCFullYear(), now.getUTCMonth())
+    }),
+    this_year: now => ({ from: utcDate(now.getUTCFullYear(), 0), to: null }),
+    last_year: now => ({ from: utcDate(now.getUTCFullYear() - 1, 0), to: utcDate(now.getUTCFullYear(), 0) })
+};
+
+const TRANSACTION_TYPES = ['debit', 'credit'];
+const TRANSACTION_STATUSES = ['posted', 'pending'];
+
+// Parse a date bound; date-only `to` values include the whole day
+function parseDateBound(value, isEnd) {
+    const text = String(value).trim();
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const date = new Date(dateOnly ? `${text}T00:00:00.000Z` : text);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    return dateOnly && isEnd ? new Date(date.getTime() + DAY_MS) : date;
+}
+
+function parseAmount(value) {
+    const amount = Number(String(value).replace(/[$,]/g, ''));
+    return Number.isFinite(amount) && amount >= 0 ? roundCents(amount) : null;
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Validate and normalize search parameters
+ * @param {object} params - Raw parameters (query string or agent tool arguments, camelCase)
+ * @param {Date} [now] - Reference time for `period`
+ * @returns {object} - { query } on success, { error } describing the first invalid parameter otherwise
+ */
+function normalizeTransactionQuery(params = {}, now = new Date()) {
+    const query = { sort: 'newest', limit: DEFAULT_SEARCH_LIMIT, offset: 0 };
+
+    if (!isBlank(params.period)) {
+        const period = TRANSACTION_PERIODS[String(params.period).trim().toLowerCase()];
+        if (!period) {
+            return { error: `period must be one of: ${Object.keys(TRANSACTION_PERIODS).join(', ')}` };
+        }
+        const range = period(now);
+        query.from = range.from.toISOString();
+        query.to = range.to ? range.to.toISOString() : undefined;
+    }
+
+    for (const [name, isEnd] of [['from', false], ['to', true]]) {
+        if (isBlank(params[name])) continue;
+        const date = parseDateBound(params[name], isEnd);
+        if (!date) {
+            return { error: `${name} must be a date (YYYY-MM-DD)` };
+        }
+        query[name] = date.toISOString();
+    }
+    if (query.from && query.to && query.from >= query.to) {
+        return { error: 'from must be before to' };
+    }
+
+    for (const name of ['merchant', 'category', 'text']) {
+        if (isBlank(params[name])) continue;
+        const text = String(params[name]).trim();
+        if (text.length > 100) {
+            return { error: `${name} must be at most 100 characters` };
+        }
+        query[name] = text;
+    }
+
+    for (const name of ['minAmount', 'maxAmount']) {
+        if (isBlank(params[name])) continue;
+        const amount = parseAmount(params[name]);
+        if (amount === null) {
+            return { error: `${name} must be a positive amount` };
+        }
+        query[name] = amount;
+    }
+    if (query.minAmount !== undefined && query.maxAmount !== undefined && query.minAmount > query.maxAmount) {
+        return { error: 'minAmount must not be greater than maxAmount' };
+    }
+
+    const choices = [['type', TRANSACTION_TYPES], ['status', TRANSACTION_STATUSES], ['sort', Object.keys(SORT_ORDERS)]];
+    for (const [name, allowed] of choices) {
+        if (isBlank(params[name])) continue;
+        const value = String(params[name]).trim().toLowerCase();
+        if (!allowed.includes(value)) {
+            return { error: `${name} must be one of: ${allowed.join(', ')}` };
+        }
+        query[name] = value;
+    }
+
+    if (!isBlank(params.limit)) {
+        const limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+            return { error: `limit must be between 1 and ${MAX_SEARCH_LIMIT}` };
+        }
+        query.limit = limit;
+    }
+    if (!isBlank(params.offset)) {
+        const offset = Number(params.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return { error: 'offset must be zero or more' };
+        }
+        query.offset = offset;
+    }
+
+    return { query };
+}
+
+// "Sep 1, 2026" for a range bound (`to` is exclusive, so the last included day is the day before)
+function formatBound(iso, isEnd) {
+    const date = new Date(isEnd ? new Date(iso).getTime() - 1 : iso);
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function describeAmountRange({ minAmount, maxAmount }) {
+    if (minAmount !== undefined && maxAmount !== undefined) {
+        return `between ${formatCurrency(minAmount)} and ${formatCurrency(maxAmount)}`;
+    }
+    if (minAmount !== undefined) return `of at least ${formatCurrency(minAmount)}`;
+    if (maxAmount !== undefined) return `of at most ${formatCurrency(maxAmount)}`;
+    return null;
+}
+
+/**
+ * Spoken summary of a search, e.g. for the agent
+ * @param {object} query - Normalized query
+ * @param {object} totals - { total, debitTotal, creditTotal } over every match (not just the page)
+ * @returns {string} - e.g. "3 transactions at Amazon from Sep 1, 2026 to Sep 30, 2026: $182.40 spent."
+ */
+function describeTransactionSearch(query, { total, debitTotal, creditTotal }) {
+    const filters = [
+        query.merchant && `at ${query.merchant}`,
+        query.category && `in ${query.category}`,
+        query.text && `matching "${query.text}"`,
+        describeAmountRange(query),
+        query.from && `from ${formatBound(query.from, false)}`,
+        query.to && `to ${formatBound(query.to, true)}`
+    ].filter(Boolean);
+    const kind = [query.status, query.type].filter(Boolean).join(' ');
+    const noun = `${kind ? `${kind} ` : ''}transaction${total === 1 ? '' : 's'}`;
+    const subject = [`${total} ${noun}`, ...filters].join(' ');
+
+    if (total === 0) {
+        return `No ${noun.replace(/transaction$/, 'transactions')}${filters.length ? ` ${filters.join(' ')}` : ''}.`;
+    }
+
+    const amounts = [
+        debitTotal !== 0 && `${formatCurrency(Math.abs(debitTotal))} spent`,
+        creditTotal !== 0 && `${formatCurrency(creditTotal)} received`
+    ].filter(Boolean);
+    return `${subject}${amounts.length ? `: ${amounts.join(', ')}` : ''}.`;
+}
+
+module.exports = {
+    TRANSACTION_PERIODS,
+    DEFAULT_SEARCH_LIMIT,
+    MAX_SEARCH_LIMIT,
+    normalizeTransactionQuery,
+    describeTransactionSearch
+};
@@ -0,0 +1,212 @@
+/**
+ * Transfers
+ * Driver-independent rules for moving money out of a customer's account: internal transfers
+ * between their own accounts and payments to saved payees.
+ *
+ * A transfer is created as `pending_confirmation` with a spoken read-back; only an explicit
+ * confirmation from the caller executes it. Execution posts one balanced journal (journalId =
+ * transferId) and a transaction row per customer account touched.
+ */
+
+const { ACCOUNT_TYPES, getDisplayName } = require('./accounts');
+const { roundCents, POSTING_STATUS, validateJournal } = require('../database/ledger');
+
+const TRANSFER_STATUS = {
+    PENDING_CONFIRMATION: 'pending_confirmation',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired'
+};
+
+const TRANSFER_TYPES = {
+    INTERNAL: 'internal',
+    PAYEE: 'payee'
+};
+
+// Saved payees every demo customer starts with
+const DEFAULT_PAYEES = [
+    { name: 'Con Edison', nickname: 'Electric bill', bankName: 'JPMorgan Chase', category: 'Bills & Utilities' },
+    { name: 'Park Avenue Properties', nickname: 'Rent', bankName: 'Bank of America', category: 'Housing' },
+    { name: 'Jordan Lee', nickname: 'Jordan', bankName: 'Wells Fargo', category: 'Transfer' }
+];
+
+/**
+ * Default payees for a new customer, with stable fake external account numbers
+ * @param {number} userId - User ID
+ * @returns {object[]} - [{ name, nickname, bankName, accountNumber, category }]
+ */
+function buildDefaultPayees(userId) {
+    return DEFAULT_PAYEES.map((payee, index) => ({
+        ...payee,
+        accountNumber: `EXT${String(userId).padStart(6, '0')}${index}`
+    }));
+}
+
+/**
+ * Transfer limits, read from the environment on each call so they can be tuned per demo
+ * @returns {object} - { minAmount, maxAmount, dailyLimit, confirmationTtlMs }
+ */
+function getTransferLimits() {
+    return {
+        minAmount: 0.01,
+        maxAmount: Number(process.env.TRANSFER_MAX_AMOUNT) || 5000,
+        dailyLimit: Number(process.env.TRANSFER_DAILY_LIMIT) || 10000,
+        confirmationTtlMs: Number(process.env.TRANSFER_CONFIRMATION_TTL_MS) || 5 * 60 * 1000
+    };
+}
+
+/**
+ * Find the account a caller is referring to ("savings", "my rainy day fund", "ending 1234")
+ * @param {object[]} accounts - Customer's mapped accounts
+ * @param {string} reference - Account number, last four digits, nickname, name or type
+ * @returns {object|null} - Matching account, or null if none or ambiguous
+ */
+function resolveAccount(accounts, reference) {
+    if (!reference) return null;
+    const text = String(reference).toLowerCase().trim();
+    const digits = text.replace(/\D/g, '');
+
+    const byNumber = accounts.filter(account =>
+        account.accountNumber.toLowerCase() === text ||
+        (digits.length === 4 && account.accountNumber.endsWith(digits))
+    );
+    if (byNumber.length === 1) return byNumber[0];
+
+    const byName = accounts.filter(account => {
+        const names = [account.nickname, account.name].filter(Boolean).map(name => name.toLowerCase());
+        return names.some(name => name === text || text.includes(name) || name.includes(text));
+    });
+    if (byName.length === 1) return byName[0];
+
+    const byType = accounts.filter(account => {
+        const type = ACCOUNT_TYPES[account.accountType];
+        return text.includes(account.accountType.replace('_', ' ')) || (type && text.includes(type.label.toLowerCase()));
+    });
+    return byType.length === 1 ? byType[0] : null;
+}
+
+/**
+ * Find a saved payee by name or nickname
+ * @param {object[]} payees - Customer's payees
+ * @param {string} reference - Payee name or nickname ("rent", "Con Edison")
+ * @returns {object|null} - Matching payee, or null if none or ambiguous
+ */
+function resolvePayee(payees, reference) {
+    if (!reference) return null;
+    const text = String(reference).toLowerCase().trim();
+    const matches = payees.filter(payee => {
+        const names = [payee.nickname, payee.name].filter(Boolean).map(name => name.toLowerCase());
+        return names.some(name => name === text || text.includes(name) || name.includes(text));
+    });
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Check a transfer against the limits and the source account's available balance
+ * @param {object} params
+ * @param {number} params.amount - Requested amount (positive)
+ * @param {object} params.fromAccount - Source account with availableBalance
+ * @param {object} [params.toAccount] - Destination account (internal transfers)
+ * @param {number} params.transferredToday - Total of completed transfers in the last 24 hours
+ * @param {object} [limits] - From getTransferLimits()
+ * @returns {string|null} - Reason the transfer is not allowed, or null if it is
+ */
+function checkTransferAllowed({ amount, fromAccount, toAccount, transferredToday }, limits = getTransferLimits()) {
+    if (!Number.isFinite(amount) || amount < limits.minAmount) {
+        return 'The amount must be at least one cent.';
+    }
+    if (amount > limits.maxAmount) {
+        return `Transfers over ${formatCurrency(limits.maxAmount)} can't be made by phone.`;
+    }
+    if (roundCents(transferredToday + amount) > limits.dailyLimit) {
+        const remaining = Math.max(0, roundCents(limits.dailyLimit - transferredToday));
+        return `That would exceed the daily transfer limit of ${formatCurrency(limits.dailyLimit)}; ${formatCurrency(remaining)} remains today.`;
+    }
+
+    const fromType = ACCOUNT_TYPES[fromAccount.accountType];
+    if (!fromType || fromType.liability) {
+        return `Money can't be sent from ${getDisplayName(fromAccount)}.`;
+    }
+    if (toAccount && toAccount.id === fromAccount.id) {
+        return 'The source and destination accounts are the same.';
+    }
+    if (amount > fromAccount.availableBalance) {
+        return `${getDisplayName(fromAccount)} only has ${formatCurrency(Math.max(0, fromAccount.availableBalance))} available.`;
+    }
+    return null;
+}
+
+/**
+ * Sentence the agent reads back before asking the caller to confirm
+ * @param {object} params - { amount, fromAccount, toAccount?, payee?, memo? }
+ * @returns {string}
+ */
+function buildReadBack({ amount, fromAccount, toAccount, payee, memo }) {
+    const source = `your ${getDisplayName(fromAccount)} ending ${fromAccount.accountNumber.slice(-4)}`;
+    const destination = toAccount
+        ? `your ${getDisplayName(toAccount)} ending ${toAccount.accountNumber.slice(-4)}`
+        : `${payee.name}${payee.nickname ? ` (${payee.nickname})` : ''}`;
+    const note = memo ? ` with the note "${memo}"` : '';
+    return `To confirm: you'd like to send ${formatCurrency(amount)} from ${source} to ${destination}${note}. Shall I go ahead?`;
+}
+
+/**
+ * Build the postings and transaction rows for executing a transfer
+ * @param {object} transfer - Transfer row ({ transferId, transferType, fromAccountId, toAccountId, amount, memo })
+ * @param {object} params
+ * @param {number} params.clearingAccountId - Counterparty for payee payments
+ * @param {object} params.labels - { from, to } account numbers, or the payee name as `to`, for descriptions
+ * @param {string} [params.postedAt] - ISO timestamp (default: now)
+ * @returns {object} - { postings, transactions: [{ accountId, transactionId, description, amount, ... }] }
+ */
+function buildTransferEntries(transfer, { clearingAccountId, labels, postedAt = new Date().toISOString() }) {
+    const amount = roundCents(transfer.amount);
+    const internal = transfer.transferType === TRANSFER_TYPES.INTERNAL;
+    const counterpartyId = internal ? transfer.toAccountId : clearingAccountId;
+
+    const postings = [
+        { accountId: transfer.fromAccountId, amount: -amount },
+        { accountId: counterpartyId, amount }
+    ];
+    validateJournal(postings);
+
+    const entry = (accountId, suffix, signedAmount, description) => ({
+        accountId,
+        transactionId: `${transfer.transferId}-${suffix}`,
+        description,
+        amount: signedAmount,
+        transactionType: signedAmount < 0 ? 'debit' : 'credit',
+        merchant: internal ? null : labels.to,
+        category: 'Transfer',
+        status: POSTING_STATUS.POSTED,
+        transactionDate: postedAt
+    });
+
+    const memo = transfer.memo ? ` - ${transfer.memo}` : '';
+    const transactions = internal
+        ? [
+            entry(transfer.fromAccountId, 'OUT', -amount, `Transfer to ${labels.to}${memo}`),
+            entry(transfer.toAccountId, 'IN', amount, `Transfer from ${labels.from}${memo}`)
+        ]
+        : [entry(transfer.fromAccountId, 'OUT', -amount, `Payment to ${labels.to}${memo}`)];
+
+    return { postings, transactions };
+}
+
+function formatCurrency(amount) {
+    return Number(amount).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+module.exports = {
+    TRANSFER_STATUS,
+    TRANSFER_TYPES,
+    DEFAULT_PAYEES,
+    buildDefaultPayees,
+    getTransferLimits,
+    resolveAccount,
+    resolvePayee,
+    checkTransferAllowed,
+    buildReadBack,
+    buildTransferEntries,
+    formatCurrency
+};
@@ -1,37 +1,99 @@
-const SQLiteManager = require('./databaseManager');
-const PostgreSQLManager = require('./PostgresManager');
+const FinTechRepository = require('./FinTechRepository');
 
 // Singleton instance
 let sharedInstance = null;
 
+// Registered drivers, checked in registration order. Each entry is { name, matches(url), create(url) }
+const drivers = [];
+const DEFAULT_DRIVER = 'sqlite';
+
 class DatabaseFactory {
+    /**
+     * Register a database driver
+     * Drivers are required lazily in create() so e.g. memory:// works without native sqlite3
+     * @param {string} name - Driver name (e.g. 'postgres')
+     * @param {object} driver - { matches: (url) => boolean, create: (url) => manager } (matches is optional for the default driver)
+     */
+    static registerDriver(name, { matches, create }) {
+        const existingIndex = drivers.findIndex(driver => driver.name === name);
+        const entry = { name, matches, create };
+
+        if (existingIndex !== -1) {
+            drivers[existingIndex] = entry;
+        } else {
+            drivers.push(entry);
+        }
+    }
+
+    /**
+     * Names of all registered drivers
+     * @returns {string[]}
+     */
+    static getDriverNames() {
+        return drivers.map(driver => driver.name);
+    }
+
+    /**
+     * Pick the driver for a DATABASE_URL, falling back to SQLite
+     * @param {string} [databaseUrl] - Connection URL
+     * @returns {object} - Registered driver entry
+     */
+    static resolveDriver(databaseUrl) {
+        if (databaseUrl) {
+            const match = drivers.find(driver => driver.matches && driver.matches(databaseUrl));
+            if (match) {
+                return match;
+            }
+        }
+        return drivers.find(driver => driver.name === DEFAULT_DRIVER);
+    }
+
     static create() {
         // Return the shared instance if it already exists
         if (sharedInstance) {
             return sharedInstance;
         }
-        
+
         const databaseUrl = process.env.DATABASE_URL;
-        const environment = process.env.NODE_ENV || 'development';
-        
-        console.log('🔍 DatabaseFactory Debug:');
-        console.log('   DATABASE_URL exists:', !!databaseUrl);
-        console.log('   DATABASE_URL value:', databaseUrl ? databaseUrl.substring(0, 20) + '...' : 'undefined');
-        console.log('   DATABASE_URL contains postgres:', databaseUrl ? databaseUrl.includes('postgres') : 'N/A');
-        console.log('   NODE_ENV:', environment);
-        console.log('   Production check:', environment === 'production');
-        console.log('   All env vars count:', Object.keys(process.env).length);
-        
-        if (databaseUrl && databaseUrl.includes('postgres')) {
-            console.log('🐘 Using PostgreSQL database');
-            sharedInstance = new PostgreSQLManager(databaseUrl);
-        } else {
-            console.log('🗂️  Using SQLite for development environment');
-            sharedInstance = SQLiteManager;
-        }
-        
+        const driver = DatabaseFactory.resolveDriver(databaseUrl);
+
+        // Consumers only ever see the repository, which returns one canonical row shape
+        sharedInstance = new FinTechRepository(driver.create(databaseUrl));
         return sharedInstance;
     }
+
+    /**
+     * Forget the shared instance so the next create() re-reads the environment (for tests)
+     */
+    static reset() {
+        sharedInstance = null;
+    }
 }
 
+DatabaseFactory.registerDriver('postgres', {
+    matches: (url) => url.includes('postgres'),
+    create: (url) => {
+        console.log('🐘 Using PostgreSQL database');
+        const PostgreSQLManager = require('./PostgresManager');
+        return new PostgreSQLManager(url);
+    }
+});
+
+DatabaseFactory.registerDriver('memory', {
+    matches: (url) => url.startsWith('memory:'),
+    create: (url) => {
+        console.log('🧠 Using in-memory database');
+        const InMemoryFinTechManager = require('./MemoryManager');
+        return new InMemoryFinTechManager(InMemoryFinTechManager.parseUrl(url));
+    }
+});
+
+// Default driver - used when DATABASE_URL is unset or matches nothing else
+DatabaseFactory.registerDriver('sqlite', {
+    create: () => {
+        console.log('🗂️  Using SQLite for development environment');
+        return require('./databaseManager');
+    }
+});
+
 module.exports = DatabaseFactory;
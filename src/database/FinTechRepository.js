@@ -0,0 +1,513 @@
+const MigrationRunner = require('./MigrationRunner');
+const { roundCents } = require('./ledger');
+const {
+    pick,
+    toNumber,
+    mapUser,
+    mapLoanApplication,
+    mapLoanEvent,
+    mapLoanQuote,
+    mapTransaction,
+    mapAccount,
+    mapPosting,
+    mapAccountBalance,
+    mapPayee,
+    mapTransfer,
+    mapCard,
+    mapOfficer,
+    toOfficerRow,
+    mapCallLog,
+    serializeTranscript,
+    mapCallEvent,
+    toCallEventRow,
+    mapCallSession,
+    toCallSessionRow
+} = require('./rowMappers');
+
+/**
+ * FinTechRepository - Driver-independent data access for the demo
+ *
+ * Wraps a database manager (SQLite or PostgreSQL) and maps every row it returns
+ * into the canonical camelCase domain shape defined in rowMappers.js. Routes and
+ * voice handlers should only ever talk to this class, never to `db` or `pool`.
+ */
+class FinTechRepository {
+    constructor(driver) {
+        this.driver = driver;
+    }
+
+    /**
+     * Name of the underlying driver (for logging and health checks)
+     */
+    get driverName() {
+        return this.driver.constructor.name;
+    }
+
+    async initialize() {
+        return this.driver.initialize();
+    }
+
+    async close() {
+        return this.driver.close();
+    }
+
+    /**
+     * Connect without applying migrations or seeding (used by the migrate CLI)
+     */
+    async connect() {
+        return this.driver.connect();
+    }
+
+    /**
+     * @returns {MigrationRunner|null} - Runner bound to the active driver, or null if the
+     *   driver has no persistent schema (in-memory)
+     */
+    getMigrationRunner() {
+        if (typeof this.driver.withTransaction !== 'function') {
+            return null;
+        }
+        return new MigrationRunner(this.driver);
+    }
+
+    // ---- Users ----
+
+    /**
+     * Register a new demo user and generate their fake banking data
+     * @param {object} userData - Validated registration payload
+     * @returns {Promise<object>} - Registered user
+     */
+    async registerUser(userData) {
+        return mapUser(await this.driver.registerUser(userData));
+    }
+
+    /**
+     * @param {string} phoneNumber - E.164 phone number
+     * @returns {Promise<object|null>} - User or null if not registered
+     */
+    async getUserByPhone(phoneNumber) {
+        return mapUser(await this.driver.getUserByPhone(phoneNumber));
+    }
+
+    async getUserById(userId) {
+        return mapUser(await this.driver.getUserById(userId));
+    }
+
+    /**
+     * @returns {Promise<object[]>} - All users, newest registration first
+     */
+    async getAllUsers() {
+        const rows = await this.driver.getAllUsers();
+        return rows.map(mapUser);
+    }
+
+    async updateUserCallStats(phoneNumber) {
+        return this.driver.updateUserCallStats(phoneNumber);
+    }
+
+    // ---- Loans ----
+
+    async getUserLoanApplications(userId) {
+        const rows = await this.driver.getUserLoanApplications(userId);
+        return (rows || []).map(mapLoanApplication);
+    }
+
+    async getAllLoanApplications() {
+        const rows = await this.driver.getAllLoanApplications();
+        return rows.map(mapLoanApplication);
+    }
+
+    async getLoanApplication(loanId) {
+        return mapLoanApplication(await this.driver.getLoanApplication(loanId));
+    }
+
+    /**
+     * @returns {Promise<object[]>} - Applications that can still move on (see loans.OPEN_LOAN_STATUSES)
+     */
+    async getOpenLoanApplications() {
+        const rows = await this.driver.getOpenLoanApplications();
+        return rows.map(mapLoanApplication);
+    }
+
+    /**
+     * @param {number} loanId - Loan application ID
+     * @returns {Promise<object[]>} - Its status history, oldest first
+     */
+    async getLoanEvents(loanId) {
+        const rows = await this.driver.getLoanEvents(loanId);
+        return rows.map(mapLoanEvent);
+    }
+
+    /**
+     * Insert an application together with its first events
+     * @param {object} loan - Application from loans.buildLoanApplication()
+     * @param {object[]} events - [{ eventType, fromStatus, toStatus, note, actor, createdAt }]
+     * @returns {Promise<object>} - The new application
+     */
+    async createLoanApplication(loan, events) {
+        return mapLoanApplication(await this.driver.createLoanApplication(loan, events));
+    }
+
+    /**
+     * Apply a status change atomically: update the application if it is still in fromStatus, record
+     * the event and, when funding, pay the loan into the customer's primary checking account
+     * @param {number} loanId - Loan application ID
+     * @param {string} fromStatus - Status the change was decided from
+     * @param {object} changes - Columns to update (see loans.LOAN_MUTABLE_FIELDS)
+     * @param {object} event - Event to record
+     * @param {object} [disbursement] - Ledger transaction to post (funding only)
+     * @returns {Promise<object|null>} - Updated application, or null if its status had already changed
+     */
+    async transitionLoan(loanId, fromStatus, changes, event, disbursement = null) {
+        return mapLoanApplication(await this.driver.transitionLoan(loanId, fromStatus, changes, event, disbursement));
+    }
+
+    /**
+     * @param {object} quote - Quote from prequalification.prequalify() with its userId
+     * @returns {Promise<object>} - The stored quote
+     */
+    async createLoanQuote(quote) {
+        return mapLoanQuote(await this.driver.createLoanQuote(quote));
+    }
+
+    async getLoanQuote(quoteId) {
+        return mapLoanQuote(await this.driver.getLoanQuote(quoteId));
+    }
+
+    /**
+     * @param {number} userId - User ID
+     * @param {number} [limit] - Most recent quotes to return
+     * @returns {Promise<object[]>} - Newest first
+     */
+    async getUserLoanQuotes(userId, limit = 5) {
+        const rows = await this.driver.getUserLoanQuotes(userId, limit);
+        return rows.map(mapLoanQuote);
+    }
+
+    // ---- Transactions ----
+
+    async getUserTransactions(userId, limit = 10) {
+        const rows = await this.driver.getUserTransactions(userId, limit);
+        return (rows || []).map(mapTransaction);
+    }
+
+    /**
+     * Search a user's transactions
+     * @param {number} userId - User ID
+     * @param {object} query - Normalized query (see banking/transactionSearch.normalizeTransactionQuery)
+     * @returns {Promise<object>} - { transactions (one page), total, debitTotal, creditTotal } - totals cover every match
+     */
+    async searchTransactions(userId, query) {
+        const result = await this.driver.searchTransactions(userId, query);
+        return {
+            transactions: result.rows.map(mapTransaction),
+            total: toNumber(result.total) || 0,
+            debitTotal: roundCents(result.debitTotal || 0),
+            creditTotal: roundCents(result.creditTotal || 0)
+        };
+    }
+
+    async getRecentTransactions(limit = 50) {
+        const rows = await this.driver.getRecentTransactions(limit);
+        return rows.map(mapTransaction);
+    }
+
+    // ---- Accounts ----
+
+    /**
+     * @param {number} userId - User ID
+     * @returns {Promise<object[]>} - Accounts with ledger/available balances, primary checking first
+     */
+    async getUserAccounts(userId) {
+        const rows = await this.driver.getUserAccounts(userId);
+        return rows.map(mapAccount);
+    }
+
+    async getAccountTransactions(accountNumber, limit = 10) {
+        const rows = await this.driver.getAccountTransactions(accountNumber, limit);
+        return rows.map(mapTransaction);
+    }
+
+    // ---- Ledger ----
+
+    /**
+     * Post a transaction to one of the user's accounts as a balanced journal
+     * @param {number} userId - User ID
+     * @param {object} transaction - { accountNumber (default: primary checking), description, amount (signed, debits negative),
+     *   merchant, category, status, transactionDate }
+     * @returns {Promise<object>} - Created transaction
+     */
+    async postTransaction(userId, transaction) {
+        return mapTransaction(await this.driver.postTransaction(userId, transaction));
+    }
+
+    /**
+     * Move a pending transaction's postings to posted
+     * @param {string} transactionId - Transaction / journal ID
+     * @returns {Promise<object|null>} - Settled transaction, or null if nothing was pending
+     */
+    async settleTransaction(transactionId) {
+        return mapTransaction(await this.driver.settleTransaction(transactionId));
+    }
+
+    /**
+     * @param {string} accountNumber - Account number
+     * @returns {Promise<object|null>} - { accountNumber, ledgerBalance, availableBalance, pendingDebits }
+     */
+    async getAccountBalance(accountNumber) {
+        return mapAccountBalance(await this.driver.getAccountBalance(accountNumber));
+    }
+
+    async getAccountPostings(accountNumber, limit = 50) {
+        const rows = await this.driver.getAccountPostings(accountNumber, limit);
+        return rows.map(mapPosting);
+    }
+
+    // ---- Payees & transfers ----
+
+    async getUserPayees(userId) {
+        const rows = await this.driver.getUserPayees(userId);
+        return rows.map(mapPayee);
+    }
+
+    /**
+     * Create a transfer awaiting confirmation
+     * @param {object} transfer - { transferId, userId, idempotencyKey, transferType, fromAccountId, toAccountId, payeeId,
+     *   amount, memo, status, readBack, createdAt, expiresAt }
+     * @returns {Promise<object>} - The new transfer, or the existing one if the idempotency key was already used
+     */
+    async createTransfer(transfer) {
+        return mapTransfer(await this.driver.createTransfer(transfer));
+    }
+
+    async getTransfer(transferId) {
+        return mapTransfer(await this.driver.getTransfer(transferId));
+    }
+
+    async getTransferByIdempotencyKey(userId, idempotencyKey) {
+        return mapTransfer(await this.driver.getTransferByIdempotencyKey(userId, idempotencyKey));
+    }
+
+    async getCompletedTransferTotal(userId, since) {
+        return Number(await this.driver.getCompletedTransferTotal(userId, since)) || 0;
+    }
+
+    async updateTransferStatus(transferId, fromStatus, toStatus) {
+        return this.driver.updateTransferStatus(transferId, fromStatus, toStatus);
+    }
+
+    /**
+     * Execute a confirmed transfer atomically (status change + ledger postings)
+     * @param {string} transferId - Transfer ID
+     * @param {object} labels - { from, to } shown in the transaction descriptions
+     * @returns {Promise<object|null>} - Completed transfer, or null if it was not awaiting confirmation
+     * @throws {Error} - 'Insufficient funds' if the source account can no longer cover it
+     */
+    async completeTransfer(transferId, labels) {
+        return mapTransfer(await this.driver.completeTransfer(transferId, labels));
+    }
+
+    // ---- Cards ----
+
+    async getUserCards(userId) {
+        const rows = await this.driver.getUserCards(userId);
+        return rows.map(mapCard);
+    }
+
+    async getCard(cardId) {
+        return mapCard(await this.driver.getCard(cardId));
+    }
+
+    /**
+     * Move a card to a new status if it is still in one of the expected ones
+     * @param {number} cardId - Card ID
+     * @param {string[]} fromStatuses - Statuses the change is allowed from
+     * @param {string} toStatus - New status
+     * @returns {Promise<boolean>} - false if the card was no longer in any of fromStatuses
+     */
+    async updateCardStatus(cardId, fromStatuses, toStatus) {
+        return this.driver.updateCardStatus(cardId, fromStatuses, toStatus);
+    }
+
+    /**
+     * Close a card (lost cards keep their status) and issue its replacement atomically
+     * @param {number} cardId - Card being replaced
+     * @param {object} replacement - New card row from cards.buildCard()
+     * @param {string[]} fromStatuses - Statuses the old card may be replaced from
+     * @returns {Promise<object|null>} - The new card, or null if the old one can no longer be replaced
+     */
+    async replaceCard(cardId, replacement, fromStatuses) {
+        return mapCard(await this.driver.replaceCard(cardId, replacement, fromStatuses));
+    }
+
+    /**
+     * @param {number} userId - User ID
+     * @returns {Promise<object[]>} - Transactions flagged as suspected fraud, newest first
+     */
+    async getSuspiciousTransactions(userId) {
+        const rows = await this.driver.getSuspiciousTransactions(userId);
+        return rows.map(mapTransaction);
+    }
+
+    // ---- Officers ----
+
+    async getAllOfficers() {
+        const rows = await this.driver.getAllOfficers();
+        return rows.map(mapOfficer);
+    }
+
+    async getOfficerBySpecialization(specialization) {
+        return mapOfficer(await this.driver.getOfficerBySpecialization(specialization));
+    }
+
+    async getOfficer(officerId) {
+        return mapOfficer(await this.driver.getOfficer(officerId));
+    }
+
+    /**
+     * @param {object} officer - Officer from officers.normalizeOfficer()
+     * @returns {Promise<object>} - The new officer
+     */
+    async createOfficer(officer) {
+        return mapOfficer(await this.driver.createOfficer(toOfficerRow(officer)));
+    }
+
+    /**
+     * @param {number} officerId - Officer ID
+     * @param {object} officer - Complete officer from officers.normalizeOfficer()
+     * @returns {Promise<object|null>} - Updated officer, or null if there is none with that ID
+     */
+    async updateOfficer(officerId, officer) {
+        return mapOfficer(await this.driver.updateOfficer(officerId, toOfficerRow(officer)));
+    }
+
+    /**
+     * Record a call handed to an officer (also stamps their lastAssignedAt)
+     * @param {object} transfer - { officerId, callId, reason, skill, startedAt }
+     */
+    async startOfficerTransfer(transfer) {
+        return this.driver.startOfficerTransfer(transfer);
+    }
+
+    /**
+     * @param {string} callId - Call ID
+     * @param {string} endedAt - ISO timestamp
+     * @returns {Promise<number>} - Transfers that were still open
+     */
+    async endOfficerTransfers(callId, endedAt) {
+        return Number(await this.driver.endOfficerTransfers(callId, endedAt)) || 0;
+    }
+
+    /**
+     * @param {string} since - ISO timestamp; open transfers started earlier are treated as abandoned
+     * @returns {Promise<object>} - { [officerId]: transferred calls in progress }
+     */
+    async getOfficerLoads(since) {
+        const rows = await this.driver.getOfficerLoads(since);
+        return Object.fromEntries(rows.map(row => [toNumber(pick(row, 'officerId')), toNumber(pick(row, 'activeCalls'))]));
+    }
+
+    // ---- Call logs ----
+
+    async logCall(phoneNumber, scenario, duration = null, successful = true, transcript = null, callId = null) {
+        return this.driver.logCall(phoneNumber, scenario, duration, successful, serializeTranscript(transcript), callId);
+    }
+
+    async getCallLogs(phoneNumber = null, limit = 100) {
+        const rows = await this.driver.getCallLogs(phoneNumber, limit);
+        return rows.map(mapCallLog);
+    }
+
+    // The newest log of a call, or null
+    async getCallLog(callId) {
+        return mapCallLog(await this.driver.getCallLog(callId));
+    }
+
+    /**
+     * Update the newest log of a call
+     * @param {string} callId - Infobip call ID the log was written with
+     * @param {object} changes - { callDuration?, successful?, outcome?, transcript? }; the rest keep their values
+     * @returns {Promise<boolean>} - false if the call has no log
+     */
+    async updateCallLog(callId, changes) {
+        return (await this.driver.updateCallLog(callId, { ...changes, transcript: serializeTranscript(changes.transcript) })) > 0;
+    }
+
+    /**
+     * @param {object} event - { callId, dialogId?, eventType, details?, occurredAt } (see rowMappers.toCallEventRow)
+     * @returns {Promise<number>} - Event ID
+     */
+    async recordCallEvent(event) {
+        return toNumber(await this.driver.recordCallEvent(toCallEventRow(event)));
+    }
+
+    // Every webhook event recorded for a call, oldest first
+    async getCallEvents(callId) {
+        const rows = await this.driver.getCallEvents(callId);
+        return rows.map(mapCallEvent);
+    }
+
+    /**
+     * Which call a dialog belongs to, once its session is gone (e.g. for a recording that is ready after hangup)
+     * @param {string} dialogId - Infobip dialog ID
+     * @returns {Promise<string|null>}
+     */
+    async getCallIdForDialog(dialogId) {
+        return dialogId ? this.driver.getCallIdForDialog(dialogId) : null;
+    }
+
+    // ---- Call sessions ----
+
+    /**
+     * Store a call session, replacing any with the same callId
+     * @param {object} session - { callId, startTime, updatedAt, expiresAt, ... } (see rowMappers.toCallSessionRow)
+     * @returns {Promise<object>} - The stored session, at version 1
+     */
+    async saveCallSession(session) {
+        return mapCallSession(await this.driver.saveCallSession(toCallSessionRow(session)));
+    }
+
+    /**
+     * @param {string} callId - Call ID
+     * @param {string} now - ISO timestamp; expired sessions are not returned
+     * @returns {Promise<object|null>}
+     */
+    async getCallSession(callId, now) {
+        return mapCallSession(await this.driver.getCallSession(callId, now));
+    }
+
+    async getCallSessionByDialogId(dialogId, now) {
+        return mapCallSession(await this.driver.getCallSessionByDialogId(dialogId, now));
+    }
+
+    /**
+     * @param {string} now - ISO timestamp
+     * @returns {Promise<object[]>} - Unexpired sessions, oldest call first
+     */
+    async getActiveCallSessions(now) {
+        const rows = await this.driver.getActiveCallSessions(now);
+        return rows.map(mapCallSession);
+    }
+
+    /**
+     * Replace a session if nobody has changed it since it was read
+     * @param {object} session - Updated session, with the version it was read at
+     * @returns {Promise<boolean>} - false if the stored version has moved on (or the session is gone)
+     */
+    async updateCallSession(session) {
+        return this.driver.updateCallSession(session.callId, session.version, toCallSessionRow(session));
+    }
+
+    /**
+     * @param {string} callId - Call ID
+     * @returns {Promise<object|null>} - The removed session, or null if it was already gone
+     */
+    async deleteCallSession(callId) {
+        return mapCallSession(await this.driver.deleteCallSession(callId));
+    }
+
+    async deleteExpiredCallSessions(now) {
+        return Number(await this.driver.deleteExpiredCallSessions(now)) || 0;
+    }
+}
+
+module.exports = FinTechRepository;
@@ -0,0 +1,858 @@
+const { createSeededRandom } = require('../utils/seededRandom');
+const {
+    CLEARING_ACCOUNT_NUMBER,
+    POSTING_STATUS,
+    roundCents,
+    validateJournal,
+    buildTransactionPostings,
+    summarizeBalance
+} = require('./ledger');
+const { isValidAccountType, normalizeAccountRequest, planAccountOpening } = require('../banking/accounts');
+const { TRANSFER_STATUS, buildDefaultPayees, buildTransferEntries } = require('../banking/transfers');
+const { CARD_STATUS, buildRegistrationCards } = require('../banking/cards');
+const {
+    OPEN_LOAN_STATUSES,
+    LOAN_MUTABLE_FIELDS,
+    LOAN_OFFICER_SPECIALIZATION,
+    REGISTRATION_STATUSES,
+    buildRegistrationLoan
+} = require('../banking/loans');
+const { generateAccountHistory } = require('../banking/transactionGenerator');
+const { DEFAULT_OFFICERS, OFFICER_COLUMNS } = require('../banking/officers');
+const { toBoolean, toOfficerRow } = require('./rowMappers');
+const { matchesTransactionQuery, compareTransactions } = require('./transactionQuery');
+
+const DEFAULT_SEED = 'infobip-capital-demo';
+
+/**
+ * In-memory database driver
+ *
+ * Implements the same interface as the SQLite and PostgreSQL managers without touching
+ * disk or a database server, for jest tests and offline booth laptops. All generated data
+ * (account numbers, loans, transactions) comes from a seeded PRNG, so the same seed and
+ * the same sequence of calls always produce the same records.
+ *
+ * Select it with DATABASE_URL=memory:// (optionally memory://?seed=42).
+ */
+class InMemoryFinTechManager {
+    constructor(options = {}) {
+        this.dialect = 'memory';
+        this.seed = options.seed !== undefined ? options.seed : DEFAULT_SEED;
+        this.reset();
+    }
+
+    /**
+     * Parse driver options from a memory:// URL
+     * @param {string} url - e.g. memory://?seed=42
+     * @returns {object} - Options for the constructor
+     */
+    static parseUrl(url) {
+        const options = {};
+        const queryIndex = url.indexOf('?');
+        if (queryIndex !== -1) {
+            const params = new URLSearchParams(url.slice(queryIndex + 1));
+            if (params.has('seed')) {
+                options.seed = params.get('seed');
+            }
+        }
+        return options;
+    }
+
+    /**
+     * Drop all data and restart the PRNG from the configured seed
+     */
+    reset() {
+        this.random = createSeededRandom(this.seed);
+        this.tables = {
+            users: [],
+            loan_applications: [],
+            loan_events: [],
+            loan_quotes: [],
+            transactions: [],
+            officers: [],
+            officer_transfers: [],
+            call_logs: [],
+            call_events: [],
+            call_sessions: [],
+            accounts: [],
+            ledger_postings: [],
+            payees: [],
+            transfers: [],
+            cards: []
+        };
+        this.sequences = {};
+        this.connected = false;
+
+        this.clearingAccount = this.insert('accounts', {
+            userId: null,
+            accountNumber: CLEARING_ACCOUNT_NUMBER,
+            accountType: 'system',
+            name: 'External Clearing',
+            nickname: null,
+            currency: 'USD',
+            openedAt: new Date().toISOString()
+        });
+    }
+
+    nextId(table) {
+        this.sequences[table] = (this.sequences[table] || 0) + 1;
+        return this.sequences[table];
+    }
+
+    insert(table, row) {
+        const record = { id: this.nextId(table), ...row };
+        this.tables[table].push(record);
+        return record;
+    }
+
+    // Rows are copied on the way out so callers can't mutate stored state
+    clone(row) {
+        return row ? { ...row } : null;
+    }
+
+    async connect() {
+        this.connected = true;
+    }
+
+    async initialize() {
+        await this.connect();
+        await this.insertDefaultOfficers();
+        console.log(`🧠 In-memory database initialized (seed: ${this.seed})`);
+    }
+
+    // There is no persistent schema to migrate
+    async runMigrations() {
+        return [];
+    }
+
+    async insertDefaultOfficers() {
+        for (const officer of DEFAULT_OFFICERS) {
+            if (!this.tables.officers.some(existing => existing.name === officer.name)) {
+                this.insert('officers', { ...toOfficerRow(officer), lastAssignedAt: null });
+            }
+        }
+    }
+
+    // Register a new user from the web form
+    async registerUser(userData) {
+        const {
+            phoneNumber,
+            name,
+            companyName,
+            fakeAccountBalance,
+            loanApplicationStatus,
+            fraudScenario,
+            persona,
+            accounts = []
+        } = userData;
+
+        if (this.tables.users.some(user => user.phoneNumber === phoneNumber)) {
+            throw new Error('Phone number already registered');
+        }
+
+        // Validate up front - there is no transaction to roll back a half-registered user
+        const invalidAccount = accounts.find(request => !isValidAccountType(request.type));
+        if (invalidAccount) {
+            throw new Error(`Unknown account type: ${invalidAccount.type}`);
+        }
+
+        const user = this.insert('users', {
+            phoneNumber,
+            name,
+            companyName,
+            fakeAccountBalance: Number(fakeAccountBalance),
+            fakeAccountNumber: this.generateAccountNumber(),
+            loanApplicationStatus,
+            fraudScenario: toBoolean(fraudScenario),
+            registeredAt: new Date().toISOString(),
+            lastCallAt: null,
+            callCount: 0
+        });
+
+        // Open the checking account the ledger derives the balance from
+        const account = this.insert('accounts', {
+            userId: user.id,
+            accountNumber: user.fakeAccountNumber,
+            accountType: 'checking',
+            name: 'Primary Checking',
+            nickname: null,
+            currency: 'USD',
+            openedAt: user.registeredAt
+        });
+
+        // Start the loan application chosen on the form part-way through its lifecycle
+        await this.createRegistrationLoan(user.id, loanApplicationStatus);
+
+        await this.generateFakeTransactions(user.id, account.id, Number(fakeAccountBalance), {
+            persona,
+            fraudScenario: user.fraudScenario
+        });
+
+        // Additional products (savings, credit card, loan...) chosen at registration
+        for (const request of accounts) {
+            this.openAccount(user.id, request);
+        }
+
+        for (const payee of buildDefaultPayees(user.id)) {
+            this.insert('payees', { userId: user.id, ...payee, createdAt: user.registeredAt });
+        }
+
+        // Suspected-fraud charges on the primary account were made with the debit card
+        const cards = buildRegistrationCards(user, await this.getUserAccounts(user.id), this.random)
+            .map(card => this.insert('cards', card));
+        if (cards.length > 0) {
+            this.tables.transactions
+                .filter(tx => tx.accountId === account.id && tx.suspectedFraud && !tx.cardId)
+                .forEach(tx => { tx.cardId = cards[0].id; });
+        }
+
+        return this.getUserByPhone(phoneNumber);
+    }
+
+    // Copy a user row with its primary account's ledger totals, like the SQL drivers' USER_COLUMNS
+    withLedgerBalance(user) {
+        if (!user) return null;
+        const { postedTotal, pendingDebits } = this.accountTotals(user.fakeAccountNumber);
+        return { ...user, ledgerBalance: postedTotal, pendingDebits };
+    }
+
+    async getUserByPhone(phoneNumber) {
+        return this.withLedgerBalance(this.tables.users.find(user => user.phoneNumber === phoneNumber));
+    }
+
+    async getUserById(userId) {
+        return this.withLedgerBalance(this.tables.users.find(user => user.id === userId));
+    }
+
+    async getAllUsers() {
+        return this.tables.users
+            .slice()
+            .sort((a, b) => b.registeredAt.localeCompare(a.registeredAt) || b.id - a.id)
+            .map(row => this.withLedgerBalance(row));
+    }
+
+    async getUserLoanApplications(userId) {
+        return this.tables.loan_applications
+            .filter(loan => loan.userId === userId)
+            .sort((a, b) => b.appliedAt.localeCompare(a.appliedAt) || b.id - a.id)
+            .map(row => this.clone(row));
+    }
+
+    async getAllLoanApplications() {
+        return this.tables.loan_applications
+            .slice()
+            .sort((a, b) => b.appliedAt.localeCompare(a.appliedAt) || b.id - a.id)
+            .map(row => this.clone(row));
+    }
+
+    sortTransactions(transactions) {
+        return transactions
+            .slice()
+            .sort((a, b) => b.transactionDate.localeCompare(a.transactionDate) || b.id - a.id);
+    }
+
+    async getUserTransactions(userId, limit = 10) {
+        return this.sortTransactions(this.tables.transactions.filter(tx => tx.userId === userId))
+            .slice(0, limit)
+            .map(row => this.clone(row));
+    }
+
+    async getRecentTransactions(limit = 50) {
+        return this.sortTransactions(this.tables.transactions)
+            .slice(0, limit)
+            .map(row => this.clone(row));
+    }
+
+    // Generate the account's history (see banking/transactionGenerator) and post it to the ledger
+    async generateFakeTransactions(userId, accountId, targetBalance, options = {}) {
+        return generateAccountHistory(targetBalance, { ...options, random: this.random })
+            .map(transaction => this.insertLedgerTransaction(userId, accountId, transaction));
+    }
+
+    // ---- Loans ----
+
+    // Create the application chosen on the registration form, if any
+    async createRegistrationLoan(userId, registrationStatus) {
+        if (!REGISTRATION_STATUSES[registrationStatus]) {
+            return null; // 'None'
+        }
+        const officer = await this.getOfficerBySpecialization(LOAN_OFFICER_SPECIALIZATION);
+        const application = buildRegistrationLoan(registrationStatus, {
+            userId,
+            assignedOfficer: officer ? officer.name : null
+        }, this.random);
+        return this.insertLoanApplication(application.loan, application.events).id;
+    }
+
+    insertLoanApplication(loan, events) {
+        const record = this.insert('loan_applications', { ...loan });
+        for (const event of events) {
+            this.insert('loan_events', { loanId: record.id, ...event });
+        }
+        return record;
+    }
+
+    async createLoanApplication(loan, events) {
+        return this.clone(this.insertLoanApplication(loan, events));
+    }
+
+    async getLoanApplication(loanId) {
+        return this.clone(this.tables.loan_applications.find(loan => loan.id === Number(loanId)));
+    }
+
+    async getOpenLoanApplications() {
+        return this.tables.loan_applications
+            .filter(loan => OPEN_LOAN_STATUSES.includes(loan.status))
+            .map(row => this.clone(row));
+    }
+
+    async getLoanEvents(loanId) {
+        return this.tables.loan_events
+            .filter(event => event.loanId === Number(loanId))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id - b.id)
+            .map(row => this.clone(row));
+    }
+
+    // Apply a status change if the application is still in fromStatus: the update, its event and,
+    // when funding, the disbursement into primary checking. Null if the status moved on.
+    async transitionLoan(loanId, fromStatus, changes, event, disbursement = null) {
+        const loan = this.tables.loan_applications.find(row => row.id === Number(loanId) && row.status === fromStatus);
+        if (!loan) {
+            return null;
+        }
+
+        for (const column of LOAN_MUTABLE_FIELDS) {
+            if (changes[column] !== undefined) {
+                loan[column] = changes[column];
+            }
+        }
+        if (disbursement) {
+            const user = this.tables.users.find(row => row.id === loan.userId);
+            const account = this.tables.accounts.find(row => row.accountNumber === user.fakeAccountNumber);
+            loan.disbursementTransactionId = this.insertLedgerTransaction(loan.userId, account.id, disbursement).transactionId;
+        }
+        this.insert('loan_events', { loanId: loan.id, ...event });
+        return this.clone(loan);
+    }
+
+    async createLoanQuote(quote) {
+        return this.clone(this.insert('loan_quotes', { ...quote }));
+    }
+
+    async getLoanQuote(quoteId) {
+        return this.clone(this.tables.loan_quotes.find(quote => quote.id === Number(quoteId)));
+    }
+
+    // A customer's quotes, newest first
+    async getUserLoanQuotes(userId, limit) {
+        return this.tables.loan_quotes
+            .filter(quote => quote.userId === userId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id)
+            .slice(0, limit)
+            .map(row => this.clone(row));
+    }
+
+    // ---- Ledger ----
+
+    // Open an additional account with its generated history
+    openAccount(userId, request) {
+        const normalized = normalizeAccountRequest(request, this.random);
+        const account = this.insert('accounts', {
+            userId,
+            accountNumber: this.generateAccountNumber(),
+            accountType: normalized.type,
+            name: normalized.name,
+            nickname: normalized.nickname,
+            currency: 'USD',
+            openedAt: new Date().toISOString()
+        });
+
+        for (const transaction of planAccountOpening(normalized, this.random)) {
+            this.insertLedgerTransaction(userId, account.id, transaction);
+        }
+
+        return account.id;
+    }
+
+    // All of a user's accounts with their ledger totals, primary checking first
+    async getUserAccounts(userId) {
+        const user = this.tables.users.find(row => row.id === userId);
+        return this.tables.accounts
+            .filter(account => account.userId === userId)
+            .sort((a, b) => (b.accountNumber === user.fakeAccountNumber) - (a.accountNumber === user.fakeAccountNumber) || a.id - b.id)
+            .map(account => {
+                const { postedTotal, pendingDebits } = this.accountTotals(account.accountNumber);
+                return { ...account, postedTotal, pendingDebits };
+            });
+    }
+
+    // Transactions posted to a single account, newest first
+    async getAccountTransactions(accountNumber, limit = 10) {
+        const account = this.tables.accounts.find(row => row.accountNumber === accountNumber);
+        if (!account) return [];
+        return this.sortTransactions(this.tables.transactions.filter(tx => tx.accountId === account.id))
+            .slice(0, limit)
+            .map(row => this.clone(row));
+    }
+
+    async searchTransactions(userId, query) {
+        const matches = this.tables.transactions
+            .filter(tx => matchesTransactionQuery(tx, userId, query))
+            .sort(compareTransactions(query.sort));
+        const sum = (predicate) => roundCents(matches.filter(predicate).reduce((total, tx) => total + tx.amount, 0));
+        return {
+            rows: matches.slice(query.offset, query.offset + query.limit).map(row => this.clone(row)),
+            total: matches.length,
+            debitTotal: sum(tx => tx.amount < 0),
+            creditTotal: sum(tx => tx.amount > 0)
+        };
+    }
+
+    generateTransactionId() {
+        return `TXN${this.random.string(12).toUpperCase()}`;
+    }
+
+    // Insert a transaction row and its balanced postings
+    insertLedgerTransaction(userId, accountId, transaction) {
+        const status = transaction.status || POSTING_STATUS.POSTED;
+        const amount = roundCents(transaction.amount);
+        const row = this.insert('transactions', {
+            userId,
+            accountId,
+            transactionId: transaction.transactionId || this.generateTransactionId(),
+            description: transaction.description,
+            amount,
+            transactionType: transaction.transactionType || (amount < 0 ? 'debit' : 'credit'),
+            merchant: transaction.merchant || null,
+            category: transaction.category || null,
+            status,
+            transactionDate: transaction.transactionDate || new Date().toISOString(),
+            cardId: transaction.cardId || null,
+            suspectedFraud: Boolean(transaction.suspectedFraud)
+        });
+
+        const postings = buildTransactionPostings({
+            customerAccountId: accountId,
+            clearingAccountId: this.clearingAccount.id,
+            amount
+        });
+        this.insertPostings(row.transactionId, postings, status, row.description, row.transactionDate);
+
+        return this.clone(row);
+    }
+
+    // Insert a balanced journal, tracking the running balance on customer accounts
+    insertPostings(journalId, postings, status, description, postedAt) {
+        validateJournal(postings);
+
+        for (const posting of postings) {
+            let balanceAfter = null;
+            if (status === POSTING_STATUS.POSTED && posting.accountId !== this.clearingAccount.id) {
+                const postedTotal = this.tables.ledger_postings
+                    .filter(p => p.accountId === posting.accountId && p.status === POSTING_STATUS.POSTED)
+                    .reduce((sum, p) => sum + p.amount, 0);
+                balanceAfter = roundCents(postedTotal + posting.amount);
+            }
+
+            this.insert('ledger_postings', {
+                journalId,
+                accountId: posting.accountId,
+                amount: posting.amount,
+                balanceAfter,
+                status,
+                description,
+                postedAt
+            });
+        }
+    }
+
+    // Post a new transaction to one of a user's accounts (transaction.accountNumber, default: primary)
+    async postTransaction(userId, transaction) {
+        const user = this.tables.users.find(row => row.id === userId);
+        const accountNumber = transaction.accountNumber || (user && user.fakeAccountNumber);
+        const account = this.tables.accounts.find(row => row.accountNumber === accountNumber && row.userId === userId);
+        if (!account) {
+            throw new Error(`No ledger account found for user ${userId}`);
+        }
+        return this.insertLedgerTransaction(userId, account.id, transaction);
+    }
+
+    // Settle a pending transaction so it counts towards the ledger balance
+    async settleTransaction(transactionId) {
+        const pending = this.tables.ledger_postings
+            .filter(p => p.journalId === transactionId && p.status === POSTING_STATUS.PENDING);
+        if (pending.length === 0) {
+            return null;
+        }
+
+        this.tables.ledger_postings = this.tables.ledger_postings.filter(p => !pending.includes(p));
+        this.insertPostings(
+            transactionId,
+            pending.map(p => ({ accountId: p.accountId, amount: p.amount })),
+            POSTING_STATUS.POSTED,
+            pending[0].description,
+            new Date().toISOString()
+        );
+
+        const transaction = this.tables.transactions.find(row => row.transactionId === transactionId);
+        transaction.status = POSTING_STATUS.POSTED;
+        return this.clone(transaction);
+    }
+
+    // Posted and pending totals for an account (see ledger.summarizeBalance)
+    accountTotals(accountNumber) {
+        const account = this.tables.accounts.find(row => row.accountNumber === accountNumber);
+        const postings = account ? this.tables.ledger_postings.filter(p => p.accountId === account.id) : [];
+        const { ledgerBalance, pendingDebits } = summarizeBalance(
+            postings.filter(p => p.status === POSTING_STATUS.POSTED).reduce((sum, p) => sum + p.amount, 0),
+            postings.filter(p => p.status === POSTING_STATUS.PENDING && p.amount < 0).reduce((sum, p) => sum + p.amount, 0)
+        );
+        return { account, postedTotal: ledgerBalance, pendingDebits };
+    }
+
+    async getAccountBalance(accountNumber) {
+        const { account, postedTotal, pendingDebits } = this.accountTotals(accountNumber);
+        return account ? { accountNumber, postedTotal, pendingDebits } : null;
+    }
+
+    async getAccountPostings(accountNumber, limit = 50) {
+        const account = this.tables.accounts.find(row => row.accountNumber === accountNumber);
+        if (!account) return [];
+        return this.tables.ledger_postings
+            .filter(p => p.accountId === account.id)
+            .sort((a, b) => b.postedAt.localeCompare(a.postedAt) || b.id - a.id)
+            .slice(0, limit)
+            .map(row => this.clone(row));
+    }
+
+    // ---- Payees & transfers ----
+
+    async getUserPayees(userId) {
+        return this.tables.payees.filter(payee => payee.userId === userId).map(row => this.clone(row));
+    }
+
+    // Create a transfer awaiting confirmation; a reused idempotency key returns the original transfer
+    async createTransfer(transfer) {
+        const existing = await this.getTransferByIdempotencyKey(transfer.userId, transfer.idempotencyKey);
+        if (existing) {
+            return existing;
+        }
+        return this.clone(this.insert('transfers', {
+            toAccountId: null,
+            payeeId: null,
+            memo: null,
+            completedAt: null,
+            ...transfer
+        }));
+    }
+
+    async getTransfer(transferId) {
+        return this.clone(this.tables.transfers.find(row => row.transferId === transferId));
+    }
+
+    async getTransferByIdempotencyKey(userId, idempotencyKey) {
+        return this.clone(this.tables.transfers.find(row => row.userId === userId && row.idempotencyKey === idempotencyKey));
+    }
+
+    // Total of transfers completed since the given ISO timestamp (for the daily limit)
+    async getCompletedTransferTotal(userId, since) {
+        return roundCents(this.tables.transfers
+            .filter(row => row.userId === userId && row.status === TRANSFER_STATUS.COMPLETED && row.completedAt >= since)
+            .reduce((sum, row) => sum + row.amount, 0));
+    }
+
+    // Move a transfer between statuses; false if it was no longer in fromStatus
+    async updateTransferStatus(transferId, fromStatus, toStatus) {
+        const transfer = this.tables.transfers.find(row => row.transferId === transferId && row.status === fromStatus);
+        if (!transfer) return false;
+        transfer.status = toStatus;
+        return true;
+    }
+
+    // Execute a confirmed transfer: post its journal and mark it completed.
+    // Returns null if the transfer was no longer awaiting confirmation (already executed, cancelled...).
+    async completeTransfer(transferId, labels) {
+        const transfer = this.tables.transfers
+            .find(row => row.transferId === transferId && row.status === TRANSFER_STATUS.PENDING_CONFIRMATION);
+        if (!transfer) {
+            return null;
+        }
+
+        const available = this.tables.ledger_postings
+            .filter(p => p.accountId === transfer.fromAccountId && (p.status === POSTING_STATUS.POSTED || p.amount < 0))
+            .reduce((sum, p) => sum + p.amount, 0);
+        if (roundCents(available) < transfer.amount) {
+            throw new Error('Insufficient funds');
+        }
+
+        const completedAt = new Date().toISOString();
+        const { postings, transactions } = buildTransferEntries(transfer, {
+            clearingAccountId: this.clearingAccount.id,
+            labels,
+            postedAt: completedAt
+        });
+        for (const transaction of transactions) {
+            this.insert('transactions', {
+                userId: transfer.userId,
+                accountId: transaction.accountId,
+                transactionId: transaction.transactionId,
+                description: transaction.description,
+                amount: transaction.amount,
+                transactionType: transaction.transactionType,
+                merchant: transaction.merchant,
+                category: transaction.category,
+                status: transaction.status,
+                transactionDate: transaction.transactionDate,
+                cardId: null,
+                suspectedFraud: false
+            });
+        }
+        this.insertPostings(transferId, postings, POSTING_STATUS.POSTED, transactions[0].description, completedAt);
+
+        transfer.status = TRANSFER_STATUS.COMPLETED;
+        transfer.completedAt = completedAt;
+        return this.clone(transfer);
+    }
+
+    // ---- Cards ----
+
+    async getUserCards(userId) {
+        return this.tables.cards.filter(card => card.userId === userId).map(row => this.clone(row));
+    }
+
+    async getCard(cardId) {
+        return this.clone(this.tables.cards.find(card => card.id === Number(cardId)));
+    }
+
+    // Move a card to toStatus if it is still in one of fromStatuses; false otherwise
+    async updateCardStatus(cardId, fromStatuses, toStatus) {
+        const card = this.tables.cards.find(row => row.id === Number(cardId) && fromStatuses.includes(row.status));
+        if (!card) return false;
+        card.status = toStatus;
+        card.statusChangedAt = new Date().toISOString();
+        return true;
+    }
+
+    // Order a replacement: close the old card (lost cards stay lost) and issue the new one.
+    // Returns null if the card can no longer be replaced (closed, or a replacement already exists).
+    async replaceCard(cardId, replacement, fromStatuses) {
+        const card = this.tables.cards.find(row => row.id === Number(cardId) && fromStatuses.includes(row.status));
+        if (!card || this.tables.cards.some(row => row.replacesCardId === card.id)) {
+            return null;
+        }
+        if (card.status !== CARD_STATUS.LOST) {
+            card.status = CARD_STATUS.CLOSED;
+        }
+        card.statusChangedAt = new Date().toISOString();
+        return this.clone(this.insert('cards', { ...replacement, replacesCardId: card.id }));
+    }
+
+    // Transactions flagged as suspected fraud, newest first
+    async getSuspiciousTransactions(userId) {
+        return this.sortTransactions(this.tables.transactions.filter(tx => tx.userId === userId && tx.suspectedFraud))
+            .map(row => this.clone(row));
+    }
+
+    // Update user's call statistics
+    async updateUserCallStats(phoneNumber) {
+        const user = this.tables.users.find(row => row.phoneNumber === phoneNumber);
+        if (!user) return 0;
+
+        user.lastCallAt = new Date().toISOString();
+        user.callCount += 1;
+        return 1;
+    }
+
+    // Log a call for analytics
+    async logCall(phoneNumber, scenario, duration = null, successful = true, transcript = null, callId = null) {
+        const log = this.insert('call_logs', {
+            phoneNumber,
+            scenario,
+            callDuration: duration,
+            successful,
+            transcript,
+            callId,
+            outcome: null,
+            calledAt: new Date().toISOString()
+        });
+        return log.id;
+    }
+
+    async getCallLogs(phoneNumber = null, limit = 100) {
+        return this.tables.call_logs
+            .filter(log => !phoneNumber || log.phoneNumber === phoneNumber)
+            .sort((a, b) => b.calledAt.localeCompare(a.calledAt) || b.id - a.id)
+            .slice(0, limit)
+            .map(row => this.clone(row));
+    }
+
+    // The newest log of a call
+    async getCallLog(callId) {
+        const logs = this.tables.call_logs.filter(log => log.callId === callId);
+        return logs.length ? this.clone(logs[logs.length - 1]) : null;
+    }
+
+    // Update the newest log of a call; fields left undefined keep their value. Resolves with the rows changed (0 or 1)
+    async updateCallLog(callId, changes) {
+        const logs = this.tables.call_logs.filter(log => log.callId === callId);
+        const log = logs[logs.length - 1];
+        if (!log) return 0;
+
+        for (const field of ['callDuration', 'successful', 'outcome', 'transcript']) {
+            if (changes[field] !== undefined && changes[field] !== null) {
+                log[field] = changes[field];
+            }
+        }
+        return 1;
+    }
+
+    async recordCallEvent(event) {
+        return this.insert('call_events', { ...event }).id;
+    }
+
+    async getCallEvents(callId) {
+        return this.tables.call_events
+            .filter(event => event.callId === callId)
+            .sort((a, b) => a.occurredAt.localeCompare(b.occurredAt) || a.id - b.id)
+            .map(row => this.clone(row));
+    }
+
+    // The call an earlier event of this dialog was recorded against
+    async getCallIdForDialog(dialogId) {
+        const event = this.tables.call_events.find(row => row.dialogId === dialogId);
+        return event ? event.callId : null;
+    }
+
+    // ---- Call sessions ----
+
+    // Insert or replace a session (see rowMappers.toCallSessionRow), starting again at version 1
+    async saveCallSession(row) {
+        this.tables.call_sessions = this.tables.call_sessions.filter(session => session.callId !== row.callId);
+        return this.clone(this.insert('call_sessions', { ...row, version: 1 }));
+    }
+
+    async getCallSession(callId, now) {
+        return this.clone(this.tables.call_sessions.find(session => session.callId === callId && session.expiresAt > now));
+    }
+
+    async getCallSessionByDialogId(dialogId, now) {
+        const matches = this.tables.call_sessions.filter(session => session.dialogId === dialogId && session.expiresAt > now);
+        return this.clone(matches[matches.length - 1]);
+    }
+
+    // Unexpired sessions, oldest call first
+    async getActiveCallSessions(now) {
+        return this.tables.call_sessions
+            .filter(session => session.expiresAt > now)
+            .sort((a, b) => a.startedAt.localeCompare(b.startedAt) || a.callId.localeCompare(b.callId))
+            .map(row => this.clone(row));
+    }
+
+    // Replace a session's contents if it is still at `version`; false if another writer got there first
+    async updateCallSession(callId, version, row) {
+        const session = this.tables.call_sessions.find(candidate => candidate.callId === callId && candidate.version === version);
+        if (!session) {
+            return false;
+        }
+        Object.assign(session, {
+            dialogId: row.dialogId,
+            status: row.status,
+            data: row.data,
+            version: version + 1,
+            updatedAt: row.updatedAt,
+            expiresAt: row.expiresAt
+        });
+        return true;
+    }
+
+    // Remove a session and return it, or null if it was already gone
+    async deleteCallSession(callId) {
+        const session = this.tables.call_sessions.find(candidate => candidate.callId === callId);
+        this.tables.call_sessions = this.tables.call_sessions.filter(candidate => candidate !== session);
+        return this.clone(session);
+    }
+
+    async deleteExpiredCallSessions(now) {
+        const before = this.tables.call_sessions.length;
+        this.tables.call_sessions = this.tables.call_sessions.filter(session => session.expiresAt > now);
+        return before - this.tables.call_sessions.length;
+    }
+
+    // Generate a fake account number
+    generateAccountNumber() {
+        let digits = '';
+        for (let i = 0; i < 12; i++) {
+            digits += this.random.int(0, 9);
+        }
+        return `ACC${digits}`;
+    }
+
+    async getAllOfficers() {
+        return this.tables.officers.map(row => this.clone(row));
+    }
+
+    // Get a random active officer with the skill (for assigning loan applications)
+    async getOfficerBySpecialization(specialization) {
+        const matches = this.tables.officers.filter(officer =>
+            officer.active && officer.skills.split(',').includes(specialization));
+        return matches.length > 0 ? this.clone(this.random.pick(matches)) : null;
+    }
+
+    async getOfficer(officerId) {
+        return this.clone(this.tables.officers.find(officer => officer.id === officerId));
+    }
+
+    // Add an officer (see rowMappers.toOfficerRow for the columns)
+    async createOfficer(row) {
+        const values = Object.fromEntries(OFFICER_COLUMNS.map(column => [column, row[column]]));
+        return this.clone(this.insert('officers', { ...values, lastAssignedAt: null }));
+    }
+
+    async updateOfficer(officerId, row) {
+        const officer = this.tables.officers.find(candidate => candidate.id === officerId);
+        if (!officer) {
+            return null;
+        }
+        for (const column of OFFICER_COLUMNS) {
+            if (row[column] !== undefined) {
+                officer[column] = row[column];
+            }
+        }
+        return this.clone(officer);
+    }
+
+    // Record a call handed to an officer and when they last got one (for load balancing)
+    async startOfficerTransfer(transfer) {
+        const record = this.insert('officer_transfers', { ...transfer, endedAt: null });
+        const officer = this.tables.officers.find(candidate => candidate.id === transfer.officerId);
+        if (officer) {
+            officer.lastAssignedAt = transfer.startedAt;
+        }
+        return this.clone(record);
+    }
+
+    // Close a call's open transfers; returns how many there were
+    async endOfficerTransfers(callId, endedAt) {
+        const open = this.tables.officer_transfers.filter(transfer => transfer.callId === callId && !transfer.endedAt);
+        open.forEach(transfer => { transfer.endedAt = endedAt; });
+        return open.length;
+    }
+
+    // Open transfers per officer, ignoring any started before `since`
+    async getOfficerLoads(since) {
+        const counts = new Map();
+        for (const transfer of this.tables.officer_transfers) {
+            if (!transfer.endedAt && transfer.startedAt >= since) {
+                counts.set(transfer.officerId, (counts.get(transfer.officerId) || 0) + 1);
+            }
+        }
+        return [...counts].map(([officerId, activeCalls]) => ({ officerId, activeCalls }));
+    }
+
+    async close() {
+        this.connected = false;
+        console.log('🧠 In-memory database closed');
+    }
+}
+
+module.exports = InMemoryFinTechManager;
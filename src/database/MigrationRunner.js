@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * MigrationRunner - Versioned schema migrations for the SQLite and PostgreSQL managers
+ *
+ * Migrations live in src/database/migrations as `NNN_description.js` files. Each exports:
+ *   - name: short description
+ *   - up / down: either `{ sqlite: [sql...], postgres: [sql...] }`
+ *                or an async function `(tx, dialect) => {}` for data migrations
+ *
+ * Applied versions are recorded in the `schema_migrations` table. Every migration runs
+ * inside its own transaction together with its bookkeeping row, so a failure leaves the
+ * database at the previous version.
+ *
+ * Drivers must expose `dialect`, `allRows(sql, params)` and `withTransaction(fn)`, where
+ * `fn` receives a transaction handle with `run(sql, params)` and `all(sql, params)`.
+ */
+class MigrationRunner {
+    constructor(driver, migrationsDir = DEFAULT_MIGRATIONS_DIR) {
+        this.driver = driver;
+        this.migrationsDir = migrationsDir;
+    }
+
+    get dialect() {
+        return this.driver.dialect;
+    }
+
+    /**
+     * Build a positional placeholder for the driver's dialect
+     * @param {number} index - 1-based parameter index
+     */
+    placeholder(index) {
+        return this.dialect === 'postgres' ? `$${index}` : '?';
+    }
+
+    /**
+     * Load migration definitions from disk, sorted by version
+     * @returns {object[]} - [{ version, name, up, down, file }]
+     */
+    loadMigrations() {
+        if (!fs.existsSync(this.migrationsDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.migrationsDir)
+            .filter(file => /^\d+_.+\.js$/.test(file))
+            .map(file => {
+                const definition = require(path.join(this.migrationsDir, file));
+                const version = parseInt(file.split('_')[0], 10);
+                return {
+                    version,
+                    name: definition.name || file.replace(/^\d+_|\.js$/g, ''),
+                    up: definition.up,
+                    down: definition.down,
+                    file
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+    }
+
+    async ensureMigrationsTable() {
+        // Same column names on both backends - this table is infrastructure, not domain data
+        const sql = this.dialect === 'postgres'
+            ? `CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(200) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`
+            : `CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`;
+
+        await this.driver.withTransaction(tx => tx.run(sql));
+    }
+
+    async getAppliedMigrations() {
+        await this.ensureMigrationsTable();
+        const rows = await this.driver.allRows(
+            'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+        );
+        return rows.map(row => ({
+            version: Number(row.version),
+            name: row.name,
+            appliedAt: row.applied_at
+        }));
+    }
+
+    /**
+     * Report which migrations are applied and which are pending
+     * @returns {Promise<object>} - { currentVersion, applied, pending }
+     */
+    async status() {
+        const migrations = this.loadMigrations();
+        const applied = await this.getAppliedMigrations();
+        const appliedVersions = new Set(applied.map(m => m.version));
+
+        return {
+            dialect: this.dialect,
+            currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            applied,
+            pending: migrations
+                .filter(m => !appliedVersions.has(m.version))
+                .map(({ version, name }) => ({ version, name }))
+        };
+    }
+
+    /**
+     * Apply pending migrations up to (and including) targetVersion
+     * @param {number} [targetVersion] - Stop after this version (default: latest)
+     * @returns {Promise<object[]>} - Migrations that were applied
+     */
+    async migrate(targetVersion = Infinity) {
+        const migrations = this.loadMigrations();
+        const applied = await this.getAppliedMigrations();
+        const appliedVersions = new Set(applied.map(m => m.version));
+
+        const pending = migrations.filter(m => !appliedVersions.has(m.version) && m.version <= targetVersion);
+        if (pending.length === 0) {
+            console.log(`[Migrations] Schema is up to date (${this.dialect})`);
+            return [];
+        }
+
+        for (const migration of pending) {
+            console.log(`[Migrations] ⬆️  Applying ${migration.file}`);
+            await this.driver.withTransaction(async (tx) => {
+                await this.execute(tx, migration, 'up');
+                await tx.run(
+                    `INSERT INTO schema_migrations (version, name) VALUES (${this.placeholder(1)}, ${this.placeholder(2)})`,
+                    [migration.version, migration.name]
+                );
+            });
+        }
+
+        console.log(`[Migrations] ✅ Applied ${pending.length} migration(s)`);
+        return pending.map(({ version, name }) => ({ version, name }));
+    }
+
+    /**
+     * Roll back the most recently applied migrations
+     * @param {number} steps - Number of migrations to roll back (a positive integer)
+     * @returns {Promise<object[]>} - Migrations that were rolled back
+     * @throws {Error} - If steps is not a positive integer (slice(-0) would roll back everything)
+     */
+    async rollback(steps = 1) {
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error(`Rollback steps must be a positive integer, got ${steps}`);
+        }
+
+        const migrations = this.loadMigrations();
+        const applied = await this.getAppliedMigrations();
+        const toRollBack = applied.slice(-steps).reverse();
+
+        for (const appliedMigration of toRollBack) {
+            const migration = migrations.find(m => m.version === appliedMigration.version);
+            if (!migration) {
+                throw new Error(`Migration file for version ${appliedMigration.version} not found`);
+            }
+
+            console.log(`[Migrations] ⬇️  Rolling back ${migration.file}`);
+            await this.driver.withTransaction(async (tx) => {
+                await this.execute(tx, migration, 'down');
+                await tx.run(
+                    `DELETE FROM schema_migrations WHERE version = ${this.placeholder(1)}`,
+                    [migration.version]
+                );
+            });
+        }
+
+        console.log(`[Migrations] ✅ Rolled back ${toRollBack.length} migration(s)`);
+        return toRollBack.map(({ version, name }) => ({ version, name }));
+    }
+
+    async execute(tx, migration, direction) {
+        const step = migration[direction];
+
+        if (typeof step === 'function') {
+            await step(tx, this.dialect);
+            return;
+        }
+
+        const statements = step && step[this.dialect];
+        if (!statements) {
+            throw new Error(`Migration ${migration.file} has no ${direction} step for ${this.dialect}`);
+        }
+
+        for (const sql of statements) {
+            await tx.run(sql);
+        }
+    }
+}
+
+module.exports = MigrationRunner;
@@ -1,18 +1,71 @@
 const { Client, Pool } = require('pg');
 const { randomUUID } = require('crypto');
+const MigrationRunner = require('./MigrationRunner');
+const {
+    CLEARING_ACCOUNT_NUMBER,
+    POSTING_STATUS,
+    roundCents,
+    generateTransactionId,
+    validateJournal,
+    buildTransactionPostings
+} = require('./ledger');
+const { normalizeAccountRequest, planAccountOpening } = require('../banking/accounts');
+const { TRANSFER_STATUS, buildDefaultPayees, buildTransferEntries } = require('../banking/transfers');
+const { CARD_STATUS, buildRegistrationCards } = require('../banking/cards');
+const {
+    OPEN_LOAN_STATUSES,
+    LOAN_MUTABLE_FIELDS,
+    LOAN_OFFICER_SPECIALIZATION,
+    REGISTRATION_STATUSES,
+    buildRegistrationLoan
+} = require('../banking/loans');
+const { generateAccountHistory } = require('../banking/transactionGenerator');
+const { DEFAULT_OFFICERS, OFFICER_COLUMNS } = require('../banking/officers');
+const { mapTransfer, toBoolean, toNumber, toOfficerRow } = require('./rowMappers');
+const { buildTransactionSearch } = require('./transactionQuery');
 
 // Fallback function for uuid generation
 function generateUUID() {
     return randomUUID();
 }
 
+// camelCase field -> snake_case column
+function toSnakeColumn(column) {
+    return column.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+// Users joined with their primary account's ledger totals - balances are never read from the users row
+const USER_COLUMNS = `u.*,
+    (SELECT COALESCE(SUM(p.amount), 0) FROM ledger_postings p JOIN accounts a ON a.id = p.account_id
+     WHERE a.account_number = u.fake_account_number AND p.status = 'posted') AS ledger_balance,
+    (SELECT COALESCE(SUM(p.amount), 0) FROM ledger_postings p JOIN accounts a ON a.id = p.account_id
+     WHERE a.account_number = u.fake_account_number AND p.status = 'pending' AND p.amount < 0) AS pending_debits`;
+
 class PostgreSQLFinTechManager {
     constructor(connectionString) {
         this.connectionString = connectionString;
         this.pool = null;
+        this.dialect = 'postgres';
+        this.clearingAccountId = null;
     }
 
     async initialize() {
+        await this.connect();
+        await this.runMigrations();
+
+        const client = await this.pool.connect();
+        try {
+            await this.insertDefaultOfficers(client);
+        } finally {
+            client.release();
+        }
+        console.log('✅ PostgreSQL database initialized successfully!');
+    }
+
+    // Create the pool and verify connectivity without touching the schema (used by the migrate CLI)
+    async connect() {
+        if (this.pool) return;
+
         console.log('🐘 Initializing PostgreSQL connection...');
 
         this.pool = new Pool({
@@ -24,9 +77,11 @@ class PostgreSQLFinTechManager {
         const client = await this.pool.connect();
         console.log('✅ Connected to PostgreSQL database');
         client.release();
+    }
 
-        await this.createTables();
-        console.log('✅ PostgreSQL database initialized successfully!');
+    // Apply any pending schema migrations
+    async runMigrations() {
+        return new MigrationRunner(this).migrate();
     }
 
     async testConnection() {
@@ -41,117 +96,16 @@ class PostgreSQLFinTechManager {
         }
     }
 
-    async createTables() {
-        const client = await this.pool.connect();
-        
-        try {
-            const tables = [
-                // Main users table with registration data
-                `CREATE TABLE IF NOT EXISTS users (
-                    id SERIAL PRIMARY KEY,
-                    phone_number VARCHAR(20) UNIQUE NOT NULL,
-                    name VARCHAR(100) NOT NULL,
-                    company_name VARCHAR(100) NOT NULL,
-                    fake_account_balance DECIMAL(12,2) NOT NULL,
-                    fake_account_number VARCHAR(50) UNIQUE NOT NULL,
-                    loan_application_status VARCHAR(50) NOT NULL,
-                    fraud_scenario BOOLEAN NOT NULL DEFAULT false,
-                    registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    last_call_at TIMESTAMP,
-                    call_count INTEGER DEFAULT 0
-                )`,
-
-                // Fake loan applications table
-                `CREATE TABLE IF NOT EXISTS loan_applications (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-                    loan_type VARCHAR(50) NOT NULL,
-                    loan_amount DECIMAL(12,2) NOT NULL,
-                    status VARCHAR(50) NOT NULL,
-                    next_step VARCHAR(200) NOT NULL,
-                    assigned_officer VARCHAR(100) NOT NULL,
-                    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )`,
-
-                // Fake transactions table
-                `CREATE TABLE IF NOT EXISTS transactions (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-                    transaction_id VARCHAR(50) UNIQUE NOT NULL,
-                    description VARCHAR(200) NOT NULL,
-                    amount DECIMAL(12,2) NOT NULL,
-                    transaction_type VARCHAR(10) NOT NULL,
-                    merchant VARCHAR(100),
-                    category VARCHAR(50),
-                    transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )`,
-
-                // Fake officers/agents table
-                `CREATE TABLE IF NOT EXISTS officers (
-                    id SERIAL PRIMARY KEY,
-                    name VARCHAR(100) NOT NULL,
-                    department VARCHAR(50) NOT NULL,
-                    phone_number VARCHAR(20),
-                    email VARCHAR(100),
-                    specialization VARCHAR(50)
-                )`,
-
-                // Call logs for analytics
-                `CREATE TABLE IF NOT EXISTS call_logs (
-                    id SERIAL PRIMARY KEY,
-                    phone_number VARCHAR(20) NOT NULL,
-                    call_duration INTEGER,
-                    scenario VARCHAR(100),
-                    successful BOOLEAN DEFAULT true,
-                    transcript TEXT,
-                    called_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )`
-            ];
-
-            for (const tableSQL of tables) {
-                await client.query(tableSQL);
-            }
-
-            // Insert default officers
-            await this.insertDefaultOfficers(client);
-            console.log('✅ PostgreSQL tables created successfully');
-            
-        } finally {
-            client.release();
-        }
-    }
-
+    // Seed the directory; officers are matched by name (unique since migration 002) so restarts don't duplicate them
     async insertDefaultOfficers(client) {
-        const officers = [
-            {
-                name: 'Sarah Johnson',
-                department: 'Fraud Prevention',
-                phone_number: '+15553728321',
-                email: 'sarah.johnson@infobipCapital.demo',
-                specialization: 'fraud_investigation'
-            },
-            {
-                name: 'Michael Chen',
-                department: 'Loan Services',
-                phone_number: '+15555626767',
-                email: 'michael.chen@infobipCapital.demo',
-                specialization: 'personal_loans'
-            },
-            {
-                name: 'Emily Rodriguez',
-                department: 'Customer Service',
-                phone_number: '+15554357000',
-                email: 'emily.rodriguez@infobipCapital.demo',
-                specialization: 'general_support'
-            }
-        ];
-
-        for (const officer of officers) {
+        const columns = OFFICER_COLUMNS.map(toSnakeColumn);
+        for (const officer of DEFAULT_OFFICERS) {
+            const row = toOfficerRow(officer);
             await client.query(`
-                INSERT INTO officers (name, department, phone_number, email, specialization) 
-                VALUES ($1, $2, $3, $4, $5) 
-                ON CONFLICT DO NOTHING`,
-                [officer.name, officer.department, officer.phone_number, officer.email, officer.specialization]
+                INSERT INTO officers (${columns.join(', ')})
+                VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+                ON CONFLICT (name) DO NOTHING`,
+                OFFICER_COLUMNS.map(column => row[column])
             );
         }
     }
@@ -164,7 +118,9 @@ class PostgreSQLFinTechManager {
             companyName,
             fakeAccountBalance,
             loanApplicationStatus,
-            fraudScenario
+            fraudScenario,
+            persona,
+            accounts = []
         } = userData;
 
         // Generate unique account number
@@ -187,13 +143,31 @@ class PostgreSQLFinTechManager {
             
             const userId = userResult.rows[0].id;
 
-            // Generate fake loan application if needed
-            if (loanApplicationStatus !== 'None') {
-                await this.createFakeLoanApplication(client, userId, loanApplicationStatus);
+            // Open the checking account the ledger derives the balance from
+            const accountResult = await client.query(`
+                INSERT INTO accounts (user_id, account_number, account_type, name)
+                VALUES ($1, $2, 'checking', 'Primary Checking')
+                RETURNING id`,
+                [userId, fakeAccountNumber]
+            );
+
+            // Start the loan application chosen on the form part-way through its lifecycle
+            await this.createRegistrationLoan(client, userId, loanApplicationStatus);
+
+            // Generate a realistic history that adds up to the requested balance
+            await this.generateFakeTransactions(client, userId, accountResult.rows[0].id, fakeAccountBalance, {
+                persona,
+                fraudScenario: toBoolean(fraudScenario),
+                seedKey: phoneNumber
+            });
+
+            // Additional products (savings, credit card, loan...) chosen at registration
+            for (const request of accounts) {
+                await this.openAccount(client, userId, request);
             }
 
-            // Generate some fake transactions
-            await this.generateFakeTransactions(client, userId);
+            await this.createPayees(client, userId, buildDefaultPayees(userId));
+            await this.issueRegistrationCards(client, userId, name);
 
             await client.query('COMMIT');
 
@@ -215,41 +189,25 @@ class PostgreSQLFinTechManager {
     // Get user by phone number (for caller identification)
     async getUserByPhone(phoneNumber) {
         const result = await this.pool.query(
-            'SELECT * FROM users WHERE phone_number = $1',
+            `SELECT ${USER_COLUMNS} FROM users u WHERE u.phone_number = $1`,
             [phoneNumber]
         );
 
-        const user = result.rows[0];
-        if (!user) return null;
+        return result.rows[0] || null;
+    }
 
-        // Map PostgreSQL field names to camelCase for compatibility
-        return {
-            id: user.id,
-            phoneNumber: user.phone_number,
-            name: user.name,
-            companyName: user.company_name,
-            fakeAccountBalance: user.fake_account_balance,
-            fakeAccountNumber: user.fake_account_number,
-            loanApplicationStatus: user.loan_application_status,
-            fraudScenario: user.fraud_scenario,
-            registeredAt: user.registered_at,
-            lastCallAt: user.last_call_at,
-            callCount: user.call_count || 0
-        };
+    async getUserById(userId) {
+        const result = await this.pool.query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [userId]);
+        return result.rows[0] || null;
     }
 
-    // Get user's loan applications (temporarily simplified to avoid errors)
+    // Get user's loan applications, newest first
     async getUserLoanApplications(userId) {
-        try {
-            const result = await this.pool.query(
-                'SELECT * FROM loan_applications WHERE user_id = $1',
-                [userId]
-            );
-            return result.rows || [];
-        } catch (error) {
-            console.log(`⚠️ getUserLoanApplications error:`, error.message);
-            return [];
-        }
+        const result = await this.pool.query(
+            'SELECT * FROM loan_applications WHERE user_id = $1 ORDER BY applied_at DESC, id DESC',
+            [userId]
+        );
+        return result.rows;
     }
 
     // Get user's transactions (temporarily simplified to avoid errors)
@@ -266,65 +224,13 @@ class PostgreSQLFinTechManager {
         }
     }
 
-    // Create a fake loan application
-    async createFakeLoanApplication(client, userId, status) {
-        const loanTypes = ['Personal Loan', 'Auto Loan', 'Home Mortgage', 'Business Loan'];
-        const amounts = [5000, 15000, 25000, 50000, 100000, 250000];
-        const nextSteps = {
-            'Under Review': 'Document verification',
-            'Approved': 'Fund disbursement',
-            'Pending': 'Credit check completion',
-            'Requires Documentation': 'Submit income verification'
-        };
-
-        const loanType = loanTypes[Math.floor(Math.random() * loanTypes.length)];
-        const loanAmount = amounts[Math.floor(Math.random() * amounts.length)];
-        const nextStep = nextSteps[status] || 'Contact loan officer';
-        const assignedOfficer = 'Michael Chen';
-
-        const result = await client.query(`
-            INSERT INTO loan_applications (user_id, loan_type, loan_amount, status, next_step, assigned_officer)
-            VALUES ($1, $2, $3, $4, $5, $6) 
-            RETURNING id`,
-            [userId, loanType, loanAmount, status, nextStep, assignedOfficer]
-        );
-        
-        return result.rows[0].id;
-    }
-
-    // Generate fake transactions for a user
-    async generateFakeTransactions(client, userId, count = 5) {
-        const merchants = [
-            'Starbucks Coffee', 'Amazon.com', 'Shell Gas Station', 'Target Store',
-            'McDonald\'s', 'Uber Ride', 'Netflix', 'Spotify', 'Whole Foods',
-            'CVS Pharmacy', 'Home Depot', 'Best Buy', 'Costco Wholesale'
-        ];
-        
-        const categories = [
-            'Food & Dining', 'Shopping', 'Gas & Fuel', 'Entertainment',
-            'Transportation', 'Groceries', 'Health & Fitness', 'Bills & Utilities'
-        ];
-
-        for (let i = 0; i < count; i++) {
-            const merchant = merchants[Math.floor(Math.random() * merchants.length)];
-            const category = categories[Math.floor(Math.random() * categories.length)];
-            const amount = (Math.random() * 200 + 5).toFixed(2); // $5 to $205
-            const transactionId = `TXN${Date.now()}${Math.random().toString(36).substr(2, 5)}`;
-            
-            // Most transactions are debits, some are credits (refunds/deposits)
-            const transactionType = Math.random() > 0.15 ? 'debit' : 'credit';
-            const finalAmount = transactionType === 'debit' ? -Math.abs(amount) : Math.abs(amount);
-            
-            const transactionDate = new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000);
-
-            await client.query(`
-                INSERT INTO transactions (user_id, transaction_id, description, amount, 
-                                        transaction_type, merchant, category, transaction_date)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-                [userId, transactionId, merchant, finalAmount, transactionType, 
-                 merchant, category, transactionDate]
-            );
+    // Generate the account's history (see banking/transactionGenerator) and post it to the ledger
+    async generateFakeTransactions(client, userId, accountId, targetBalance, options = {}) {
+        const posted = [];
+        for (const transaction of generateAccountHistory(targetBalance, options)) {
+            posted.push(await this.insertLedgerTransaction(client, userId, accountId, transaction));
         }
+        return posted;
     }
 
     // Update user's call statistics
@@ -340,12 +246,12 @@ class PostgreSQLFinTechManager {
     }
 
     // Log a call for analytics
-    async logCall(phoneNumber, scenario, duration = null, successful = true, transcript = null) {
+    async logCall(phoneNumber, scenario, duration = null, successful = true, transcript = null, callId = null) {
         const result = await this.pool.query(`
-            INSERT INTO call_logs (phone_number, scenario, call_duration, successful, transcript)
-            VALUES ($1, $2, $3, $4, $5) 
+            INSERT INTO call_logs (phone_number, scenario, call_duration, successful, transcript, call_id)
+            VALUES ($1, $2, $3, $4, $5, $6) 
             RETURNING id`,
-            [phoneNumber, scenario, duration, successful, transcript]
+            [phoneNumber, scenario, duration, successful, transcript, callId]
         );
         
         return result.rows[0].id;
@@ -358,31 +264,787 @@ class PostgreSQLFinTechManager {
         return `ACC${timestamp}${random}`;
     }
 
-    // Get a random officer by specialization
+    // Get a random active officer with the skill (for assigning loan applications)
     async getOfficerBySpecialization(specialization) {
         const result = await this.pool.query(
-            'SELECT * FROM officers WHERE specialization = $1 ORDER BY RANDOM() LIMIT 1',
-            [specialization]
+            `SELECT * FROM officers WHERE active AND (',' || skills || ',') LIKE $1 ORDER BY RANDOM() LIMIT 1`,
+            [`%,${specialization},%`]
+        );
+
+        return result.rows[0] || null;
+    }
+
+    // ---- Loans ----
+
+    // Create the application chosen on the registration form, if any (caller owns the DB transaction)
+    async createRegistrationLoan(client, userId, registrationStatus) {
+        if (!REGISTRATION_STATUSES[registrationStatus]) {
+            return null; // 'None'
+        }
+        const officer = await client.query(
+            `SELECT name FROM officers WHERE active AND (',' || skills || ',') LIKE $1 ORDER BY RANDOM() LIMIT 1`,
+            [`%,${LOAN_OFFICER_SPECIALIZATION},%`]
+        );
+        const application = buildRegistrationLoan(registrationStatus, {
+            userId,
+            assignedOfficer: officer.rows.length > 0 ? officer.rows[0].name : null
+        });
+        return this.insertLoanApplication(client, application.loan, application.events);
+    }
+
+    // Insert an application and its events (caller owns the DB transaction)
+    async insertLoanApplication(client, loan, events) {
+        const result = await client.query(`
+            INSERT INTO loan_applications (user_id, loan_type, loan_amount, status, next_step, assigned_officer, applied_at,
+                                           term_months, interest_rate, monthly_payment, planned_decision, decision_reason,
+                                           documents_requested, status_changed_at, funded_at, first_payment_date,
+                                           disbursement_transaction_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+            RETURNING id`,
+            [loan.userId, loan.loanType, loan.loanAmount, loan.status, loan.nextStep, loan.assignedOfficer, loan.appliedAt,
+             loan.termMonths, loan.interestRate, loan.monthlyPayment, loan.plannedDecision, loan.decisionReason,
+             loan.documentsRequested, loan.statusChangedAt, loan.fundedAt, loan.firstPaymentDate,
+             loan.disbursementTransactionId]
+        );
+        const loanId = result.rows[0].id;
+        for (const event of events) {
+            await this.insertLoanEvent(client, loanId, event);
+        }
+        return loanId;
+    }
+
+    async insertLoanEvent(client, loanId, event) {
+        await client.query(`
+            INSERT INTO loan_events (loan_id, event_type, from_status, to_status, note, actor, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [loanId, event.eventType, event.fromStatus, event.toStatus, event.note, event.actor, event.createdAt]
+        );
+    }
+
+    async createLoanApplication(loan, events) {
+        return this.withClient(async (client) => {
+            const loanId = await this.insertLoanApplication(client, loan, events);
+            const result = await client.query('SELECT * FROM loan_applications WHERE id = $1', [loanId]);
+            return result.rows[0];
+        });
+    }
+
+    async getLoanApplication(loanId) {
+        const result = await this.pool.query('SELECT * FROM loan_applications WHERE id = $1', [loanId]);
+        return result.rows[0] || null;
+    }
+
+    async getOpenLoanApplications() {
+        const result = await this.pool.query(
+            'SELECT * FROM loan_applications WHERE status = ANY($1) ORDER BY id',
+            [OPEN_LOAN_STATUSES]
+        );
+        return result.rows;
+    }
+
+    async getLoanEvents(loanId) {
+        const result = await this.pool.query('SELECT * FROM loan_events WHERE loan_id = $1 ORDER BY created_at, id', [loanId]);
+        return result.rows;
+    }
+
+    // Apply a status change if the application is still in fromStatus, all or nothing: the update,
+    // its event and, when funding, the disbursement into primary checking. Null if the status moved on.
+    async transitionLoan(loanId, fromStatus, changes, event, disbursement = null) {
+        return this.withClient(async (client) => {
+            const columns = LOAN_MUTABLE_FIELDS.filter(column => changes[column] !== undefined);
+            const assignments = columns.map((column, index) =>
+                `${column.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)} = $${index + 1}`);
+            const updated = await client.query(`
+                UPDATE loan_applications SET ${assignments.join(', ')}
+                WHERE id = $${columns.length + 1} AND status = $${columns.length + 2}
+                RETURNING *`,
+                [...columns.map(column => changes[column]), loanId, fromStatus]
+            );
+            if (updated.rows.length === 0) {
+                return null;
+            }
+
+            let loan = updated.rows[0];
+            if (disbursement) {
+                const userId = toNumber(loan.user_id);
+                const account = await client.query(`
+                    SELECT a.id FROM accounts a JOIN users u ON u.fake_account_number = a.account_number
+                    WHERE u.id = $1`,
+                    [userId]
+                );
+                const transaction = await this.insertLedgerTransaction(client, userId, account.rows[0].id, disbursement);
+                const result = await client.query(
+                    'UPDATE loan_applications SET disbursement_transaction_id = $1 WHERE id = $2 RETURNING *',
+                    [transaction.transaction_id, loanId]
+                );
+                loan = result.rows[0];
+            }
+
+            await this.insertLoanEvent(client, loanId, event);
+            return loan;
+        });
+    }
+
+    // Store a pre-qualification quote
+    async createLoanQuote(quote) {
+        const result = await this.pool.query(`
+            INSERT INTO loan_quotes (user_id, loan_type, requested_amount, loan_amount, term_months, outcome, interest_rate,
+                                     monthly_payment, total_interest, max_amount, monthly_income, monthly_debt_payments,
+                                     debt_to_income, reason, created_at, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+            RETURNING *`,
+            [quote.userId, quote.loanType, quote.requestedAmount, quote.loanAmount, quote.termMonths, quote.outcome,
+             quote.interestRate, quote.monthlyPayment, quote.totalInterest, quote.maxAmount, quote.monthlyIncome,
+             quote.monthlyDebtPayments, quote.debtToIncome, quote.reason, quote.createdAt, quote.expiresAt]
+        );
+        return result.rows[0];
+    }
+
+    async getLoanQuote(quoteId) {
+        const result = await this.pool.query('SELECT * FROM loan_quotes WHERE id = $1', [quoteId]);
+        return result.rows[0] || null;
+    }
+
+    // A customer's quotes, newest first
+    async getUserLoanQuotes(userId, limit) {
+        const result = await this.pool.query(
+            'SELECT * FROM loan_quotes WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+            [userId, limit]
         );
+        return result.rows;
+    }
 
-        const officer = result.rows[0];
-        if (!officer) return null;
+    // ---- Ledger ----
 
-        // Map PostgreSQL snake_case fields to camelCase
-        return {
-            id: officer.id,
-            name: officer.name,
-            department: officer.department,
-            phoneNumber: officer.phone_number,
-            email: officer.email,
-            specialization: officer.specialization
-        };
+    async getClearingAccountId(client) {
+        if (!this.clearingAccountId) {
+            const result = await client.query('SELECT id FROM accounts WHERE account_number = $1', [CLEARING_ACCOUNT_NUMBER]);
+            if (result.rows.length === 0) {
+                throw new Error('Ledger clearing account missing - run migrations');
+            }
+            this.clearingAccountId = result.rows[0].id;
+        }
+        return this.clearingAccountId;
+    }
+
+    // Open an additional account with its generated history (caller owns the DB transaction)
+    async openAccount(client, userId, request) {
+        const account = normalizeAccountRequest(request);
+        const result = await client.query(`
+            INSERT INTO accounts (user_id, account_number, account_type, name, nickname)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id`,
+            [userId, this.generateAccountNumber(), account.type, account.name, account.nickname]
+        );
+        const accountId = result.rows[0].id;
+
+        for (const transaction of planAccountOpening(account)) {
+            await this.insertLedgerTransaction(client, userId, accountId, transaction);
+        }
+
+        return accountId;
+    }
+
+    // All of a user's accounts with their ledger totals, primary checking first
+    async getUserAccounts(userId) {
+        const result = await this.pool.query(`
+            SELECT a.*,
+                   COALESCE(SUM(CASE WHEN p.status = 'posted' THEN p.amount END), 0) AS posted_total,
+                   COALESCE(SUM(CASE WHEN p.status = 'pending' AND p.amount < 0 THEN p.amount END), 0) AS pending_debits
+            FROM accounts a
+            JOIN users u ON u.id = a.user_id
+            LEFT JOIN ledger_postings p ON p.account_id = a.id
+            WHERE a.user_id = $1
+            GROUP BY a.id, u.fake_account_number
+            ORDER BY (a.account_number = u.fake_account_number) DESC, a.id`,
+            [userId]
+        );
+        return result.rows;
+    }
+
+    // Transactions posted to a single account, newest first
+    async getAccountTransactions(accountNumber, limit = 10) {
+        const result = await this.pool.query(`
+            SELECT t.* FROM transactions t JOIN accounts a ON a.id = t.account_id
+            WHERE a.account_number = $1 ORDER BY t.transaction_date DESC LIMIT $2`,
+            [accountNumber, limit]
+        );
+        return result.rows;
+    }
+
+    // Search a user's transactions (see transactionQuery); totals cover every match, not just the page
+    async searchTransactions(userId, query) {
+        const { where, params, orderBy, nextParam } = buildTransactionSearch(userId, query, 'postgres');
+        const filterParams = params.slice();
+        const page = `LIMIT ${nextParam(query.limit)} OFFSET ${nextParam(query.offset)}`;
+        const [rows, totals] = await Promise.all([
+            this.pool.query(`SELECT * FROM transactions ${where} ORDER BY ${orderBy} ${page}`, params),
+            this.pool.query(
+                `SELECT COUNT(*) AS total,
+                        COALESCE(SUM(CASE WHEN amount < 0 THEN amount ELSE 0 END), 0) AS "debitTotal",
+                        COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) AS "creditTotal"
+                 FROM transactions ${where}`,
+                filterParams
+            )
+        ]);
+        return { rows: rows.rows, ...totals.rows[0] };
+    }
+
+    // Insert a transaction row and its balanced postings (caller owns the DB transaction)
+    async insertLedgerTransaction(client, userId, accountId, transaction) {
+        const row = await this.insertTransactionRow(client, userId, accountId, transaction);
+        const amount = Number(row.amount);
+
+        const postings = buildTransactionPostings({
+            customerAccountId: accountId,
+            clearingAccountId: await this.getClearingAccountId(client),
+            amount
+        });
+        await this.insertPostings(client, row.transaction_id, postings, row.status, transaction.description, row.transaction_date);
+
+        return row;
+    }
+
+    // Insert a transaction row without postings (see insertLedgerTransaction / completeTransfer)
+    async insertTransactionRow(client, userId, accountId, transaction) {
+        const amount = roundCents(transaction.amount);
+        const result = await client.query(`
+            INSERT INTO transactions (user_id, account_id, transaction_id, description, amount, transaction_type,
+                                    merchant, category, transaction_date, status, card_id, suspected_fraud)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *`,
+            [userId, accountId, transaction.transactionId || generateTransactionId(), transaction.description, amount,
+             transaction.transactionType || (amount < 0 ? 'debit' : 'credit'),
+             transaction.merchant || null, transaction.category || null,
+             transaction.transactionDate || new Date().toISOString(), transaction.status || POSTING_STATUS.POSTED,
+             transaction.cardId || null, Boolean(transaction.suspectedFraud)]
+        );
+        return result.rows[0];
+    }
+
+    // Insert a balanced journal, tracking the running balance on customer accounts
+    async insertPostings(client, journalId, postings, status, description, postedAt) {
+        validateJournal(postings);
+        const clearingAccountId = await this.getClearingAccountId(client);
+
+        for (const posting of postings) {
+            let balanceAfter = null;
+            if (status === POSTING_STATUS.POSTED && posting.accountId !== clearingAccountId) {
+                // Lock the account so concurrent postings can't compute the same running balance
+                await client.query('SELECT id FROM accounts WHERE id = $1 FOR UPDATE', [posting.accountId]);
+                const totals = await client.query(
+                    `SELECT COALESCE(SUM(amount), 0) AS posted_total FROM ledger_postings
+                     WHERE account_id = $1 AND status = 'posted'`,
+                    [posting.accountId]
+                );
+                balanceAfter = roundCents(Number(totals.rows[0].posted_total) + posting.amount);
+            }
+
+            await client.query(`
+                INSERT INTO ledger_postings (journal_id, account_id, amount, balance_after, status, description, posted_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [journalId, posting.accountId, posting.amount, balanceAfter, status, description, postedAt]
+            );
+        }
+    }
+
+    // Post a new transaction to one of a user's accounts (transaction.accountNumber, default: primary)
+    async postTransaction(userId, transaction) {
+        return this.withClient(async (client) => {
+            const account = transaction.accountNumber
+                ? await client.query(
+                    'SELECT id FROM accounts WHERE account_number = $1 AND user_id = $2',
+                    [transaction.accountNumber, userId]
+                )
+                : await client.query(`
+                    SELECT a.id FROM accounts a JOIN users u ON u.fake_account_number = a.account_number
+                    WHERE u.id = $1`,
+                    [userId]
+                );
+            if (account.rows.length === 0) {
+                throw new Error(`No ledger account found for user ${userId}`);
+            }
+            return this.insertLedgerTransaction(client, userId, account.rows[0].id, transaction);
+        });
+    }
+
+    // Settle a pending transaction so it counts towards the ledger balance
+    async settleTransaction(transactionId) {
+        return this.withClient(async (client) => {
+            const pending = await client.query(
+                `SELECT * FROM ledger_postings WHERE journal_id = $1 AND status = 'pending' ORDER BY id`,
+                [transactionId]
+            );
+            if (pending.rows.length === 0) {
+                return null;
+            }
+
+            await client.query(`DELETE FROM ledger_postings WHERE journal_id = $1 AND status = 'pending'`, [transactionId]);
+            await this.insertPostings(
+                client,
+                transactionId,
+                pending.rows.map(p => ({ accountId: p.account_id, amount: Number(p.amount) })),
+                POSTING_STATUS.POSTED,
+                pending.rows[0].description,
+                new Date().toISOString()
+            );
+            const result = await client.query(
+                `UPDATE transactions SET status = 'posted' WHERE transaction_id = $1 RETURNING *`,
+                [transactionId]
+            );
+
+            return result.rows[0];
+        });
+    }
+
+    // Posted and pending totals for an account (see ledger.summarizeBalance)
+    async getAccountBalance(accountNumber) {
+        const result = await this.pool.query(`
+            SELECT a.account_number,
+                   COALESCE(SUM(CASE WHEN p.status = 'posted' THEN p.amount END), 0) AS posted_total,
+                   COALESCE(SUM(CASE WHEN p.status = 'pending' AND p.amount < 0 THEN p.amount END), 0) AS pending_debits
+            FROM accounts a LEFT JOIN ledger_postings p ON p.account_id = a.id
+            WHERE a.account_number = $1
+            GROUP BY a.id`,
+            [accountNumber]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Postings on an account, newest first
+    async getAccountPostings(accountNumber, limit = 50) {
+        const result = await this.pool.query(`
+            SELECT p.* FROM ledger_postings p JOIN accounts a ON a.id = p.account_id
+            WHERE a.account_number = $1 ORDER BY p.posted_at DESC, p.id DESC LIMIT $2`,
+            [accountNumber, limit]
+        );
+        return result.rows;
+    }
+
+    // ---- Payees & transfers ----
+
+    // Save payees for a user (caller owns the DB transaction)
+    async createPayees(client, userId, payees) {
+        for (const payee of payees) {
+            await client.query(`
+                INSERT INTO payees (user_id, name, nickname, bank_name, account_number, category)
+                VALUES ($1, $2, $3, $4, $5, $6)`,
+                [userId, payee.name, payee.nickname || null, payee.bankName || null, payee.accountNumber, payee.category || null]
+            );
+        }
+    }
+
+    async getUserPayees(userId) {
+        const result = await this.pool.query('SELECT * FROM payees WHERE user_id = $1 ORDER BY id', [userId]);
+        return result.rows;
+    }
+
+    // Create a transfer awaiting confirmation; a reused idempotency key returns the original transfer
+    async createTransfer(transfer) {
+        const result = await this.pool.query(`
+            INSERT INTO transfers (transfer_id, user_id, idempotency_key, transfer_type, from_account_id, to_account_id,
+                                   payee_id, amount, memo, status, read_back, created_at, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            ON CONFLICT (user_id, idempotency_key) DO NOTHING
+            RETURNING *`,
+            [transfer.transferId, transfer.userId, transfer.idempotencyKey, transfer.transferType,
+             transfer.fromAccountId, transfer.toAccountId || null, transfer.payeeId || null, transfer.amount,
+             transfer.memo || null, transfer.status, transfer.readBack, transfer.createdAt, transfer.expiresAt]
+        );
+        return result.rows[0] || this.getTransferByIdempotencyKey(transfer.userId, transfer.idempotencyKey);
+    }
+
+    async getTransfer(transferId) {
+        const result = await this.pool.query('SELECT * FROM transfers WHERE transfer_id = $1', [transferId]);
+        return result.rows[0] || null;
+    }
+
+    async getTransferByIdempotencyKey(userId, idempotencyKey) {
+        const result = await this.pool.query(
+            'SELECT * FROM transfers WHERE user_id = $1 AND idempotency_key = $2',
+            [userId, idempotencyKey]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Total of transfers completed since the given ISO timestamp (for the daily limit)
+    async getCompletedTransferTotal(userId, since) {
+        const result = await this.pool.query(`
+            SELECT COALESCE(SUM(amount), 0) AS total FROM transfers
+            WHERE user_id = $1 AND status = 'completed' AND completed_at >= $2`,
+            [userId, since]
+        );
+        return Number(result.rows[0].total);
+    }
+
+    // Move a transfer between statuses; false if it was no longer in fromStatus
+    async updateTransferStatus(transferId, fromStatus, toStatus) {
+        const result = await this.pool.query(
+            'UPDATE transfers SET status = $1 WHERE transfer_id = $2 AND status = $3',
+            [toStatus, transferId, fromStatus]
+        );
+        return result.rowCount > 0;
+    }
+
+    // Execute a confirmed transfer: post its journal and mark it completed, all or nothing.
+    // Returns null if the transfer was no longer awaiting confirmation (already executed, cancelled...).
+    async completeTransfer(transferId, labels) {
+        return this.withClient(async (client) => {
+            const completedAt = new Date().toISOString();
+            const updated = await client.query(`
+                UPDATE transfers SET status = $1, completed_at = $2
+                WHERE transfer_id = $3 AND status = $4
+                RETURNING *`,
+                [TRANSFER_STATUS.COMPLETED, completedAt, transferId, TRANSFER_STATUS.PENDING_CONFIRMATION]
+            );
+            if (updated.rows.length === 0) {
+                return null;
+            }
+
+            const transfer = mapTransfer(updated.rows[0]);
+            await client.query('SELECT id FROM accounts WHERE id = $1 FOR UPDATE', [transfer.fromAccountId]);
+            const balance = await client.query(`
+                SELECT COALESCE(SUM(CASE WHEN status = 'posted' OR amount < 0 THEN amount END), 0) AS available
+                FROM ledger_postings WHERE account_id = $1`,
+                [transfer.fromAccountId]
+            );
+            if (roundCents(balance.rows[0].available) < transfer.amount) {
+                throw new Error('Insufficient funds');
+            }
+
+            const { postings, transactions } = buildTransferEntries(transfer, {
+                clearingAccountId: await this.getClearingAccountId(client),
+                labels,
+                postedAt: completedAt
+            });
+            for (const transaction of transactions) {
+                await this.insertTransactionRow(client, transfer.userId, transaction.accountId, transaction);
+            }
+            await this.insertPostings(client, transferId, postings, POSTING_STATUS.POSTED, transactions[0].description, completedAt);
+
+            return updated.rows[0];
+        });
+    }
+
+    // ---- Cards ----
+
+    // Issue the registration cards and tie any suspected-fraud charges on the primary account to
+    // the debit card (caller owns the DB transaction)
+    async issueRegistrationCards(client, userId, name) {
+        const result = await client.query(`
+            SELECT a.id, a.account_type FROM accounts a JOIN users u ON u.id = a.user_id
+            WHERE a.user_id = $1 ORDER BY (a.account_number = u.fake_account_number) DESC, a.id`,
+            [userId]
+        );
+        const accounts = result.rows.map(row => ({ id: row.id, accountType: row.account_type }));
+
+        const cardIds = [];
+        for (const card of buildRegistrationCards({ id: userId, name }, accounts)) {
+            cardIds.push(await this.createCard(client, card));
+        }
+
+        if (cardIds.length > 0) {
+            await client.query(
+                'UPDATE transactions SET card_id = $1 WHERE account_id = $2 AND suspected_fraud AND card_id IS NULL',
+                [cardIds[0], accounts[0].id]
+            );
+        }
+        return cardIds;
+    }
+
+    async createCard(client, card) {
+        const result = await client.query(`
+            INSERT INTO cards (user_id, account_id, card_type, network, last4, cardholder_name, expiry_month, expiry_year,
+                               status, replaces_card_id, issued_at, status_changed_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING id`,
+            [card.userId, card.accountId, card.cardType, card.network, card.last4, card.cardholderName,
+             card.expiryMonth, card.expiryYear, card.status, card.replacesCardId || null, card.issuedAt, card.statusChangedAt]
+        );
+        return result.rows[0].id;
+    }
+
+    async getUserCards(userId) {
+        const result = await this.pool.query('SELECT * FROM cards WHERE user_id = $1 ORDER BY id', [userId]);
+        return result.rows;
+    }
+
+    async getCard(cardId) {
+        const result = await this.pool.query('SELECT * FROM cards WHERE id = $1', [cardId]);
+        return result.rows[0] || null;
+    }
+
+    // Move a card to toStatus if it is still in one of fromStatuses; false otherwise
+    async updateCardStatus(cardId, fromStatuses, toStatus) {
+        const result = await this.pool.query(
+            'UPDATE cards SET status = $1, status_changed_at = $2 WHERE id = $3 AND status = ANY($4)',
+            [toStatus, new Date().toISOString(), cardId, fromStatuses]
+        );
+        return result.rowCount > 0;
+    }
+
+    // Order a replacement: close the old card (lost cards stay lost) and issue the new one, all or nothing.
+    // Returns null if the card can no longer be replaced (closed, or a replacement already exists).
+    async replaceCard(cardId, replacement, fromStatuses) {
+        return this.withClient(async (client) => {
+            const updated = await client.query(`
+                UPDATE cards SET status = CASE WHEN status = $1 THEN status ELSE $2 END, status_changed_at = $3
+                WHERE id = $4 AND status = ANY($5)
+                  AND NOT EXISTS (SELECT 1 FROM cards r WHERE r.replaces_card_id = $4)`,
+                [CARD_STATUS.LOST, CARD_STATUS.CLOSED, new Date().toISOString(), cardId, fromStatuses]
+            );
+            if (updated.rowCount === 0) {
+                return null;
+            }
+            const newCardId = await this.createCard(client, { ...replacement, replacesCardId: cardId });
+            const result = await client.query('SELECT * FROM cards WHERE id = $1', [newCardId]);
+            return result.rows[0];
+        });
+    }
+
+    // Transactions flagged as suspected fraud, newest first
+    async getSuspiciousTransactions(userId) {
+        const result = await this.pool.query(
+            'SELECT * FROM transactions WHERE user_id = $1 AND suspected_fraud ORDER BY transaction_date DESC',
+            [userId]
+        );
+        return result.rows;
+    }
+
+    // Get all registered users, newest first
+    async getAllUsers() {
+        const result = await this.pool.query(`SELECT ${USER_COLUMNS} FROM users u ORDER BY u.registered_at DESC`);
+        return result.rows;
+    }
+
+    // Get every loan application across all users, newest first
+    async getAllLoanApplications() {
+        const result = await this.pool.query('SELECT * FROM loan_applications ORDER BY applied_at DESC');
+        return result.rows;
+    }
+
+    // Get the most recent transactions across all users
+    async getRecentTransactions(limit = 50) {
+        const result = await this.pool.query(
+            'SELECT * FROM transactions ORDER BY transaction_date DESC LIMIT $1',
+            [limit]
+        );
+        return result.rows;
+    }
+
+    // Get all bank officers
+    async getAllOfficers() {
+        const result = await this.pool.query('SELECT * FROM officers ORDER BY id');
+        return result.rows;
+    }
+
+    async getOfficer(officerId) {
+        const result = await this.pool.query('SELECT * FROM officers WHERE id = $1', [officerId]);
+        return result.rows[0] || null;
+    }
+
+    // Add an officer (see rowMappers.toOfficerRow for the columns)
+    async createOfficer(row) {
+        const result = await this.pool.query(
+            `INSERT INTO officers (${OFFICER_COLUMNS.map(toSnakeColumn).join(', ')})
+             VALUES (${OFFICER_COLUMNS.map((column, index) => `$${index + 1}`).join(', ')})
+             RETURNING *`,
+            OFFICER_COLUMNS.map(column => row[column])
+        );
+        return result.rows[0];
+    }
+
+    async updateOfficer(officerId, row) {
+        const columns = OFFICER_COLUMNS.filter(column => row[column] !== undefined);
+        const result = await this.pool.query(
+            `UPDATE officers SET ${columns.map((column, index) => `${toSnakeColumn(column)} = $${index + 1}`).join(', ')}
+             WHERE id = $${columns.length + 1}
+             RETURNING *`,
+            [...columns.map(column => row[column]), officerId]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Record a call handed to an officer and when they last got one (for load balancing)
+    async startOfficerTransfer(transfer) {
+        return this.withClient(async (client) => {
+            const result = await client.query(`
+                INSERT INTO officer_transfers (officer_id, call_id, reason, skill, started_at)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *`,
+                [transfer.officerId, transfer.callId, transfer.reason, transfer.skill, transfer.startedAt]
+            );
+            await client.query('UPDATE officers SET last_assigned_at = $1 WHERE id = $2', [transfer.startedAt, transfer.officerId]);
+            return result.rows[0];
+        });
+    }
+
+    // Close a call's open transfers; returns how many there were
+    async endOfficerTransfers(callId, endedAt) {
+        const result = await this.pool.query(
+            'UPDATE officer_transfers SET ended_at = $1 WHERE call_id = $2 AND ended_at IS NULL',
+            [endedAt, callId]
+        );
+        return result.rowCount;
+    }
+
+    // Open transfers per officer, ignoring any started before `since`
+    async getOfficerLoads(since) {
+        const result = await this.pool.query(`
+            SELECT officer_id, COUNT(*) AS active_calls FROM officer_transfers
+            WHERE ended_at IS NULL AND started_at >= $1
+            GROUP BY officer_id`,
+            [since]
+        );
+        return result.rows;
+    }
+
+    // Get call logs, optionally filtered by phone number
+    async getCallLogs(phoneNumber = null, limit = 100) {
+        const result = phoneNumber
+            ? await this.pool.query(
+                'SELECT * FROM call_logs WHERE phone_number = $1 ORDER BY called_at DESC LIMIT $2',
+                [phoneNumber, limit]
+            )
+            : await this.pool.query('SELECT * FROM call_logs ORDER BY called_at DESC LIMIT $1', [limit]);
+        return result.rows;
+    }
+
+    // The newest log of a call
+    async getCallLog(callId) {
+        const result = await this.pool.query(
+            'SELECT * FROM call_logs WHERE call_id = $1 ORDER BY id DESC LIMIT 1',
+            [callId]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Update the newest log of a call; fields left undefined keep their value. Resolves with the rows changed (0 or 1)
+    async updateCallLog(callId, { callDuration, successful, outcome, transcript }) {
+        const result = await this.pool.query(`
+            UPDATE call_logs SET call_duration = COALESCE($1, call_duration), successful = COALESCE($2, successful),
+                outcome = COALESCE($3, outcome), transcript = COALESCE($4, transcript)
+            WHERE id = (SELECT id FROM call_logs WHERE call_id = $5 ORDER BY id DESC LIMIT 1)`,
+            [callDuration ?? null, successful ?? null, outcome ?? null, transcript ?? null, callId]
+        );
+        return result.rowCount;
+    }
+
+    async recordCallEvent(event) {
+        const result = await this.pool.query(`
+            INSERT INTO call_events (call_id, dialog_id, event_type, details, occurred_at)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id`,
+            [event.callId, event.dialogId, event.eventType, event.details, event.occurredAt]
+        );
+        return result.rows[0].id;
+    }
+
+    async getCallEvents(callId) {
+        const result = await this.pool.query('SELECT * FROM call_events WHERE call_id = $1 ORDER BY occurred_at, id', [callId]);
+        return result.rows;
+    }
+
+    // The call an earlier event of this dialog was recorded against
+    async getCallIdForDialog(dialogId) {
+        const result = await this.pool.query('SELECT call_id FROM call_events WHERE dialog_id = $1 ORDER BY id LIMIT 1', [dialogId]);
+        return result.rows[0] ? result.rows[0].call_id : null;
+    }
+
+    // ---- Call sessions ----
+
+    // Insert or replace a session (see rowMappers.toCallSessionRow), starting again at version 1
+    async saveCallSession(row) {
+        const result = await this.pool.query(`
+            INSERT INTO call_sessions (call_id, dialog_id, status, data, version, started_at, updated_at, expires_at)
+            VALUES ($1, $2, $3, $4, 1, $5, $6, $7)
+            ON CONFLICT (call_id) DO UPDATE SET dialog_id = EXCLUDED.dialog_id, status = EXCLUDED.status, data = EXCLUDED.data,
+                version = 1, started_at = EXCLUDED.started_at, updated_at = EXCLUDED.updated_at, expires_at = EXCLUDED.expires_at
+            RETURNING *`,
+            [row.callId, row.dialogId, row.status, row.data, row.startedAt, row.updatedAt, row.expiresAt]
+        );
+        return result.rows[0];
+    }
+
+    async getCallSession(callId, now) {
+        const result = await this.pool.query('SELECT * FROM call_sessions WHERE call_id = $1 AND expires_at > $2', [callId, now]);
+        return result.rows[0] || null;
+    }
+
+    async getCallSessionByDialogId(dialogId, now) {
+        const result = await this.pool.query(
+            'SELECT * FROM call_sessions WHERE dialog_id = $1 AND expires_at > $2 ORDER BY started_at DESC LIMIT 1',
+            [dialogId, now]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Unexpired sessions, oldest call first
+    async getActiveCallSessions(now) {
+        const result = await this.pool.query(
+            'SELECT * FROM call_sessions WHERE expires_at > $1 ORDER BY started_at, call_id',
+            [now]
+        );
+        return result.rows;
+    }
+
+    // Replace a session's contents if it is still at `version`; false if another writer got there first
+    async updateCallSession(callId, version, row) {
+        const result = await this.pool.query(`
+            UPDATE call_sessions SET dialog_id = $1, status = $2, data = $3, version = version + 1, updated_at = $4, expires_at = $5
+            WHERE call_id = $6 AND version = $7`,
+            [row.dialogId, row.status, row.data, row.updatedAt, row.expiresAt, callId, version]
+        );
+        return result.rowCount > 0;
+    }
+
+    // Remove a session and return it, or null if it was already gone (only one caller gets the row)
+    async deleteCallSession(callId) {
+        const result = await this.pool.query('DELETE FROM call_sessions WHERE call_id = $1 RETURNING *', [callId]);
+        return result.rows[0] || null;
+    }
+
+    async deleteExpiredCallSessions(now) {
+        const result = await this.pool.query('DELETE FROM call_sessions WHERE expires_at <= $1', [now]);
+        return result.rowCount;
+    }
+
+    // Run a query against the pool and return its rows
+    async allRows(sql, params = []) {
+        const result = await this.pool.query(sql, params);
+        return result.rows;
+    }
+
+    // Run fn on a dedicated client inside BEGIN/COMMIT, rolling back if it throws
+    async withTransaction(fn) {
+        return this.withClient(client => fn({
+            run: (sql, params) => client.query(sql, params),
+            all: async (sql, params) => (await client.query(sql, params)).rows
+        }));
+    }
+
+    // Same as withTransaction, but hands fn the raw pg client
+    async withClient(fn) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            const result = await fn(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
     }
 
     // Close database connection
     async close() {
         if (this.pool) {
             await this.pool.end();
+            this.pool = null;
             console.log('✅ PostgreSQL connection pool closed');
         }
     }
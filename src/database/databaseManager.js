@@ -1,5 +1,29 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const MigrationRunner = require('./MigrationRunner');
+const {
+    CLEARING_ACCOUNT_NUMBER,
+    POSTING_STATUS,
+    roundCents,
+    generateTransactionId,
+    validateJournal,
+    buildTransactionPostings
+} = require('./ledger');
+const { normalizeAccountRequest, planAccountOpening } = require('../banking/accounts');
+const { TRANSFER_STATUS, buildDefaultPayees, buildTransferEntries } = require('../banking/transfers');
+const { CARD_STATUS, buildRegistrationCards } = require('../banking/cards');
+const {
+    OPEN_LOAN_STATUSES,
+    LOAN_MUTABLE_FIELDS,
+    LOAN_OFFICER_SPECIALIZATION,
+    REGISTRATION_STATUSES,
+    buildRegistrationLoan
+} = require('../banking/loans');
+const { generateAccountHistory } = require('../banking/transactionGenerator');
+const { DEFAULT_OFFICERS, OFFICER_COLUMNS } = require('../banking/officers');
+const { toBoolean, toOfficerRow } = require('./rowMappers');
+const { buildTransactionSearch } = require('./transactionQuery');
 // Import uuid using crypto.randomUUID (built-in Node.js)
 const { randomUUID } = require('crypto');
 
@@ -8,13 +32,39 @@ function generateUUID() {
     return randomUUID();
 }
 
+// The transaction (if any) the current call chain runs in, so its own statements aren't held back by it
+const transactionScope = new AsyncLocalStorage();
+
+// Users joined with their primary account's ledger totals - balances are never read from the users row
+const USER_COLUMNS = `u.*,
+    (SELECT COALESCE(SUM(p.amount), 0) FROM ledger_postings p JOIN accounts a ON a.id = p.accountId
+     WHERE a.accountNumber = u.fakeAccountNumber AND p.status = 'posted') AS ledgerBalance,
+    (SELECT COALESCE(SUM(p.amount), 0) FROM ledger_postings p JOIN accounts a ON a.id = p.accountId
+     WHERE a.accountNumber = u.fakeAccountNumber AND p.status = 'pending' AND p.amount < 0) AS pendingDebits`;
+
 class FinTechDatabaseManager {
     constructor(dbPath = './data/fintech_demo.db') {
         this.dbPath = path.resolve(dbPath);
         this.db = null;
+        this.dialect = 'sqlite';
+        this.transactionQueue = Promise.resolve();
+        this.activeTransaction = null; // { done } while a transaction is between BEGIN and COMMIT
+        this.clearingAccountId = null;
     }
 
     async initialize() {
+        await this.connect();
+        await this.runMigrations();
+
+        // Insert some default officers
+        await this.insertDefaultOfficers();
+        console.log('Database schema is up to date');
+    }
+
+    // Open the database file without touching the schema (used by the migrate CLI)
+    async connect() {
+        if (this.db) return;
+
         return new Promise((resolve, reject) => {
             // Ensure the data directory exists
             const fs = require('fs');
@@ -29,130 +79,29 @@ class FinTechDatabaseManager {
                     reject(err);
                 } else {
                     console.log(`Connected to SQLite database: ${this.dbPath}`);
-                    this.createTables().then(resolve).catch(reject);
+                    // Statements run in the order they're issued, so none slips in after a transaction's BEGIN
+                    this.db.serialize();
+                    resolve();
                 }
             });
         });
     }
 
-    async createTables() {
-        const tables = [
-            // Main users table with registration data
-            `CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                phoneNumber TEXT UNIQUE NOT NULL,
-                name TEXT NOT NULL,
-                companyName TEXT NOT NULL,
-                fakeAccountBalance REAL NOT NULL,
-                fakeAccountNumber TEXT UNIQUE NOT NULL,
-                loanApplicationStatus TEXT NOT NULL,
-                fraudScenario BOOLEAN NOT NULL DEFAULT 0,
-                registeredAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                lastCallAt DATETIME,
-                callCount INTEGER DEFAULT 0
-            )`,
-
-            // Fake loan applications table
-            `CREATE TABLE IF NOT EXISTS loan_applications (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                userId INTEGER NOT NULL,
-                loanType TEXT NOT NULL,
-                loanAmount REAL NOT NULL,
-                status TEXT NOT NULL,
-                nextStep TEXT NOT NULL,
-                assignedOfficer TEXT NOT NULL,
-                appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (userId) REFERENCES users (id)
-            )`,
-
-            // Fake transactions table
-            `CREATE TABLE IF NOT EXISTS transactions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                userId INTEGER NOT NULL,
-                transactionId TEXT UNIQUE NOT NULL,
-                description TEXT NOT NULL,
-                amount REAL NOT NULL,
-                transactionType TEXT NOT NULL, -- 'debit' or 'credit'
-                merchant TEXT,
-                category TEXT,
-                transactionDate DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (userId) REFERENCES users (id)
-            )`,
-
-            // Fake officers/agents table
-            `CREATE TABLE IF NOT EXISTS officers (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL,
-                department TEXT NOT NULL,
-                phoneNumber TEXT,
-                email TEXT,
-                specialization TEXT
-            )`,
-
-            // Call logs for analytics
-            `CREATE TABLE IF NOT EXISTS call_logs (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                phoneNumber TEXT NOT NULL,
-                callDuration INTEGER,
-                scenario TEXT,
-                successful BOOLEAN DEFAULT 1,
-                transcript TEXT,
-                calledAt DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`
-        ];
-
-        for (const tableSQL of tables) {
-            await new Promise((resolve, reject) => {
-                this.db.run(tableSQL, (err) => {
-                    if (err) {
-                        console.error('Error creating table:', err);
-                        reject(err);
-                    } else {
-                        resolve();
-                    }
-                });
-            });
-        }
-
-        // Insert some default officers
-        await this.insertDefaultOfficers();
-        console.log('Database tables created successfully');
+    // Apply any pending schema migrations
+    async runMigrations() {
+        return new MigrationRunner(this).migrate();
     }
 
+    // Seed the directory; officers are matched by name so restarts don't duplicate them
     async insertDefaultOfficers() {
-        const officers = [
-            {
-                name: 'Sarah Johnson',
-                department: 'Fraud Prevention',
-                phoneNumber: '+15553728321',
-                email: 'sarah.johnson@securebank.demo',
-                specialization: 'fraud_investigation'
-            },
-            {
-                name: 'Michael Chen',
-                department: 'Loan Services',
-                phoneNumber: '+15555626767',
-                email: 'michael.chen@securebank.demo',
-                specialization: 'personal_loans'
-            },
-            {
-                name: 'Emily Rodriguez',
-                department: 'Customer Service',
-                phoneNumber: '+15554357000',
-                email: 'emily.rodriguez@securebank.demo',
-                specialization: 'general_support'
-            }
-        ];
-
-        for (const officer of officers) {
-            await new Promise((resolve) => {
-                this.db.run(
-                    `INSERT OR IGNORE INTO officers (name, department, phoneNumber, email, specialization) 
-                     VALUES (?, ?, ?, ?, ?)`,
-                    [officer.name, officer.department, officer.phoneNumber, officer.email, officer.specialization],
-                    resolve
-                );
-            });
+        for (const officer of DEFAULT_OFFICERS) {
+            const row = toOfficerRow(officer);
+            await this.runQuery(
+                `INSERT INTO officers (${OFFICER_COLUMNS.join(', ')})
+                 SELECT ${OFFICER_COLUMNS.map(() => '?').join(', ')}
+                 WHERE NOT EXISTS (SELECT 1 FROM officers WHERE name = ?)`,
+                [...OFFICER_COLUMNS.map(column => row[column]), row.name]
+            );
         }
     }
 
@@ -164,249 +113,881 @@ class FinTechDatabaseManager {
             companyName,
             fakeAccountBalance,
             loanApplicationStatus,
-            fraudScenario
+            fraudScenario,
+            persona,
+            accounts = []
         } = userData;
 
         // Generate unique account number
         const fakeAccountNumber = this.generateAccountNumber();
 
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                `INSERT INTO users (phoneNumber, name, companyName, fakeAccountBalance, fakeAccountNumber, 
-                                  loanApplicationStatus, fraudScenario) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [phoneNumber, name, companyName, fakeAccountBalance, fakeAccountNumber, loanApplicationStatus, fraudScenario],
-                async function(err) {
-                    if (err) {
-                        if (err.message.includes('UNIQUE constraint failed')) {
-                            reject(new Error('Phone number already registered'));
-                        } else {
-                            reject(err);
-                        }
-                    } else {
-                        const userId = this.lastID;
-                        
-                        try {
-                            // Generate fake loan application if needed
-                            if (loanApplicationStatus !== 'None') {
-                                await databaseManager.createFakeLoanApplication(userId, loanApplicationStatus);
-                            }
-
-                            // Generate some fake transactions
-                            await databaseManager.generateFakeTransactions(userId);
-
-                            const user = await databaseManager.getUserByPhone(phoneNumber);
-                            resolve(user);
-                        } catch (error) {
-                            reject(error);
-                        }
-                    }
+        try {
+            await this.withTransaction(async () => {
+                const { lastID: userId } = await this.runQuery(
+                    `INSERT INTO users (phoneNumber, name, companyName, fakeAccountBalance, fakeAccountNumber, 
+                                      loanApplicationStatus, fraudScenario) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [phoneNumber, name, companyName, fakeAccountBalance, fakeAccountNumber, loanApplicationStatus, fraudScenario]
+                );
+
+                // Open the checking account the ledger derives the balance from
+                const accountId = await this.createAccount(userId, fakeAccountNumber, 'checking', 'Primary Checking');
+
+                // Start the loan application chosen on the form part-way through its lifecycle
+                await this.createRegistrationLoan(userId, loanApplicationStatus);
+
+                // Generate a realistic history that adds up to the requested balance
+                await this.generateFakeTransactions(userId, accountId, fakeAccountBalance, {
+                    persona,
+                    fraudScenario: toBoolean(fraudScenario),
+                    seedKey: phoneNumber
+                });
+
+                // Additional products (savings, credit card, loan...) chosen at registration
+                for (const request of accounts) {
+                    await this.openAccount(userId, request);
                 }
-            );
-        });
+
+                await this.createPayees(userId, buildDefaultPayees(userId));
+                await this.issueRegistrationCards(userId, name);
+            });
+        } catch (err) {
+            if (err.message.includes('UNIQUE constraint failed')) {
+                throw new Error('Phone number already registered');
+            }
+            throw err;
+        }
+
+        return this.getUserByPhone(phoneNumber);
     }
 
     // Get user by phone number (for caller identification)
     async getUserByPhone(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            this.db.get(
-                `SELECT * FROM users WHERE phoneNumber = ?`,
-                [phoneNumber],
-                (err, row) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve(row || null);
-                    }
-                }
-            );
-        });
+        return this.getRow(`SELECT ${USER_COLUMNS} FROM users u WHERE u.phoneNumber = ?`, [phoneNumber]);
+    }
+
+    async getUserById(userId) {
+        return this.getRow(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = ?`, [userId]);
     }
 
-    // Get user's loan applications
+    // Get user's loan applications, newest first
     async getUserLoanApplications(userId) {
-        return new Promise((resolve, reject) => {
-            this.db.all(
-                `SELECT * FROM loan_applications WHERE userId = ?`,
-                [userId],
-                (err, rows) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve(rows);
-                    }
-                }
-            );
-        });
+        return this.allRows(`SELECT * FROM loan_applications WHERE userId = ? ORDER BY appliedAt DESC, id DESC`, [userId]);
     }
 
     // Get user's transactions
     async getUserTransactions(userId, limit = 10) {
-        return new Promise((resolve, reject) => {
-            this.db.all(
-                `SELECT * FROM transactions WHERE userId = ? ORDER BY transactionDate DESC LIMIT ?`,
-                [userId, limit],
-                (err, rows) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve(rows);
-                    }
-                }
+        return this.allRows(`SELECT * FROM transactions WHERE userId = ? ORDER BY transactionDate DESC LIMIT ?`, [userId, limit]);
+    }
+
+    // Generate the account's history (see banking/transactionGenerator) and post it to the ledger
+    async generateFakeTransactions(userId, accountId, targetBalance, options = {}) {
+        const posted = [];
+        for (const transaction of generateAccountHistory(targetBalance, options)) {
+            posted.push(await this.insertLedgerTransaction(userId, accountId, transaction));
+        }
+        return posted;
+    }
+
+    // Update user's call statistics
+    async updateUserCallStats(phoneNumber) {
+        const { changes } = await this.runQuery(
+            `UPDATE users SET lastCallAt = CURRENT_TIMESTAMP, callCount = callCount + 1 
+             WHERE phoneNumber = ?`,
+            [phoneNumber]
+        );
+        return changes;
+    }
+
+    // Log a call for analytics
+    async logCall(phoneNumber, scenario, duration = null, successful = true, transcript = null, callId = null) {
+        const { lastID } = await this.runQuery(
+            `INSERT INTO call_logs (phoneNumber, scenario, callDuration, successful, transcript, callId)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [phoneNumber, scenario, duration, successful, transcript, callId]
+        );
+        return lastID;
+    }
+
+    // Generate a fake account number
+    generateAccountNumber() {
+        const timestamp = Date.now().toString().slice(-8);
+        const random = Math.random().toString().slice(2, 6);
+        return `ACC${timestamp}${random}`;
+    }
+
+    // Get a random active officer with the skill (for assigning loan applications)
+    async getOfficerBySpecialization(specialization) {
+        return this.getRow(
+            `SELECT * FROM officers WHERE active = 1 AND (',' || skills || ',') LIKE ? ORDER BY RANDOM() LIMIT 1`,
+            [`%,${specialization},%`]
+        );
+    }
+
+    // ---- Loans ----
+
+    // Create the application chosen on the registration form, if any (caller owns the DB transaction)
+    async createRegistrationLoan(userId, registrationStatus) {
+        if (!REGISTRATION_STATUSES[registrationStatus]) {
+            return null; // 'None'
+        }
+        const officer = await this.getOfficerBySpecialization(LOAN_OFFICER_SPECIALIZATION);
+        const application = buildRegistrationLoan(registrationStatus, {
+            userId,
+            assignedOfficer: officer ? officer.name : null
+        });
+        return this.insertLoanApplication(application.loan, application.events);
+    }
+
+    // Insert an application and its events (caller owns the DB transaction)
+    async insertLoanApplication(loan, events) {
+        const { lastID } = await this.runQuery(
+            `INSERT INTO loan_applications (userId, loanType, loanAmount, status, nextStep, assignedOfficer, appliedAt,
+                                            termMonths, interestRate, monthlyPayment, plannedDecision, decisionReason,
+                                            documentsRequested, statusChangedAt, fundedAt, firstPaymentDate,
+                                            disbursementTransactionId)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [loan.userId, loan.loanType, loan.loanAmount, loan.status, loan.nextStep, loan.assignedOfficer, loan.appliedAt,
+             loan.termMonths, loan.interestRate, loan.monthlyPayment, loan.plannedDecision, loan.decisionReason,
+             loan.documentsRequested, loan.statusChangedAt, loan.fundedAt, loan.firstPaymentDate,
+             loan.disbursementTransactionId]
+        );
+        for (const event of events) {
+            await this.insertLoanEvent(lastID, event);
+        }
+        return lastID;
+    }
+
+    async insertLoanEvent(loanId, event) {
+        await this.runQuery(
+            `INSERT INTO loan_events (loanId, eventType, fromStatus, toStatus, note, actor, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [loanId, event.eventType, event.fromStatus, event.toStatus, event.note, event.actor, event.createdAt]
+        );
+    }
+
+    async createLoanApplication(loan, events) {
+        return this.withTransaction(async () => this.getLoanApplication(await this.insertLoanApplication(loan, events)));
+    }
+
+    async getLoanApplication(loanId) {
+        return this.getRow(`SELECT * FROM loan_applications WHERE id = ?`, [loanId]);
+    }
+
+    async getOpenLoanApplications() {
+        return this.allRows(
+            `SELECT * FROM loan_applications WHERE status IN (${OPEN_LOAN_STATUSES.map(() => '?').join(', ')}) ORDER BY id`,
+            OPEN_LOAN_STATUSES
+        );
+    }
+
+    async getLoanEvents(loanId) {
+        return this.allRows(`SELECT * FROM loan_events WHERE loanId = ? ORDER BY createdAt, id`, [loanId]);
+    }
+
+    // Apply a status change if the application is still in fromStatus, all or nothing: the update,
+    // its event and, when funding, the disbursement into primary checking. Null if the status moved on.
+    async transitionLoan(loanId, fromStatus, changes, event, disbursement = null) {
+        return this.withTransaction(async () => {
+            const columns = LOAN_MUTABLE_FIELDS.filter(column => changes[column] !== undefined);
+            const { changes: updated } = await this.runQuery(
+                `UPDATE loan_applications SET ${columns.map(column => `${column} = ?`).join(', ')}
+                 WHERE id = ? AND status = ?`,
+                [...columns.map(column => changes[column]), loanId, fromStatus]
             );
+            if (updated === 0) {
+                return null;
+            }
+
+            if (disbursement) {
+                const loan = await this.getLoanApplication(loanId);
+                const account = await this.getPrimaryAccount(loan.userId);
+                const transaction = await this.insertLedgerTransaction(loan.userId, account.id, disbursement);
+                await this.runQuery(
+                    `UPDATE loan_applications SET disbursementTransactionId = ? WHERE id = ?`,
+                    [transaction.transactionId, loanId]
+                );
+            }
+
+            await this.insertLoanEvent(loanId, event);
+            return this.getLoanApplication(loanId);
         });
     }
 
-    // Create a fake loan application
-    async createFakeLoanApplication(userId, status) {
-        const loanTypes = ['Personal Loan', 'Auto Loan', 'Home Mortgage', 'Business Loan'];
-        const amounts = [5000, 15000, 25000, 50000, 100000, 250000];
-        const nextSteps = {
-            'Under Review': 'Document verification',
-            'Approved': 'Fund disbursement',
-            'Pending': 'Credit check completion',
-            'Requires Documentation': 'Submit income verification'
+    // Store a pre-qualification quote
+    async createLoanQuote(quote) {
+        const { lastID } = await this.runQuery(
+            `INSERT INTO loan_quotes (userId, loanType, requestedAmount, loanAmount, termMonths, outcome, interestRate,
+                                      monthlyPayment, totalInterest, maxAmount, monthlyIncome, monthlyDebtPayments,
+                                      debtToIncome, reason, createdAt, expiresAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [quote.userId, quote.loanType, quote.requestedAmount, quote.loanAmount, quote.termMonths, quote.outcome,
+             quote.interestRate, quote.monthlyPayment, quote.totalInterest, quote.maxAmount, quote.monthlyIncome,
+             quote.monthlyDebtPayments, quote.debtToIncome, quote.reason, quote.createdAt, quote.expiresAt]
+        );
+        return this.getLoanQuote(lastID);
+    }
+
+    async getLoanQuote(quoteId) {
+        return this.getRow(`SELECT * FROM loan_quotes WHERE id = ?`, [quoteId]);
+    }
+
+    // A customer's quotes, newest first
+    async getUserLoanQuotes(userId, limit) {
+        return this.allRows(`SELECT * FROM loan_quotes WHERE userId = ? ORDER BY createdAt DESC, id DESC LIMIT ?`, [userId, limit]);
+    }
+
+    // ---- Ledger ----
+
+    // Open a ledger account
+    async createAccount(userId, accountNumber, accountType, name, nickname = null) {
+        const { lastID } = await this.runQuery(
+            `INSERT INTO accounts (userId, accountNumber, accountType, name, nickname) VALUES (?, ?, ?, ?, ?)`,
+            [userId, accountNumber, accountType, name, nickname]
+        );
+        return lastID;
+    }
+
+    // Open an additional account with its generated history (caller owns the DB transaction)
+    async openAccount(userId, request) {
+        const account = normalizeAccountRequest(request);
+        const accountId = await this.createAccount(
+            userId, this.generateAccountNumber(), account.type, account.name, account.nickname
+        );
+
+        for (const transaction of planAccountOpening(account)) {
+            await this.insertLedgerTransaction(userId, accountId, transaction);
+        }
+
+        return accountId;
+    }
+
+    // All of a user's accounts with their ledger totals, primary checking first
+    async getUserAccounts(userId) {
+        return this.allRows(
+            `SELECT a.*,
+                    COALESCE(SUM(CASE WHEN p.status = 'posted' THEN p.amount END), 0) AS postedTotal,
+                    COALESCE(SUM(CASE WHEN p.status = 'pending' AND p.amount < 0 THEN p.amount END), 0) AS pendingDebits
+             FROM accounts a
+             JOIN users u ON u.id = a.userId
+             LEFT JOIN ledger_postings p ON p.accountId = a.id
+             WHERE a.userId = ?
+             GROUP BY a.id
+             ORDER BY (a.accountNumber = u.fakeAccountNumber) DESC, a.id`,
+            [userId]
+        );
+    }
+
+    // Transactions posted to a single account, newest first
+    async getAccountTransactions(accountNumber, limit = 10) {
+        return this.allRows(
+            `SELECT t.* FROM transactions t JOIN accounts a ON a.id = t.accountId
+             WHERE a.accountNumber = ? ORDER BY t.transactionDate DESC LIMIT ?`,
+            [accountNumber, limit]
+        );
+    }
+
+    // Search a user's transactions (see transactionQuery); totals cover every match, not just the page
+    async searchTransactions(userId, query) {
+        const { where, params, orderBy } = buildTransactionSearch(userId, query, 'sqlite');
+        const [rows, totals] = await Promise.all([
+            this.allRows(
+                `SELECT * FROM transactions ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+                [...params, query.limit, query.offset]
+            ),
+            this.getRow(
+                `SELECT COUNT(*) AS total,
+                        COALESCE(SUM(CASE WHEN amount < 0 THEN amount ELSE 0 END), 0) AS debitTotal,
+                        COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) AS creditTotal
+                 FROM transactions ${where}`,
+                params
+            )
+        ]);
+        return { rows, ...totals };
+    }
+
+    async getAccountByNumber(accountNumber) {
+        return this.getRow(`SELECT * FROM accounts WHERE accountNumber = ?`, [accountNumber]);
+    }
+
+    // Get the primary (registration) account for a user
+    async getPrimaryAccount(userId) {
+        return this.getRow(
+            `SELECT a.* FROM accounts a JOIN users u ON u.fakeAccountNumber = a.accountNumber WHERE u.id = ?`,
+            [userId]
+        );
+    }
+
+    async getClearingAccountId() {
+        if (!this.clearingAccountId) {
+            const account = await this.getAccountByNumber(CLEARING_ACCOUNT_NUMBER);
+            if (!account) {
+                throw new Error('Ledger clearing account missing - run migrations');
+            }
+            this.clearingAccountId = account.id;
+        }
+        return this.clearingAccountId;
+    }
+
+    // Insert a transaction row without postings (see insertLedgerTransaction / completeTransfer)
+    async insertTransactionRow(userId, accountId, transaction) {
+        const row = {
+            transactionId: transaction.transactionId || generateTransactionId(),
+            status: transaction.status || POSTING_STATUS.POSTED,
+            transactionDate: transaction.transactionDate || new Date().toISOString(),
+            amount: roundCents(transaction.amount)
         };
 
-        const loanType = loanTypes[Math.floor(Math.random() * loanTypes.length)];
-        const loanAmount = amounts[Math.floor(Math.random() * amounts.length)];
-        const nextStep = nextSteps[status] || 'Contact loan officer';
-        const assignedOfficer = 'Michael Chen';
+        await this.runQuery(
+            `INSERT INTO transactions (userId, accountId, transactionId, description, amount, transactionType, 
+                                     merchant, category, transactionDate, status, cardId, suspectedFraud)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, accountId, row.transactionId, transaction.description, row.amount,
+             transaction.transactionType || (row.amount < 0 ? 'debit' : 'credit'),
+             transaction.merchant || null, transaction.category || null, row.transactionDate, row.status,
+             transaction.cardId || null, transaction.suspectedFraud ? 1 : 0]
+        );
+
+        return row;
+    }
 
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                `INSERT INTO loan_applications (userId, loanType, loanAmount, status, nextStep, assignedOfficer)
-                 VALUES (?, ?, ?, ?, ?, ?)`,
-                [userId, loanType, loanAmount, status, nextStep, assignedOfficer],
-                function(err) {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve(this.lastID);
-                    }
-                }
+    // Insert a transaction row and its balanced postings (caller owns the DB transaction)
+    async insertLedgerTransaction(userId, accountId, transaction) {
+        const { transactionId, status, transactionDate, amount } = await this.insertTransactionRow(userId, accountId, transaction);
+
+        const postings = buildTransactionPostings({
+            customerAccountId: accountId,
+            clearingAccountId: await this.getClearingAccountId(),
+            amount
+        });
+        await this.insertPostings(transactionId, postings, status, transaction.description, transactionDate);
+
+        return this.getRow(`SELECT * FROM transactions WHERE transactionId = ?`, [transactionId]);
+    }
+
+    // Insert a balanced journal, tracking the running balance on customer accounts
+    async insertPostings(journalId, postings, status, description, postedAt) {
+        validateJournal(postings);
+
+        for (const posting of postings) {
+            let balanceAfter = null;
+            if (status === POSTING_STATUS.POSTED && posting.accountId !== await this.getClearingAccountId()) {
+                const { postedTotal } = await this.getRow(
+                    `SELECT COALESCE(SUM(amount), 0) AS postedTotal FROM ledger_postings
+                     WHERE accountId = ? AND status = 'posted'`,
+                    [posting.accountId]
+                );
+                balanceAfter = roundCents(postedTotal + posting.amount);
+            }
+
+            await this.runQuery(
+                `INSERT INTO ledger_postings (journalId, accountId, amount, balanceAfter, status, description, postedAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [journalId, posting.accountId, posting.amount, balanceAfter, status, description, postedAt]
             );
+        }
+    }
+
+    // Post a new transaction to one of a user's accounts (transaction.accountNumber, default: primary)
+    async postTransaction(userId, transaction) {
+        return this.withTransaction(async () => {
+            const account = transaction.accountNumber
+                ? await this.getRow(`SELECT * FROM accounts WHERE accountNumber = ? AND userId = ?`, [transaction.accountNumber, userId])
+                : await this.getPrimaryAccount(userId);
+            if (!account) {
+                throw new Error(`No ledger account found for user ${userId}`);
+            }
+            return this.insertLedgerTransaction(userId, account.id, transaction);
         });
     }
 
-    // Generate fake transactions for a user
-    async generateFakeTransactions(userId, count = 5) {
-        const merchants = [
-            'Starbucks Coffee', 'Amazon.com', 'Shell Gas Station', 'Target Store',
-            'McDonald\'s', 'Uber Ride', 'Netflix', 'Spotify', 'Whole Foods',
-            'CVS Pharmacy', 'Home Depot', 'Best Buy', 'Costco Wholesale'
-        ];
-        
-        const categories = [
-            'Food & Dining', 'Shopping', 'Gas & Fuel', 'Entertainment',
-            'Transportation', 'Groceries', 'Health & Fitness', 'Bills & Utilities'
-        ];
-
-        const transactions = [];
-        for (let i = 0; i < count; i++) {
-            const merchant = merchants[Math.floor(Math.random() * merchants.length)];
-            const category = categories[Math.floor(Math.random() * categories.length)];
-            const amount = (Math.random() * 200 + 5).toFixed(2); // $5 to $205
-            const transactionId = `TXN${Date.now()}${Math.random().toString(36).substr(2, 5)}`;
-            
-            // Most transactions are debits, some are credits (refunds/deposits)
-            const transactionType = Math.random() > 0.15 ? 'debit' : 'credit';
-            const finalAmount = transactionType === 'debit' ? -Math.abs(amount) : Math.abs(amount);
-
-            const transaction = {
-                userId,
+    // Settle a pending transaction so it counts towards the ledger balance
+    async settleTransaction(transactionId) {
+        return this.withTransaction(async () => {
+            const pending = await this.allRows(
+                `SELECT * FROM ledger_postings WHERE journalId = ? AND status = 'pending' ORDER BY id`,
+                [transactionId]
+            );
+            if (pending.length === 0) {
+                return null;
+            }
+
+            await this.runQuery(`DELETE FROM ledger_postings WHERE journalId = ? AND status = 'pending'`, [transactionId]);
+            await this.insertPostings(
                 transactionId,
-                description: merchant,
-                amount: finalAmount,
-                transactionType,
-                merchant,
-                category,
-                transactionDate: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString()
-            };
-
-            transactions.push(transaction);
+                pending.map(p => ({ accountId: p.accountId, amount: p.amount })),
+                POSTING_STATUS.POSTED,
+                pending[0].description,
+                new Date().toISOString()
+            );
+            await this.runQuery(`UPDATE transactions SET status = 'posted' WHERE transactionId = ?`, [transactionId]);
+
+            return this.getRow(`SELECT * FROM transactions WHERE transactionId = ?`, [transactionId]);
+        });
+    }
+
+    // Posted and pending totals for an account (see ledger.summarizeBalance)
+    async getAccountBalance(accountNumber) {
+        return this.getRow(
+            `SELECT a.accountNumber,
+                    COALESCE(SUM(CASE WHEN p.status = 'posted' THEN p.amount END), 0) AS postedTotal,
+                    COALESCE(SUM(CASE WHEN p.status = 'pending' AND p.amount < 0 THEN p.amount END), 0) AS pendingDebits
+             FROM accounts a LEFT JOIN ledger_postings p ON p.accountId = a.id
+             WHERE a.accountNumber = ?
+             GROUP BY a.id`,
+            [accountNumber]
+        );
+    }
+
+    // Postings on an account, newest first
+    async getAccountPostings(accountNumber, limit = 50) {
+        return this.allRows(
+            `SELECT p.* FROM ledger_postings p JOIN accounts a ON a.id = p.accountId
+             WHERE a.accountNumber = ? ORDER BY p.postedAt DESC, p.id DESC LIMIT ?`,
+            [accountNumber, limit]
+        );
+    }
+
+    // ---- Payees & transfers ----
+
+    // Save payees for a user (caller owns the DB transaction)
+    async createPayees(userId, payees) {
+        for (const payee of payees) {
+            await this.runQuery(
+                `INSERT INTO payees (userId, name, nickname, bankName, accountNumber, category) VALUES (?, ?, ?, ?, ?, ?)`,
+                [userId, payee.name, payee.nickname || null, payee.bankName || null, payee.accountNumber, payee.category || null]
+            );
         }
+    }
 
-        for (const transaction of transactions) {
-            await new Promise((resolve, reject) => {
-                this.db.run(
-                    `INSERT INTO transactions (userId, transactionId, description, amount, transactionType, 
-                                             merchant, category, transactionDate)
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                    [transaction.userId, transaction.transactionId, transaction.description,
-                     transaction.amount, transaction.transactionType, transaction.merchant,
-                     transaction.category, transaction.transactionDate],
-                    (err) => {
-                        if (err) reject(err);
-                        else resolve();
-                    }
-                );
+    async getUserPayees(userId) {
+        return this.allRows(`SELECT * FROM payees WHERE userId = ? ORDER BY id`, [userId]);
+    }
+
+    // Create a transfer awaiting confirmation; a reused idempotency key returns the original transfer
+    async createTransfer(transfer) {
+        try {
+            await this.runQuery(
+                `INSERT INTO transfers (transferId, userId, idempotencyKey, transferType, fromAccountId, toAccountId,
+                                        payeeId, amount, memo, status, readBack, createdAt, expiresAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [transfer.transferId, transfer.userId, transfer.idempotencyKey, transfer.transferType,
+                 transfer.fromAccountId, transfer.toAccountId || null, transfer.payeeId || null, transfer.amount,
+                 transfer.memo || null, transfer.status, transfer.readBack, transfer.createdAt, transfer.expiresAt]
+            );
+        } catch (err) {
+            if (err.message.includes('UNIQUE constraint failed: transfers.userId, transfers.idempotencyKey')) {
+                return this.getTransferByIdempotencyKey(transfer.userId, transfer.idempotencyKey);
+            }
+            throw err;
+        }
+        return this.getTransfer(transfer.transferId);
+    }
+
+    async getTransfer(transferId) {
+        return this.getRow(`SELECT * FROM transfers WHERE transferId = ?`, [transferId]);
+    }
+
+    async getTransferByIdempotencyKey(userId, idempotencyKey) {
+        return this.getRow(`SELECT * FROM transfers WHERE userId = ? AND idempotencyKey = ?`, [userId, idempotencyKey]);
+    }
+
+    // Total of transfers completed since the given ISO timestamp (for the daily limit)
+    async getCompletedTransferTotal(userId, since) {
+        const { total } = await this.getRow(
+            `SELECT COALESCE(SUM(amount), 0) AS total FROM transfers
+             WHERE userId = ? AND status = 'completed' AND completedAt >= ?`,
+            [userId, since]
+        );
+        return total;
+    }
+
+    // Move a transfer between statuses; false if it was no longer in fromStatus
+    async updateTransferStatus(transferId, fromStatus, toStatus) {
+        const { changes } = await this.runQuery(
+            `UPDATE transfers SET status = ? WHERE transferId = ? AND status = ?`,
+            [toStatus, transferId, fromStatus]
+        );
+        return changes > 0;
+    }
+
+    // Execute a confirmed transfer: post its journal and mark it completed, all or nothing.
+    // Returns null if the transfer was no longer awaiting confirmation (already executed, cancelled...).
+    async completeTransfer(transferId, labels) {
+        return this.withTransaction(async () => {
+            const completedAt = new Date().toISOString();
+            const { changes } = await this.runQuery(
+                `UPDATE transfers SET status = ?, completedAt = ? WHERE transferId = ? AND status = ?`,
+                [TRANSFER_STATUS.COMPLETED, completedAt, transferId, TRANSFER_STATUS.PENDING_CONFIRMATION]
+            );
+            if (changes === 0) {
+                return null;
+            }
+
+            const transfer = await this.getTransfer(transferId);
+            const { available } = await this.getRow(
+                `SELECT COALESCE(SUM(CASE WHEN status = 'posted' OR amount < 0 THEN amount END), 0) AS available
+                 FROM ledger_postings WHERE accountId = ?`,
+                [transfer.fromAccountId]
+            );
+            if (roundCents(available) < transfer.amount) {
+                throw new Error('Insufficient funds');
+            }
+
+            const { postings, transactions } = buildTransferEntries(transfer, {
+                clearingAccountId: await this.getClearingAccountId(),
+                labels,
+                postedAt: completedAt
             });
+            for (const transaction of transactions) {
+                await this.insertTransactionRow(transfer.userId, transaction.accountId, transaction);
+            }
+            await this.insertPostings(transferId, postings, POSTING_STATUS.POSTED, transactions[0].description, completedAt);
+
+            return transfer;
+        });
+    }
+
+    // ---- Cards ----
+
+    // Issue the registration cards and tie any suspected-fraud charges on the primary account to
+    // the debit card (caller owns the DB transaction)
+    async issueRegistrationCards(userId, name) {
+        const accounts = await this.allRows(
+            `SELECT a.id, a.accountType FROM accounts a JOIN users u ON u.id = a.userId
+             WHERE a.userId = ? ORDER BY (a.accountNumber = u.fakeAccountNumber) DESC, a.id`,
+            [userId]
+        );
+
+        const cardIds = [];
+        for (const card of buildRegistrationCards({ id: userId, name }, accounts)) {
+            cardIds.push(await this.createCard(card));
         }
 
-        return transactions;
+        if (cardIds.length > 0) {
+            await this.runQuery(
+                `UPDATE transactions SET cardId = ? WHERE accountId = ? AND suspectedFraud = 1 AND cardId IS NULL`,
+                [cardIds[0], accounts[0].id]
+            );
+        }
+        return cardIds;
     }
 
-    // Update user's call statistics
-    async updateUserCallStats(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                `UPDATE users SET lastCallAt = CURRENT_TIMESTAMP, callCount = callCount + 1 
-                 WHERE phoneNumber = ?`,
-                [phoneNumber],
-                function(err) {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve(this.changes);
-                    }
-                }
+    async createCard(card) {
+        const { lastID } = await this.runQuery(
+            `INSERT INTO cards (userId, accountId, cardType, network, last4, cardholderName, expiryMonth, expiryYear,
+                                status, replacesCardId, issuedAt, statusChangedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [card.userId, card.accountId, card.cardType, card.network, card.last4, card.cardholderName,
+             card.expiryMonth, card.expiryYear, card.status, card.replacesCardId || null, card.issuedAt, card.statusChangedAt]
+        );
+        return lastID;
+    }
+
+    async getUserCards(userId) {
+        return this.allRows(`SELECT * FROM cards WHERE userId = ? ORDER BY id`, [userId]);
+    }
+
+    async getCard(cardId) {
+        return this.getRow(`SELECT * FROM cards WHERE id = ?`, [cardId]);
+    }
+
+    // Move a card to toStatus if it is still in one of fromStatuses; false otherwise
+    async updateCardStatus(cardId, fromStatuses, toStatus) {
+        const { changes } = await this.runQuery(
+            `UPDATE cards SET status = ?, statusChangedAt = ?
+             WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+            [toStatus, new Date().toISOString(), cardId, ...fromStatuses]
+        );
+        return changes > 0;
+    }
+
+    // Order a replacement: close the old card (lost cards stay lost) and issue the new one, all or nothing.
+    // Returns null if the card can no longer be replaced (closed, or a replacement already exists).
+    async replaceCard(cardId, replacement, fromStatuses) {
+        return this.withTransaction(async () => {
+            const { changes } = await this.runQuery(
+                `UPDATE cards SET status = CASE WHEN status = ? THEN status ELSE ? END, statusChangedAt = ?
+                 WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})
+                   AND NOT EXISTS (SELECT 1 FROM cards r WHERE r.replacesCardId = ?)`,
+                [CARD_STATUS.LOST, CARD_STATUS.CLOSED, new Date().toISOString(), cardId, ...fromStatuses, cardId]
             );
+            if (changes === 0) {
+                return null;
+            }
+            return this.getCard(await this.createCard({ ...replacement, replacesCardId: cardId }));
         });
     }
 
-    // Log a call for analytics
-    async logCall(phoneNumber, scenario, duration = null, successful = true, transcript = null) {
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                `INSERT INTO call_logs (phoneNumber, scenario, callDuration, successful, transcript)
-                 VALUES (?, ?, ?, ?, ?)`,
-                [phoneNumber, scenario, duration, successful, transcript],
-                function(err) {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve(this.lastID);
-                    }
-                }
+    // Transactions flagged as suspected fraud, newest first
+    async getSuspiciousTransactions(userId) {
+        return this.allRows(
+            `SELECT * FROM transactions WHERE userId = ? AND suspectedFraud = 1 ORDER BY transactionDate DESC`,
+            [userId]
+        );
+    }
+
+    // Get all registered users, newest first
+    async getAllUsers() {
+        return this.allRows(`SELECT ${USER_COLUMNS} FROM users u ORDER BY u.registeredAt DESC`);
+    }
+
+    // Get every loan application across all users, newest first
+    async getAllLoanApplications() {
+        return this.allRows(`SELECT * FROM loan_applications ORDER BY appliedAt DESC`);
+    }
+
+    // Get the most recent transactions across all users
+    async getRecentTransactions(limit = 50) {
+        return this.allRows(
+            `SELECT * FROM transactions ORDER BY transactionDate DESC LIMIT ?`,
+            [limit]
+        );
+    }
+
+    // Get all bank officers
+    async getAllOfficers() {
+        return this.allRows(`SELECT * FROM officers ORDER BY id`);
+    }
+
+    async getOfficer(officerId) {
+        return this.getRow(`SELECT * FROM officers WHERE id = ?`, [officerId]);
+    }
+
+    // Add an officer (see rowMappers.toOfficerRow for the columns)
+    async createOfficer(row) {
+        const { lastID } = await this.runQuery(
+            `INSERT INTO officers (${OFFICER_COLUMNS.join(', ')}) VALUES (${OFFICER_COLUMNS.map(() => '?').join(', ')})`,
+            OFFICER_COLUMNS.map(column => row[column])
+        );
+        return this.getOfficer(lastID);
+    }
+
+    async updateOfficer(officerId, row) {
+        const columns = OFFICER_COLUMNS.filter(column => row[column] !== undefined);
+        await this.runQuery(
+            `UPDATE officers SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => row[column]), officerId]
+        );
+        return this.getOfficer(officerId);
+    }
+
+    // Record a call handed to an officer and when they last got one (for load balancing)
+    async startOfficerTransfer(transfer) {
+        return this.withTransaction(async () => {
+            const { lastID } = await this.runQuery(
+                `INSERT INTO officer_transfers (officerId, callId, reason, skill, startedAt) VALUES (?, ?, ?, ?, ?)`,
+                [transfer.officerId, transfer.callId, transfer.reason, transfer.skill, transfer.startedAt]
             );
+            await this.runQuery(`UPDATE officers SET lastAssignedAt = ? WHERE id = ?`, [transfer.startedAt, transfer.officerId]);
+            return this.getRow(`SELECT * FROM officer_transfers WHERE id = ?`, [lastID]);
         });
     }
 
-    // Generate a fake account number
-    generateAccountNumber() {
-        const timestamp = Date.now().toString().slice(-8);
-        const random = Math.random().toString().slice(2, 6);
-        return `ACC${timestamp}${random}`;
+    // Close a call's open transfers; returns how many there were
+    async endOfficerTransfers(callId, endedAt) {
+        const { changes } = await this.runQuery(
+            `UPDATE officer_transfers SET endedAt = ? WHERE callId = ? AND endedAt IS NULL`,
+            [endedAt, callId]
+        );
+        return changes;
     }
 
-    // Get a random officer by specialization
-    async getOfficerBySpecialization(specialization) {
-        return new Promise((resolve, reject) => {
-            this.db.get(
-                `SELECT * FROM officers WHERE specialization = ? ORDER BY RANDOM() LIMIT 1`,
-                [specialization],
-                (err, row) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve(row);
-                    }
-                }
+    // Open transfers per officer, ignoring any started before `since`
+    async getOfficerLoads(since) {
+        return this.allRows(
+            `SELECT officerId, COUNT(*) AS activeCalls FROM officer_transfers
+             WHERE endedAt IS NULL AND startedAt >= ? GROUP BY officerId`,
+            [since]
+        );
+    }
+
+    // Get call logs, optionally filtered by phone number
+    async getCallLogs(phoneNumber = null, limit = 100) {
+        if (phoneNumber) {
+            return this.allRows(
+                `SELECT * FROM call_logs WHERE phoneNumber = ? ORDER BY calledAt DESC LIMIT ?`,
+                [phoneNumber, limit]
             );
+        }
+        return this.allRows(`SELECT * FROM call_logs ORDER BY calledAt DESC LIMIT ?`, [limit]);
+    }
+
+    // The newest log of a call
+    async getCallLog(callId) {
+        return this.getRow(`SELECT * FROM call_logs WHERE callId = ? ORDER BY id DESC LIMIT 1`, [callId]);
+    }
+
+    // Update the newest log of a call; fields left undefined keep their value. Resolves with the rows changed (0 or 1)
+    async updateCallLog(callId, { callDuration, successful, outcome, transcript }) {
+        const { changes } = await this.runQuery(
+            `UPDATE call_logs SET callDuration = COALESCE(?, callDuration), successful = COALESCE(?, successful),
+                 outcome = COALESCE(?, outcome), transcript = COALESCE(?, transcript)
+             WHERE id = (SELECT id FROM call_logs WHERE callId = ? ORDER BY id DESC LIMIT 1)`,
+            [callDuration ?? null, successful ?? null, outcome ?? null, transcript ?? null, callId]
+        );
+        return changes;
+    }
+
+    async recordCallEvent(event) {
+        const { lastID } = await this.runQuery(
+            `INSERT INTO call_events (callId, dialogId, eventType, details, occurredAt) VALUES (?, ?, ?, ?, ?)`,
+            [event.callId, event.dialogId, event.eventType, event.details, event.occurredAt]
+        );
+        return lastID;
+    }
+
+    async getCallEvents(callId) {
+        return this.allRows(`SELECT * FROM call_events WHERE callId = ? ORDER BY occurredAt, id`, [callId]);
+    }
+
+    // The call an earlier event of this dialog was recorded against
+    async getCallIdForDialog(dialogId) {
+        const row = await this.getRow(`SELECT callId FROM call_events WHERE dialogId = ? ORDER BY id LIMIT 1`, [dialogId]);
+        return row ? row.callId : null;
+    }
+
+    // ---- Call sessions ----
+
+    // Insert or replace a session (see rowMappers.toCallSessionRow), starting again at version 1
+    async saveCallSession(row) {
+        await this.runQuery(
+            `INSERT INTO call_sessions (callId, dialogId, status, data, version, startedAt, updatedAt, expiresAt)
+             VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+             ON CONFLICT (callId) DO UPDATE SET dialogId = excluded.dialogId, status = excluded.status, data = excluded.data,
+                 version = 1, startedAt = excluded.startedAt, updatedAt = excluded.updatedAt, expiresAt = excluded.expiresAt`,
+            [row.callId, row.dialogId, row.status, row.data, row.startedAt, row.updatedAt, row.expiresAt]
+        );
+        return this.getRow(`SELECT * FROM call_sessions WHERE callId = ?`, [row.callId]);
+    }
+
+    async getCallSession(callId, now) {
+        return this.getRow(`SELECT * FROM call_sessions WHERE callId = ? AND expiresAt > ?`, [callId, now]);
+    }
+
+    async getCallSessionByDialogId(dialogId, now) {
+        return this.getRow(
+            `SELECT * FROM call_sessions WHERE dialogId = ? AND expiresAt > ? ORDER BY startedAt DESC LIMIT 1`,
+            [dialogId, now]
+        );
+    }
+
+    // Unexpired sessions, oldest call first
+    async getActiveCallSessions(now) {
+        return this.allRows(`SELECT * FROM call_sessions WHERE expiresAt > ? ORDER BY startedAt, callId`, [now]);
+    }
+
+    // Replace a session's contents if it is still at `version`; false if another writer got there first
+    async updateCallSession(callId, version, row) {
+        const { changes } = await this.runQuery(
+            `UPDATE call_sessions SET dialogId = ?, status = ?, data = ?, version = version + 1, updatedAt = ?, expiresAt = ?
+             WHERE callId = ? AND version = ?`,
+            [row.dialogId, row.status, row.data, row.updatedAt, row.expiresAt, callId, version]
+        );
+        return changes > 0;
+    }
+
+    // Remove a session and return it, or null if it was already gone (only one caller gets the row)
+    async deleteCallSession(callId) {
+        return this.withTransaction(async () => {
+            const row = await this.getRow(`SELECT * FROM call_sessions WHERE callId = ?`, [callId]);
+            if (row) {
+                await this.runQuery(`DELETE FROM call_sessions WHERE callId = ?`, [callId]);
+            }
+            return row || null;
         });
     }
 
+    async deleteExpiredCallSessions(now) {
+        const { changes } = await this.runQuery(`DELETE FROM call_sessions WHERE expiresAt <= ?`, [now]);
+        return changes;
+    }
+
+    // Issue a statement now, or - from outside the open transaction - once that has ended; on the shared
+    // connection it would otherwise run between BEGIN and COMMIT and be committed or rolled back with it
+    schedule(statement) {
+        const transaction = this.activeTransaction;
+        if (transaction && transactionScope.getStore() !== transaction) {
+            return transaction.done.then(() => this.schedule(statement));
+        }
+        return statement();
+    }
+
+    // Promise wrapper around db.all
+    allRows(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        }));
+    }
+
+    // Promise wrapper around db.get
+    getRow(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        }));
+    }
+
+    // Promise wrapper around db.run, resolves with { lastID, changes }
+    runQuery(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        }));
+    }
+
+    // Run fn inside BEGIN/COMMIT, rolling back if it throws.
+    // sqlite3 uses a single connection, so transactions are queued one after another and other
+    // statements wait while one is open (fn must not call withTransaction itself).
+    async withTransaction(fn) {
+        const tx = {
+            run: (sql, params) => this.runQuery(sql, params),
+            all: (sql, params) => this.allRows(sql, params)
+        };
+
+        const run = async () => {
+            let finished;
+            const transaction = { done: new Promise(resolve => { finished = resolve; }) };
+            this.activeTransaction = transaction;
+            try {
+                return await transactionScope.run(transaction, async () => {
+                    await this.runQuery('BEGIN TRANSACTION');
+                    try {
+                        const result = await fn(tx);
+                        await this.runQuery('COMMIT');
+                        return result;
+                    } catch (error) {
+                        await this.runQuery('ROLLBACK');
+                        throw error;
+                    }
+                });
+            } finally {
+                this.activeTransaction = null;
+                finished();
+            }
+        };
+
+        const result = this.transactionQueue.then(run, run);
+        this.transactionQueue = result.catch(() => {});
+        return result;
+    }
+
     // Close database connection
     async close() {
         return new Promise((resolve) => {
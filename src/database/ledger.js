@@ -0,0 +1,141 @@
+/**
+ * Ledger
+ * Driver-independent double-entry rules shared by the SQLite, PostgreSQL and in-memory managers.
+ *
+ * Every customer transaction is recorded as a journal of postings that sum to zero: the
+ * customer's account moves by the transaction amount and a system account absorbs the
+ * opposite side. Balances are never stored on the user - they are derived from postings:
+ *   - ledger balance:    sum of posted postings on the account
+ *   - available balance: ledger balance minus pending debits (card authorizations / holds)
+ */
+
+// Counterparty for money entering or leaving the bank (card networks, payroll, ACH...)
+const CLEARING_ACCOUNT_NUMBER = 'SYS-CLEARING';
+
+const POSTING_STATUS = {
+    POSTED: 'posted',
+    PENDING: 'pending'
+};
+
+/**
+ * Round a monetary amount to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} - Amount rounded to 2 decimals
+ */
+function roundCents(amount) {
+    return Math.round(Number(amount) * 100) / 100;
+}
+
+/**
+ * Generate a unique transaction / journal ID
+ * @param {function} [random] - Random source in [0, 1) (e.g. a seeded generator)
+ * @returns {string} - e.g. TXN1718031234567k3j9x
+ */
+function generateTransactionId(random = Math.random) {
+    let suffix = '';
+    while (suffix.length < 5) {
+        suffix += Math.floor(random() * 36).toString(36);
+    }
+    return `TXN${Date.now()}${suffix}`;
+}
+
+/**
+ * Ensure a journal balances (postings sum to zero) and is well formed
+ * @param {object[]} postings - [{ accountId, amount }]
+ * @throws {Error} - If the journal is unbalanced or has fewer than two postings
+ */
+function validateJournal(postings) {
+    if (!Array.isArray(postings) || postings.length < 2) {
+        throw new Error('A journal entry needs at least two postings');
+    }
+
+    const invalid = postings.find(posting => !posting.accountId || !Number.isFinite(Number(posting.amount)));
+    if (invalid) {
+        throw new Error('Every posting needs an accountId and a numeric amount');
+    }
+
+    const total = roundCents(postings.reduce((sum, posting) => sum + Number(posting.amount), 0));
+    if (total !== 0) {
+        throw new Error(`Unbalanced journal entry: postings sum to ${total}`);
+    }
+}
+
+/**
+ * Build the journal for a customer-facing transaction
+ * @param {object} params
+ * @param {number} params.customerAccountId - Customer's ledger account
+ * @param {number} params.clearingAccountId - System counterparty account
+ * @param {number} params.amount - Signed amount from the customer's view (debits negative)
+ * @returns {object[]} - Balanced postings
+ */
+function buildTransactionPostings({ customerAccountId, clearingAccountId, amount }) {
+    const signedAmount = roundCents(amount);
+    const postings = [
+        { accountId: customerAccountId, amount: signedAmount },
+        { accountId: clearingAccountId, amount: roundCents(-signedAmount) }
+    ];
+    validateJournal(postings);
+    return postings;
+}
+
+/**
+ * Turn a registration's target balance and generated history into a ledger-consistent plan.
+ * An opening deposit, dated before the earliest transaction, makes the posted postings add up
+ * to exactly the balance the user asked for.
+ * @param {number} targetBalance - Balance the account should end up with
+ * @param {object[]} transactions - Generated transactions ({ amount, status, transactionDate, ... })
+ * @param {object} [opening] - Override the opening entry's description / category (e.g. 'Loan Disbursement')
+ * @returns {object[]} - Transactions to post, oldest first, starting with the opening deposit
+ */
+function planAccountHistory(targetBalance, transactions, { description = 'Opening Deposit', category = 'Transfer' } = {}) {
+    const sorted = transactions
+        .slice()
+        .sort((a, b) => new Date(a.transactionDate) - new Date(b.transactionDate));
+
+    const postedTotal = sorted
+        .filter(tx => (tx.status || POSTING_STATUS.POSTED) === POSTING_STATUS.POSTED)
+        .reduce((sum, tx) => sum + Number(tx.amount), 0);
+    const openingAmount = roundCents(Number(targetBalance) - postedTotal);
+
+    const earliest = sorted.length > 0 ? new Date(sorted[0].transactionDate) : new Date();
+    const openingDate = new Date(earliest.getTime() - 24 * 60 * 60 * 1000);
+
+    const opening = {
+        description,
+        amount: openingAmount,
+        transactionType: openingAmount >= 0 ? 'credit' : 'debit',
+        merchant: null,
+        category,
+        status: POSTING_STATUS.POSTED,
+        transactionDate: openingDate.toISOString()
+    };
+
+    return [opening, ...sorted];
+}
+
+/**
+ * Combine posted and pending totals into the balances the agent reads out
+ * @param {number} postedTotal - Sum of posted postings
+ * @param {number} pendingDebits - Sum of pending negative postings (<= 0)
+ * @returns {object} - { ledgerBalance, availableBalance, pendingDebits }
+ */
+function summarizeBalance(postedTotal, pendingDebits) {
+    const ledgerBalance = roundCents(postedTotal || 0);
+    const pending = roundCents(pendingDebits || 0);
+    return {
+        ledgerBalance,
+        availableBalance: roundCents(ledgerBalance + pending),
+        pendingDebits: pending
+    };
+}
+
+module.exports = {
+    CLEARING_ACCOUNT_NUMBER,
+    POSTING_STATUS,
+    roundCents,
+    generateTransactionId,
+    validateJournal,
+    buildTransactionPostings,
+    planAccountHistory,
+    summarizeBalance
+};
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Schema migration CLI
+ *
+ * Usage:
+ *   npm run migrate                 # apply all pending migrations
+ *   npm run migrate -- up [version] # apply pending migrations up to a version
+ *   npm run migrate -- down [steps] # roll back the last N migrations (default 1)
+ *   npm run migrate -- status       # show applied and pending migrations
+ *
+ * Uses the same driver selection as the app (see DatabaseFactory).
+ */
+try {
+    require('dotenv').config();
+} catch (e) {
+    // .env is optional
+}
+
+const DatabaseFactory = require('./DatabaseFactory');
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+    const database = DatabaseFactory.create();
+
+    await database.connect();
+    const runner = database.getMigrationRunner();
+
+    if (!runner) {
+        console.log(`ℹ️  The ${database.driverName} driver has no persistent schema - nothing to migrate`);
+        await database.close();
+        return;
+    }
+
+    try {
+        switch (command) {
+            case 'up': {
+                const target = arg !== undefined ? parseInt(arg, 10) : Infinity;
+                await runner.migrate(target);
+                break;
+            }
+
+            case 'down':
+            case 'rollback': {
+                if (arg !== undefined && !/^[1-9]\d*$/.test(arg)) {
+                    throw new Error(`"${arg}" is not a number of migrations to roll back (use a positive integer)`);
+                }
+                await runner.rollback(arg !== undefined ? Number(arg) : 1);
+                break;
+            }
+
+            case 'status': {
+                const status = await runner.status();
+                console.log(`\n📋 Schema status (${status.dialect}) - current version: ${status.currentVersion}`);
+                status.applied.forEach(m => console.log(`   ✅ ${String(m.version).padStart(3, '0')} ${m.name} (applied ${m.appliedAt})`));
+                status.pending.forEach(m => console.log(`   ⏳ ${String(m.version).padStart(3, '0')} ${m.name} (pending)`));
+                break;
+            }
+
+            default:
+                console.error(`Unknown command "${command}". Use: up [version] | down [steps] | status`);
+                process.exitCode = 1;
+        }
+    } finally {
+        await database.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+});
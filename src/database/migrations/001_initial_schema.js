@@ -0,0 +1,135 @@
+/**
+ * Baseline schema - the tables that createTables() used to create on every boot.
+ * Uses IF NOT EXISTS so databases created before migrations existed adopt it cleanly.
+ */
+module.exports = {
+    name: 'initial_schema',
+
+    up: {
+        sqlite: [
+            `CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phoneNumber TEXT UNIQUE NOT NULL,
+                name TEXT NOT NULL,
+                companyName TEXT NOT NULL,
+                fakeAccountBalance REAL NOT NULL,
+                fakeAccountNumber TEXT UNIQUE NOT NULL,
+                loanApplicationStatus TEXT NOT NULL,
+                fraudScenario BOOLEAN NOT NULL DEFAULT 0,
+                registeredAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                lastCallAt DATETIME,
+                callCount INTEGER DEFAULT 0
+            )`,
+            `CREATE TABLE IF NOT EXISTS loan_applications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                loanType TEXT NOT NULL,
+                loanAmount REAL NOT NULL,
+                status TEXT NOT NULL,
+                nextStep TEXT NOT NULL,
+                assignedOfficer TEXT NOT NULL,
+                appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES users (id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                transactionId TEXT UNIQUE NOT NULL,
+                description TEXT NOT NULL,
+                amount REAL NOT NULL,
+                transactionType TEXT NOT NULL, -- 'debit' or 'credit'
+                merchant TEXT,
+                category TEXT,
+                transactionDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (userId) REFERENCES users (id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS officers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                department TEXT NOT NULL,
+                phoneNumber TEXT,
+                email TEXT,
+                specialization TEXT
+            )`,
+            `CREATE TABLE IF NOT EXISTS call_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phoneNumber TEXT NOT NULL,
+                callDuration INTEGER,
+                scenario TEXT,
+                successful BOOLEAN DEFAULT 1,
+                transcript TEXT,
+                calledAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        ],
+        postgres: [
+            `CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                phone_number VARCHAR(20) UNIQUE NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                company_name VARCHAR(100) NOT NULL,
+                fake_account_balance DECIMAL(12,2) NOT NULL,
+                fake_account_number VARCHAR(50) UNIQUE NOT NULL,
+                loan_application_status VARCHAR(50) NOT NULL,
+                fraud_scenario BOOLEAN NOT NULL DEFAULT false,
+                registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_call_at TIMESTAMP,
+                call_count INTEGER DEFAULT 0
+            )`,
+            `CREATE TABLE IF NOT EXISTS loan_applications (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                loan_type VARCHAR(50) NOT NULL,
+                loan_amount DECIMAL(12,2) NOT NULL,
+                status VARCHAR(50) NOT NULL,
+                next_step VARCHAR(200) NOT NULL,
+                assigned_officer VARCHAR(100) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS transactions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                transaction_id VARCHAR(50) UNIQUE NOT NULL,
+                description VARCHAR(200) NOT NULL,
+                amount DECIMAL(12,2) NOT NULL,
+                transaction_type VARCHAR(10) NOT NULL,
+                merchant VARCHAR(100),
+                category VARCHAR(50),
+                transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS officers (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                department VARCHAR(50) NOT NULL,
+                phone_number VARCHAR(20),
+                email VARCHAR(100),
+                specialization VARCHAR(50)
+            )`,
+            `CREATE TABLE IF NOT EXISTS call_logs (
+                id SERIAL PRIMARY KEY,
+                phone_number VARCHAR(20) NOT NULL,
+                call_duration INTEGER,
+                scenario VARCHAR(100),
+                successful BOOLEAN DEFAULT true,
+                transcript TEXT,
+                called_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`
+        ]
+    },
+
+    down: {
+        sqlite: [
+            'DROP TABLE IF EXISTS call_logs',
+            'DROP TABLE IF EXISTS officers',
+            'DROP TABLE IF EXISTS transactions',
+            'DROP TABLE IF EXISTS loan_applications',
+            'DROP TABLE IF EXISTS users'
+        ],
+        postgres: [
+            'DROP TABLE IF EXISTS call_logs',
+            'DROP TABLE IF EXISTS officers',
+            'DROP TABLE IF EXISTS transactions',
+            'DROP TABLE IF EXISTS loan_applications',
+            'DROP TABLE IF EXISTS users'
+        ]
+    }
+};
@@ -0,0 +1,23 @@
+/**
+ * insertDefaultOfficers runs on every boot, but "INSERT OR IGNORE" / "ON CONFLICT DO NOTHING"
+ * had no constraint to conflict on, so each restart added another copy of the default officers.
+ * Remove the duplicates and add the missing unique index.
+ */
+const statements = [
+    'DELETE FROM officers WHERE id NOT IN (SELECT MIN(id) FROM officers GROUP BY name)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_officers_name ON officers (name)'
+];
+
+module.exports = {
+    name: 'unique_officer_names',
+
+    up: {
+        sqlite: statements,
+        postgres: statements
+    },
+
+    down: {
+        sqlite: ['DROP INDEX IF EXISTS idx_officers_name'],
+        postgres: ['DROP INDEX IF EXISTS idx_officers_name']
+    }
+};
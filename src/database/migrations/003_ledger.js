@@ -0,0 +1,175 @@
+/**
+ * Double-entry ledger.
+ *
+ * Adds ledger accounts and postings, gives transactions a posted/pending status, and backfills
+ * existing users: each gets a checking account (their fakeAccountNumber) whose postings
+ * reproduce the balance they registered with. From here on users.fakeAccountBalance is only
+ * the registration input - the balance the app reads is derived from ledger_postings.
+ */
+const {
+    CLEARING_ACCOUNT_NUMBER,
+    buildTransactionPostings,
+    planAccountHistory,
+    roundCents,
+    generateTransactionId
+} = require('../ledger');
+
+const schema = {
+    sqlite: [
+        `CREATE TABLE IF NOT EXISTS accounts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER,
+            accountNumber TEXT UNIQUE NOT NULL,
+            accountType TEXT NOT NULL,
+            name TEXT NOT NULL,
+            currency TEXT NOT NULL DEFAULT 'USD',
+            openedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userId) REFERENCES users (id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS ledger_postings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            journalId TEXT NOT NULL,
+            accountId INTEGER NOT NULL,
+            amount REAL NOT NULL,
+            balanceAfter REAL,
+            status TEXT NOT NULL DEFAULT 'posted', -- 'posted' or 'pending'
+            description TEXT,
+            postedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (accountId) REFERENCES accounts (id)
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_accounts_user ON accounts (userId)',
+        'CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings (accountId, status)',
+        'CREATE INDEX IF NOT EXISTS idx_ledger_postings_journal ON ledger_postings (journalId)',
+        `ALTER TABLE transactions ADD COLUMN status TEXT NOT NULL DEFAULT 'posted'`
+    ],
+    postgres: [
+        `CREATE TABLE IF NOT EXISTS accounts (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            account_number VARCHAR(50) UNIQUE NOT NULL,
+            account_type VARCHAR(30) NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            currency CHAR(3) NOT NULL DEFAULT 'USD',
+            opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS ledger_postings (
+            id SERIAL PRIMARY KEY,
+            journal_id VARCHAR(50) NOT NULL,
+            account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+            amount DECIMAL(12,2) NOT NULL,
+            balance_after DECIMAL(12,2),
+            status VARCHAR(10) NOT NULL DEFAULT 'posted',
+            description VARCHAR(200),
+            posted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_accounts_user ON accounts (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings (account_id, status)',
+        'CREATE INDEX IF NOT EXISTS idx_ledger_postings_journal ON ledger_postings (journal_id)',
+        `ALTER TABLE transactions ADD COLUMN status VARCHAR(10) NOT NULL DEFAULT 'posted'`
+    ]
+};
+
+// SQL for the backfill, keyed by dialect
+const sql = {
+    sqlite: {
+        insertAccount: 'INSERT INTO accounts (userId, accountNumber, accountType, name) VALUES (?, ?, ?, ?)',
+        selectUsers: 'SELECT id, fakeAccountNumber AS accountNumber, fakeAccountBalance AS balance FROM users',
+        selectTransactions: `SELECT transactionId, description, amount, transactionDate FROM transactions
+                             WHERE userId = ? ORDER BY transactionDate ASC, id ASC`,
+        insertTransaction: `INSERT INTO transactions (userId, transactionId, description, amount, transactionType,
+                                                      merchant, category, transactionDate, status)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        insertPosting: `INSERT INTO ledger_postings (journalId, accountId, amount, balanceAfter, status, description, postedAt)
+                        VALUES (?, ?, ?, ?, ?, ?, ?)`
+    },
+    postgres: {
+        insertAccount: 'INSERT INTO accounts (user_id, account_number, account_type, name) VALUES ($1, $2, $3, $4) RETURNING id',
+        selectUsers: 'SELECT id, fake_account_number AS "accountNumber", fake_account_balance AS balance FROM users',
+        selectTransactions: `SELECT transaction_id AS "transactionId", description, amount, transaction_date AS "transactionDate"
+                             FROM transactions WHERE user_id = $1 ORDER BY transaction_date ASC, id ASC`,
+        insertTransaction: `INSERT INTO transactions (user_id, transaction_id, description, amount, transaction_type,
+                                                      merchant, category, transaction_date, status)
+                            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        insertPosting: `INSERT INTO ledger_postings (journal_id, account_id, amount, balance_after, status, description, posted_at)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7)`
+    }
+};
+
+async function insertAccount(tx, dialect, params) {
+    const result = await tx.run(sql[dialect].insertAccount, params);
+    return dialect === 'postgres' ? result.rows[0].id : result.lastID;
+}
+
+async function backfill(tx, dialect) {
+    const q = sql[dialect];
+    const clearingAccountId = await insertAccount(tx, dialect, [null, CLEARING_ACCOUNT_NUMBER, 'system', 'External Clearing']);
+
+    const users = await tx.all(q.selectUsers);
+    for (const user of users) {
+        const accountId = await insertAccount(tx, dialect, [user.id, user.accountNumber, 'checking', 'Primary Checking']);
+        const existing = await tx.all(q.selectTransactions, [user.id]);
+
+        // Opening deposit that makes the existing history add up to the registered balance
+        const [opening] = planAccountHistory(Number(user.balance), existing.map(row => ({
+            amount: Number(row.amount),
+            transactionDate: new Date(row.transactionDate).toISOString()
+        })));
+        const openingId = generateTransactionId();
+        await tx.run(q.insertTransaction, [
+            user.id, openingId, opening.description, opening.amount, opening.transactionType,
+            null, opening.category, opening.transactionDate, 'posted'
+        ]);
+
+        const history = [
+            { transactionId: openingId, amount: opening.amount, transactionDate: opening.transactionDate, description: opening.description },
+            ...existing.map(row => ({
+                transactionId: row.transactionId,
+                amount: Number(row.amount),
+                transactionDate: new Date(row.transactionDate).toISOString(),
+                description: row.description
+            }))
+        ];
+
+        let runningBalance = 0;
+        for (const entry of history) {
+            runningBalance = roundCents(runningBalance + entry.amount);
+            const [customerPosting, clearingPosting] = buildTransactionPostings({
+                customerAccountId: accountId,
+                clearingAccountId,
+                amount: entry.amount
+            });
+            await tx.run(q.insertPosting, [
+                entry.transactionId, accountId, customerPosting.amount, runningBalance, 'posted', entry.description, entry.transactionDate
+            ]);
+            await tx.run(q.insertPosting, [
+                entry.transactionId, clearingAccountId, clearingPosting.amount, null, 'posted', entry.description, entry.transactionDate
+            ]);
+        }
+    }
+}
+
+module.exports = {
+    name: 'ledger',
+
+    up: async (tx, dialect) => {
+        for (const statement of schema[dialect]) {
+            await tx.run(statement);
+        }
+        await backfill(tx, dialect);
+    },
+
+    down: {
+        sqlite: [
+            'DROP TABLE IF EXISTS ledger_postings',
+            'DROP TABLE IF EXISTS accounts',
+            `DELETE FROM transactions WHERE description = 'Opening Deposit'`,
+            'ALTER TABLE transactions DROP COLUMN status'
+        ],
+        postgres: [
+            'DROP TABLE IF EXISTS ledger_postings',
+            'DROP TABLE IF EXISTS accounts',
+            `DELETE FROM transactions WHERE description = 'Opening Deposit'`,
+            'ALTER TABLE transactions DROP COLUMN status'
+        ]
+    }
+};
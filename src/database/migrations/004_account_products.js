@@ -0,0 +1,44 @@
+/**
+ * Multiple accounts per customer.
+ *
+ * Accounts get an optional customer-chosen nickname and transactions record which account
+ * they were posted to. Existing transactions are attributed to the user's primary checking
+ * account (the one keyed by users.fakeAccountNumber).
+ */
+module.exports = {
+    name: 'account_products',
+
+    up: {
+        sqlite: [
+            'ALTER TABLE accounts ADD COLUMN nickname TEXT',
+            // No REFERENCES clause: SQLite can't DROP a column that is part of a foreign key
+            'ALTER TABLE transactions ADD COLUMN accountId INTEGER',
+            `UPDATE transactions SET accountId = (
+                SELECT a.id FROM accounts a JOIN users u ON u.fakeAccountNumber = a.accountNumber
+                WHERE u.id = transactions.userId
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions (accountId, transactionDate)'
+        ],
+        postgres: [
+            'ALTER TABLE accounts ADD COLUMN nickname VARCHAR(50)',
+            'ALTER TABLE transactions ADD COLUMN account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE',
+            `UPDATE transactions t SET account_id = a.id
+             FROM users u JOIN accounts a ON a.account_number = u.fake_account_number
+             WHERE u.id = t.user_id`,
+            'CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions (account_id, transaction_date)'
+        ]
+    },
+
+    down: {
+        sqlite: [
+            'DROP INDEX IF EXISTS idx_transactions_account',
+            'ALTER TABLE transactions DROP COLUMN accountId',
+            'ALTER TABLE accounts DROP COLUMN nickname'
+        ],
+        postgres: [
+            'DROP INDEX IF EXISTS idx_transactions_account',
+            'ALTER TABLE transactions DROP COLUMN account_id',
+            'ALTER TABLE accounts DROP COLUMN nickname'
+        ]
+    }
+};
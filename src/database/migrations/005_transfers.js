@@ -0,0 +1,124 @@
+/**
+ * Transfers and saved payees.
+ *
+ * `transfers` records every voice-initiated money movement from creation (awaiting the caller's
+ * spoken confirmation) to completion; (userId, idempotencyKey) is unique so a retried tool call
+ * returns the original transfer instead of creating a second one. Existing users are given the
+ * default payees new registrations get.
+ */
+const { buildDefaultPayees } = require('../../banking/transfers');
+
+const schema = {
+    sqlite: [
+        `CREATE TABLE IF NOT EXISTS payees (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            nickname TEXT,
+            bankName TEXT,
+            accountNumber TEXT NOT NULL,
+            category TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userId) REFERENCES users (id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS transfers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transferId TEXT UNIQUE NOT NULL,
+            userId INTEGER NOT NULL,
+            idempotencyKey TEXT NOT NULL,
+            transferType TEXT NOT NULL, -- 'internal' or 'payee'
+            fromAccountId INTEGER NOT NULL,
+            toAccountId INTEGER,
+            payeeId INTEGER,
+            amount REAL NOT NULL,
+            memo TEXT,
+            status TEXT NOT NULL, -- 'pending_confirmation', 'completed', 'cancelled', 'expired'
+            readBack TEXT,
+            createdAt TEXT NOT NULL,
+            expiresAt TEXT NOT NULL,
+            completedAt TEXT,
+            UNIQUE (userId, idempotencyKey),
+            FOREIGN KEY (userId) REFERENCES users (id),
+            FOREIGN KEY (fromAccountId) REFERENCES accounts (id),
+            FOREIGN KEY (toAccountId) REFERENCES accounts (id),
+            FOREIGN KEY (payeeId) REFERENCES payees (id)
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_payees_user ON payees (userId)',
+        'CREATE INDEX IF NOT EXISTS idx_transfers_user_status ON transfers (userId, status, completedAt)'
+    ],
+    postgres: [
+        `CREATE TABLE IF NOT EXISTS payees (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name VARCHAR(100) NOT NULL,
+            nickname VARCHAR(50),
+            bank_name VARCHAR(100),
+            account_number VARCHAR(50) NOT NULL,
+            category VARCHAR(50),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS transfers (
+            id SERIAL PRIMARY KEY,
+            transfer_id VARCHAR(50) UNIQUE NOT NULL,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            idempotency_key VARCHAR(100) NOT NULL,
+            transfer_type VARCHAR(20) NOT NULL,
+            from_account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+            to_account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+            payee_id INTEGER REFERENCES payees(id) ON DELETE SET NULL,
+            amount DECIMAL(12,2) NOT NULL,
+            memo VARCHAR(200),
+            status VARCHAR(30) NOT NULL,
+            read_back TEXT,
+            created_at TIMESTAMP NOT NULL,
+            expires_at TIMESTAMP NOT NULL,
+            completed_at TIMESTAMP,
+            UNIQUE (user_id, idempotency_key)
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_payees_user ON payees (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_transfers_user_status ON transfers (user_id, status, completed_at)'
+    ]
+};
+
+const sql = {
+    sqlite: {
+        selectUsers: 'SELECT id FROM users',
+        insertPayee: `INSERT INTO payees (userId, name, nickname, bankName, accountNumber, category)
+                      VALUES (?, ?, ?, ?, ?, ?)`
+    },
+    postgres: {
+        selectUsers: 'SELECT id FROM users',
+        insertPayee: `INSERT INTO payees (user_id, name, nickname, bank_name, account_number, category)
+                      VALUES ($1, $2, $3, $4, $5, $6)`
+    }
+};
+
+module.exports = {
+    name: 'transfers',
+
+    up: async (tx, dialect) => {
+        for (const statement of schema[dialect]) {
+            await tx.run(statement);
+        }
+
+        const users = await tx.all(sql[dialect].selectUsers);
+        for (const user of users) {
+            for (const payee of buildDefaultPayees(user.id)) {
+                await tx.run(sql[dialect].insertPayee, [
+                    user.id, payee.name, payee.nickname, payee.bankName, payee.accountNumber, payee.category
+                ]);
+            }
+        }
+    },
+
+    down: {
+        sqlite: [
+            'DROP TABLE IF EXISTS transfers',
+            'DROP TABLE IF EXISTS payees'
+        ],
+        postgres: [
+            'DROP TABLE IF EXISTS transfers',
+            'DROP TABLE IF EXISTS payees'
+        ]
+    }
+};
@@ -0,0 +1,128 @@
+/**
+ * Payment cards.
+ *
+ * `cards` holds every debit/credit card issued to a customer and its status (active, frozen,
+ * lost, ordered, closed); a replacement points back at the card it replaces. Transactions can
+ * record the card they were made with and whether they are suspected fraud, so the fraud
+ * scenario can name the compromised card.
+ *
+ * Existing customers get the cards new registrations get, and for fraud-scenario customers the
+ * newest pending charge on their checking account is flagged against their debit card.
+ */
+const { buildRegistrationCards } = require('../../banking/cards');
+const { toBoolean } = require('../rowMappers');
+
+const schema = {
+    sqlite: [
+        `CREATE TABLE IF NOT EXISTS cards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER NOT NULL,
+            accountId INTEGER NOT NULL,
+            cardType TEXT NOT NULL, -- 'debit' or 'credit'
+            network TEXT NOT NULL,
+            last4 TEXT NOT NULL,
+            cardholderName TEXT NOT NULL,
+            expiryMonth INTEGER NOT NULL,
+            expiryYear INTEGER NOT NULL,
+            status TEXT NOT NULL, -- 'active', 'frozen', 'lost', 'ordered', 'closed'
+            replacesCardId INTEGER,
+            issuedAt TEXT NOT NULL,
+            statusChangedAt TEXT NOT NULL,
+            FOREIGN KEY (userId) REFERENCES users (id),
+            FOREIGN KEY (accountId) REFERENCES accounts (id),
+            FOREIGN KEY (replacesCardId) REFERENCES cards (id)
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_cards_user ON cards (userId)',
+        // No REFERENCES clause: SQLite can't DROP a column that is part of a foreign key
+        'ALTER TABLE transactions ADD COLUMN cardId INTEGER',
+        'ALTER TABLE transactions ADD COLUMN suspectedFraud BOOLEAN DEFAULT 0'
+    ],
+    postgres: [
+        `CREATE TABLE IF NOT EXISTS cards (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+            card_type VARCHAR(20) NOT NULL,
+            network VARCHAR(20) NOT NULL,
+            last4 VARCHAR(4) NOT NULL,
+            cardholder_name VARCHAR(100) NOT NULL,
+            expiry_month INTEGER NOT NULL,
+            expiry_year INTEGER NOT NULL,
+            status VARCHAR(20) NOT NULL,
+            replaces_card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL,
+            issued_at TIMESTAMP NOT NULL,
+            status_changed_at TIMESTAMP NOT NULL
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_cards_user ON cards (user_id)',
+        'ALTER TABLE transactions ADD COLUMN card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL',
+        'ALTER TABLE transactions ADD COLUMN suspected_fraud BOOLEAN DEFAULT FALSE'
+    ]
+};
+
+const sql = {
+    sqlite: {
+        selectUsers: 'SELECT id, name, fakeAccountNumber, fraudScenario FROM users',
+        selectAccounts: 'SELECT id, accountNumber, accountType FROM accounts WHERE userId = ? ORDER BY id',
+        insertCard: `INSERT INTO cards (userId, accountId, cardType, network, last4, cardholderName, expiryMonth,
+                                        expiryYear, status, replacesCardId, issuedAt, statusChangedAt)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        flagNewestPending: `UPDATE transactions SET cardId = ?, suspectedFraud = 1 WHERE id = (
+                                SELECT id FROM transactions WHERE accountId = ? AND status = 'pending' AND amount < 0
+                                ORDER BY transactionDate DESC LIMIT 1
+                            )`
+    },
+    postgres: {
+        selectUsers: 'SELECT id, name, fake_account_number AS "fakeAccountNumber", fraud_scenario AS "fraudScenario" FROM users',
+        selectAccounts: 'SELECT id, account_number AS "accountNumber", account_type AS "accountType" FROM accounts WHERE user_id = $1 ORDER BY id',
+        insertCard: `INSERT INTO cards (user_id, account_id, card_type, network, last4, cardholder_name, expiry_month,
+                                        expiry_year, status, replaces_card_id, issued_at, status_changed_at)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                     RETURNING id`,
+        flagNewestPending: `UPDATE transactions SET card_id = $1, suspected_fraud = TRUE WHERE id = (
+                                SELECT id FROM transactions WHERE account_id = $2 AND status = 'pending' AND amount < 0
+                                ORDER BY transaction_date DESC LIMIT 1
+                            )`
+    }
+};
+
+module.exports = {
+    name: 'cards',
+
+    up: async (tx, dialect) => {
+        for (const statement of schema[dialect]) {
+            await tx.run(statement);
+        }
+
+        const users = await tx.all(sql[dialect].selectUsers);
+        for (const user of users) {
+            const accounts = await tx.all(sql[dialect].selectAccounts, [user.id]);
+            // Primary checking first, like getUserAccounts()
+            accounts.sort((a, b) => (b.accountNumber === user.fakeAccountNumber) - (a.accountNumber === user.fakeAccountNumber));
+
+            for (const card of buildRegistrationCards(user, accounts)) {
+                const result = await tx.run(sql[dialect].insertCard, [
+                    card.userId, card.accountId, card.cardType, card.network, card.last4, card.cardholderName,
+                    card.expiryMonth, card.expiryYear, card.status, card.replacesCardId, card.issuedAt, card.statusChangedAt
+                ]);
+                const cardId = dialect === 'postgres' ? result.rows[0].id : result.lastID;
+
+                if (toBoolean(user.fraudScenario) && card.accountId === accounts[0].id) {
+                    await tx.run(sql[dialect].flagNewestPending, [cardId, card.accountId]);
+                }
+            }
+        }
+    },
+
+    down: {
+        sqlite: [
+            'ALTER TABLE transactions DROP COLUMN suspectedFraud',
+            'ALTER TABLE transactions DROP COLUMN cardId',
+            'DROP TABLE IF EXISTS cards'
+        ],
+        postgres: [
+            'ALTER TABLE transactions DROP COLUMN suspected_fraud',
+            'ALTER TABLE transactions DROP COLUMN card_id',
+            'DROP TABLE IF EXISTS cards'
+        ]
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * Transaction search indexes.
+ *
+ * Searches are always scoped to one customer and usually to a date range and/or category, so
+ * index (user, date) for the default newest-first listing and (user, LOWER(category), date) for
+ * case-insensitive category filters. Merchant and free-text filters are substring matches that
+ * scan the customer's (date-bounded) rows; per-customer volumes are small enough for that.
+ */
+module.exports = {
+    name: 'transaction_search',
+
+    up: {
+        sqlite: [
+            'CREATE INDEX IF NOT EXISTS idx_transactions_user_date ON transactions (userId, transactionDate)',
+            'CREATE INDEX IF NOT EXISTS idx_transactions_user_category ON transactions (userId, LOWER(category), transactionDate)'
+        ],
+        postgres: [
+            'CREATE INDEX IF NOT EXISTS idx_transactions_user_date ON transactions (user_id, transaction_date)',
+            'CREATE INDEX IF NOT EXISTS idx_transactions_user_category ON transactions (user_id, LOWER(category), transaction_date)'
+        ]
+    },
+
+    down: {
+        sqlite: [
+            'DROP INDEX IF EXISTS idx_transactions_user_category',
+            'DROP INDEX IF EXISTS idx_transactions_user_date'
+        ],
+        postgres: [
+            'DROP INDEX IF EXISTS idx_transactions_user_category',
+            'DROP INDEX IF EXISTS idx_transactions_user_date'
+        ]
+    }
+};
@@ -0,0 +1,180 @@
+/**
+ * Loan lifecycle.
+ *
+ * Loan applications move through a state machine (see banking/loans.js) instead of carrying a
+ * free-text status: they gain their terms (term, APR, monthly payment), the underwriting outcome
+ * they are headed for, the reason for the decision, the documents asked for, and when they were
+ * funded. `loan_events` records every status change so the agent can explain how an application
+ * got where it is.
+ *
+ * Existing applications are mapped onto the new statuses ('Under Review' -> under_review...),
+ * priced from their product, and given a history starting with their submission.
+ */
+const {
+    LOAN_STAGES,
+    buildLoanApplication,
+    getLoanProduct,
+    normalizeLegacyLoanStatus
+} = require('../../banking/loans');
+const { createSeededRandom } = require('../../utils/seededRandom');
+const { pick, toIsoDate, toNumber } = require('../rowMappers');
+
+const schema = {
+    sqlite: [
+        'ALTER TABLE loan_applications ADD COLUMN termMonths INTEGER',
+        'ALTER TABLE loan_applications ADD COLUMN interestRate REAL',
+        'ALTER TABLE loan_applications ADD COLUMN monthlyPayment REAL',
+        'ALTER TABLE loan_applications ADD COLUMN plannedDecision TEXT', // 'approve', 'decline', 'documents'
+        'ALTER TABLE loan_applications ADD COLUMN decisionReason TEXT',
+        'ALTER TABLE loan_applications ADD COLUMN documentsRequested TEXT',
+        'ALTER TABLE loan_applications ADD COLUMN statusChangedAt TEXT',
+        'ALTER TABLE loan_applications ADD COLUMN fundedAt TEXT',
+        'ALTER TABLE loan_applications ADD COLUMN firstPaymentDate TEXT',
+        'ALTER TABLE loan_applications ADD COLUMN disbursementTransactionId TEXT',
+        `CREATE TABLE IF NOT EXISTS loan_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            loanId INTEGER NOT NULL,
+            eventType TEXT NOT NULL,
+            fromStatus TEXT,
+            toStatus TEXT NOT NULL,
+            note TEXT,
+            actor TEXT NOT NULL, -- 'customer', 'system' or a staff member
+            createdAt TEXT NOT NULL,
+            FOREIGN KEY (loanId) REFERENCES loan_applications (id)
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_loan_events_loan ON loan_events (loanId, createdAt)',
+        'CREATE INDEX IF NOT EXISTS idx_loan_applications_status ON loan_applications (status)'
+    ],
+    postgres: [
+        'ALTER TABLE loan_applications ADD COLUMN term_months INTEGER',
+        'ALTER TABLE loan_applications ADD COLUMN interest_rate DECIMAL(5,2)',
+        'ALTER TABLE loan_applications ADD COLUMN monthly_payment DECIMAL(12,2)',
+        'ALTER TABLE loan_applications ADD COLUMN planned_decision VARCHAR(20)',
+        'ALTER TABLE loan_applications ADD COLUMN decision_reason VARCHAR(300)',
+        'ALTER TABLE loan_applications ADD COLUMN documents_requested VARCHAR(300)',
+        'ALTER TABLE loan_applications ADD COLUMN status_changed_at TIMESTAMP',
+        'ALTER TABLE loan_applications ADD COLUMN funded_at TIMESTAMP',
+        'ALTER TABLE loan_applications ADD COLUMN first_payment_date TIMESTAMP',
+        'ALTER TABLE loan_applications ADD COLUMN disbursement_transaction_id VARCHAR(50)',
+        `CREATE TABLE IF NOT EXISTS loan_events (
+            id SERIAL PRIMARY KEY,
+            loan_id INTEGER NOT NULL REFERENCES loan_applications(id) ON DELETE CASCADE,
+            event_type VARCHAR(30) NOT NULL,
+            from_status VARCHAR(30),
+            to_status VARCHAR(30) NOT NULL,
+            note VARCHAR(300),
+            actor VARCHAR(100) NOT NULL,
+            created_at TIMESTAMP NOT NULL
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_loan_events_loan ON loan_events (loan_id, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_loan_applications_status ON loan_applications (status)'
+    ]
+};
+
+const sql = {
+    sqlite: {
+        selectLoans: 'SELECT * FROM loan_applications ORDER BY id',
+        updateLoan: `UPDATE loan_applications SET status = ?, nextStep = ?, termMonths = ?, interestRate = ?, monthlyPayment = ?,
+                                                  plannedDecision = ?, documentsRequested = ?, statusChangedAt = ?, appliedAt = ?
+                     WHERE id = ?`,
+        insertEvent: `INSERT INTO loan_events (loanId, eventType, fromStatus, toStatus, note, actor, createdAt)
+                      VALUES (?, ?, ?, ?, ?, ?, ?)`
+    },
+    postgres: {
+        selectLoans: 'SELECT * FROM loan_applications ORDER BY id',
+        updateLoan: `UPDATE loan_applications SET status = $1, next_step = $2, term_months = $3, interest_rate = $4,
+                                                  monthly_payment = $5, planned_decision = $6, documents_requested = $7,
+                                                  status_changed_at = $8, applied_at = $9
+                     WHERE id = $10`,
+        insertEvent: `INSERT INTO loan_events (loan_id, event_type, from_status, to_status, note, actor, created_at)
+                      VALUES ($1, $2, $3, $4, $5, $6, $7)`
+    }
+};
+
+// Statuses the old free-text values are restored to on rollback
+const LEGACY_STATUS_SQL = `CASE status
+    WHEN 'submitted' THEN 'Pending'
+    WHEN 'under_review' THEN 'Under Review'
+    WHEN 'documents_requested' THEN 'Requires Documentation'
+    WHEN 'approved' THEN 'Approved'
+    WHEN 'funded' THEN 'Approved'
+    WHEN 'declined' THEN 'Declined'
+    ELSE status END`;
+
+module.exports = {
+    name: 'loan_lifecycle',
+
+    up: async (tx, dialect) => {
+        for (const statement of schema[dialect]) {
+            await tx.run(statement);
+        }
+
+        const rows = await tx.all(sql[dialect].selectLoans);
+        for (const row of rows) {
+            const status = normalizeLegacyLoanStatus(row.status);
+            const appliedAt = toIsoDate(pick(row, 'appliedAt')) || new Date().toISOString();
+            // Seeded by the application ID so re-running against a copy of the data prices it the same
+            const { loan, events } = buildLoanApplication({
+                userId: toNumber(pick(row, 'userId')),
+                loanType: pick(row, 'loanType'),
+                loanAmount: toNumber(pick(row, 'loanAmount')),
+                assignedOfficer: pick(row, 'assignedOfficer'),
+                plannedDecision: status === 'documents_requested' ? 'documents' : 'approve',
+                appliedAt
+            }, createSeededRandom(`loan:${row.id}`));
+
+            await tx.run(sql[dialect].updateLoan, [
+                status, LOAN_STAGES[status].nextStep, loan.termMonths, loan.interestRate, loan.monthlyPayment,
+                loan.plannedDecision, status === 'documents_requested' ? getLoanProduct(loan.loanType).documents : null,
+                appliedAt, appliedAt, row.id
+            ]);
+
+            const history = status === 'submitted' ? events : [...events, {
+                eventType: 'imported',
+                fromStatus: 'submitted',
+                toStatus: status,
+                note: `Status carried over from "${row.status}"`,
+                actor: 'system',
+                createdAt: appliedAt
+            }];
+            for (const event of history) {
+                await tx.run(sql[dialect].insertEvent, [
+                    row.id, event.eventType, event.fromStatus, event.toStatus, event.note, event.actor, event.createdAt
+                ]);
+            }
+        }
+    },
+
+    down: {
+        sqlite: [
+            'DROP INDEX IF EXISTS idx_loan_applications_status',
+            'DROP TABLE IF EXISTS loan_events',
+            `UPDATE loan_applications SET status = ${LEGACY_STATUS_SQL}`,
+            'ALTER TABLE loan_applications DROP COLUMN disbursementTransactionId',
+            'ALTER TABLE loan_applications DROP COLUMN firstPaymentDate',
+            'ALTER TABLE loan_applications DROP COLUMN fundedAt',
+            'ALTER TABLE loan_applications DROP COLUMN statusChangedAt',
+            'ALTER TABLE loan_applications DROP COLUMN documentsRequested',
+            'ALTER TABLE loan_applications DROP COLUMN decisionReason',
+            'ALTER TABLE loan_applications DROP COLUMN plannedDecision',
+            'ALTER TABLE loan_applications DROP COLUMN monthlyPayment',
+            'ALTER TABLE loan_applications DROP COLUMN interestRate',
+            'ALTER TABLE loan_applications DROP COLUMN termMonths'
+        ],
+        postgres: [
+            'DROP INDEX IF EXISTS idx_loan_applications_status',
+            'DROP TABLE IF EXISTS loan_events',
+            `UPDATE loan_applications SET status = ${LEGACY_STATUS_SQL}`,
+            'ALTER TABLE loan_applications DROP COLUMN disbursement_transaction_id',
+            'ALTER TABLE loan_applications DROP COLUMN first_payment_date',
+            'ALTER TABLE loan_applications DROP COLUMN funded_at',
+            'ALTER TABLE loan_applications DROP COLUMN status_changed_at',
+            'ALTER TABLE loan_applications DROP COLUMN documents_requested',
+            'ALTER TABLE loan_applications DROP COLUMN decision_reason',
+            'ALTER TABLE loan_applications DROP COLUMN planned_decision',
+            'ALTER TABLE loan_applications DROP COLUMN monthly_payment',
+            'ALTER TABLE loan_applications DROP COLUMN interest_rate',
+            'ALTER TABLE loan_applications DROP COLUMN term_months'
+        ]
+    }
+};
@@ -0,0 +1,63 @@
+/**
+ * Loan pre-qualification quotes.
+ *
+ * `loan_quotes` keeps every indicative quote given to a customer (see banking/prequalification.js)
+ * with the income and debt figures it was based on, so a follow-up call can pick up where the
+ * last one left off. Amounts and payments are null when the customer did not pre-qualify.
+ */
+module.exports = {
+    name: 'loan_quotes',
+
+    up: {
+        sqlite: [
+            `CREATE TABLE IF NOT EXISTS loan_quotes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                loanType TEXT NOT NULL,
+                requestedAmount REAL NOT NULL,
+                loanAmount REAL,
+                termMonths INTEGER NOT NULL,
+                outcome TEXT NOT NULL, -- 'prequalified', 'counteroffer', 'not_prequalified'
+                interestRate REAL,
+                monthlyPayment REAL,
+                totalInterest REAL,
+                maxAmount REAL NOT NULL,
+                monthlyIncome REAL NOT NULL,
+                monthlyDebtPayments REAL NOT NULL,
+                debtToIncome REAL,
+                reason TEXT,
+                createdAt TEXT NOT NULL,
+                expiresAt TEXT NOT NULL,
+                FOREIGN KEY (userId) REFERENCES users (id)
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_loan_quotes_user ON loan_quotes (userId, createdAt)'
+        ],
+        postgres: [
+            `CREATE TABLE IF NOT EXISTS loan_quotes (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                loan_type VARCHAR(50) NOT NULL,
+                requested_amount DECIMAL(12,2) NOT NULL,
+                loan_amount DECIMAL(12,2),
+                term_months INTEGER NOT NULL,
+                outcome VARCHAR(20) NOT NULL,
+                interest_rate DECIMAL(5,2),
+                monthly_payment DECIMAL(12,2),
+                total_interest DECIMAL(12,2),
+                max_amount DECIMAL(12,2) NOT NULL,
+                monthly_income DECIMAL(12,2) NOT NULL,
+                monthly_debt_payments DECIMAL(12,2) NOT NULL,
+                debt_to_income DECIMAL(6,2),
+                reason VARCHAR(300),
+                created_at TIMESTAMP NOT NULL,
+                expires_at TIMESTAMP NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_loan_quotes_user ON loan_quotes (user_id, created_at)'
+        ]
+    },
+
+    down: {
+        sqlite: ['DROP TABLE IF EXISTS loan_quotes'],
+        postgres: ['DROP TABLE IF EXISTS loan_quotes']
+    }
+};
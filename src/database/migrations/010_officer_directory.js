@@ -0,0 +1,119 @@
+/**
+ * Officer directory.
+ *
+ * Officers gain several skills (a comma-separated list; the first is their specialization), a
+ * weekly shift in their own time zone, a capacity of simultaneous transferred calls and an active
+ * flag, so transfers can be routed to whoever is free (see banking/officers.js).
+ * `officer_transfers` records each call handed to an officer; the open ones are the officer's
+ * current load.
+ *
+ * Existing officers take the shift of the default officer with the same name, or a weekday
+ * 09:00-17:00 shift with their specialization as their only skill.
+ */
+const { DEFAULT_OFFICERS, DEFAULT_SHIFT } = require('../../banking/officers');
+
+const schema = {
+    sqlite: [
+        'ALTER TABLE officers ADD COLUMN skills TEXT',
+        'ALTER TABLE officers ADD COLUMN timeZone TEXT',
+        'ALTER TABLE officers ADD COLUMN workingDays TEXT', // ISO weekdays, e.g. '1,2,3,4,5'
+        'ALTER TABLE officers ADD COLUMN shiftStart TEXT', // 'HH:MM' local time
+        'ALTER TABLE officers ADD COLUMN shiftEnd TEXT',
+        'ALTER TABLE officers ADD COLUMN capacity INTEGER',
+        'ALTER TABLE officers ADD COLUMN active BOOLEAN DEFAULT 1',
+        'ALTER TABLE officers ADD COLUMN lastAssignedAt TEXT',
+        `CREATE TABLE IF NOT EXISTS officer_transfers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            officerId INTEGER NOT NULL,
+            callId TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            skill TEXT NOT NULL,
+            startedAt TEXT NOT NULL,
+            endedAt TEXT,
+            FOREIGN KEY (officerId) REFERENCES officers (id)
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_officer_transfers_open ON officer_transfers (endedAt, officerId)',
+        'CREATE INDEX IF NOT EXISTS idx_officer_transfers_call ON officer_transfers (callId)'
+    ],
+    postgres: [
+        'ALTER TABLE officers ADD COLUMN skills VARCHAR(300)',
+        'ALTER TABLE officers ADD COLUMN time_zone VARCHAR(50)',
+        'ALTER TABLE officers ADD COLUMN working_days VARCHAR(20)',
+        'ALTER TABLE officers ADD COLUMN shift_start VARCHAR(5)',
+        'ALTER TABLE officers ADD COLUMN shift_end VARCHAR(5)',
+        'ALTER TABLE officers ADD COLUMN capacity INTEGER',
+        'ALTER TABLE officers ADD COLUMN active BOOLEAN DEFAULT true',
+        'ALTER TABLE officers ADD COLUMN last_assigned_at TIMESTAMP',
+        `CREATE TABLE IF NOT EXISTS officer_transfers (
+            id SERIAL PRIMARY KEY,
+            officer_id INTEGER NOT NULL REFERENCES officers(id) ON DELETE CASCADE,
+            call_id VARCHAR(100) NOT NULL,
+            reason VARCHAR(50) NOT NULL,
+            skill VARCHAR(50) NOT NULL,
+            started_at TIMESTAMP NOT NULL,
+            ended_at TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_officer_transfers_open ON officer_transfers (ended_at, officer_id)',
+        'CREATE INDEX IF NOT EXISTS idx_officer_transfers_call ON officer_transfers (call_id)'
+    ]
+};
+
+const sql = {
+    sqlite: {
+        selectOfficers: 'SELECT id, name, specialization FROM officers',
+        updateOfficer: `UPDATE officers SET skills = ?, timeZone = ?, workingDays = ?, shiftStart = ?, shiftEnd = ?,
+                                            capacity = ?, active = 1
+                        WHERE id = ?`
+    },
+    postgres: {
+        selectOfficers: 'SELECT id, name, specialization FROM officers',
+        updateOfficer: `UPDATE officers SET skills = $1, time_zone = $2, working_days = $3, shift_start = $4, shift_end = $5,
+                                            capacity = $6, active = true
+                        WHERE id = $7`
+    }
+};
+
+module.exports = {
+    name: 'officer_directory',
+
+    up: async (tx, dialect) => {
+        for (const statement of schema[dialect]) {
+            await tx.run(statement);
+        }
+
+        const officers = await tx.all(sql[dialect].selectOfficers);
+        for (const officer of officers) {
+            const defaults = DEFAULT_OFFICERS.find(candidate => candidate.name === officer.name) ||
+                { ...DEFAULT_SHIFT, skills: [officer.specialization || 'general_support'] };
+            await tx.run(sql[dialect].updateOfficer, [
+                defaults.skills.join(','), defaults.timeZone, defaults.workingDays.join(','), defaults.shiftStart,
+                defaults.shiftEnd, defaults.capacity, officer.id
+            ]);
+        }
+    },
+
+    down: {
+        sqlite: [
+            'DROP TABLE IF EXISTS officer_transfers',
+            'ALTER TABLE officers DROP COLUMN lastAssignedAt',
+            'ALTER TABLE officers DROP COLUMN active',
+            'ALTER TABLE officers DROP COLUMN capacity',
+            'ALTER TABLE officers DROP COLUMN shiftEnd',
+            'ALTER TABLE officers DROP COLUMN shiftStart',
+            'ALTER TABLE officers DROP COLUMN workingDays',
+            'ALTER TABLE officers DROP COLUMN timeZone',
+            'ALTER TABLE officers DROP COLUMN skills'
+        ],
+        postgres: [
+            'DROP TABLE IF EXISTS officer_transfers',
+            'ALTER TABLE officers DROP COLUMN last_assigned_at',
+            'ALTER TABLE officers DROP COLUMN active',
+            'ALTER TABLE officers DROP COLUMN capacity',
+            'ALTER TABLE officers DROP COLUMN shift_end',
+            'ALTER TABLE officers DROP COLUMN shift_start',
+            'ALTER TABLE officers DROP COLUMN working_days',
+            'ALTER TABLE officers DROP COLUMN time_zone',
+            'ALTER TABLE officers DROP COLUMN skills'
+        ]
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * Call sessions.
+ *
+ * `call_sessions` holds the state of calls in progress (caller context, dialog, transfer) when
+ * CALL_SESSION_STORE=database, so a redeploy or another replica can pick them up (see
+ * voice/CallSessionStore.js). Everything but the looked-up fields is kept as JSON in `data`;
+ * `version` is bumped on every update so concurrent writers can't overwrite each other. Rows past
+ * `expiresAt` are ignored and purged.
+ */
+module.exports = {
+    name: 'call_sessions',
+
+    up: {
+        sqlite: [
+            `CREATE TABLE IF NOT EXISTS call_sessions (
+                callId TEXT PRIMARY KEY,
+                dialogId TEXT,
+                status TEXT,
+                data TEXT NOT NULL,
+                version INTEGER NOT NULL DEFAULT 1,
+                startedAt TEXT NOT NULL,
+                updatedAt TEXT NOT NULL,
+                expiresAt TEXT NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_call_sessions_dialog ON call_sessions (dialogId)',
+            'CREATE INDEX IF NOT EXISTS idx_call_sessions_expires ON call_sessions (expiresAt)'
+        ],
+        postgres: [
+            `CREATE TABLE IF NOT EXISTS call_sessions (
+                call_id VARCHAR(100) PRIMARY KEY,
+                dialog_id VARCHAR(100),
+                status VARCHAR(30),
+                data TEXT NOT NULL,
+                version INTEGER NOT NULL DEFAULT 1,
+                started_at TIMESTAMP NOT NULL,
+                updated_at TIMESTAMP NOT NULL,
+                expires_at TIMESTAMP NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_call_sessions_dialog ON call_sessions (dialog_id)',
+            'CREATE INDEX IF NOT EXISTS idx_call_sessions_expires ON call_sessions (expires_at)'
+        ]
+    },
+
+    down: {
+        sqlite: ['DROP TABLE IF EXISTS call_sessions'],
+        postgres: ['DROP TABLE IF EXISTS call_sessions']
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * Call events.
+ *
+ * Call logs gain the Infobip `callId` they belong to and an `outcome` ('completed', 'failed',
+ * 'fallback'...), so voice webhooks can update a call's log instead of adding rows. `call_events`
+ * keeps every webhook event received for a call (call established, DTMF, dialog and recording
+ * events, media-stream errors) with its details as JSON.
+ */
+module.exports = {
+    name: 'call_events',
+
+    up: {
+        sqlite: [
+            'ALTER TABLE call_logs ADD COLUMN callId TEXT',
+            'ALTER TABLE call_logs ADD COLUMN outcome TEXT',
+            'CREATE INDEX IF NOT EXISTS idx_call_logs_call ON call_logs (callId)',
+            `CREATE TABLE IF NOT EXISTS call_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                callId TEXT NOT NULL,
+                dialogId TEXT,
+                eventType TEXT NOT NULL,
+                details TEXT,
+                occurredAt TEXT NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_call_events_call ON call_events (callId, occurredAt)'
+        ],
+        postgres: [
+            'ALTER TABLE call_logs ADD COLUMN call_id VARCHAR(100)',
+            'ALTER TABLE call_logs ADD COLUMN outcome VARCHAR(30)',
+            'CREATE INDEX IF NOT EXISTS idx_call_logs_call ON call_logs (call_id)',
+            `CREATE TABLE IF NOT EXISTS call_events (
+                id SERIAL PRIMARY KEY,
+                call_id VARCHAR(100) NOT NULL,
+                dialog_id VARCHAR(100),
+                event_type VARCHAR(50) NOT NULL,
+                details TEXT,
+                occurred_at TIMESTAMP NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_call_events_call ON call_events (call_id, occurred_at)'
+        ]
+    },
+
+    down: {
+        sqlite: [
+            'DROP TABLE IF EXISTS call_events',
+            'DROP INDEX IF EXISTS idx_call_logs_call',
+            'ALTER TABLE call_logs DROP COLUMN outcome',
+            'ALTER TABLE call_logs DROP COLUMN callId'
+        ],
+        postgres: [
+            'DROP TABLE IF EXISTS call_events',
+            'DROP INDEX IF EXISTS idx_call_logs_call',
+            'ALTER TABLE call_logs DROP COLUMN outcome',
+            'ALTER TABLE call_logs DROP COLUMN call_id'
+        ]
+    }
+};
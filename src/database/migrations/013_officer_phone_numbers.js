@@ -0,0 +1,32 @@
+/**
+ * Officer phone numbers.
+ *
+ * The default officers were seeded with made-up numbers, and routing dials an officer before
+ * LIVE_AGENT_NUMBER, so every transfer went to a number that doesn't exist. Clear those numbers;
+ * an officer without one isn't routed to until staff give them a real number through
+ * /api/admin/officers. Numbers staff set are kept.
+ */
+const { PLACEHOLDER_PHONE_NUMBERS } = require('../../banking/officers');
+
+const placeholders = {
+    sqlite: PLACEHOLDER_PHONE_NUMBERS.map(() => '?').join(', '),
+    postgres: PLACEHOLDER_PHONE_NUMBERS.map((number, index) => `$${index + 1}`).join(', ')
+};
+
+module.exports = {
+    name: 'officer_phone_numbers',
+
+    up: async (tx, dialect) => {
+        const column = dialect === 'postgres' ? 'phone_number' : 'phoneNumber';
+        await tx.run(
+            `UPDATE officers SET ${column} = NULL WHERE ${column} IN (${placeholders[dialect]})`,
+            PLACEHOLDER_PHONE_NUMBERS
+        );
+    },
+
+    // The placeholder numbers were never reachable, so there is nothing to put back
+    down: {
+        sqlite: [],
+        postgres: []
+    }
+};
@@ -0,0 +1,443 @@
+/**
+ * Row Mappers
+ * Convert raw database rows into the canonical domain shape used by the rest of the app.
+ *
+ * SQLite stores columns in camelCase (phoneNumber) while PostgreSQL uses snake_case
+ * (phone_number), and each driver returns different types for decimals, booleans and
+ * timestamps. Every row leaving the repository goes through one of these mappers so
+ * consumers never need `row.phone_number || row.phoneNumber` fallbacks.
+ */
+
+const { summarizeBalance } = require('./ledger');
+const { safeStringify } = require('../utils/jsonSanitizer');
+
+/**
+ * Read a column by its camelCase name, falling back to the snake_case variant
+ * @param {object} row - Raw database row
+ * @param {string} camelName - Column name in camelCase
+ * @returns {any} - Column value or undefined
+ */
+function pick(row, camelName) {
+    if (row[camelName] !== undefined) {
+        return row[camelName];
+    }
+    const snakeName = camelName.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    return row[snakeName];
+}
+
+/**
+ * Normalize a numeric column (PostgreSQL returns DECIMAL as a string)
+ * @param {any} value - Raw value
+ * @returns {number|null} - Parsed number or null
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Normalize a boolean column (SQLite stores booleans as 0/1)
+ * @param {any} value - Raw value
+ * @returns {boolean} - Boolean value
+ */
+function toBoolean(value) {
+    return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+/**
+ * Normalize a timestamp column to an ISO 8601 string
+ * PostgreSQL returns Date objects; SQLite's CURRENT_TIMESTAMP returns "YYYY-MM-DD HH:MM:SS" in UTC
+ * @param {any} value - Raw value
+ * @returns {string|null} - ISO timestamp or null
+ */
+function toIsoDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    const text = String(value);
+    const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text)
+        ? `${text.replace(' ', 'T')}Z`
+        : text;
+    const date = new Date(normalized);
+    return Number.isNaN(date.getTime()) ? text : date.toISOString();
+}
+
+// Balances come from the ledger when the driver joins it in (ledgerBalance / pendingDebits)
+function mapUser(row) {
+    if (!row) return null;
+    const ledgerBalance = pick(row, 'ledgerBalance');
+    const balance = ledgerBalance !== undefined
+        ? summarizeBalance(toNumber(ledgerBalance), toNumber(pick(row, 'pendingDebits')))
+        : null;
+    const fakeAccountBalance = balance ? balance.ledgerBalance : toNumber(pick(row, 'fakeAccountBalance'));
+    return {
+        id: toNumber(row.id),
+        phoneNumber: pick(row, 'phoneNumber'),
+        name: row.name,
+        companyName: pick(row, 'companyName'),
+        fakeAccountBalance,
+        availableBalance: balance ? balance.availableBalance : fakeAccountBalance,
+        pendingDebits: balance ? balance.pendingDebits : 0,
+        fakeAccountNumber: pick(row, 'fakeAccountNumber'),
+        loanApplicationStatus: pick(row, 'loanApplicationStatus'),
+        fraudScenario: toBoolean(pick(row, 'fraudScenario')),
+        registeredAt: toIsoDate(pick(row, 'registeredAt')),
+        lastCallAt: toIsoDate(pick(row, 'lastCallAt')),
+        callCount: toNumber(pick(row, 'callCount')) || 0
+    };
+}
+
+function mapLoanApplication(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        userId: toNumber(pick(row, 'userId')),
+        loanType: pick(row, 'loanType'),
+        loanAmount: toNumber(pick(row, 'loanAmount')),
+        status: row.status,
+        nextStep: pick(row, 'nextStep'),
+        assignedOfficer: pick(row, 'assignedOfficer'),
+        appliedAt: toIsoDate(pick(row, 'appliedAt')),
+        termMonths: toNumber(pick(row, 'termMonths')),
+        interestRate: toNumber(pick(row, 'interestRate')),
+        monthlyPayment: toNumber(pick(row, 'monthlyPayment')),
+        plannedDecision: pick(row, 'plannedDecision') || null,
+        decisionReason: pick(row, 'decisionReason') || null,
+        documentsRequested: pick(row, 'documentsRequested') || null,
+        statusChangedAt: toIsoDate(pick(row, 'statusChangedAt')),
+        fundedAt: toIsoDate(pick(row, 'fundedAt')),
+        firstPaymentDate: toIsoDate(pick(row, 'firstPaymentDate')),
+        disbursementTransactionId: pick(row, 'disbursementTransactionId') || null
+    };
+}
+
+function mapLoanEvent(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        loanId: toNumber(pick(row, 'loanId')),
+        eventType: pick(row, 'eventType'),
+        fromStatus: pick(row, 'fromStatus') || null,
+        toStatus: pick(row, 'toStatus'),
+        note: row.note || null,
+        actor: row.actor,
+        createdAt: toIsoDate(pick(row, 'createdAt'))
+    };
+}
+
+function mapLoanQuote(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        userId: toNumber(pick(row, 'userId')),
+        loanType: pick(row, 'loanType'),
+        requestedAmount: toNumber(pick(row, 'requestedAmount')),
+        loanAmount: toNumber(pick(row, 'loanAmount')),
+        termMonths: toNumber(pick(row, 'termMonths')),
+        outcome: row.outcome,
+        interestRate: toNumber(pick(row, 'interestRate')),
+        monthlyPayment: toNumber(pick(row, 'monthlyPayment')),
+        totalInterest: toNumber(pick(row, 'totalInterest')),
+        maxAmount: toNumber(pick(row, 'maxAmount')),
+        monthlyIncome: toNumber(pick(row, 'monthlyIncome')),
+        monthlyDebtPayments: toNumber(pick(row, 'monthlyDebtPayments')),
+        debtToIncome: toNumber(pick(row, 'debtToIncome')),
+        reason: row.reason || null,
+        createdAt: toIsoDate(pick(row, 'createdAt')),
+        expiresAt: toIsoDate(pick(row, 'expiresAt'))
+    };
+}
+
+function mapTransaction(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        userId: toNumber(pick(row, 'userId')),
+        accountId: toNumber(pick(row, 'accountId')),
+        transactionId: pick(row, 'transactionId'),
+        description: row.description,
+        amount: toNumber(row.amount),
+        transactionType: pick(row, 'transactionType'),
+        merchant: row.merchant || null,
+        category: row.category || null,
+        status: row.status || 'posted',
+        transactionDate: toIsoDate(pick(row, 'transactionDate')),
+        cardId: toNumber(pick(row, 'cardId')),
+        suspectedFraud: toBoolean(pick(row, 'suspectedFraud'))
+    };
+}
+
+// Balances are included when the driver joined in the ledger totals (postedTotal / pendingDebits)
+function mapAccount(row) {
+    if (!row) return null;
+    const postedTotal = pick(row, 'postedTotal');
+    const balance = postedTotal !== undefined
+        ? summarizeBalance(toNumber(postedTotal), toNumber(pick(row, 'pendingDebits')))
+        : {};
+    return {
+        id: toNumber(row.id),
+        userId: toNumber(pick(row, 'userId')),
+        accountNumber: pick(row, 'accountNumber'),
+        accountType: pick(row, 'accountType'),
+        name: row.name,
+        nickname: row.nickname || null,
+        currency: row.currency || 'USD',
+        openedAt: toIsoDate(pick(row, 'openedAt')),
+        ...balance
+    };
+}
+
+function mapPosting(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        journalId: pick(row, 'journalId'),
+        accountId: toNumber(pick(row, 'accountId')),
+        amount: toNumber(row.amount),
+        balanceAfter: toNumber(pick(row, 'balanceAfter')),
+        status: row.status,
+        description: row.description || null,
+        postedAt: toIsoDate(pick(row, 'postedAt'))
+    };
+}
+
+// Raw { accountNumber, postedTotal, pendingDebits } totals -> balances
+function mapAccountBalance(row) {
+    if (!row) return null;
+    return {
+        accountNumber: pick(row, 'accountNumber'),
+        ...summarizeBalance(toNumber(pick(row, 'postedTotal')), toNumber(pick(row, 'pendingDebits')))
+    };
+}
+
+function mapPayee(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        userId: toNumber(pick(row, 'userId')),
+        name: row.name,
+        nickname: row.nickname || null,
+        bankName: pick(row, 'bankName') || null,
+        accountNumber: pick(row, 'accountNumber'),
+        category: row.category || null,
+        createdAt: toIsoDate(pick(row, 'createdAt'))
+    };
+}
+
+function mapTransfer(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        transferId: pick(row, 'transferId'),
+        userId: toNumber(pick(row, 'userId')),
+        idempotencyKey: pick(row, 'idempotencyKey'),
+        transferType: pick(row, 'transferType'),
+        fromAccountId: toNumber(pick(row, 'fromAccountId')),
+        toAccountId: toNumber(pick(row, 'toAccountId')),
+        payeeId: toNumber(pick(row, 'payeeId')),
+        amount: toNumber(row.amount),
+        memo: row.memo || null,
+        status: row.status,
+        readBack: pick(row, 'readBack') || null,
+        createdAt: toIsoDate(pick(row, 'createdAt')),
+        expiresAt: toIsoDate(pick(row, 'expiresAt')),
+        completedAt: toIsoDate(pick(row, 'completedAt'))
+    };
+}
+
+function mapCard(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        userId: toNumber(pick(row, 'userId')),
+        accountId: toNumber(pick(row, 'accountId')),
+        cardType: pick(row, 'cardType'),
+        network: row.network,
+        last4: String(row.last4),
+        cardholderName: pick(row, 'cardholderName'),
+        expiryMonth: toNumber(pick(row, 'expiryMonth')),
+        expiryYear: toNumber(pick(row, 'expiryYear')),
+        status: row.status,
+        replacesCardId: toNumber(pick(row, 'replacesCardId')),
+        issuedAt: toIsoDate(pick(row, 'issuedAt')),
+        statusChangedAt: toIsoDate(pick(row, 'statusChangedAt'))
+    };
+}
+
+// Comma-separated list column ("fraud_investigation,card_services") -> array
+function toList(value) {
+    return value ? String(value).split(',').filter(Boolean) : [];
+}
+
+function mapOfficer(row) {
+    if (!row) return null;
+    const specialization = row.specialization || null;
+    const skills = toList(row.skills);
+    const workingDays = toList(pick(row, 'workingDays')).map(Number);
+    return {
+        id: toNumber(row.id),
+        name: row.name,
+        department: row.department,
+        phoneNumber: pick(row, 'phoneNumber') || null,
+        email: row.email || null,
+        specialization,
+        skills: skills.length > 0 ? skills : (specialization ? [specialization] : []),
+        timeZone: pick(row, 'timeZone') || 'America/New_York',
+        workingDays: workingDays.length > 0 ? workingDays : [1, 2, 3, 4, 5],
+        shiftStart: pick(row, 'shiftStart') || '09:00',
+        shiftEnd: pick(row, 'shiftEnd') || '17:00',
+        capacity: toNumber(row.capacity) || 1,
+        active: row.active === undefined || row.active === null ? true : toBoolean(row.active),
+        lastAssignedAt: toIsoDate(pick(row, 'lastAssignedAt'))
+    };
+}
+
+/**
+ * Officer fields as stored (lists become comma-separated text)
+ * @param {object} officer - Officer from officers.normalizeOfficer()
+ * @returns {object} - Column values keyed by camelCase name
+ */
+function toOfficerRow(officer) {
+    return {
+        name: officer.name,
+        department: officer.department,
+        phoneNumber: officer.phoneNumber,
+        email: officer.email || null,
+        specialization: officer.specialization,
+        skills: officer.skills.join(','),
+        timeZone: officer.timeZone,
+        workingDays: officer.workingDays.join(','),
+        shiftStart: officer.shiftStart,
+        shiftEnd: officer.shiftEnd,
+        capacity: officer.capacity,
+        active: officer.active
+    };
+}
+
+function mapCallLog(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        phoneNumber: pick(row, 'phoneNumber'),
+        callDuration: toNumber(pick(row, 'callDuration')),
+        scenario: row.scenario || null,
+        successful: toBoolean(row.successful),
+        transcript: parseTranscript(row.transcript),
+        callId: pick(row, 'callId') || null,
+        outcome: row.outcome || null,
+        calledAt: toIsoDate(pick(row, 'calledAt'))
+    };
+}
+
+// Transcripts are stored as JSON (see voice/CallTranscript.js); anything else is returned as written
+function parseTranscript(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+// A transcript as stored: JSON unless it's already text
+function serializeTranscript(transcript) {
+    if (transcript === undefined || transcript === null) return null;
+    return typeof transcript === 'string' ? transcript : JSON.stringify(transcript);
+}
+
+/**
+ * Voice webhook event received for a call, with its JSON `details` parsed
+ */
+function mapCallEvent(row) {
+    if (!row) return null;
+    return {
+        id: toNumber(row.id),
+        callId: pick(row, 'callId'),
+        dialogId: pick(row, 'dialogId') || null,
+        eventType: pick(row, 'eventType'),
+        details: row.details ? JSON.parse(row.details) : null,
+        occurredAt: toIsoDate(pick(row, 'occurredAt'))
+    };
+}
+
+/**
+ * Call event as stored (see mapCallEvent)
+ * @param {object} event - { callId, dialogId?, eventType, details?, occurredAt }
+ */
+function toCallEventRow(event) {
+    return {
+        callId: event.callId,
+        dialogId: event.dialogId || null,
+        eventType: event.eventType,
+        details: event.details ? safeStringify(event.details) : null,
+        occurredAt: event.occurredAt
+    };
+}
+
+/**
+ * Call session: the JSON `data` column spread out, plus the columns kept outside it
+ */
+function mapCallSession(row) {
+    if (!row) return null;
+    return {
+        ...JSON.parse(row.data),
+        callId: pick(row, 'callId'),
+        dialogId: pick(row, 'dialogId') || null,
+        status: row.status || null,
+        startTime: new Date(toIsoDate(pick(row, 'startedAt'))).getTime(),
+        version: toNumber(row.version),
+        updatedAt: toIsoDate(pick(row, 'updatedAt')),
+        expiresAt: toIsoDate(pick(row, 'expiresAt'))
+    };
+}
+
+/**
+ * Call session as stored (see mapCallSession)
+ * @param {object} session - { callId, dialogId?, status?, startTime (ms), updatedAt, expiresAt, ...anything JSON-serializable }
+ * @returns {object} - { callId, dialogId, status, startedAt, updatedAt, expiresAt, data }
+ */
+function toCallSessionRow(session) {
+    // The version is only ever changed by the database
+    const { callId, dialogId, status, startTime, updatedAt, expiresAt, version, ...data } = session;
+    return {
+        callId,
+        dialogId: dialogId || null,
+        status: status || null,
+        startedAt: new Date(startTime).toISOString(),
+        updatedAt,
+        expiresAt,
+        data: safeStringify(data)
+    };
+}
+
+module.exports = {
+    pick,
+    toNumber,
+    toBoolean,
+    toIsoDate,
+    mapUser,
+    mapLoanApplication,
+    mapLoanEvent,
+    mapLoanQuote,
+    mapTransaction,
+    mapAccount,
+    mapPosting,
+    mapAccountBalance,
+    mapPayee,
+    mapTransfer,
+    mapCard,
+    mapOfficer,
+    toOfficerRow,
+    mapCallLog,
+    serializeTranscript,
+    mapCallEvent,
+    toCallEventRow,
+    mapCallSession,
+    toCallSessionRow
+};
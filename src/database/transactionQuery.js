@@ -0,0 +1,133 @@
+/**
+ * Transaction Query
+ * Driver-independent transaction search shared by the SQLite, PostgreSQL and in-memory managers.
+ *
+ * Takes a normalized query (see banking/transactionSearch.normalizeTransactionQuery) and turns it
+ * into a WHERE clause for the SQL drivers, or a predicate for the in-memory driver, so every
+ * backend filters and orders results the same way:
+ *   - text filters (merchant, text) are case-insensitive substring matches
+ *   - category and type/status are case-insensitive exact matches
+ *   - amount bounds apply to the absolute amount, so "over $100" means debits and credits alike
+ *   - `from` is inclusive and `to` exclusive (ISO timestamps)
+ */
+
+const COLUMNS = {
+    sqlite: {
+        userId: 'userId',
+        accountId: 'accountId',
+        date: 'transactionDate',
+        type: 'transactionType',
+        description: 'description',
+        merchant: 'merchant',
+        category: 'category',
+        status: 'status',
+        amount: 'amount'
+    },
+    postgres: {
+        userId: 'user_id',
+        accountId: 'account_id',
+        date: 'transaction_date',
+        type: 'transaction_type',
+        description: 'description',
+        merchant: 'merchant',
+        category: 'category',
+        status: 'status',
+        amount: 'amount'
+    }
+};
+
+const SORT_ORDERS = {
+    newest: c => `${c.date} DESC, id DESC`,
+    oldest: c => `${c.date} ASC, id ASC`,
+    largest: c => `ABS(${c.amount}) DESC, ${c.date} DESC`
+};
+
+// LIKE pattern for a case-insensitive substring match, with the user's % and _ taken literally
+function containsPattern(text) {
+    return `%${String(text).toLowerCase().replace(/[\\%_]/g, match => `\\${match}`)}%`;
+}
+
+/**
+ * Build the filter and ordering for a transaction search
+ * @param {number} userId - Owner of the transactions
+ * @param {object} query - Normalized query { accountId, from, to, merchant, category, text, minAmount, maxAmount, type, status, sort }
+ * @param {string} dialect - 'sqlite' or 'postgres'
+ * @returns {object} - { where, params, orderBy, nextParam } - nextParam(value) appends a parameter and returns its placeholder
+ */
+function buildTransactionSearch(userId, query, dialect) {
+    const c = COLUMNS[dialect];
+    const params = [];
+    const nextParam = (value) => {
+        params.push(value);
+        return dialect === 'postgres' ? `$${params.length}` : '?';
+    };
+    const contains = (column, text) => `LOWER(COALESCE(${column}, '')) LIKE ${nextParam(containsPattern(text))} ESCAPE '\\'`;
+
+    const conditions = [`${c.userId} = ${nextParam(userId)}`];
+    if (query.accountId) conditions.push(`${c.accountId} = ${nextParam(query.accountId)}`);
+    if (query.from) conditions.push(`${c.date} >= ${nextParam(query.from)}`);
+    if (query.to) conditions.push(`${c.date} < ${nextParam(query.to)}`);
+    if (query.merchant) conditions.push(`(${contains(c.merchant, query.merchant)} OR ${contains(c.description, query.merchant)})`);
+    if (query.category) conditions.push(`LOWER(${c.category}) = ${nextParam(query.category.toLowerCase())}`);
+    if (query.text) {
+        conditions.push(`(${[c.description, c.merchant, c.category].map(column => contains(column, query.text)).join(' OR ')})`);
+    }
+    if (query.minAmount !== undefined) conditions.push(`ABS(${c.amount}) >= ${nextParam(query.minAmount)}`);
+    if (query.maxAmount !== undefined) conditions.push(`ABS(${c.amount}) <= ${nextParam(query.maxAmount)}`);
+    if (query.type) conditions.push(`${c.type} = ${nextParam(query.type)}`);
+    if (query.status) conditions.push(`${c.status} = ${nextParam(query.status)}`);
+
+    return {
+        where: `WHERE ${conditions.join(' AND ')}`,
+        params,
+        orderBy: (SORT_ORDERS[query.sort] || SORT_ORDERS.newest)(c),
+        nextParam
+    };
+}
+
+/**
+ * In-memory equivalent of buildTransactionSearch's WHERE clause
+ * @param {object} transaction - Transaction row (camelCase)
+ * @param {number} userId - Owner of the transactions
+ * @param {object} query - Normalized query
+ * @returns {boolean}
+ */
+function matchesTransactionQuery(transaction, userId, query) {
+    const contains = (value, text) => String(value || '').toLowerCase().includes(String(text).toLowerCase());
+    const amount = Math.abs(Number(transaction.amount));
+
+    return transaction.userId === userId &&
+        (!query.accountId || transaction.accountId === query.accountId) &&
+        (!query.from || transaction.transactionDate >= query.from) &&
+        (!query.to || transaction.transactionDate < query.to) &&
+        (!query.merchant || contains(transaction.merchant, query.merchant) || contains(transaction.description, query.merchant)) &&
+        (!query.category || String(transaction.category || '').toLowerCase() === query.category.toLowerCase()) &&
+        (!query.text || [transaction.description, transaction.merchant, transaction.category].some(value => contains(value, query.text))) &&
+        (query.minAmount === undefined || amount >= query.minAmount) &&
+        (query.maxAmount === undefined || amount <= query.maxAmount) &&
+        (!query.type || transaction.transactionType === query.type) &&
+        (!query.status || (transaction.status || 'posted') === query.status);
+}
+
+/**
+ * In-memory equivalent of buildTransactionSearch's ORDER BY
+ * @param {string} [sort] - 'newest' (default), 'oldest' or 'largest'
+ * @returns {function} - Comparator for Array.prototype.sort
+ */
+function compareTransactions(sort) {
+    const newest = (a, b) => b.transactionDate.localeCompare(a.transactionDate) || b.id - a.id;
+    if (sort === 'oldest') {
+        return (a, b) => -newest(a, b);
+    }
+    if (sort === 'largest') {
+        return (a, b) => Math.abs(b.amount) - Math.abs(a.amount) || b.transactionDate.localeCompare(a.transactionDate);
+    }
+    return newest;
+}
+
+module.exports = {
+    SORT_ORDERS,
+    buildTransactionSearch,
+    matchesTransactionQuery,
+    compareTransactions
+};
@@ -0,0 +1,85 @@
+/**
+ * Seeded Random Utility
+ * Small deterministic PRNG (mulberry32) so demo data can be reproduced from a seed
+ */
+
+/**
+ * Hash a string seed into a 32-bit integer
+ * @param {string|number} seed - Seed value
+ * @returns {number} - Unsigned 32-bit integer
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random generator
+ * Without a seed the generator falls back to Math.random so callers can use one code path
+ * @param {string|number} [seed] - Seed value
+ * @returns {object} - Generator with next(), float(), int(), pick(), chance() and string()
+ */
+function createSeededRandom(seed) {
+    let next;
+
+    if (seed === undefined || seed === null || seed === '') {
+        next = Math.random;
+    } else {
+        let state = hashSeed(seed);
+        next = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    return {
+        seed: seed === undefined ? null : seed,
+
+        // Float in [0, 1)
+        next,
+
+        // Float in [min, max)
+        float(min, max) {
+            return min + next() * (max - min);
+        },
+
+        // Integer in [min, max]
+        int(min, max) {
+            return Math.floor(min + next() * (max - min + 1));
+        },
+
+        pick(items) {
+            return items[Math.floor(next() * items.length)];
+        },
+
+        chance(probability) {
+            return next() < probability;
+        },
+
+        // Random base-36 string of the given length
+        string(length) {
+            let result = '';
+            while (result.length < length) {
+                result += Math.floor(next() * 36).toString(36);
+            }
+            return result;
+        }
+    };
+}
+
+module.exports = {
+    hashSeed,
+    createSeededRandom
+};
@@ -0,0 +1,176 @@
+/**
+ * CallCorrelator - Ties each media-stream WebSocket to the call it belongs to
+ *
+ * Every dialog we create carries a one-time token in its customData. The token is stored in the
+ * call's session (see CallSessionStore), so whichever instance receives the WebSocket can redeem
+ * it: from the connection URL or headers, or from the first control message that carries it.
+ * A token is good for one stream within CALL_CORRELATION_TOKEN_TTL_MS of being issued.
+ *
+ * A stream that can't be correlated gets no customer context at all - never another caller's.
+ * Every failure is counted by reason (see getStats()) and logged.
+ */
+
+const { randomBytes } = require('crypto');
+
+const DEFAULT_TOKEN_TTL_MS = 2 * 60 * 1000;
+
+const FAILURE_REASONS = {
+    MISSING: 'missing', // no token arrived before the timeout
+    MALFORMED: 'malformed',
+    UNKNOWN_CALL: 'unknown_call', // the call has ended or never existed here
+    TOKEN_MISMATCH: 'token_mismatch', // the call exists but was issued a different token
+    ALREADY_USED: 'already_used',
+    EXPIRED: 'expired'
+};
+
+// Where a token may arrive (the dialog's customData, or a query parameter for manual testing)
+const TOKEN_QUERY_PARAMETERS = ['correlationToken', 'token'];
+const TOKEN_HEADERS = ['x-correlation-token', 'correlationtoken'];
+
+class CallCorrelator {
+    /**
+     * @param {object} sessions - Call session store
+     * @param {object} [options] - { tokenTtlMs }
+     */
+    constructor(sessions, { tokenTtlMs = Number(process.env.CALL_CORRELATION_TOKEN_TTL_MS) || DEFAULT_TOKEN_TTL_MS } = {}) {
+        this.sessions = sessions;
+        this.tokenTtlMs = tokenTtlMs;
+        this.stats = {
+            issued: 0,
+            resolved: 0,
+            failures: Object.fromEntries(Object.values(FAILURE_REASONS).map(reason => [reason, 0])),
+            lastFailure: null
+        };
+    }
+
+    /**
+     * Issue the token for a call's dialog (replacing any earlier one)
+     * @param {string} callId - Call the dialog is created for
+     * @returns {Promise<string|null>} - Token to send as customData.correlationToken, or null if the call has no session
+     */
+    async issue(callId) {
+        const now = new Date();
+        // The call ID travels in the token so it can be looked up directly; the random part proves it was issued
+        const token = `${callId}.${randomBytes(18).toString('base64url')}`;
+        const session = await this.sessions.update(callId, {
+            correlation: {
+                token,
+                issuedAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + this.tokenTtlMs).toISOString(),
+                usedAt: null
+            }
+        });
+        if (!session) {
+            return null;
+        }
+        this.stats.issued++;
+        return token;
+    }
+
+    /**
+     * Redeem a token
+     * @param {string} token - Token from the stream
+     * @returns {Promise<object>} - { session } or { reason } (one of FAILURE_REASONS)
+     */
+    async resolve(token) {
+        const separator = typeof token === 'string' ? token.lastIndexOf('.') : -1;
+        if (separator <= 0) {
+            return this.fail(FAILURE_REASONS.MALFORMED, token);
+        }
+        const callId = token.slice(0, separator);
+
+        // Checked and marked used in one atomic update, so two streams can't both redeem it
+        const now = new Date().toISOString();
+        let reason = null;
+        const session = await this.sessions.update(callId, current => {
+            const correlation = current.correlation;
+            if (!correlation || correlation.token !== token) {
+                reason = FAILURE_REASONS.TOKEN_MISMATCH;
+            } else if (correlation.usedAt) {
+                reason = FAILURE_REASONS.ALREADY_USED;
+            } else if (correlation.expiresAt <= now) {
+                reason = FAILURE_REASONS.EXPIRED;
+            } else {
+                reason = null;
+                return { correlation: { ...correlation, usedAt: now } };
+            }
+            return {};
+        });
+
+        if (!session) {
+            return this.fail(FAILURE_REASONS.UNKNOWN_CALL, token);
+        }
+        if (reason) {
+            return this.fail(reason, token);
+        }
+        this.stats.resolved++;
+        return { session };
+    }
+
+    /**
+     * Count a stream that never presented a token
+     */
+    recordMissing() {
+        return this.fail(FAILURE_REASONS.MISSING, null);
+    }
+
+    fail(reason, token) {
+        this.stats.failures[reason]++;
+        this.stats.lastFailure = { reason, at: new Date().toISOString() };
+        // Only the call ID part - the rest of the token is the secret
+        const callId = typeof token === 'string' && token.includes('.') ? token.slice(0, token.lastIndexOf('.')) : null;
+        console.warn(`[Correlation] ⚠️  Stream not correlated (${reason})${callId ? ` for call ${callId}` : ''}`);
+        return { reason };
+    }
+
+    /**
+     * Correlation counters since startup (for monitoring/debugging)
+     */
+    getStats() {
+        const failed = Object.values(this.stats.failures).reduce((sum, count) => sum + count, 0);
+        return {
+            issued: this.stats.issued,
+            resolved: this.stats.resolved,
+            failed,
+            failures: { ...this.stats.failures },
+            lastFailure: this.stats.lastFailure
+        };
+    }
+}
+
+/**
+ * Token sent when the WebSocket was opened
+ * @param {object} req - HTTP upgrade request
+ * @returns {string|null}
+ */
+function extractTokenFromRequest(req) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    for (const name of TOKEN_QUERY_PARAMETERS) {
+        if (url.searchParams.get(name)) {
+            return url.searchParams.get(name);
+        }
+    }
+    for (const name of TOKEN_HEADERS) {
+        if (req.headers && req.headers[name]) {
+            return req.headers[name];
+        }
+    }
+    return null;
+}
+
+/**
+ * Token in a control message from the media stream
+ * @param {object} message - Parsed JSON message
+ * @returns {string|null}
+ */
+function extractTokenFromMessage(message) {
+    const customData = message.customData || message['custom-data'] || {};
+    return customData.correlationToken || message.correlationToken || message['correlation-token'] || null;
+}
+
+module.exports = {
+    FAILURE_REASONS,
+    CallCorrelator,
+    extractTokenFromRequest,
+    extractTokenFromMessage
+};
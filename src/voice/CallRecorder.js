@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const { randomBytes } = require('crypto');
+const { AUDIO_ENCODINGS, formatName, AudioTranscoder } = require('./audioFormats');
+
+/**
+ * CallRecorder - Optional recording of media-bridge calls to WAV files
+ *
+ * With CALL_RECORDING=true each Infobip media stream is recorded as three 16-bit PCM WAV tracks at the
+ * stream's sample rate: caller.wav (what Infobip sent), agent.wav (what the bridge played to the caller -
+ * hold tone, the agent's speech and comfort noise) and mixed.wav (both). The tracks are kept aligned
+ * on the clock: audio that arrives late starts after silence for the time missed, so a pause or a gap
+ * in either leg lines up in all three.
+ *
+ * A recording is written under CALL_RECORDING_DIR (default ./recordings) in a hidden directory while
+ * the call is going, then moved to <callId>/ (or stream-<time>/ if the stream was never correlated) with
+ * a metadata.json. Recordings older than CALL_RECORDING_RETENTION_DAYS (default 30; 0 keeps them) are
+ * deleted hourly.
+ */
+
+const RECORDING_TRACKS = ['mixed', 'caller', 'agent'];
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// How late audio may arrive before the gap is filled with silence
+const ALIGNMENT_TOLERANCE_MS = 60;
+const WAV_HEADER_BYTES = 44;
+
+// Safe as a directory name and matches what Infobip uses for call IDs
+const CALL_ID_PATTERN = /^[\w-]+$/;
+
+// Canonical 44-byte header of a mono 16-bit PCM WAV file
+function wavHeader(sampleRate, dataBytes) {
+    const header = Buffer.alloc(WAV_HEADER_BYTES);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+}
+
+// Sum two equally long stretches of 16-bit PCM, clipping
+function mixPcm(a, b) {
+    const mixed = Buffer.alloc(a.length);
+    for (let i = 0; i < a.length; i += 2) {
+        mixed.writeInt16LE(Math.max(-32768, Math.min(32767, a.readInt16LE(i) + b.readInt16LE(i))), i);
+    }
+    return mixed;
+}
+
+class WavTrack {
+    constructor(file, sampleRate) {
+        this.file = file;
+        this.sampleRate = sampleRate;
+        this.dataBytes = 0;
+        this.stream = fs.createWriteStream(file);
+        this.stream.on('error', error => console.error(`[Recording] ❌ Writing ${path.basename(file)} failed:`, error.message));
+        this.stream.write(wavHeader(sampleRate, 0));
+    }
+
+    write(pcm) {
+        this.dataBytes += pcm.length;
+        this.stream.write(pcm);
+    }
+
+    // Close the file and fill in the sizes the header was written without
+    async close() {
+        await new Promise(resolve => this.stream.end(resolve));
+        const handle = await fs.promises.open(this.file, 'r+');
+        try {
+            await handle.write(wavHeader(this.sampleRate, this.dataBytes), 0, WAV_HEADER_BYTES, 0);
+        } finally {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * One call's recording; created by CallRecorder.startRecording()
+ */
+class CallRecording {
+    constructor({ baseDir, sourceFormat }) {
+        this.baseDir = baseDir;
+        this.format = { encoding: AUDIO_ENCODINGS.PCM, sampleRate: sourceFormat.sampleRate };
+        this.startedAt = Date.now();
+        this.dir = path.join(baseDir, `.recording-${this.startedAt}-${randomBytes(4).toString('hex')}`);
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        this.tracks = {};
+        for (const track of RECORDING_TRACKS) {
+            this.tracks[track] = new WavTrack(path.join(this.dir, `${track}.wav`), this.format.sampleRate);
+        }
+        this.legs = {
+            caller: { samples: 0, pending: Buffer.alloc(0), transcoder: null },
+            agent: { samples: 0, pending: Buffer.alloc(0), transcoder: null }
+        };
+        this.setSourceFormat(sourceFormat);
+        this.finished = false;
+    }
+
+    // The format the legs' audio arrives in (Infobip's); converted to the recording's format
+    setSourceFormat(format) {
+        for (const leg of Object.values(this.legs)) {
+            leg.transcoder = new AudioTranscoder(format, this.format);
+        }
+    }
+
+    // Audio the caller sent
+    writeCaller(audio) {
+        this.write('caller', audio);
+    }
+
+    // Audio played to the caller
+    writeAgent(audio) {
+        this.write('agent', audio);
+    }
+
+    write(legName, audio) {
+        if (this.finished) {
+            return;
+        }
+        const leg = this.legs[legName];
+        const pcm = leg.transcoder.transcode(audio);
+        const now = Math.floor((Date.now() - this.startedAt) * this.format.sampleRate / 1000);
+        const tolerance = Math.floor(this.format.sampleRate * ALIGNMENT_TOLERANCE_MS / 1000);
+
+        // This audio ends now on the call's clock; a leg further behind than the tolerance was silent
+        // in between - including the other one, if it has stopped sending
+        for (const [name, other] of Object.entries(this.legs)) {
+            const behind = other === leg
+                ? now - pcm.length / 2 - other.samples
+                : now - tolerance - other.samples;
+            if (behind > (other === leg ? tolerance : 0)) {
+                this.append(name, Buffer.alloc(behind * 2));
+            }
+        }
+        this.append(legName, pcm);
+    }
+
+    append(legName, pcm) {
+        const leg = this.legs[legName];
+        this.tracks[legName].write(pcm);
+        leg.samples += pcm.length / 2;
+        leg.pending = leg.pending.length ? Buffer.concat([leg.pending, pcm]) : pcm;
+
+        // Mix as far as both legs have got
+        const { caller, agent } = this.legs;
+        const mixable = Math.min(caller.pending.length, agent.pending.length);
+        if (mixable > 0) {
+            this.tracks.mixed.write(mixPcm(caller.pending.subarray(0, mixable), agent.pending.subarray(0, mixable)));
+            caller.pending = caller.pending.subarray(mixable);
+            agent.pending = agent.pending.subarray(mixable);
+        }
+    }
+
+    /**
+     * Stop recording and move the files to the call's directory
+     * @param {object} [details] - { callId, ...anything else for metadata.json }
+     * @returns {Promise<object>} - { dir, metadata }
+     */
+    async finish({ callId = null, ...details } = {}) {
+        this.finished = true;
+
+        // The leg that got further is mixed on its own to the end
+        const { caller, agent } = this.legs;
+        const rest = Math.max(caller.pending.length, agent.pending.length);
+        if (rest > 0) {
+            const pad = pending => Buffer.concat([pending, Buffer.alloc(rest - pending.length)]);
+            this.tracks.mixed.write(mixPcm(pad(caller.pending), pad(agent.pending)));
+        }
+        await Promise.all(Object.values(this.tracks).map(track => track.close()));
+
+        const endedAt = Date.now();
+        const metadata = {
+            callId,
+            ...details,
+            startedAt: new Date(this.startedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            durationMs: endedAt - this.startedAt,
+            format: formatName(this.format),
+            tracks: Object.fromEntries(RECORDING_TRACKS.map(track => [track, {
+                file: `${track}.wav`,
+                durationMs: Math.round(this.tracks[track].dataBytes / 2 / this.format.sampleRate * 1000)
+            }]))
+        };
+        await fs.promises.writeFile(path.join(this.dir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+
+        let name = callId && CALL_ID_PATTERN.test(callId)
+            ? callId
+            : `stream-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}`;
+        if (fs.existsSync(path.join(this.baseDir, name))) {
+            // The call had an earlier stream; the first keeps the call's name
+            name = `${name}-${this.startedAt}`;
+        }
+        const dir = path.join(this.baseDir, name);
+        await fs.promises.rename(this.dir, dir);
+        this.dir = dir;
+        return { dir, metadata };
+    }
+}
+
+class CallRecorder {
+    constructor() {
+        this.enabled = (process.env.CALL_RECORDING || 'false').toLowerCase() === 'true';
+        this.dir = path.resolve(process.env.CALL_RECORDING_DIR || 'recordings');
+        const retention = process.env.CALL_RECORDING_RETENTION_DAYS;
+        this.retentionDays = retention === undefined || retention === '' ? DEFAULT_RETENTION_DAYS : Number(retention);
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Start recording a media stream, if recording is on
+     * @param {object} sourceFormat - The stream's audio format
+     * @returns {CallRecording|null}
+     */
+    startRecording(sourceFormat) {
+        if (!this.enabled) {
+            return null;
+        }
+        try {
+            return new CallRecording({ baseDir: this.dir, sourceFormat });
+        } catch (error) {
+            console.error('[Recording] ❌ Could not start recording:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * A finished recording's file
+     * @param {string} callId - Call ID (or a stream-... name for an uncorrelated stream)
+     * @param {string} [track] - One of RECORDING_TRACKS
+     * @returns {Promise<string|null>} - Absolute path, or null if there's no such recording
+     */
+    async getRecordingFile(callId, track = 'mixed') {
+        if (!CALL_ID_PATTERN.test(callId) || !RECORDING_TRACKS.includes(track)) {
+            return null;
+        }
+        const file = path.join(this.dir, callId, `${track}.wav`);
+        try {
+            await fs.promises.access(file);
+            return file;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Delete recordings (and recordings abandoned mid-call) older than the retention period
+     * @returns {Promise<number>} - How many were deleted
+     */
+    async pruneRecordings() {
+        if (!(this.retentionDays > 0)) {
+            return 0;
+        }
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        let deleted = 0;
+        for (const entry of entries.filter(entry => entry.isDirectory())) {
+            const dir = path.join(this.dir, entry.name);
+            const { mtimeMs } = await fs.promises.stat(dir);
+            if (mtimeMs < cutoff) {
+                await fs.promises.rm(dir, { recursive: true, force: true });
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    // Prune now and every hour while recording is on
+    startRetention() {
+        if (!this.enabled || this.pruneTimer) {
+            return;
+        }
+        const prune = () => this.pruneRecordings()
+            .then(deleted => {
+                if (deleted > 0) {
+                    console.log(`[Recording] 🗑️  Deleted ${deleted} recording(s) older than ${this.retentionDays} days`);
+                }
+            })
+            .catch(error => console.error('[Recording] ❌ Pruning recordings failed:', error.message));
+        prune();
+        this.pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+        // Don't keep the process alive just for this
+        this.pruneTimer.unref();
+        console.log(`[Recording] 🎙️  Recording calls to ${this.dir}` +
+            (this.retentionDays > 0 ? ` (kept ${this.retentionDays} days)` : ''));
+    }
+
+    stopRetention() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+    }
+}
+
+module.exports = new CallRecorder();
+module.exports.CallRecorder = CallRecorder;
+module.exports.CallRecording = CallRecording;
+module.exports.RECORDING_TRACKS = RECORDING_TRACKS;
@@ -0,0 +1,166 @@
+/**
+ * CallSessionStore - Where CallsHandler keeps the state of calls in progress
+ *
+ * A session is { callId, callerId, userContext, startTime, status, dialogId?, agentCallId?, ... }.
+ * Two stores share one async interface:
+ * - MemoryCallSessionStore (default) - a Map in this process; sessions are lost on restart
+ * - DatabaseCallSessionStore - the call_sessions table through the repository, so a redeploy or a
+ *   second replica sees the same calls (CALL_SESSION_STORE=database)
+ *
+ * Sessions expire CALL_SESSION_TTL_MS (default 2 hours) after their last update, so calls whose
+ * hangup never reached us don't linger. update() is atomic: the memory store applies the change
+ * synchronously, the database store only writes if nobody else has since reading and retries if
+ * somebody has.
+ */
+
+const DEFAULT_SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// update() accepts the fields to change, or a function of the current session returning them
+function applyChanges(session, changes) {
+    const patch = typeof changes === 'function' ? changes(session) : changes;
+    return { ...session, ...patch, callId: session.callId };
+}
+
+class MemoryCallSessionStore {
+    constructor({ ttlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+        this.ttlMs = ttlMs;
+        this.sessions = new Map();
+    }
+
+    stamp(session, now = new Date()) {
+        return { ...session, updatedAt: now.toISOString(), expiresAt: new Date(now.getTime() + this.ttlMs).toISOString() };
+    }
+
+    // The stored session if it hasn't expired (expired ones are dropped on the way)
+    live(callId, now = new Date()) {
+        const session = this.sessions.get(callId);
+        if (session && session.expiresAt <= now.toISOString()) {
+            this.sessions.delete(callId);
+            return null;
+        }
+        return session || null;
+    }
+
+    async create(callId, session) {
+        const stored = this.stamp({ ...session, callId });
+        this.sessions.set(callId, stored);
+        return { ...stored };
+    }
+
+    async get(callId) {
+        const session = this.live(callId);
+        return session ? { ...session } : null;
+    }
+
+    async findByDialogId(dialogId) {
+        const sessions = await this.list();
+        return sessions.reverse().find(session => session.dialogId === dialogId) || null;
+    }
+
+    // Oldest call first
+    async list() {
+        const now = new Date();
+        return [...this.sessions.keys()]
+            .map(callId => this.live(callId, now))
+            .filter(Boolean)
+            .sort((a, b) => a.startTime - b.startTime)
+            .map(session => ({ ...session }));
+    }
+
+    async update(callId, changes) {
+        const session = this.live(callId);
+        if (!session) {
+            return null;
+        }
+        const updated = this.stamp(applyChanges(session, changes));
+        this.sessions.set(callId, updated);
+        return { ...updated };
+    }
+
+    async delete(callId) {
+        const session = this.live(callId);
+        this.sessions.delete(callId);
+        return session;
+    }
+}
+
+class DatabaseCallSessionStore {
+    /**
+     * @param {object} repository - FinTechRepository
+     * @param {object} [options] - { ttlMs }
+     */
+    constructor(repository, { ttlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+        this.repository = repository;
+        this.ttlMs = ttlMs;
+    }
+
+    stamp(session, now = new Date()) {
+        return { ...session, updatedAt: now.toISOString(), expiresAt: new Date(now.getTime() + this.ttlMs).toISOString() };
+    }
+
+    // Each new call also clears out sessions that have expired
+    async create(callId, session) {
+        const now = new Date();
+        const purged = await this.repository.deleteExpiredCallSessions(now.toISOString());
+        if (purged > 0) {
+            console.log(`[CallSessions] 🧹 Removed ${purged} expired session(s)`);
+        }
+        return this.repository.saveCallSession(this.stamp({ ...session, callId }, now));
+    }
+
+    async get(callId) {
+        return this.repository.getCallSession(callId, new Date().toISOString());
+    }
+
+    async findByDialogId(dialogId) {
+        return this.repository.getCallSessionByDialogId(dialogId, new Date().toISOString());
+    }
+
+    async list() {
+        return this.repository.getActiveCallSessions(new Date().toISOString());
+    }
+
+    async update(callId, changes) {
+        for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+            const session = await this.get(callId);
+            if (!session) {
+                return null;
+            }
+            const updated = this.stamp(applyChanges(session, changes));
+            if (await this.repository.updateCallSession(updated)) {
+                return { ...updated, version: session.version + 1 };
+            }
+        }
+        throw new Error(`Call session ${callId} kept changing while it was being updated`);
+    }
+
+    async delete(callId) {
+        return this.repository.deleteCallSession(callId);
+    }
+}
+
+/**
+ * The store selected by CALL_SESSION_STORE ('memory' or 'database')
+ * @param {object} repository - FinTechRepository (used by the database store)
+ * @returns {MemoryCallSessionStore|DatabaseCallSessionStore}
+ * @throws {Error} - For an unknown store type
+ */
+function createCallSessionStore(repository) {
+    const type = (process.env.CALL_SESSION_STORE || 'memory').toLowerCase();
+    const ttlMs = Number(process.env.CALL_SESSION_TTL_MS) || DEFAULT_SESSION_TTL_MS;
+    if (type === 'memory') {
+        return new MemoryCallSessionStore({ ttlMs });
+    }
+    if (type === 'database') {
+        return new DatabaseCallSessionStore(repository, { ttlMs });
+    }
+    throw new Error(`Unknown CALL_SESSION_STORE "${type}" (use "memory" or "database")`);
+}
+
+module.exports = {
+    DEFAULT_SESSION_TTL_MS,
+    MemoryCallSessionStore,
+    DatabaseCallSessionStore,
+    createCallSessionStore
+};
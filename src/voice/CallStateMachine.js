@@ -0,0 +1,169 @@
+/**
+ * CallStateMachine - The states a call goes through and the events announcing them
+ *
+ * State lifecycle:
+ *   connected -> dialog_created                        a registered caller is put through to the AI agent
+ *   unregistered_flow                                  an unknown caller is put through to voice registration
+ *   dialog_created | unregistered_flow -> transferring a live-agent transfer is being dialed
+ *   transferring -> transferred_to_agent               the agent answered and the calls are bridged
+ *   transferring -> dialog_created | unregistered_flow the transfer failed; the caller stays with the AI
+ *   connected | dialog_created | unregistered_flow     the AI dialog or its media stream failed; the caller
+ *     -> failed                                        is sent to a live agent (failed -> transferring)
+ *   transferring -> failed                             ...and that transfer failed too
+ *   any state but ended -> ended                       the caller hung up or the call failed
+ *
+ * The current state is the session's `status`; `stateHistory` lists every state the call has been in
+ * with when and why it got there. A transition is checked and applied in one atomic session update,
+ * so a call that has hung up can't be transferred and two transfers can't start at once.
+ *
+ * Every transition is emitted as 'transition' and under the new state's name, with
+ * { callId, from, to, at, reason, session }. Events are emitted by the instance that made the change.
+ */
+
+const { EventEmitter } = require('events');
+
+const CALL_STATES = {
+    CONNECTED: 'connected',
+    UNREGISTERED_FLOW: 'unregistered_flow',
+    DIALOG_CREATED: 'dialog_created',
+    TRANSFERRING: 'transferring',
+    TRANSFERRED_TO_AGENT: 'transferred_to_agent',
+    FAILED: 'failed',
+    ENDED: 'ended'
+};
+
+// States each state may move on to (ended is reached from any state through end())
+const CALL_TRANSITIONS = {
+    connected: [CALL_STATES.DIALOG_CREATED, CALL_STATES.FAILED],
+    unregistered_flow: [CALL_STATES.TRANSFERRING, CALL_STATES.FAILED],
+    dialog_created: [CALL_STATES.TRANSFERRING, CALL_STATES.FAILED],
+    transferring: [
+        CALL_STATES.TRANSFERRED_TO_AGENT,
+        CALL_STATES.DIALOG_CREATED,
+        CALL_STATES.UNREGISTERED_FLOW,
+        CALL_STATES.FAILED
+    ],
+    transferred_to_agent: [],
+    failed: [CALL_STATES.TRANSFERRING],
+    ended: []
+};
+
+/**
+ * @param {string} from - Current state
+ * @param {string} to - Requested state
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+    if (to === CALL_STATES.ENDED) {
+        return from !== CALL_STATES.ENDED;
+    }
+    return (CALL_TRANSITIONS[from] || []).includes(to);
+}
+
+function historyEntry(state, at, reason) {
+    return reason ? { state, at, reason } : { state, at };
+}
+
+class CallStateMachine extends EventEmitter {
+    /**
+     * @param {object} sessions - Call session store
+     */
+    constructor(sessions) {
+        super();
+        this.sessions = sessions;
+    }
+
+    /**
+     * Store a new call in its first state
+     * @param {string} callId - Call ID
+     * @param {string} state - connected or unregistered_flow
+     * @param {object} session - The rest of the session (callerId, userContext, startTime, ...)
+     * @returns {Promise<object>} - The stored session
+     */
+    async start(callId, state, session) {
+        const at = new Date().toISOString();
+        const stored = await this.sessions.create(callId, {
+            ...session,
+            status: state,
+            stateHistory: [historyEntry(state, at)]
+        });
+        this.announce({ callId, from: null, to: state, at, reason: null, session: stored });
+        return stored;
+    }
+
+    /**
+     * Move a call to another state
+     * @param {string} callId - Call ID
+     * @param {string} to - Requested state (see CALL_TRANSITIONS)
+     * @param {object} [options] - { reason, changes } - why, and other session fields to set with it
+     * @returns {Promise<object>} - { session, from } or { error } if the call is unknown or the move isn't allowed
+     */
+    async transition(callId, to, { reason = null, changes = {} } = {}) {
+        const at = new Date().toISOString();
+        let from = null;
+        let error = null;
+        const session = await this.sessions.update(callId, current => {
+            from = current.status;
+            if (!canTransition(from, to)) {
+                error = `Call ${callId} can't go from ${from} to ${to}`;
+                return {};
+            }
+            error = null;
+            return {
+                ...changes,
+                status: to,
+                stateHistory: [...(current.stateHistory || []), historyEntry(to, at, reason)]
+            };
+        });
+
+        if (!session) {
+            error = `Call ${callId} is not in progress`;
+        }
+        if (error) {
+            console.warn(`[CallState] ⚠️  ${error}`);
+            return { error };
+        }
+        this.announce({ callId, from, to, at, reason, session });
+        return { session, from };
+    }
+
+    /**
+     * End a call and remove its session; only the first caller gets it back
+     * @param {string} callId - Call ID
+     * @param {string} [reason] - Why the call ended
+     * @returns {Promise<object|null>} - The ended session, or null if it had already ended
+     */
+    async end(callId, reason = null) {
+        const removed = await this.sessions.delete(callId);
+        if (!removed) {
+            return null;
+        }
+        const at = new Date().toISOString();
+        const session = {
+            ...removed,
+            status: CALL_STATES.ENDED,
+            stateHistory: [...(removed.stateHistory || []), historyEntry(CALL_STATES.ENDED, at, reason)]
+        };
+        this.announce({ callId, from: removed.status, to: CALL_STATES.ENDED, at, reason, session });
+        return session;
+    }
+
+    // A failing subscriber is logged rather than breaking the call flow
+    announce(event) {
+        console.log(`[CallState] 📍 Call ${event.callId}: ${event.from || 'new'} -> ${event.to}${event.reason ? ` (${event.reason})` : ''}`);
+        for (const name of ['transition', event.to]) {
+            try {
+                this.emit(name, event);
+            } catch (error) {
+                console.error(`[CallState] ❌ '${name}' listener failed for call ${event.callId}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = {
+    CALL_STATES,
+    CALL_TRANSITIONS,
+    canTransition,
+    CallStateMachine
+};
@@ -0,0 +1,132 @@
+/**
+ * CallTranscript - What the caller and the agent said on a call, turn by turn
+ *
+ * The bridge adds each transcript its provider reports; consecutive pieces from the same speaker make
+ * one turn. Turns are kept in the order they started, which isn't always the order their text arrives:
+ * the caller's words are transcribed after they finish speaking, so their turn is placed at the moment
+ * they started (from voice activity detection), even if the agent started talking in between.
+ *
+ * toJSON() is what's stored on the call's log; formatTranscriptText() and formatTranscriptVtt() render
+ * the stored form for people and for players.
+ */
+
+const SPEAKERS = {
+    CALLER: 'caller',
+    AGENT: 'agent'
+};
+
+const SPEAKER_LABELS = {
+    [SPEAKERS.CALLER]: 'Caller',
+    [SPEAKERS.AGENT]: 'Agent'
+};
+
+// How long the last cue of a WebVTT transcript shows at least
+const MIN_CUE_MS = 1000;
+
+class CallTranscript {
+    /**
+     * @param {number} [startedAt] - When the call's audio started (ms since epoch); turn offsets count from it
+     */
+    constructor(startedAt = Date.now()) {
+        this.startedAt = startedAt;
+        this.turns = [];
+    }
+
+    /**
+     * Add what a speaker said
+     * @param {string} speaker - One of SPEAKERS
+     * @param {string} text - Transcribed text
+     * @param {number} [at] - When they started saying it (ms since epoch)
+     */
+    add(speaker, text, at = Date.now()) {
+        const trimmed = String(text || '').trim();
+        if (!trimmed) {
+            return;
+        }
+
+        let index = this.turns.length;
+        while (index > 0 && this.turns[index - 1].at > at) {
+            index--;
+        }
+        const previous = this.turns[index - 1];
+        if (index === this.turns.length && previous && previous.speaker === speaker) {
+            previous.text = `${previous.text} ${trimmed}`;
+            return;
+        }
+        this.turns.splice(index, 0, { speaker, text: trimmed, at });
+    }
+
+    isEmpty() {
+        return this.turns.length === 0;
+    }
+
+    /**
+     * @returns {object} - { startedAt, endedAt, turns: [{ speaker, text, startedAt, offsetMs }] }
+     */
+    toJSON() {
+        return {
+            startedAt: new Date(this.startedAt).toISOString(),
+            endedAt: new Date().toISOString(),
+            turns: this.turns.map(({ speaker, text, at }) => ({
+                speaker,
+                text,
+                startedAt: new Date(at).toISOString(),
+                offsetMs: Math.max(0, at - this.startedAt)
+            }))
+        };
+    }
+}
+
+// mm:ss, or h:mm:ss past an hour
+function formatClock(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = String(Math.floor(totalSeconds / 60) % 60).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// hh:mm:ss.ttt
+function formatVttTimestamp(ms) {
+    const hours = String(Math.floor(ms / 3600000)).padStart(2, '0');
+    const minutes = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+    const seconds = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+    const millis = String(Math.floor(ms % 1000)).padStart(3, '0');
+    return `${hours}:${minutes}:${seconds}.${millis}`;
+}
+
+/**
+ * A stored transcript as plain text, one "[mm:ss] Speaker: text" line per turn
+ * @param {object} transcript - CallTranscript.toJSON() form
+ * @returns {string}
+ */
+function formatTranscriptText(transcript) {
+    return transcript.turns
+        .map(turn => `[${formatClock(turn.offsetMs)}] ${SPEAKER_LABELS[turn.speaker] || turn.speaker}: ${turn.text}`)
+        .join('\n') + '\n';
+}
+
+/**
+ * A stored transcript as WebVTT, one cue per turn lasting until the next turn starts (the last until
+ * the call ended), with the speaker as its voice
+ * @param {object} transcript - CallTranscript.toJSON() form
+ * @returns {string}
+ */
+function formatTranscriptVtt(transcript) {
+    const endedMs = transcript.endedAt ? Date.parse(transcript.endedAt) - Date.parse(transcript.startedAt) : 0;
+    const cues = transcript.turns.map((turn, i) => {
+        const next = transcript.turns[i + 1];
+        const end = Math.max(next ? next.offsetMs : endedMs, turn.offsetMs + (next ? 0 : MIN_CUE_MS));
+        const text = turn.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return `${i + 1}\n${formatVttTimestamp(turn.offsetMs)} --> ${formatVttTimestamp(end)}\n` +
+            `<v ${SPEAKER_LABELS[turn.speaker] || turn.speaker}>${text}`;
+    });
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+module.exports = {
+    SPEAKERS,
+    CallTranscript,
+    formatTranscriptText,
+    formatTranscriptVtt
+};
@@ -0,0 +1,187 @@
+const { frameBytes, noise } = require('./audioFormats');
+
+/**
+ * PlayoutScheduler - Paces the agent's speech toward Infobip
+ *
+ * Providers send speech in bursts of uneven chunks, faster than real time and with gaps between them.
+ * The scheduler queues it, cuts it into fixed frames (20ms) and sends one frame per frame period on a
+ * clock that corrects its own drift. Between responses - and whenever the queue runs dry - it sends
+ * comfort noise instead, so the stream to Infobip never stops.
+ *
+ * A jitter buffer smooths the bursts: after the queue has been empty, playout waits until jitterMs of
+ * speech is queued (or the first of it has waited jitterMs) before it starts. flush() drops everything
+ * queued at once, for interruptions and barge-in.
+ */
+
+const DEFAULT_OPTIONS = {
+    frameMs: 20,
+    jitterMs: 60,
+    comfortNoise: 30, // amplitude of 32767 (about -60 dBFS, a faint hiss); 0 sends digital silence
+    maxCatchUpFrames: 5 // after a stall, frames sent at once before the clock skips ahead
+};
+
+class PlayoutScheduler {
+    /**
+     * @param {object} options - { format, send, frameMs, jitterMs, comfortNoise }; `send` gets each
+     *   frame in `format`. jitterMs and comfortNoise default to PLAYOUT_JITTER_MS and PLAYOUT_COMFORT_NOISE
+     */
+    constructor({ format, send, ...options }) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...(process.env.PLAYOUT_JITTER_MS ? { jitterMs: Number(process.env.PLAYOUT_JITTER_MS) } : {}),
+            ...(process.env.PLAYOUT_COMFORT_NOISE ? { comfortNoise: Number(process.env.PLAYOUT_COMFORT_NOISE) } : {}),
+            ...options
+        };
+        this.send = send;
+        this.setFormat(format);
+
+        this.queue = [];
+        this.queuedBytes = 0;
+        this.firstQueuedAt = null;
+        this.playing = false;
+        this.draining = false;
+        this.timer = null;
+        this.clockStart = 0;
+        this.framesDue = 0;
+        this.stats = { speechFrames: 0, noiseFrames: 0, underruns: 0, flushes: 0 };
+    }
+
+    // The format frames are cut and noise is generated in (what's queued must already be in it)
+    setFormat(format) {
+        this.format = format;
+        this.frameBytes = frameBytes(format, this.options.frameMs);
+        this.silenceFrame = noise(format, { amplitude: 0, durationMs: this.options.frameMs });
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.clockStart = Date.now();
+        this.framesDue = 0;
+        this.tick();
+    }
+
+    /**
+     * Queue speech for playout
+     * @param {Buffer} audio - In the scheduler's format, any length
+     */
+    enqueue(audio) {
+        if (!audio.length) {
+            return;
+        }
+        if (this.queuedBytes === 0) {
+            this.firstQueuedAt = Date.now();
+        }
+        this.queue.push(audio);
+        this.queuedBytes += audio.length;
+    }
+
+    // Drop all queued speech; comfort noise follows
+    flush() {
+        if (this.queuedBytes > 0) {
+            this.stats.flushes++;
+        }
+        this.queue = [];
+        this.queuedBytes = 0;
+        this.firstQueuedAt = null;
+        this.playing = false;
+    }
+
+    /**
+     * @returns {number} - Milliseconds of speech queued and not yet sent
+     */
+    queuedMs() {
+        return this.queuedBytes / this.frameBytes * this.options.frameMs;
+    }
+
+    /**
+     * @returns {boolean} - Whether agent speech is playing or about to
+     */
+    isPlaying() {
+        return this.queuedBytes > 0;
+    }
+
+    // Play out what's queued, then stop - no comfort noise in between
+    finish() {
+        this.draining = true;
+        if (this.queuedBytes === 0) {
+            this.stop();
+        }
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.flush();
+    }
+
+    tick() {
+        const { frameMs, maxCatchUpFrames } = this.options;
+        const elapsedFrames = Math.floor((Date.now() - this.clockStart) / frameMs) + 1;
+        if (elapsedFrames - this.framesDue > maxCatchUpFrames) {
+            // The event loop stalled; don't burst everything missed
+            this.framesDue = elapsedFrames - maxCatchUpFrames;
+        }
+        while (this.framesDue < elapsedFrames) {
+            this.framesDue++;
+            this.sendFrame();
+            if (this.draining && this.queuedBytes === 0) {
+                this.stop();
+                return;
+            }
+        }
+        const nextAt = this.clockStart + this.framesDue * frameMs;
+        this.timer = setTimeout(() => this.tick(), Math.max(0, nextAt - Date.now()));
+    }
+
+    sendFrame() {
+        if (!this.playing && this.queuedBytes > 0) {
+            const jitterBytes = frameBytes(this.format, this.options.jitterMs);
+            this.playing = this.draining || this.queuedBytes >= jitterBytes
+                || Date.now() - this.firstQueuedAt >= this.options.jitterMs;
+        }
+
+        if (this.playing) {
+            this.stats.speechFrames++;
+            this.send(this.takeFrame());
+            if (this.queuedBytes === 0) {
+                // Ran dry - the end of a response, or speech arriving slower than it plays
+                this.playing = false;
+                this.stats.underruns++;
+            }
+            return;
+        }
+
+        if (!this.draining) {
+            this.stats.noiseFrames++;
+            this.send(this.options.comfortNoise > 0
+                ? noise(this.format, { amplitude: this.options.comfortNoise, durationMs: this.options.frameMs })
+                : this.silenceFrame);
+        }
+    }
+
+    // The next frame of queued speech; a short last piece is padded with silence
+    takeFrame() {
+        const frame = Buffer.from(this.silenceFrame);
+        let filled = 0;
+        while (filled < this.frameBytes && this.queue.length) {
+            const head = this.queue[0];
+            const take = Math.min(head.length, this.frameBytes - filled);
+            head.copy(frame, filled, 0, take);
+            filled += take;
+            if (take === head.length) {
+                this.queue.shift();
+            } else {
+                this.queue[0] = head.subarray(take);
+            }
+        }
+        this.queuedBytes -= filled;
+        return frame;
+    }
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    PlayoutScheduler
+};
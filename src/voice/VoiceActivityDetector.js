@@ -0,0 +1,212 @@
+/**
+ * VoiceActivityDetector - Tells when a caller starts and stops speaking
+ *
+ * Audio is cut into frames (20ms by default) and each frame is classified by its energy (RMS) against
+ * an adaptive noise floor, with the zero-crossing rate (counting only swings past zcrDeadZone) to reject
+ * hiss (many crossings) and hum (almost none) that is only moderately loud:
+ *   - loud (above speechRatio x floor, and minRms) and voice-like zero crossings -> speech
+ *   - very loud (twice that) -> speech whatever the crossings
+ * The floor follows the background noise: it drops quickly to quieter frames and rises slowly on
+ * non-speech frames (and very slowly during speech, so a permanent step up in noise isn't speech forever).
+ *
+ * Speech starts after minSpeechMs of consecutive speech frames (clicks don't count) and ends after
+ * hangoverMs without any (pauses between words don't). Times are milliseconds of audio processed, not
+ * wall-clock time, so the same audio always gives the same result - see analyzeSpeech() for running a
+ * recording through it.
+ */
+
+const DEFAULT_OPTIONS = {
+    sampleRate: 16000,
+    frameMs: 20,
+    minSpeechMs: 60,
+    hangoverMs: 500,
+    speechRatio: 3,
+    minRms: 150,
+    initialNoiseFloor: 100,
+    zcrMin: 0.01,
+    zcrMax: 0.35,
+    zcrDeadZone: 50
+};
+
+const VAD_EVENTS = {
+    SPEECH_START: 'speech_start',
+    SPEECH_END: 'speech_end'
+};
+
+/**
+ * Energy and zero-crossing rate of one frame. A crossing counts once the signal gets past deadZone on the
+ * other side, so faint line noise riding on a low hum doesn't chatter around zero like a voice.
+ * @param {Buffer} frame - 16-bit little-endian PCM
+ * @param {number} [deadZone] - Amplitude a crossing has to reach
+ * @returns {object} - { rms, zcr }
+ */
+function measureFrame(frame, deadZone = 0) {
+    const samples = Math.floor(frame.length / 2);
+    if (samples === 0) {
+        return { rms: 0, zcr: 0 };
+    }
+    let energy = 0;
+    let crossings = 0;
+    let positive = frame.readInt16LE(0) >= 0;
+    for (let i = 0; i < samples; i++) {
+        const sample = frame.readInt16LE(i * 2);
+        energy += sample * sample;
+        if (positive ? sample < -deadZone : sample > deadZone) {
+            crossings++;
+            positive = !positive;
+        }
+    }
+    return { rms: Math.sqrt(energy / samples), zcr: crossings / samples };
+}
+
+class VoiceActivityDetector {
+    /**
+     * @param {object} [options] - Overrides of DEFAULT_OPTIONS; hangoverMs and minSpeechMs default to
+     *   VAD_HANGOVER_MS and VAD_MIN_SPEECH_MS when set
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...(process.env.VAD_HANGOVER_MS ? { hangoverMs: Number(process.env.VAD_HANGOVER_MS) } : {}),
+            ...(process.env.VAD_MIN_SPEECH_MS ? { minSpeechMs: Number(process.env.VAD_MIN_SPEECH_MS) } : {}),
+            ...options
+        };
+        this.frameBytes = Math.floor(this.options.sampleRate * this.options.frameMs / 1000) * 2;
+        this.reset();
+    }
+
+    // Forget everything heard so far (the noise floor starts over too)
+    reset() {
+        this.remainder = Buffer.alloc(0);
+        this.noiseFloor = this.options.initialNoiseFloor;
+        this.positionMs = 0;
+        this.speaking = false;
+        this.speechRunMs = 0;
+        this.runStartMs = 0;
+        this.silenceRunMs = 0;
+        this.speechStartMs = null;
+        this.lastSpeechEndMs = null;
+        this.firstSpeechStartMs = null;
+    }
+
+    /**
+     * Classify one frame, adapting the noise floor
+     * @param {Buffer} frame - One frame of 16-bit PCM
+     * @returns {object} - { rms, zcr, speech }
+     */
+    classify(frame) {
+        const { speechRatio, minRms, zcrMin, zcrMax, zcrDeadZone } = this.options;
+        const { rms, zcr } = measureFrame(frame, zcrDeadZone);
+        const threshold = Math.max(minRms, this.noiseFloor * speechRatio);
+        const speech = rms > threshold * 2 || (rms > threshold && zcr >= zcrMin && zcr <= zcrMax);
+
+        if (rms < this.noiseFloor) {
+            this.noiseFloor = this.noiseFloor * 0.7 + rms * 0.3;
+        } else {
+            const rate = speech ? 0.002 : 0.02;
+            this.noiseFloor = this.noiseFloor * (1 - rate) + rms * rate;
+        }
+        return { rms, zcr, speech };
+    }
+
+    /**
+     * Feed audio; chunks don't need to line up with frames
+     * @param {Buffer} pcm - 16-bit little-endian PCM at options.sampleRate
+     * @returns {Array<object>} - Events, in order: { type: 'speech_start', atMs } and
+     *   { type: 'speech_end', atMs, startMs, durationMs }
+     */
+    process(pcm) {
+        const events = [];
+        let audio = this.remainder.length ? Buffer.concat([this.remainder, pcm]) : pcm;
+        const { frameMs, minSpeechMs, hangoverMs } = this.options;
+
+        while (audio.length >= this.frameBytes) {
+            const { speech } = this.classify(audio.subarray(0, this.frameBytes));
+            audio = audio.subarray(this.frameBytes);
+            const frameStartMs = this.positionMs;
+            this.positionMs += frameMs;
+
+            if (speech) {
+                if (this.speechRunMs === 0) {
+                    this.runStartMs = frameStartMs;
+                }
+                this.speechRunMs += frameMs;
+                this.silenceRunMs = 0;
+                if (!this.speaking && this.speechRunMs >= minSpeechMs) {
+                    this.speaking = true;
+                    this.speechStartMs = this.runStartMs;
+                    if (this.firstSpeechStartMs === null) {
+                        this.firstSpeechStartMs = this.runStartMs;
+                    }
+                    events.push({ type: VAD_EVENTS.SPEECH_START, atMs: this.runStartMs });
+                }
+                continue;
+            }
+
+            this.speechRunMs = 0;
+            if (this.speaking) {
+                this.silenceRunMs += frameMs;
+                if (this.silenceRunMs >= hangoverMs) {
+                    const endMs = this.positionMs - this.silenceRunMs;
+                    this.speaking = false;
+                    this.silenceRunMs = 0;
+                    this.lastSpeechEndMs = endMs;
+                    events.push({
+                        type: VAD_EVENTS.SPEECH_END,
+                        atMs: endMs,
+                        startMs: this.speechStartMs,
+                        durationMs: endMs - this.speechStartMs
+                    });
+                }
+            }
+        }
+
+        this.remainder = Buffer.from(audio);
+        return events;
+    }
+
+    /**
+     * @returns {boolean} - Whether the caller is speaking (including the hangover after their last word)
+     */
+    isSpeaking() {
+        return this.speaking;
+    }
+
+    /**
+     * @returns {boolean} - Whether any speech has been heard since the last reset
+     */
+    hasHeardSpeech() {
+        return this.firstSpeechStartMs !== null;
+    }
+}
+
+/**
+ * Run a whole recording through a detector
+ * @param {Buffer} pcm - 16-bit little-endian PCM
+ * @param {object} [options] - Detector options (sampleRate!)
+ * @returns {Array<object>} - Speech segments { startMs, endMs }; one still going at the end of the
+ *   recording ends with it
+ */
+function analyzeSpeech(pcm, options = {}) {
+    const detector = new VoiceActivityDetector(options);
+    const segments = [];
+    for (const event of detector.process(pcm)) {
+        if (event.type === VAD_EVENTS.SPEECH_START) {
+            segments.push({ startMs: event.atMs, endMs: null });
+        } else {
+            segments[segments.length - 1].endMs = event.atMs;
+        }
+    }
+    if (segments.length && segments[segments.length - 1].endMs === null) {
+        segments[segments.length - 1].endMs = detector.positionMs;
+    }
+    return segments;
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    VAD_EVENTS,
+    measureFrame,
+    VoiceActivityDetector,
+    analyzeSpeech
+};
@@ -0,0 +1,279 @@
+/**
+ * Agent Tools
+ * Actions the ElevenLabs agent can call during a conversation. Each tool is reachable two ways:
+ *   - as a server tool (webhook): POST /api/agent/tools/:toolName, caller identified by `caller_phone`
+ *   - as a client tool over the media-stream WebSocket, caller identified by the call's customer context
+ *
+ * Tools resolve to plain JSON results the agent reads from; they only throw for unknown tools
+ * or unidentified callers.
+ */
+
+const DatabaseFactory = require('../database/DatabaseFactory');
+const PhoneNumberUtils = require('../utils/phoneUtils');
+const transferService = require('../banking/TransferService');
+const cardService = require('../banking/CardService');
+const transactionSearchService = require('../banking/TransactionSearchService');
+const loanService = require('../banking/LoanService');
+const { formatAccountsSummary } = require('../banking/accounts');
+
+const databaseManager = DatabaseFactory.create();
+
+const CARD_PARAMETER = {
+    type: 'string',
+    description: 'Which card, e.g. "debit", "credit" or "ending 4242"; optional if the caller has one card'
+};
+
+const TOOLS = {
+    get_accounts: {
+        description: 'List the caller\'s accounts with their balances.',
+        parameters: {},
+        handler: async (user) => {
+            const accounts = await databaseManager.getUserAccounts(user.id);
+            return { success: true, summary: formatAccountsSummary(accounts) };
+        }
+    },
+
+    search_transactions: {
+        description: 'Search the caller\'s transactions, e.g. "how much did I spend at Amazon last month?" or ' +
+            '"what was that charge over $200?". Returns matching transactions and the total spent and received ' +
+            'across all matches; read the message to the caller.',
+        parameters: {
+            merchant: { type: 'string', description: 'Merchant name, partial match (e.g. "Amazon")' },
+            category: { type: 'string', description: 'Category, e.g. "Groceries", "Food & Dining", "Bills & Utilities"' },
+            text: { type: 'string', description: 'Free text matched against description, merchant and category' },
+            period: { type: 'string', description: 'today, yesterday, last_7_days, last_30_days, last_90_days, this_month, last_month, this_year or last_year' },
+            start_date: { type: 'string', description: 'First day to include (YYYY-MM-DD); use instead of period' },
+            end_date: { type: 'string', description: 'Last day to include (YYYY-MM-DD)' },
+            min_amount: { type: 'number', description: 'Only transactions of at least this many dollars' },
+            max_amount: { type: 'number', description: 'Only transactions of at most this many dollars' },
+            type: { type: 'string', description: '"debit" for money out, "credit" for money in' },
+            account: { type: 'string', description: 'Which account, e.g. "savings" or "ending 1234"; defaults to all accounts' },
+            sort: { type: 'string', description: '"newest" (default), "oldest" or "largest"' },
+            limit: { type: 'number', description: 'How many transactions to return (default 10)' }
+        },
+        handler: async (user, args) => {
+            const result = await transactionSearchService.search(user, {
+                merchant: args.merchant,
+                category: args.category,
+                text: args.text,
+                period: args.period,
+                from: args.start_date,
+                to: args.end_date,
+                minAmount: args.min_amount,
+                maxAmount: args.max_amount,
+                type: args.type,
+                account: args.account,
+                sort: args.sort,
+                limit: args.limit || 10
+            });
+            if (!result.success) {
+                return result;
+            }
+            return toSnakeCase({
+                success: true,
+                message: result.message,
+                summary: result.summary,
+                transactions: result.transactions.map(tx => ({
+                    date: tx.transactionDate.slice(0, 10),
+                    description: tx.description,
+                    amount: tx.amount,
+                    category: tx.category,
+                    status: tx.status
+                })),
+                more: result.pagination.nextOffset !== null
+            });
+        }
+    },
+
+    get_loan_status: {
+        description: 'Explain where the caller\'s loan applications stand: the status, why it is there, what happens ' +
+            'next and by when, documents still needed, and for funded loans the next payment. Read the message to the caller.',
+        parameters: {
+            loan_id: { type: 'number', description: 'A specific application; defaults to all of the caller\'s applications' }
+        },
+        handler: async (user, args) => {
+            const result = await loanService.getUserLoans(user);
+            if (args.loan_id === undefined || args.loan_id === null || args.loan_id === '') {
+                return toSnakeCase(result);
+            }
+            const loan = result.loans.find(item => item.loanId === Number(args.loan_id));
+            if (!loan) {
+                return { success: false, message: `I couldn't find that application. ${result.message}` };
+            }
+            return toSnakeCase({ success: true, loans: [loan], message: loan.message });
+        }
+    },
+
+    quote_loan: {
+        description: 'Pre-qualify the caller for a loan from their income, balances and existing debt: returns an ' +
+            'indicative rate, monthly payment and first repayments, or a smaller amount they qualify for. No credit ' +
+            'check and no application is made; the quote is saved for later calls. Read the message to the caller.',
+        parameters: {
+            loan_type: { type: 'string', description: '"Personal Loan", "Auto Loan", "Home Mortgage" or "Business Loan"' },
+            loan_amount: { type: 'number', description: 'Amount to borrow in dollars' },
+            term_months: { type: 'number', description: 'Repayment term in months; defaults to the product\'s usual term' }
+        },
+        handler: async (user, args) => {
+            const result = await loanService.quote(user, {
+                loanType: args.loan_type,
+                loanAmount: args.loan_amount,
+                termMonths: args.term_months
+            });
+            if (result.schedule) {
+                // The full table can run to 360 rows - the agent only needs the start and the totals
+                const { payments, ...totals } = result.schedule;
+                result.schedule = { ...totals, numberOfPayments: payments.length, firstPayments: payments.slice(0, 3) };
+            }
+            return toSnakeCase(result);
+        }
+    },
+
+    get_loan_quotes: {
+        description: 'The caller\'s most recent loan pre-qualification quotes, e.g. when they call back about a ' +
+            'quote from an earlier call. Read the message to the caller.',
+        parameters: {},
+        handler: async (user) => toSnakeCase(await loanService.getUserQuotes(user))
+    },
+
+    list_payees: {
+        description: 'List the caller\'s saved payees they can send payments to.',
+        parameters: {},
+        handler: async (user) => transferService.listPayees(user)
+    },
+
+    prepare_transfer: {
+        description: 'Set up a transfer between the caller\'s accounts or a payment to a saved payee. ' +
+            'Nothing is moved yet: read the returned read_back to the caller and ask them to confirm.',
+        parameters: {
+            amount: { type: 'number', description: 'Amount in US dollars', required: true },
+            to: { type: 'string', description: 'Destination account (e.g. "savings", "ending 1234") or saved payee (e.g. "rent")', required: true },
+            from: { type: 'string', description: 'Source account; defaults to primary checking' },
+            memo: { type: 'string', description: 'Optional note' },
+            idempotency_key: { type: 'string', description: 'Unique key for this request, reused on retries' }
+        },
+        handler: async (user, args, context) => {
+            const result = await transferService.prepareTransfer(user, {
+                amount: args.amount,
+                to: args.to,
+                from: args.from,
+                memo: args.memo,
+                payee: args.payee,
+                idempotencyKey: args.idempotency_key || context.toolCallId
+            });
+            return toSnakeCase(result);
+        }
+    },
+
+    confirm_transfer: {
+        description: 'Execute or cancel a prepared transfer after the caller answered the read-back. ' +
+            'Only pass confirmed=true if the caller clearly said yes.',
+        parameters: {
+            transfer_id: { type: 'string', description: 'transfer_id returned by prepare_transfer', required: true },
+            confirmed: { type: 'boolean', description: 'Whether the caller confirmed the read-back', required: true }
+        },
+        handler: async (user, args) => {
+            const result = await transferService.confirmTransfer(user, {
+                transferId: args.transfer_id,
+                confirmed: args.confirmed === true || args.confirmed === 'true'
+            });
+            return toSnakeCase(result);
+        }
+    },
+
+    list_cards: {
+        description: 'List the caller\'s payment cards with their status (active, frozen, lost, ordered).',
+        parameters: {},
+        handler: async (user) => toSnakeCase(await cardService.listCards(user))
+    },
+
+    freeze_card: {
+        description: 'Temporarily freeze a card so new purchases are declined. The caller can unfreeze it later.',
+        parameters: {
+            card: CARD_PARAMETER
+        },
+        handler: async (user, args) => toSnakeCase(await cardService.updateCard(user, args.card, 'freeze'))
+    },
+
+    unfreeze_card: {
+        description: 'Unfreeze a previously frozen card.',
+        parameters: {
+            card: CARD_PARAMETER
+        },
+        handler: async (user, args) => toSnakeCase(await cardService.updateCard(user, args.card, 'unfreeze'))
+    },
+
+    report_card_lost: {
+        description: 'Permanently block a lost or stolen card. Afterwards offer to order a replacement.',
+        parameters: {
+            card: CARD_PARAMETER
+        },
+        handler: async (user, args) => toSnakeCase(await cardService.updateCard(user, args.card, 'report_lost'))
+    },
+
+    order_replacement_card: {
+        description: 'Order a replacement for a lost, damaged or compromised card. An active or frozen card is closed ' +
+            'when the replacement is ordered, so confirm with the caller first.',
+        parameters: {
+            card: CARD_PARAMETER
+        },
+        handler: async (user, args) => toSnakeCase(await cardService.updateCard(user, args.card, 'replace'))
+    }
+};
+
+// Agent-facing results use snake_case like the dynamic variables (nested objects and lists included)
+function toSnakeCase(result) {
+    if (Array.isArray(result)) {
+        return result.map(toSnakeCase);
+    }
+    if (!result || typeof result !== 'object') {
+        return result;
+    }
+    return Object.fromEntries(Object.entries(result)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`), toSnakeCase(value)]));
+}
+
+/**
+ * Tool definitions (name, description, parameters) for configuring the agent
+ * @returns {object[]}
+ */
+function getToolDefinitions() {
+    return Object.entries(TOOLS).map(([name, tool]) => ({
+        name,
+        description: tool.description,
+        parameters: tool.parameters
+    }));
+}
+
+function hasTool(name) {
+    return Object.prototype.hasOwnProperty.call(TOOLS, name);
+}
+
+/**
+ * Run a tool on behalf of a caller
+ * @param {string} name - Tool name
+ * @param {object} args - Tool parameters from the agent
+ * @param {object} context - { phoneNumber, toolCallId? }
+ * @returns {Promise<object>} - Tool result
+ * @throws {Error} - If the tool is unknown or the caller can't be identified
+ */
+async function runTool(name, args = {}, context = {}) {
+    if (!hasTool(name)) {
+        throw new Error(`Unknown agent tool: ${name}`);
+    }
+
+    const phoneNumber = PhoneNumberUtils.standardizeNorthAmerican(context.phoneNumber || '');
+    const user = phoneNumber ? await databaseManager.getUserByPhone(phoneNumber) : null;
+    if (!user) {
+        throw new Error('Caller is not a registered customer');
+    }
+
+    console.log(`[AgentTools] 🔧 ${name} for ${user.name} (${phoneNumber})`);
+    return TOOLS[name].handler(user, args, context);
+}
+
+module.exports = {
+    getToolDefinitions,
+    hasTool,
+    runTool
+};
@@ -0,0 +1,401 @@
+/**
+ * Audio formats - Describing, converting and generating the audio on either side of the media bridge
+ *
+ * A format is { encoding, sampleRate }, written as `<encoding>_<rate>` the way ElevenLabs declares its
+ * agents' formats: pcm_8000, pcm_16000, pcm_24000, pcm_48000 (L16 - 16-bit little-endian, mono),
+ * ulaw_8000 (G.711 μ-law) and alaw_8000 (G.711 A-law). parseAudioFormat() also accepts MIME types
+ * (`audio/l16;rate=16000`, `audio/pcmu`) and common aliases (mulaw, pcmu, pcma, l16, linear16).
+ *
+ * An AudioTranscoder converts a stream of chunks from one format to another: decode to 16-bit PCM,
+ * resample, encode. Identical formats pass through untouched.
+ */
+
+const AUDIO_ENCODINGS = {
+    PCM: 'pcm',
+    MULAW: 'mulaw',
+    ALAW: 'alaw'
+};
+
+const SAMPLE_RATES = {
+    pcm: [8000, 16000, 24000, 48000],
+    mulaw: [8000],
+    alaw: [8000]
+};
+
+const ENCODING_ALIASES = {
+    pcm: AUDIO_ENCODINGS.PCM,
+    l16: AUDIO_ENCODINGS.PCM,
+    linear16: AUDIO_ENCODINGS.PCM,
+    pcm16: AUDIO_ENCODINGS.PCM,
+    ulaw: AUDIO_ENCODINGS.MULAW,
+    mulaw: AUDIO_ENCODINGS.MULAW,
+    pcmu: AUDIO_ENCODINGS.MULAW,
+    g711_ulaw: AUDIO_ENCODINGS.MULAW,
+    alaw: AUDIO_ENCODINGS.ALAW,
+    pcma: AUDIO_ENCODINGS.ALAW,
+    g711_alaw: AUDIO_ENCODINGS.ALAW
+};
+
+// What Infobip streams and ElevenLabs agents use unless configured otherwise
+const DEFAULT_AUDIO_FORMAT = { encoding: AUDIO_ENCODINGS.PCM, sampleRate: 16000 };
+
+/**
+ * Read a format from its name, a MIME type or an object
+ * @param {string|object} value - e.g. 'pcm_16000', 'ulaw_8000', 'audio/l16;rate=24000', { encoding, sampleRate }
+ * @returns {object} - { encoding, sampleRate }
+ * @throws {Error} - For unknown encodings and unsupported sample rates
+ */
+function parseAudioFormat(value) {
+    if (value && typeof value === 'object') {
+        return checkFormat(ENCODING_ALIASES[String(value.encoding).toLowerCase()], Number(value.sampleRate), value);
+    }
+
+    const text = String(value || '').trim().toLowerCase();
+    const mime = text.match(/^audio\/([\w-]+)\s*(?:;\s*rate\s*=\s*(\d+))?/);
+    if (mime) {
+        const encoding = ENCODING_ALIASES[mime[1]];
+        // G.711 is always 8kHz; L16 without a rate is taken as the default rate
+        const sampleRate = mime[2] ? Number(mime[2]) : (encoding === AUDIO_ENCODINGS.PCM ? DEFAULT_AUDIO_FORMAT.sampleRate : 8000);
+        return checkFormat(encoding, sampleRate, value);
+    }
+
+    const named = text.match(/^([a-z0-9]+(?:_[a-z]+)?)(?:_(\d+))?$/);
+    if (named) {
+        const encoding = ENCODING_ALIASES[named[1]];
+        return checkFormat(encoding, named[2] ? Number(named[2]) : (encoding === AUDIO_ENCODINGS.PCM ? DEFAULT_AUDIO_FORMAT.sampleRate : 8000), value);
+    }
+    throw new Error(`Unknown audio format "${value}"`);
+}
+
+function checkFormat(encoding, sampleRate, original) {
+    if (!encoding) {
+        throw new Error(`Unknown audio encoding in "${typeof original === 'object' ? JSON.stringify(original) : original}"`);
+    }
+    if (!SAMPLE_RATES[encoding].includes(sampleRate)) {
+        throw new Error(`Unsupported sample rate ${sampleRate} for ${encoding} (supported: ${SAMPLE_RATES[encoding].join(', ')})`);
+    }
+    return { encoding, sampleRate };
+}
+
+/**
+ * @param {object} format - { encoding, sampleRate }
+ * @returns {string} - e.g. 'pcm_16000', 'ulaw_8000'
+ */
+function formatName(format) {
+    const prefix = format.encoding === AUDIO_ENCODINGS.MULAW ? 'ulaw' : format.encoding;
+    return `${prefix}_${format.sampleRate}`;
+}
+
+function sameFormat(a, b) {
+    return a.encoding === b.encoding && a.sampleRate === b.sampleRate;
+}
+
+function bytesPerSample(format) {
+    return format.encoding === AUDIO_ENCODINGS.PCM ? 2 : 1;
+}
+
+/**
+ * Size of a chunk of audio
+ * @param {object} format - { encoding, sampleRate }
+ * @param {number} durationMs - Duration
+ * @returns {number} - Bytes (20ms of pcm_16000 is 640)
+ */
+function frameBytes(format, durationMs) {
+    return Math.floor(format.sampleRate * durationMs / 1000) * bytesPerSample(format);
+}
+
+// G.711 μ-law (ITU-T G.711, 14-bit magnitude with bias)
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+function linearToMulaw(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+function mulawToLinear(value) {
+    const byte = ~value & 0xFF;
+    const magnitude = ((((byte & 0x0F) << 3) + MULAW_BIAS) << ((byte & 0x70) >> 4)) - MULAW_BIAS;
+    return byte & 0x80 ? -magnitude : magnitude;
+}
+
+// G.711 A-law (13-bit segments)
+const ALAW_SEGMENT_ENDS = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+function linearToAlaw(sample) {
+    let value = sample >> 3;
+    let mask = 0xD5;
+    if (value < 0) {
+        mask = 0x55;
+        value = -value - 1;
+    }
+    const segment = ALAW_SEGMENT_ENDS.findIndex(end => value <= end);
+    if (segment === -1) {
+        return 0x7F ^ mask;
+    }
+    const mantissa = segment < 2 ? (value >> 1) & 0x0F : (value >> segment) & 0x0F;
+    return ((segment << 4) | mantissa) ^ mask;
+}
+
+function alawToLinear(value) {
+    const byte = value ^ 0x55;
+    const segment = (byte & 0x70) >> 4;
+    let magnitude = ((byte & 0x0F) << 4) + (segment === 0 ? 8 : 0x108);
+    if (segment > 1) {
+        magnitude <<= segment - 1;
+    }
+    return byte & 0x80 ? magnitude : -magnitude;
+}
+
+// Decoding goes through lookup tables - every byte value, built once
+const MULAW_TABLE = Int16Array.from({ length: 256 }, (_, i) => mulawToLinear(i));
+const ALAW_TABLE = Int16Array.from({ length: 256 }, (_, i) => alawToLinear(i));
+
+/**
+ * Decode audio to 16-bit PCM at its own sample rate
+ * @param {Buffer} chunk - Audio in `format`
+ * @param {object} format - { encoding, sampleRate }
+ * @returns {Buffer} - 16-bit little-endian PCM
+ */
+function decode(chunk, format) {
+    if (format.encoding === AUDIO_ENCODINGS.PCM) {
+        return chunk;
+    }
+    const table = format.encoding === AUDIO_ENCODINGS.MULAW ? MULAW_TABLE : ALAW_TABLE;
+    const pcm = Buffer.alloc(chunk.length * 2);
+    for (let i = 0; i < chunk.length; i++) {
+        pcm.writeInt16LE(table[chunk[i]], i * 2);
+    }
+    return pcm;
+}
+
+/**
+ * Encode 16-bit PCM (already at the format's sample rate)
+ * @param {Buffer} pcm - 16-bit little-endian PCM
+ * @param {object} format - { encoding, sampleRate }
+ * @returns {Buffer}
+ */
+function encode(pcm, format) {
+    if (format.encoding === AUDIO_ENCODINGS.PCM) {
+        return pcm;
+    }
+    const toByte = format.encoding === AUDIO_ENCODINGS.MULAW ? linearToMulaw : linearToAlaw;
+    const samples = Math.floor(pcm.length / 2);
+    const encoded = Buffer.alloc(samples);
+    for (let i = 0; i < samples; i++) {
+        encoded[i] = toByte(pcm.readInt16LE(i * 2));
+    }
+    return encoded;
+}
+
+function clampSample(sample) {
+    return Math.max(-32768, Math.min(32767, Math.round(sample)));
+}
+
+/**
+ * Changes the sample rate of a stream of 16-bit PCM chunks - linear interpolation up, averaging down
+ * (so downsampling doesn't alias as badly). Output sample k is taken from input position k * fromRate /
+ * toRate counted from the start of the stream, not of the chunk, and input it still needs is kept for the
+ * next chunk, so chunk boundaries don't move the phase or drop the samples left over when a chunk isn't a
+ * whole number of the rate ratio (e.g. 24kHz to 16kHz).
+ */
+class Resampler {
+    /**
+     * @param {number} fromRate - Input sample rate
+     * @param {number} toRate - Output sample rate
+     */
+    constructor(fromRate, toRate) {
+        this.fromRate = fromRate;
+        this.toRate = toRate;
+        this.pending = new Int16Array(0); // Input not yet used up
+        this.pendingStart = 0; // Stream position of pending[0]
+        this.produced = 0; // Output samples so far
+    }
+
+    /**
+     * @param {Buffer} pcm - The next 16-bit little-endian PCM chunk (whole samples)
+     * @returns {Buffer} - Resampled audio; may hold back a sample until the next chunk
+     */
+    process(pcm) {
+        if (this.fromRate === this.toRate) {
+            return pcm;
+        }
+        const samples = Math.floor(pcm.length / 2);
+        const pending = new Int16Array(this.pending.length + samples);
+        pending.set(this.pending);
+        for (let i = 0; i < samples; i++) {
+            pending[this.pending.length + i] = pcm.readInt16LE(i * 2);
+        }
+        this.pending = pending;
+        return this.produce(false);
+    }
+
+    /**
+     * The end of the stream: resample what was held back for input that won't come
+     * @returns {Buffer}
+     */
+    flush() {
+        return this.fromRate === this.toRate ? Buffer.alloc(0) : this.produce(true);
+    }
+
+    produce(final) {
+        const { fromRate, toRate, pending, pendingStart } = this;
+        const available = pendingStart + pending.length;
+        // The whole stream gives floor(input * toRate / fromRate) samples
+        const total = Math.floor(available * toRate / fromRate);
+        const output = [];
+        let k = this.produced;
+
+        for (; k < total; k++) {
+            const index = Math.floor(k * fromRate / toRate);
+            if (fromRate > toRate) {
+                const end = Math.floor((k + 1) * fromRate / toRate);
+                let sum = 0;
+                for (let j = index; j < end; j++) {
+                    sum += pending[j - pendingStart];
+                }
+                output.push(sum / Math.max(end - index, 1));
+            } else {
+                // Interpolating needs the next sample, which only the end of the stream does without
+                if (index + 1 >= available && !final) {
+                    break;
+                }
+                const next = Math.min(index + 1, available - 1);
+                const fraction = (k * fromRate % toRate) / toRate;
+                output.push(pending[index - pendingStart] * (1 - fraction) + pending[next - pendingStart] * fraction);
+            }
+        }
+
+        this.produced = k;
+        const keepFrom = Math.min(Math.floor(k * fromRate / toRate), available);
+        this.pending = pending.slice(keepFrom - pendingStart);
+        this.pendingStart = keepFrom;
+
+        const buffer = Buffer.alloc(output.length * 2);
+        output.forEach((sample, i) => buffer.writeInt16LE(clampSample(sample), i * 2));
+        return buffer;
+    }
+}
+
+/**
+ * Change the sample rate of a whole piece of 16-bit PCM (for a stream of chunks use a Resampler)
+ * @param {Buffer} pcm - 16-bit little-endian PCM
+ * @param {number} fromRate - Its sample rate
+ * @param {number} toRate - The wanted sample rate
+ * @returns {Buffer}
+ */
+function resample(pcm, fromRate, toRate) {
+    if (fromRate === toRate) {
+        return pcm;
+    }
+    const resampler = new Resampler(fromRate, toRate);
+    return Buffer.concat([resampler.process(pcm), resampler.flush()]);
+}
+
+/**
+ * Converts a stream of audio chunks between two formats. PCM chunks split mid-sample (odd lengths)
+ * are carried over to the next chunk, and resampling continues across chunks (see Resampler).
+ */
+class AudioTranscoder {
+    /**
+     * @param {string|object} from - Input format
+     * @param {string|object} to - Output format
+     */
+    constructor(from, to) {
+        this.from = parseAudioFormat(from);
+        this.to = parseAudioFormat(to);
+        this.passthrough = sameFormat(this.from, this.to);
+        this.remainder = null;
+        this.resampler = new Resampler(this.from.sampleRate, this.to.sampleRate);
+    }
+
+    /**
+     * @param {Buffer} chunk - Audio in the input format
+     * @returns {Buffer} - The same audio in the output format (may be empty)
+     */
+    transcode(chunk) {
+        if (this.passthrough) {
+            return chunk;
+        }
+        let input = Buffer.from(chunk);
+        if (this.from.encoding === AUDIO_ENCODINGS.PCM) {
+            if (this.remainder) {
+                input = Buffer.concat([this.remainder, input]);
+                this.remainder = null;
+            }
+            if (input.length % 2 === 1) {
+                this.remainder = input.subarray(input.length - 1);
+                input = input.subarray(0, input.length - 1);
+            }
+        }
+        const pcm = this.resampler.process(decode(input, this.from));
+        return encode(pcm, this.to);
+    }
+
+    describe() {
+        return `${formatName(this.from)} -> ${formatName(this.to)}`;
+    }
+}
+
+/**
+ * Silence in a format
+ * @param {object} format - { encoding, sampleRate }
+ * @param {number} durationMs - Duration
+ * @returns {Buffer}
+ */
+function silence(format, durationMs) {
+    return encode(Buffer.alloc(frameBytes({ ...format, encoding: AUDIO_ENCODINGS.PCM }, durationMs)), format);
+}
+
+/**
+ * A sine tone in a format
+ * @param {object} format - { encoding, sampleRate }
+ * @param {object} options - { frequency, amplitude (of 32767), durationMs }
+ * @returns {Buffer}
+ */
+function tone(format, { frequency, amplitude, durationMs }) {
+    const samples = Math.floor(format.sampleRate * durationMs / 1000);
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.floor(amplitude * Math.sin(2 * Math.PI * frequency * i / format.sampleRate)), i * 2);
+    }
+    return encode(pcm, format);
+}
+
+/**
+ * Comfort noise in a format - faint white noise, so a pause doesn't sound like a dropped line
+ * @param {object} format - { encoding, sampleRate }
+ * @param {object} options - { amplitude (of 32767; 0 is silence), durationMs }
+ * @returns {Buffer}
+ */
+function noise(format, { amplitude, durationMs }) {
+    const samples = Math.floor(format.sampleRate * durationMs / 1000);
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.round((Math.random() * 2 - 1) * amplitude), i * 2);
+    }
+    return encode(pcm, format);
+}
+
+module.exports = {
+    AUDIO_ENCODINGS,
+    SAMPLE_RATES,
+    DEFAULT_AUDIO_FORMAT,
+    parseAudioFormat,
+    formatName,
+    frameBytes,
+    decode,
+    encode,
+    resample,
+    Resampler,
+    AudioTranscoder,
+    silence,
+    tone,
+    noise
+};
@@ -2,10 +2,42 @@ const axios = require('axios');
 const DatabaseFactory = require('../database/DatabaseFactory');
 const PhoneNumberUtils = require('../utils/phoneUtils');
 const { safeStringify } = require('../utils/jsonSanitizer');
+const { formatAccountsSummary } = require('../banking/accounts');
+const { formatCardsSummary } = require('../banking/cards');
+const spendingService = require('../banking/SpendingService');
+const loanService = require('../banking/LoanService');
+const officerService = require('../banking/OfficerService');
+const { createCallSessionStore } = require('./CallSessionStore');
+const { CallCorrelator } = require('./CallCorrelator');
+const { CALL_STATES, CallStateMachine } = require('./CallStateMachine');
+const { selectConversationProvider } = require('./providers');
 
 // Initialize database manager based on environment
 const databaseManager = DatabaseFactory.create();
 
+// What the caller hears when the AI agent can't take the call
+const FALLBACK_MESSAGES = {
+    transfer: 'We\'re sorry, our virtual assistant is unavailable right now. Please hold while we connect you to one of our team.',
+    goodbye: 'We\'re sorry, nobody is available to take your call right now. Please try again later. Goodbye.'
+};
+
+// How a call's log is marked when it ends, by the state it ended in
+const OUTCOME_BY_STATE = {
+    [CALL_STATES.TRANSFERRED_TO_AGENT]: 'transferred',
+    [CALL_STATES.FAILED]: 'fallback'
+};
+
+/**
+ * Why Infobip says a call, dialog or media stream failed
+ * @param {object} event - Webhook event
+ * @returns {string}
+ */
+function describeEventError(event) {
+    const properties = event.properties || {};
+    const errorCode = properties.errorCode || {};
+    return errorCode.description || errorCode.name || properties.reason || 'unknown error';
+}
+
 class CallsHandler {
     constructor() {
         this.infobipApiKey = process.env.INFOBIP_API_KEY;
@@ -19,8 +51,14 @@ class CallsHandler {
             }
         });
 
-        // Active call sessions for tracking
-        this.activeCalls = new Map();
+        // Active call sessions for tracking (in this process, or shared through the database - see CallSessionStore)
+        this.sessions = createCallSessionStore(databaseManager);
+
+        // One-time tokens that tie each media-stream WebSocket to its call
+        this.correlator = new CallCorrelator(this.sessions);
+
+        // Each call's state and history; subscribe with callsHandler.callStates.on('transition' | <state>, listener)
+        this.callStates = new CallStateMachine(this.sessions);
     }
 
     /**
@@ -31,6 +69,8 @@ class CallsHandler {
         try {
             const callId = event.callId;
             const callerId = event.properties?.call?.from; // Phone number of the caller
+            // A call may ask for a specific conversational AI (see providers/index.js)
+            const requestedProvider = event.properties?.call?.customData?.conversationProvider;
 
             console.log(`📞 Received call ${callId} from ${callerId}`);
             console.log(`🔍 WEBHOOK - callerId type: ${typeof callerId}, value: "${callerId}"`);
@@ -40,27 +80,28 @@ class CallsHandler {
             
             if (!userContext) {
                 console.log(`❌ Caller ${callerId} not registered. Handling unregistered user flow.`);
-                await this.handleUnregisteredUser(callId, callerId);
+                await this.handleUnregisteredUser(callId, callerId, requestedProvider);
                 return;
             }
 
             console.log(`✅ Caller identified: ${userContext.name} from ${userContext.companyName}`);
 
             // Store call session info
-            this.activeCalls.set(callId, {
+            await this.callStates.start(callId, CALL_STATES.CONNECTED, {
                 callerId,
                 userContext,
-                startTime: Date.now(),
-                status: 'connected'
+                conversationProvider: selectConversationProvider({ userContext, requested: requestedProvider }),
+                startTime: Date.now()
             });
 
             // Create dialog connecting the call to our WebSocket endpoint
+            let dialogError = null;
             try {
                 await this.createDialogWithAI(callId, userContext);
                 console.log(`✅ Created dialog for call ${callId}`);
-            } catch (dialogError) {
-                console.error(`❌ Failed to create dialog for call ${callId}:`, dialogError);
-                throw dialogError; // Re-throw as this is critical
+            } catch (error) {
+                console.error(`❌ Failed to create dialog for call ${callId}:`, error);
+                dialogError = error;
             }
             
             // Update call statistics in database with error handling
@@ -72,12 +113,17 @@ class CallsHandler {
             }
 
             try {
-                await databaseManager.logCall(userContext.phoneNumber, 'ai_conversation', null, true);
+                await databaseManager.logCall(userContext.phoneNumber, 'ai_conversation', null, true, null, callId);
                 console.log(`✅ Logged call for ${userContext.phoneNumber}`);
             } catch (error) {
                 console.log(`⚠️ Failed to log call:`, error.message);
             }
 
+            // Logged first so the fallback's outcome lands on this call's log
+            if (dialogError) {
+                await this.fallbackFromAI(callId, `dialog could not be created: ${dialogError.message}`);
+            }
+
         } catch (error) {
             console.error('❌ Error handling call received:', error);
             // In a production environment, you might want to handle this more gracefully
@@ -114,7 +160,7 @@ class CallsHandler {
                 // Debug: Let's also check what phone numbers ARE in the database
                 console.log(`🔍 DEBUG: Checking first 5 phone numbers in database...`);
                 try {
-                    const allUsers = await databaseManager.getAllUsers ? await databaseManager.getAllUsers() : [];
+                    const allUsers = await databaseManager.getAllUsers();
                     const phoneNumbers = allUsers.slice(0, 5).map(u => u.phoneNumber);
                     console.log(`🔍 DEBUG: Sample phone numbers in DB:`, phoneNumbers);
                 } catch (debugError) {
@@ -126,17 +172,34 @@ class CallsHandler {
 
             // Get additional user data for context - simplified to avoid timeout issues
             let loanApplications = [];
+            let loansSummary = '';
+            let loanQuotes = [];
+            let loanQuotesSummary = '';
             let recentTransactions = [];
+            let accounts = [];
+            let cards = [];
+            let suspiciousTransactions = [];
+            let spending = null;
             let dataFetchErrors = [];
 
             try {
-                loanApplications = await databaseManager.getUserLoanApplications(user.id) || [];
+                // Brought up to date and explained (status, why, what happens next)
+                ({ loans: loanApplications, message: loansSummary } = await loanService.getUserLoans(user));
                 console.log(`✅ Fetched ${loanApplications.length} loan application(s) for user ${user.id}`);
             } catch (error) {
                 console.error(`❌ Failed to get loan applications for user ${user.id}:`, error.message);
                 dataFetchErrors.push({ type: 'loan_applications', error: error.message });
             }
 
+            try {
+                // Pre-qualification quotes from earlier calls, so the agent can pick up where they left off
+                ({ quotes: loanQuotes, message: loanQuotesSummary } = await loanService.getUserQuotes(user));
+                console.log(`✅ Fetched ${loanQuotes.length} loan quote(s) for user ${user.id}`);
+            } catch (error) {
+                console.error(`❌ Failed to get loan quotes for user ${user.id}:`, error.message);
+                dataFetchErrors.push({ type: 'loan_quotes', error: error.message });
+            }
+
             try {
                 recentTransactions = await databaseManager.getUserTransactions(user.id, 3) || [];
                 console.log(`✅ Fetched ${recentTransactions.length} recent transaction(s) for user ${user.id}`);
@@ -145,16 +208,52 @@ class CallsHandler {
                 dataFetchErrors.push({ type: 'transactions', error: error.message });
             }
 
+            try {
+                accounts = await databaseManager.getUserAccounts(user.id) || [];
+                console.log(`✅ Fetched ${accounts.length} account(s) for user ${user.id}`);
+            } catch (error) {
+                console.error(`❌ Failed to get accounts for user ${user.id}:`, error.message);
+                dataFetchErrors.push({ type: 'accounts', error: error.message });
+            }
+
+            try {
+                [cards, suspiciousTransactions] = await Promise.all([
+                    databaseManager.getUserCards(user.id),
+                    databaseManager.getSuspiciousTransactions(user.id)
+                ]);
+                console.log(`✅ Fetched ${cards.length} card(s) and ${suspiciousTransactions.length} suspicious transaction(s) for user ${user.id}`);
+            } catch (error) {
+                console.error(`❌ Failed to get cards for user ${user.id}:`, error.message);
+                dataFetchErrors.push({ type: 'cards', error: error.message });
+            }
+
+            try {
+                spending = await spendingService.getAnalytics(user);
+                console.log(`✅ Computed spending analytics for user ${user.id} (${spending.unusualSpend.length} unusual item(s))`);
+            } catch (error) {
+                console.error(`❌ Failed to compute spending analytics for user ${user.id}:`, error.message);
+                dataFetchErrors.push({ type: 'spending', error: error.message });
+            }
+
             if (dataFetchErrors.length > 0) {
                 console.warn(`⚠️  ${dataFetchErrors.length} data fetch error(s) occurred. Context will be incomplete.`);
             }
 
             const userContext = {
                 ...user,
+                // The newest application's live status rather than the one chosen at registration
+                loanApplicationStatus: loanApplications.length > 0 ? loanApplications[0].statusLabel : 'None',
                 loanApplications,
+                loansSummary: loanQuotes.length > 0 ? `${loansSummary} ${loanQuotesSummary}` : loansSummary,
+                loanQuotes,
                 recentTransactions,
-                // Ensure phoneNumber field is properly set
-                phoneNumber: user.phoneNumber || user.phone_number || standardizedPhone,
+                accounts,
+                accountsSummary: formatAccountsSummary(accounts),
+                cards,
+                suspiciousTransactions,
+                cardsSummary: formatCardsSummary(cards, suspiciousTransactions),
+                spending,
+                spendingSummary: spending ? spending.summary : '',
                 // Add some contextual information for the AI
                 lastCallDate: user.lastCallAt ? new Date(user.lastCallAt).toLocaleDateString() : 'First call',
                 callCount: user.callCount + 1,
@@ -164,7 +263,7 @@ class CallsHandler {
 
             // Validate critical fields before returning
             const requiredFields = ['name', 'phoneNumber', 'fakeAccountNumber', 'fakeAccountBalance'];
-            const missingRequiredFields = requiredFields.filter(field => !userContext[field]);
+            const missingRequiredFields = requiredFields.filter(field => userContext[field] === null || userContext[field] === undefined || userContext[field] === '');
 
             if (missingRequiredFields.length > 0) {
                 console.error(`❌ CRITICAL: Missing required fields in user context:`, missingRequiredFields);
@@ -201,12 +300,11 @@ class CallsHandler {
                 fraudScenario: userContext.fraudScenario
             });
 
-            // Store context in active calls map so WebSocket can retrieve it
-            let callSession = this.activeCalls.get(callId);
-            if (callSession) {
-                callSession.userContext = userContext;
+            // Store context in the call session so WebSocket can retrieve it
+            if (await this.sessions.update(callId, { userContext })) {
                 console.log(`💾 Stored user context for call ${callId}`);
             }
+            const correlationToken = await this.correlator.issue(callId);
 
             const response = await this.ibClient.post(`${this.infobipBaseUrl}/calls/1/dialogs`, {
                 parentCallId: callId,
@@ -215,9 +313,10 @@ class CallsHandler {
                     endpoint: {
                         type: 'WEBSOCKET',
                         websocketEndpointConfigId: this.mediaStreamConfigId,
-                        // Store call ID in customData so we can look up context later
+                        // The WebSocket presents the token to claim this call's context (see CallCorrelator)
                         customData: {
-                            parentCallId: callId
+                            parentCallId: callId,
+                            correlationToken
                         }
                     }
                 }
@@ -227,11 +326,7 @@ class CallsHandler {
             console.log(`✅ Created dialog with ID ${dialogData.id}`);
 
             // Update call session with dialog info
-            callSession = this.activeCalls.get(callId);
-            if (callSession) {
-                callSession.dialogId = dialogData.id;
-                callSession.status = 'dialog_created';
-            }
+            await this.callStates.transition(callId, CALL_STATES.DIALOG_CREATED, { changes: { dialogId: dialogData.id } });
 
             return dialogData;
 
@@ -245,8 +340,9 @@ class CallsHandler {
      * Handle calls from unregistered users (voice registration flow)
      * @param {string} callId - The ID of the incoming call
      * @param {string} callerId - Phone number of the caller
+     * @param {string} [requestedProvider] - Conversation provider the call asked for
      */
-    async handleUnregisteredUser(callId, callerId) {
+    async handleUnregisteredUser(callId, callerId, requestedProvider = null) {
         try {
             console.log(`🎙️  Handling unregistered user: ${callerId}`);
 
@@ -260,29 +356,129 @@ class CallsHandler {
             };
 
             // Store call session info for unregistered user
-            this.activeCalls.set(callId, {
+            await this.callStates.start(callId, CALL_STATES.UNREGISTERED_FLOW, {
                 callerId,
                 userContext: unregisteredContext,
-                startTime: Date.now(),
-                status: 'unregistered_flow'
+                conversationProvider: selectConversationProvider({ userContext: unregisteredContext, requested: requestedProvider }),
+                startTime: Date.now()
             });
 
             // Create dialog with special context for registration flow
+            const correlationToken = await this.correlator.issue(callId);
             const response = await this.ibClient.post(`${this.infobipBaseUrl}/calls/1/dialogs`, {
                 parentCallId: callId,
                 maxDuration: 3600, // Allow up to 1 hour (3600 seconds)
                 childCallRequest: {
                     endpoint: {
                         type: 'WEBSOCKET',
-                        websocketEndpointConfigId: this.mediaStreamConfigId
+                        websocketEndpointConfigId: this.mediaStreamConfigId,
+                        customData: {
+                            parentCallId: callId,
+                            correlationToken
+                        }
                     }
                 }
             });
 
+            await this.sessions.update(callId, { dialogId: response.data.id });
             console.log(`✅ Created registration dialog for unregistered caller ${callerId}`);
 
         } catch (error) {
             console.error('❌ Error handling unregistered user:', error);
+            await this.fallbackFromAI(callId, `registration dialog could not be created: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle an Infobip voice webhook event. Every event is recorded against its call (see getCallEvents)
+     * before it is acted on; types without a handler are only recorded.
+     * @param {object} event - Webhook payload { type, callId, dialogId?, timestamp, properties }
+     */
+    async handleVoiceEvent(event) {
+        const session = await this.findEventSession(event);
+        await this.recordEvent(event, session);
+
+        switch (event.type) {
+            case 'CALL_RECEIVED':
+                return this.handleCallReceived(event);
+
+            case 'CALL_ESTABLISHED':
+                return this.updateEventSession(session, { answeredAt: new Date().toISOString() });
+
+            case 'CALL_HANGUP':
+            case 'CALL_FINISHED':
+                return this.handleCallHangup(event);
+
+            case 'CALL_FAILED':
+                return this.handleCallFailed(event);
+
+            case 'DTMF_CAPTURED':
+            case 'DTMF_COLLECTED':
+                return this.updateEventSession(session, current => ({
+                    dtmfInput: [...(current.dtmfInput || []), { digits: event.properties?.dtmf || '', at: new Date().toISOString() }]
+                }));
+
+            case 'DIALOG_ESTABLISHED':
+                return this.updateEventSession(session, { dialogEstablishedAt: new Date().toISOString() });
+
+            case 'DIALOG_FINISHED':
+                return this.updateEventSession(session, { dialogFinishedAt: new Date().toISOString() });
+
+            case 'DIALOG_FAILED':
+            case 'MEDIA_STREAM_FAILED':
+                return this.handleAILegFailed(event, session);
+
+            case 'CALL_RECORDING_READY':
+            case 'DIALOG_RECORDING_READY':
+                return this.updateEventSession(session, { recording: event.properties?.recording || event.properties || null });
+
+            case 'SAY_FINISHED':
+                return this.handleSayFinished(session);
+
+            default:
+                console.log(`ℹ️  Unhandled voice event type: ${event.type}`);
+        }
+    }
+
+    /**
+     * The session an event belongs to: by call ID, or by dialog ID for dialog and media-stream events
+     * @param {object} event - Webhook event
+     * @returns {Promise<object|null>}
+     */
+    async findEventSession(event) {
+        const session = event.callId ? await this.sessions.get(event.callId) : null;
+        const dialogId = event.dialogId || event.properties?.dialogId;
+        if (session || !dialogId) {
+            return session;
+        }
+        return this.sessions.findByDialogId(dialogId);
+    }
+
+    async recordEvent(event, session) {
+        const dialogId = event.dialogId || event.properties?.dialogId || session?.dialogId || null;
+        try {
+            // Events that outlive the session (a recording ready after hangup) find their call through the dialog
+            const callId = session?.callId || (await databaseManager.getCallIdForDialog(dialogId)) || event.callId;
+            if (!callId) {
+                console.warn(`⚠️ ${event.type} event for an unknown call - not recorded`);
+                return;
+            }
+            await databaseManager.recordCallEvent({
+                callId,
+                dialogId,
+                eventType: event.type,
+                details: event.properties || null,
+                occurredAt: event.timestamp ? new Date(event.timestamp).toISOString() : new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`❌ Failed to record ${event.type} event:`, error.message);
+        }
+    }
+
+    // Apply an event to the call's session, if it is still in progress
+    async updateEventSession(session, changes) {
+        if (session) {
+            await this.sessions.update(session.callId, changes);
         }
     }
 
@@ -291,56 +487,215 @@ class CallsHandler {
      * @param {object} event - Call hangup event from Infobip
      */
     async handleCallHangup(event) {
+        await this.finishCall(event.callId, { reason: 'hangup', successful: true });
+    }
+
+    /**
+     * Handle a call that failed (e.g. the caller's network dropped it)
+     * @param {object} event - CALL_FAILED event from Infobip
+     */
+    async handleCallFailed(event) {
+        const why = describeEventError(event);
+        console.error(`❌ Call ${event.callId} failed: ${why}`);
+        await this.finishCall(event.callId, { reason: `failed: ${why}`, successful: false });
+    }
+
+    /**
+     * End a call: close its session, complete its log and free its officer
+     * @param {string} callId - The ID of the call
+     * @param {object} options - { reason, successful }
+     */
+    async finishCall(callId, { reason, successful }) {
         try {
-            const callId = event.callId;
-            const callSession = this.activeCalls.get(callId);
-            
+            // Only the first hangup for the call (on any instance) gets the session back
+            const callSession = await this.callStates.end(callId, reason);
+
             if (callSession) {
                 const duration = Date.now() - callSession.startTime;
                 const durationSeconds = Math.floor(duration / 1000);
-                
-                console.log(`📴 Call ${callId} ended. Duration: ${durationSeconds}s`);
-                
-                // Log the call completion
-                if (callSession.userContext.phoneNumber) {
+                const previous = callSession.stateHistory[callSession.stateHistory.length - 2];
+                const endedIn = previous ? previous.state : null;
+                const outcome = successful ? OUTCOME_BY_STATE[endedIn] || 'completed' : 'failed';
+
+                console.log(`📴 Call ${callId} ended (${outcome}). Duration: ${durationSeconds}s`);
+
+                // Complete the call's log, or write one if it has none (e.g. the registration flow)
+                const completion = { callDuration: durationSeconds, successful, outcome };
+                const updated = await databaseManager.updateCallLog(callId, completion);
+                if (!updated && callSession.userContext.phoneNumber) {
                     await databaseManager.logCall(
                         callSession.userContext.phoneNumber,
                         callSession.userContext.scenario || 'general',
                         durationSeconds,
-                        true // successful
+                        successful,
+                        null,
+                        callId
                     );
+                    await databaseManager.updateCallLog(callId, { outcome });
                 }
-
-                // Clean up active call session
-                this.activeCalls.delete(callId);
             }
 
+            // Free the officer who took the call, if it was transferred
+            await officerService.releaseCall(callId);
+
         } catch (error) {
             console.error('❌ Error handling call hangup:', error);
         }
     }
 
     /**
-     * Transfer a call to a live agent
-     * @param {string} callId - The ID of the call to transfer
-     * @param {string} reason - Reason for transfer (e.g., 'fraud', 'loan_inquiry')
+     * The AI leg of a call failed (dialog or media stream) - don't leave the caller in silence
+     * @param {object} event - DIALOG_FAILED or MEDIA_STREAM_FAILED event
+     * @param {object|null} session - The call's session
      */
-    async transferToLiveAgent(callId, reason = 'general') {
+    async handleAILegFailed(event, session) {
+        const why = describeEventError(event);
+        if (!session) {
+            console.warn(`⚠️ ${event.type} (${why}) for a call that is no longer in progress`);
+            return;
+        }
+        await this.sessions.update(session.callId, { aiFailure: { type: event.type, reason: why, at: new Date().toISOString() } });
+        await this.fallbackFromAI(session.callId, `${event.type === 'DIALOG_FAILED' ? 'dialog' : 'media stream'} failed: ${why}`);
+    }
+
+    /**
+     * Graceful fallback when the AI agent can't take a call: apologise and transfer the caller to a
+     * live agent, or if nobody can take it, say goodbye and hang up once the message has played
+     * @param {string} callId - The ID of the call
+     * @param {string} why - What went wrong
+     */
+    async fallbackFromAI(callId, why) {
+        // Only calls still waiting on the AI - not ones already transferred, in a fallback or ended
+        const { session, error } = await this.callStates.transition(callId, CALL_STATES.FAILED, { reason: why });
+        if (error) {
+            return;
+        }
+        console.warn(`🛟 Falling back from the AI agent on call ${callId}: ${why}`);
+
         try {
-            const callSession = this.activeCalls.get(callId);
-            if (!callSession) {
-                console.error(`❌ No active call session found for ${callId}`);
+            if (!session.answeredAt) {
+                await this.ibClient.post(`${this.infobipBaseUrl}/calls/1/calls/${callId}/answer`, {});
+            }
+            await this.say(callId, FALLBACK_MESSAGES.transfer);
+            if (await this.transferToLiveAgent(callId, 'general')) {
                 return;
             }
+        } catch (fallbackError) {
+            console.error(`❌ Fallback transfer failed for call ${callId}:`, fallbackError.message);
+        }
 
-            console.log(`🔄 Transferring call ${callId} to live agent. Reason: ${reason}`);
+        try {
+            await this.sessions.update(callId, { hangupAfterSay: true });
+            await this.say(callId, FALLBACK_MESSAGES.goodbye);
+        } catch (sayError) {
+            console.error(`❌ Could not play the goodbye on call ${callId}:`, sayError.message);
+            await this.hangup(callId);
+        }
+    }
 
-            const liveAgentNumber = process.env.LIVE_AGENT_NUMBER;
-            if (!liveAgentNumber) {
-                console.error('❌ Live agent number not configured');
-                return;
-            }
+    // Messages still playing are counted so a fallback's goodbye isn't cut short by the end of its apology
+    async say(callId, text) {
+        await this.sessions.update(callId, current => ({ saysPlaying: (current.saysPlaying || 0) + 1 }));
+        await this.ibClient.post(`${this.infobipBaseUrl}/calls/1/calls/${callId}/say`, { text, language: 'en' });
+    }
+
+    async handleSayFinished(session) {
+        if (!session) {
+            return;
+        }
+        const updated = await this.sessions.update(session.callId, current => ({
+            saysPlaying: Math.max((current.saysPlaying || 0) - 1, 0)
+        }));
+        // The goodbye of a fallback that found nobody to take the call
+        if (updated && updated.hangupAfterSay && updated.saysPlaying === 0) {
+            await this.hangup(session.callId);
+        }
+    }
+
+    async hangup(callId) {
+        try {
+            await this.ibClient.post(`${this.infobipBaseUrl}/calls/1/calls/${callId}/hangup`, {});
+        } catch (error) {
+            console.error(`❌ Failed to hang up call ${callId}:`, error.message);
+        }
+    }
+
+    /**
+     * Everything Infobip told us about a call, oldest first
+     * @param {string} callId - The ID of the call
+     * @returns {Promise<Array>} - Recorded webhook events
+     */
+    async getCallEvents(callId) {
+        return databaseManager.getCallEvents(callId);
+    }
+
+    /**
+     * Store a call's transcript on its log. A call without a log yet (e.g. the registration flow, whose
+     * log is written at hangup) gets one now, which the hangup then completes.
+     * @param {string} callId - The ID of the call
+     * @param {object} transcript - CallTranscript.toJSON() form
+     * @param {object} [caller] - { phoneNumber, scenario } for a new log
+     * @returns {Promise<boolean>} - false if there was no log and no caller to write one for
+     */
+    async saveTranscript(callId, transcript, { phoneNumber = null, scenario = null } = {}) {
+        if (await databaseManager.updateCallLog(callId, { transcript })) {
+            return true;
+        }
+        if (!phoneNumber) {
+            return false;
+        }
+        await databaseManager.logCall(phoneNumber, scenario || 'general', null, true, transcript, callId);
+        return true;
+    }
+
+    /**
+     * A call's stored transcript
+     * @param {string} callId - The ID of the call
+     * @returns {Promise<object|null>} - CallTranscript.toJSON() form, or null if none was stored
+     */
+    async getCallTranscript(callId) {
+        const log = await databaseManager.getCallLog(callId);
+        return log && log.transcript && typeof log.transcript === 'object' ? log.transcript : null;
+    }
 
+    /**
+     * Transfer a call to the best available officer for the reason (see banking/officers.js).
+     * LIVE_AGENT_NUMBER, if set, takes the call when no officer is available.
+     * @param {string} callId - The ID of the call to transfer
+     * @param {string} reason - Reason for transfer (e.g., 'fraud', 'loan_inquiry')
+     * @returns {Promise<object|undefined>} - { agentCallId, officer, skill, fallback, connection }, or undefined if
+     *   the call can't be transferred (ended, already transferring or transferred) or nobody can take it
+     */
+    async transferToLiveAgent(callId, reason = 'general') {
+        // Claims the call for this transfer; refused once the caller has hung up or another transfer started
+        const { session: callSession, from: previousState, error } = await this.callStates.transition(
+            callId, CALL_STATES.TRANSFERRING, { reason }
+        );
+        if (error) {
+            console.error(`❌ Can't transfer call ${callId}: ${error}`);
+            return;
+        }
+        // The caller stays with the AI if the transfer doesn't go through
+        const resumeCall = why => this.callStates.transition(callId, previousState, { reason: why });
+
+        console.log(`🔄 Transferring call ${callId} to live agent. Reason: ${reason}`);
+
+        const routing = await officerService.routeTransfer(reason);
+        const officer = routing.officer;
+        const liveAgentNumber = officer ? officer.phoneNumber : process.env.LIVE_AGENT_NUMBER;
+        if (!liveAgentNumber) {
+            console.error(`❌ ${routing.message} No overflow number (LIVE_AGENT_NUMBER) configured`);
+            await resumeCall('no agent available');
+            return;
+        }
+        console.log(officer ? `👤 ${routing.message}` : `↪️ ${routing.message} Sending the call to the overflow line`);
+
+        // Count the call against the officer before dialing so concurrent transfers go elsewhere
+        if (officer) {
+            await officerService.assignTransfer(routing, callId, reason);
+        }
+
+        try {
             // Create a new call to the live agent
             const transferResponse = await this.ibClient.post(`${this.infobipBaseUrl}/calls/1/calls`, {
                 endpoint: {
@@ -350,6 +705,7 @@ class CallsHandler {
                 from: process.env.DEMO_CALL_NUMBER,
                 metadata: {
                     transferReason: reason,
+                    officerId: officer ? officer.id : null,
                     originalCallId: callId,
                     userContext: safeStringify(callSession.userContext),
                     timestamp: new Date().toISOString()
@@ -367,14 +723,26 @@ class CallsHandler {
             console.log(`🌉 Bridged customer call ${callId} with agent call ${agentCallId}`);
 
             // Update call session
-            callSession.status = 'transferred_to_agent';
-            callSession.transferReason = reason;
-            callSession.agentCallId = agentCallId;
+            const assignedOfficer = officer ? { id: officer.id, name: officer.name, department: officer.department } : null;
+            await this.callStates.transition(callId, CALL_STATES.TRANSFERRED_TO_AGENT, {
+                reason,
+                changes: { transferReason: reason, agentCallId, officer: assignedOfficer }
+            });
 
-            return bridgeResponse.data;
+            return {
+                agentCallId,
+                officer: assignedOfficer,
+                skill: routing.skill,
+                fallback: routing.fallback,
+                connection: bridgeResponse.data
+            };
 
         } catch (error) {
             console.error('❌ Error transferring to live agent:', error);
+            if (officer) {
+                await officerService.releaseCall(callId);
+            }
+            await resumeCall('transfer failed');
             throw error;
         }
     }
@@ -382,23 +750,26 @@ class CallsHandler {
     /**
      * Get information about an active call
      * @param {string} callId - The ID of the call
-     * @returns {object|null} - Call session info or null
+     * @returns {Promise<object|null>} - Call session info or null
      */
-    getCallSession(callId) {
-        return this.activeCalls.get(callId) || null;
+    async getCallSession(callId) {
+        return this.sessions.get(callId);
     }
 
     /**
      * Get all active calls
-     * @returns {Array} - Array of active call sessions
+     * @returns {Promise<Array>} - Array of active call sessions, oldest first, each with its state history
      */
-    getActiveCalls() {
-        return Array.from(this.activeCalls.entries()).map(([callId, session]) => ({
-            callId,
+    async getActiveCalls() {
+        const sessions = await this.sessions.list();
+        return sessions.map(session => ({
+            callId: session.callId,
             callerId: session.callerId,
             userName: session.userContext.name,
             duration: Date.now() - session.startTime,
-            status: session.status
+            status: session.status,
+            conversationProvider: session.conversationProvider || null,
+            stateHistory: session.stateHistory || []
         }));
     }
 }
@@ -0,0 +1,445 @@
+/**
+ * MockElevenLabsServer - A local stand-in for the ElevenLabs Conversational AI API
+ *
+ * Serves the two things the bridge uses, so calls can be run end to end without an agent or network:
+ *   GET /v1/convai/conversation/get_signed_url?agent_id=...   -> { signed_url } (one-time, 15 minutes)
+ *   WS  /v1/convai/conversation?conversation_signature=...    -> the conversation protocol
+ *
+ * Point the app at it with ELEVENLABS_API_URL=http://localhost:<port>.
+ *
+ * A conversation plays a script from fixtures/ (see fixtures/banking.json): `greeting` events once the
+ * client has sent its initiation data, then one entry of `turns` each time the caller finishes speaking
+ * (speech, found by the bridge's VoiceActivityDetector, followed by `silenceMs` without - or an
+ * input_audio_buffer.commit), and `fallback` once
+ * the turns run out. Events:
+ *   { "type": "agent_response", "text": "...", "audio": "file.pcm" }  text, then speech (a tone if no file)
+ *   { "type": "user_transcript", "text": "..." }
+ *   { "type": "tool_call", "tool_name": "...", "parameters": {}, "timeoutMs": 5000 }  waits for the result
+ *   { "type": "interruption" } | { "type": "correction", "text": "..." } | { "type": "ping" }
+ *   { "type": "wait", "ms": 500 } | { "type": "end", "reason": "..." }
+ * Texts can use the client's dynamic variables ({{customer_name}}). Speaking over the agent interrupts it.
+ * The agent's audio formats (declared in the initiation metadata like a real agent's) default to
+ * pcm_16000 and can be changed to test transcoding, e.g. outputFormat 'ulaw_8000'; audio files are
+ * raw audio in the output format.
+ *
+ * What each conversation received (variables, audio, turns, pongs, tool results) is kept for
+ * inspection: GET /mock/conversations, or server.conversations.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { randomBytes } = require('crypto');
+const WebSocket = require('ws');
+const { parseAudioFormat, formatName, frameBytes, decode, tone } = require('../audioFormats');
+const { VoiceActivityDetector, VAD_EVENTS } = require('../VoiceActivityDetector');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SIGNED_URL_PATH = '/v1/convai/conversation/get_signed_url';
+const CONVERSATION_PATH = '/v1/convai/conversation';
+const SIGNED_URL_TTL_MS = 15 * 60 * 1000;
+
+const CHUNK_MS = 100;
+
+/**
+ * Load a conversation script
+ * @param {string} script - Fixture name (fixtures/<name>.json) or a path to a JSON file
+ * @returns {object} - { path, greeting, turns, fallback }
+ * @throws {Error} - If the file is missing or isn't a script
+ */
+function loadScript(script) {
+    const file = /[\\/]|\.json$/.test(script) ? path.resolve(script) : path.join(FIXTURES_DIR, `${script}.json`);
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(parsed.greeting) && !Array.isArray(parsed.turns)) {
+        throw new Error(`${file} has neither "greeting" nor "turns"`);
+    }
+    return {
+        path: file,
+        greeting: parsed.greeting || [],
+        turns: parsed.turns || [],
+        fallback: parsed.fallback || []
+    };
+}
+
+function fillTemplate(text, variables) {
+    return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        variables[name] !== undefined ? String(variables[name]) : match);
+}
+
+// Stand-in speech: a soft tone, roughly as long as the text takes to say
+function synthesizeSpeech(text, format) {
+    const words = String(text).split(/\s+/).filter(Boolean).length;
+    return tone(format, { frequency: 220, amplitude: 3000, durationMs: Math.max(400, words * 250) });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class MockConversation {
+    constructor(server, ws, { conversationId, agentId }) {
+        this.server = server;
+        this.ws = ws;
+        this.script = loadScript(server.script);
+        this.variables = {};
+        this.pendingToolCalls = new Map();
+        this.queue = Promise.resolve();
+        this.playback = null;
+        this.speaking = false;
+        this.silenceTimer = null;
+        this.vad = new VoiceActivityDetector({ sampleRate: server.inputFormat.sampleRate, hangoverMs: server.silenceMs });
+        this.nextEventId = 1;
+        this.record = {
+            conversationId,
+            agentId,
+            script: this.script.path,
+            startedAt: new Date().toISOString(),
+            dynamicVariables: null,
+            audioChunksReceived: 0,
+            commits: 0,
+            responseRequests: 0,
+            userTurns: 0,
+            interruptions: 0,
+            pings: 0,
+            pongs: 0,
+            toolResults: [],
+            closed: null
+        };
+
+        ws.on('message', data => this.handleMessage(data));
+        ws.on('close', (code, reason) => {
+            clearTimeout(this.silenceTimer);
+            this.stopPlayback();
+            this.record.closed = { code, reason: reason ? reason.toString() : '', at: new Date().toISOString() };
+            console.log(`[MockElevenLabs] Conversation ${conversationId} closed (code: ${code})`);
+        });
+    }
+
+    send(message) {
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    // Script events run one at a time, in the order they were triggered
+    enqueue(events) {
+        this.queue = this.queue
+            .then(async () => {
+                for (const event of events) {
+                    if (this.ws.readyState !== WebSocket.OPEN) {
+                        return;
+                    }
+                    await this.play(event);
+                }
+            })
+            .catch(error => console.error('[MockElevenLabs] Script event failed:', error.message));
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('[MockElevenLabs] Ignoring non-JSON message');
+            return;
+        }
+
+        if (message.user_audio_chunk) {
+            this.handleAudio(Buffer.from(message.user_audio_chunk, 'base64'));
+            return;
+        }
+
+        switch (message.type) {
+            case 'conversation_initiation_client_data':
+                this.record.dynamicVariables = message.dynamic_variables || {};
+                this.variables = this.record.dynamicVariables;
+                this.send({
+                    type: 'conversation_initiation_metadata',
+                    conversation_initiation_metadata_event: {
+                        conversation_id: this.record.conversationId,
+                        agent_output_audio_format: formatName(this.server.outputFormat),
+                        user_input_audio_format: formatName(this.server.inputFormat)
+                    }
+                });
+                this.enqueue(this.script.greeting);
+                break;
+            case 'input_audio_buffer.commit':
+                this.record.commits++;
+                if (this.speaking) {
+                    this.vad.reset();
+                    this.endUserTurn();
+                }
+                break;
+            case 'response.create':
+                this.record.responseRequests++;
+                break;
+            case 'pong':
+                this.record.pongs++;
+                break;
+            case 'client_tool_result': {
+                const result = { toolCallId: message.tool_call_id, result: message.result, isError: !!message.is_error };
+                this.record.toolResults.push(result);
+                const pending = this.pendingToolCalls.get(message.tool_call_id);
+                if (pending) {
+                    pending(result);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    // Speech starts a turn (interrupting the agent) and the end of speech ends it - or, if the client
+    // stops sending audio mid-turn, silenceMs without any
+    handleAudio(audio) {
+        this.record.audioChunksReceived++;
+        for (const event of this.vad.process(decode(audio, this.server.inputFormat))) {
+            if (event.type === VAD_EVENTS.SPEECH_START && !this.speaking) {
+                this.speaking = true;
+                if (this.playback) {
+                    this.stopPlayback();
+                    this.record.interruptions++;
+                    this.send({ type: 'interruption', interruption_event: { event_id: this.nextEventId++ } });
+                }
+            } else if (event.type === VAD_EVENTS.SPEECH_END && this.speaking) {
+                this.endUserTurn();
+            }
+        }
+        if (this.speaking) {
+            clearTimeout(this.silenceTimer);
+            this.silenceTimer = setTimeout(() => {
+                this.vad.reset();
+                this.endUserTurn();
+            }, this.server.silenceMs);
+        }
+    }
+
+    endUserTurn() {
+        clearTimeout(this.silenceTimer);
+        this.speaking = false;
+        const turn = this.script.turns[this.record.userTurns];
+        this.record.userTurns++;
+        if (!turn) {
+            this.enqueue(this.script.fallback);
+            return;
+        }
+        const events = turn.user ? [{ type: 'user_transcript', text: turn.user }, ...(turn.events || [])] : (turn.events || []);
+        this.enqueue(events);
+    }
+
+    stopPlayback() {
+        if (this.playback) {
+            this.playback.cancelled = true;
+            this.playback = null;
+        }
+    }
+
+    // Stream speech in 100ms chunks, a little faster than real time like the real service
+    async speak(audio) {
+        const playback = { cancelled: false };
+        const chunkBytes = frameBytes(this.server.outputFormat, CHUNK_MS);
+        this.playback = playback;
+        for (let offset = 0; offset < audio.length && !playback.cancelled; offset += chunkBytes) {
+            this.send({
+                type: 'audio',
+                audio_event: {
+                    audio_base_64: audio.subarray(offset, offset + chunkBytes).toString('base64'),
+                    event_id: this.nextEventId++
+                }
+            });
+            await sleep(this.server.chunkIntervalMs);
+        }
+        if (this.playback === playback) {
+            this.playback = null;
+        }
+    }
+
+    async play(event) {
+        switch (event.type) {
+            case 'agent_response': {
+                const text = fillTemplate(event.text, this.variables);
+                this.send({ type: 'agent_response', agent_response_event: { agent_response: text } });
+                const audio = event.audio
+                    ? fs.readFileSync(path.resolve(path.dirname(this.script.path), event.audio))
+                    : synthesizeSpeech(text, this.server.outputFormat);
+                await this.speak(audio);
+                break;
+            }
+            case 'user_transcript':
+                this.send({ type: 'user_transcript', user_transcription_event: { user_transcript: fillTemplate(event.text, this.variables) } });
+                break;
+            case 'tool_call': {
+                const toolCallId = `mock_tool_${this.nextEventId++}`;
+                const answered = new Promise(resolve => {
+                    this.pendingToolCalls.set(toolCallId, resolve);
+                    setTimeout(() => resolve(null), event.timeoutMs || 5000);
+                });
+                this.send({
+                    type: 'client_tool_call',
+                    client_tool_call: { tool_name: event.tool_name, tool_call_id: toolCallId, parameters: event.parameters || {} }
+                });
+                const result = await answered;
+                this.pendingToolCalls.delete(toolCallId);
+                if (!result) {
+                    console.warn(`[MockElevenLabs] No result for tool ${event.tool_name} (${toolCallId})`);
+                }
+                break;
+            }
+            case 'interruption':
+                this.record.interruptions++;
+                this.send({ type: 'interruption', interruption_event: { event_id: this.nextEventId++ } });
+                break;
+            case 'correction':
+                this.send({
+                    type: 'agent_response_correction',
+                    agent_response_correction_event: { corrected_agent_response: fillTemplate(event.text, this.variables) }
+                });
+                break;
+            case 'ping':
+                this.ping();
+                break;
+            case 'wait':
+                await sleep(event.ms || 0);
+                break;
+            case 'end':
+                this.ws.close(1000, event.reason || 'Conversation ended');
+                break;
+            default:
+                console.warn(`[MockElevenLabs] Unknown script event "${event.type}"`);
+        }
+    }
+
+    ping() {
+        this.record.pings++;
+        this.send({ type: 'ping', ping_event: { event_id: this.nextEventId++, ping_ms: 0 } });
+    }
+}
+
+class MockElevenLabsServer {
+    /**
+     * @param {object} [options] - { port, script, apiKey, inputFormat, outputFormat, silenceMs, chunkIntervalMs,
+     *   pingIntervalMs }; `apiKey` makes get_signed_url require a matching xi-api-key, `pingIntervalMs` of 0
+     *   disables pings
+     */
+    constructor(options = {}) {
+        this.port = options.port ?? Number(process.env.MOCK_ELEVENLABS_PORT || 4100);
+        this.script = options.script || process.env.MOCK_ELEVENLABS_SCRIPT || 'banking';
+        this.apiKey = options.apiKey ?? process.env.MOCK_ELEVENLABS_API_KEY ?? null;
+        this.inputFormat = parseAudioFormat(options.inputFormat || process.env.MOCK_ELEVENLABS_INPUT_FORMAT || 'pcm_16000');
+        this.outputFormat = parseAudioFormat(options.outputFormat || process.env.MOCK_ELEVENLABS_OUTPUT_FORMAT || 'pcm_16000');
+        this.silenceMs = options.silenceMs ?? 700;
+        this.chunkIntervalMs = options.chunkIntervalMs ?? 80;
+        this.pingIntervalMs = options.pingIntervalMs ?? 10000;
+
+        this.signatures = new Map(); // conversation_signature -> { agentId, expiresAt }
+        this.conversations = new Map(); // conversationId -> MockConversation
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocket.Server({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+        this.pingTimer = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} - The port (useful with port 0)
+     */
+    async start() {
+        // Fail at startup rather than on the first call if the script is broken
+        loadScript(this.script);
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, resolve);
+        });
+        this.port = this.server.address().port;
+        if (this.pingIntervalMs > 0) {
+            this.pingTimer = setInterval(() => {
+                for (const conversation of this.conversations.values()) {
+                    if (conversation.ws.readyState === WebSocket.OPEN) {
+                        conversation.ping();
+                    }
+                }
+            }, this.pingIntervalMs);
+        }
+        console.log(`[MockElevenLabs] Listening on http://localhost:${this.port} (script: ${this.script}, ` +
+            `audio: ${formatName(this.inputFormat)} in, ${formatName(this.outputFormat)} out)`);
+        return this.port;
+    }
+
+    async stop() {
+        clearInterval(this.pingTimer);
+        for (const client of this.wss.clients) {
+            client.terminate();
+        }
+        await new Promise(resolve => this.server.close(() => resolve()));
+        console.log('[MockElevenLabs] Stopped');
+    }
+
+    /**
+     * What every conversation so far received
+     * @returns {Array<object>}
+     */
+    getConversations() {
+        return [...this.conversations.values()].map(conversation => conversation.record);
+    }
+
+    json(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (req.method === 'GET' && url.pathname === SIGNED_URL_PATH) {
+            if (this.apiKey && req.headers['xi-api-key'] !== this.apiKey) {
+                return this.json(res, 401, { detail: { status: 'invalid_api_key', message: 'Invalid API key' } });
+            }
+            const agentId = url.searchParams.get('agent_id');
+            if (!agentId) {
+                return this.json(res, 422, { detail: [{ loc: ['query', 'agent_id'], msg: 'field required' }] });
+            }
+            for (const [unused, { expiresAt }] of this.signatures) {
+                if (expiresAt < Date.now()) {
+                    this.signatures.delete(unused);
+                }
+            }
+            const signature = randomBytes(16).toString('hex');
+            this.signatures.set(signature, { agentId, expiresAt: Date.now() + SIGNED_URL_TTL_MS });
+            const signedUrl = `ws://${req.headers.host || `localhost:${this.port}`}${CONVERSATION_PATH}` +
+                `?agent_id=${encodeURIComponent(agentId)}&conversation_signature=${signature}`;
+            return this.json(res, 200, { signed_url: signedUrl });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/mock/conversations') {
+            return this.json(res, 200, { conversations: this.getConversations() });
+        }
+
+        this.json(res, 404, { detail: 'Not found' });
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        const signature = url.searchParams.get('conversation_signature');
+        const signed = signature && this.signatures.get(signature);
+        if (url.pathname !== CONVERSATION_PATH || !signed || signed.expiresAt < Date.now()) {
+            console.warn('[MockElevenLabs] Rejected connection with a missing, used or expired signature');
+            socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        this.signatures.delete(signature);
+
+        this.wss.handleUpgrade(req, socket, head, ws => {
+            const conversationId = `mock_conv_${randomBytes(6).toString('hex')}`;
+            try {
+                this.conversations.set(conversationId, new MockConversation(this, ws, { conversationId, agentId: signed.agentId }));
+                console.log(`[MockElevenLabs] Conversation ${conversationId} started (agent: ${signed.agentId})`);
+            } catch (error) {
+                console.error('[MockElevenLabs] Could not start conversation:', error.message);
+                ws.close(1011, 'Script failed to load');
+            }
+        });
+    }
+}
+
+module.exports = MockElevenLabsServer;
+module.exports.loadScript = loadScript;
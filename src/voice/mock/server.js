@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Mock ElevenLabs server CLI
+ *
+ * Usage:
+ *   npm run mock:elevenlabs                    # port MOCK_ELEVENLABS_PORT (4100), script MOCK_ELEVENLABS_SCRIPT (banking)
+ *   npm run mock:elevenlabs -- fraud           # another fixture from fixtures/
+ *   npm run mock:elevenlabs -- ./my-call.json  # or a script file
+ *
+ * Then run the app with ELEVENLABS_API_URL=http://localhost:4100 (see README, Offline Development).
+ */
+try {
+    require('dotenv').config();
+} catch (e) {
+    // .env is optional
+}
+
+const MockElevenLabsServer = require('./MockElevenLabsServer');
+
+async function main() {
+    const [script] = process.argv.slice(2);
+    const server = new MockElevenLabsServer({ script });
+    await server.start();
+
+    const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('❌ Mock ElevenLabs server failed to start:', error.message);
+    process.exit(1);
+});
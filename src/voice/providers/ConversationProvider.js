@@ -0,0 +1,91 @@
+/**
+ * ConversationProvider - What the media bridge needs from a conversational AI service
+ *
+ * One provider instance serves one call. The bridge (websocketProxy) owns the Infobip side - the hold
+ * tone, correlation, buffering and paced playout - and talks to the AI only through this interface:
+ *
+ *   connect()                 open the conversation for the caller; resolves once it accepts audio
+ *   sendAudio(audio)          caller audio in the provider's inputFormat
+ *   flushAudio()              the caller finished their turn (the bridge's voice activity detection,
+ *                             or buffered audio sent in one go); have it answered
+ *   requestGreeting()         the caller hasn't spoken; have the agent open the conversation
+ *   sendToolResult(id, r, e)  the outcome of a toolCall
+ *   close()
+ *
+ * and listens for:
+ *
+ *   'audio'         (audio)                         agent speech in the provider's outputFormat
+ *   'interruption'                                  stop playing queued agent speech
+ *   'transcript'    ({ role: 'user'|'agent', text })
+ *   'toolCall'      ({ id, name, parameters })      run an agent tool (see agentTools)
+ *   'error'         (error)
+ *   'close'         ({ code, reason })
+ *   'formats'       ({ inputFormat, outputFormat }) the service declared other audio formats
+ *
+ * inputFormat and outputFormat are audio format names (see audioFormats - pcm_16000, ulaw_8000...); the
+ * bridge transcodes between them and the Infobip stream. Both must be final once connect() resolves,
+ * except outputFormat may change before the first 'audio'.
+ *
+ * Providers with their own turn detection can leave flushAudio() as it is.
+ */
+
+const { EventEmitter } = require('events');
+const { parseAudioFormat, formatName } = require('../audioFormats');
+
+class ConversationProvider extends EventEmitter {
+    /**
+     * @param {object} call - { callId, customerContext } (both null if the stream wasn't correlated)
+     */
+    constructor({ callId = null, customerContext = null } = {}) {
+        super();
+        this.callId = callId;
+        this.customerContext = customerContext;
+        this.inputFormat = 'pcm_16000';
+        this.outputFormat = 'pcm_16000';
+    }
+
+    /**
+     * Record the audio formats the service declared, announcing them if they changed
+     * @param {object} formats - { inputFormat, outputFormat } - either may be missing
+     * @throws {Error} - For formats the bridge can't transcode
+     */
+    setFormats({ inputFormat = this.inputFormat, outputFormat = this.outputFormat }) {
+        const input = formatName(parseAudioFormat(inputFormat));
+        const output = formatName(parseAudioFormat(outputFormat));
+        if (input === this.inputFormat && output === this.outputFormat) {
+            return;
+        }
+        this.inputFormat = input;
+        this.outputFormat = output;
+        this.emit('formats', { inputFormat: input, outputFormat: output });
+    }
+
+    async connect() {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    sendAudio() {
+        throw new Error(`${this.constructor.name} does not implement sendAudio()`);
+    }
+
+    flushAudio() {}
+
+    requestGreeting() {}
+
+    sendToolResult() {
+        throw new Error(`${this.constructor.name} does not implement sendToolResult()`);
+    }
+
+    close() {
+        throw new Error(`${this.constructor.name} does not implement close()`);
+    }
+
+    /**
+     * @returns {boolean} - Whether audio can be sent right now
+     */
+    isOpen() {
+        return false;
+    }
+}
+
+module.exports = ConversationProvider;
@@ -0,0 +1,327 @@
+const WebSocket = require('ws');
+const fetch = require('node-fetch');
+const ConversationProvider = require('./ConversationProvider');
+const SignedUrlPool = require('../SignedUrlPool');
+const { AudioTranscoder } = require('../audioFormats');
+
+/**
+ * ElevenLabsProvider - ElevenLabs Conversational AI over its WebSocket protocol
+ *
+ * The agent, its prompt and voice are configured in the ElevenLabs dashboard (ELEVENLABS_AGENT_ID);
+ * each call only sends the customer's details as dynamic variables. Caller audio is sent as
+ * `user_audio_chunk`; ElevenLabs detects turns itself, so only audio buffered before the connection
+ * opened is committed explicitly. Signed URLs come from a pool shared by all calls, started with the bridge.
+ *
+ * The agent's audio formats are set in its dashboard and declared in the conversation's initiation
+ * metadata, which connect() waits for (up to METADATA_TIMEOUT_MS) so the bridge transcodes correctly.
+ */
+
+// How long connect() waits for the initiation metadata before assuming pcm_16000 both ways
+const METADATA_TIMEOUT_MS = 2000;
+
+let signedUrlPool = null;
+
+async function getSignedUrl() {
+    try {
+        // ELEVENLABS_API_URL points at another server, e.g. the local mock (src/voice/mock)
+        const apiUrl = (process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io').replace(/\/+$/, '');
+        const url = `${apiUrl}/v1/convai/conversation/get_signed_url?agent_id=${process.env.ELEVENLABS_AGENT_ID}`;
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'xi-api-key': process.env.ELEVENLABS_API_KEY,
+            },
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to get signed URL: ${response.status} - ${errorText}`);
+        }
+
+        const data = await response.json();
+
+        if (!data.signed_url) {
+            throw new Error('Signed URL not found in API response');
+        }
+
+        return data.signed_url;
+    } catch (error) {
+        console.error('[ElevenLabs API] Failed to get signed URL:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Customer details for the agent's {{variable}} placeholders
+ * @param {object|null} customerContext - Caller context from CallsHandler
+ * @returns {object}
+ */
+function buildDynamicVariables(customerContext) {
+    const dynamicVariables = {};
+    if (!customerContext) {
+        console.warn('[ElevenLabs] No customer context - using defaults');
+        return dynamicVariables;
+    }
+
+    // IMPORTANT: Only send the 8 variables defined in the ElevenLabs agent config
+    // Additional undefined variables will cause the conversation to fail
+    dynamicVariables.customer_name = customerContext.name || 'Valued Customer';
+    dynamicVariables.company_name = customerContext.companyName || 'Your Company';
+    dynamicVariables.current_balance = customerContext.fakeAccountBalance || '0.00';
+    dynamicVariables.account_number = customerContext.fakeAccountNumber || 'ACC000000000';
+    dynamicVariables.loan_status = customerContext.loanApplicationStatus || 'No Active Applications';
+    dynamicVariables.phone_number = customerContext.phoneNumber || '';
+    dynamicVariables.is_fraud_flagged = customerContext.fraudScenario ? true : false;
+    dynamicVariables.verification_complete = true;
+
+    // accounts_summary / cards_summary / spending_summary / loans_summary must be added to the agent config first (see README)
+    if (process.env.ELEVENLABS_ACCOUNT_VARIABLES === 'true') {
+        dynamicVariables.accounts_summary = customerContext.accountsSummary || '';
+        dynamicVariables.cards_summary = customerContext.cardsSummary || '';
+        dynamicVariables.spending_summary = customerContext.spendingSummary || '';
+        dynamicVariables.loans_summary = customerContext.loansSummary || '';
+    }
+
+    console.log('[ElevenLabs] Loaded context for:', dynamicVariables.customer_name);
+    console.log('[ElevenLabs] 📋 Dynamic variables:', JSON.stringify(dynamicVariables, null, 2));
+    return dynamicVariables;
+}
+
+class ElevenLabsProvider extends ConversationProvider {
+    constructor(call) {
+        super(call);
+        this.ws = null;
+        this.chunksSinceLastCommit = 0;
+        this.metadataReceived = new Promise(resolve => { this.resolveMetadata = resolve; });
+        this.autoResponseCreate = (process.env.ELEVENLABS_AUTO_RESPONSE_CREATE ?? 'true').toLowerCase() !== 'false';
+    }
+
+    // Keep signed URLs ready so connecting doesn't wait on the API (saves ~150ms)
+    static async start() {
+        if (!signedUrlPool) {
+            signedUrlPool = new SignedUrlPool(getSignedUrl);
+            await signedUrlPool.start();
+        }
+    }
+
+    static stop() {
+        if (signedUrlPool) {
+            signedUrlPool.stop();
+            signedUrlPool = null;
+        }
+    }
+
+    async connect() {
+        const signedUrlStart = Date.now();
+        const signedUrl = signedUrlPool ? await signedUrlPool.get() : await getSignedUrl();
+        console.log(`[Timing] Signed URL retrieved in ${Date.now() - signedUrlStart}ms`);
+
+        this.ws = new WebSocket(signedUrl);
+        this.ws.on('message', data => this.handleMessage(data));
+        this.ws.on('error', error => {
+            console.error('[ElevenLabs] WebSocket error:', error.message);
+            this.emit('error', error);
+        });
+        this.ws.on('close', (code, reason) => {
+            console.log(`[ElevenLabs] Connection closed (code: ${code}${reason ? `, reason: ${reason}` : ''})`);
+            if (code !== 1000 && code !== 1005) {
+                console.warn(`[ElevenLabs] Abnormal close code ${code} - check connection stability`);
+            }
+            this.emit('close', { code, reason: reason ? reason.toString() : '' });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.ws.once('open', resolve);
+            this.ws.once('error', reject);
+        });
+        console.log('[ElevenLabs] WebSocket connected');
+
+        // Use agent's configured prompt from dashboard - just send dynamic variables
+        // The prompt in the dashboard already has the correct {{variable}} placeholders
+        const dynamicVariables = buildDynamicVariables(this.customerContext);
+        try {
+            this.send({ type: 'conversation_initiation_client_data', dynamic_variables: dynamicVariables });
+            console.log('[ElevenLabs] Sent configuration with', Object.keys(dynamicVariables).length, 'variables');
+        } catch (configSendError) {
+            console.error('[ElevenLabs] Failed to send configuration:', configSendError.message);
+            if (this.isOpen()) {
+                this.ws.close(1011, 'Configuration send failure');
+            }
+            return;
+        }
+
+        let metadataTimer;
+        const timedOut = new Promise(resolve => { metadataTimer = setTimeout(() => resolve(true), METADATA_TIMEOUT_MS); });
+        if (await Promise.race([this.metadataReceived.then(() => false), timedOut])) {
+            console.warn(`[ElevenLabs] ⚠️  No conversation metadata within ${METADATA_TIMEOUT_MS}ms - assuming ${this.inputFormat} in, ${this.outputFormat} out`);
+        }
+        clearTimeout(metadataTimer);
+    }
+
+    isOpen() {
+        return this.ws?.readyState === WebSocket.OPEN;
+    }
+
+    send(message) {
+        this.ws.send(JSON.stringify(message));
+    }
+
+    sendAudio(audio) {
+        if (!this.isOpen()) {
+            console.warn('[Infobip] Cannot send audio - ElevenLabs WS not open');
+            return;
+        }
+        this.send({ user_audio_chunk: Buffer.from(audio).toString('base64') });
+        this.chunksSinceLastCommit++;
+    }
+
+    // Commit the caller's turn so ElevenLabs answers it now rather than on its own end-of-speech detection
+    flushAudio() {
+        if (this.chunksSinceLastCommit > 0) {
+            console.log('[Bridge] Committing buffered audio to ElevenLabs');
+            this.commit();
+        }
+    }
+
+    requestGreeting() {
+        // Send a tiny "warmup" audio chunk to ElevenLabs
+        // Some ElevenLabs agents need this to trigger the conversation flow
+        console.log('[Bridge] Sending warmup audio chunk to prime ElevenLabs');
+        try {
+            // Send 100ms of near-silence (very quiet audio)
+            const warmupChunk = Buffer.alloc(3200, 0); // 100ms at 16kHz 16-bit = 3200 bytes
+            // Add very faint noise so it's not pure silence (amplitude ~10)
+            for (let i = 0; i < warmupChunk.length; i += 2) {
+                const noise = Math.floor((Math.random() - 0.5) * 20); // Random noise ±10
+                warmupChunk.writeInt16LE(noise, i);
+            }
+            const encoded = new AudioTranscoder('pcm_16000', this.inputFormat).transcode(warmupChunk);
+            this.send({ user_audio_chunk: encoded.toString('base64') });
+            console.log('[Bridge] ✅ Sent warmup audio chunk');
+        } catch (err) {
+            console.error('[Bridge] ❌ Failed to send warmup chunk:', err.message);
+        }
+
+        // Explicitly trigger ElevenLabs to generate proactive greeting
+        // This is crucial - without user audio, ElevenLabs won't know to start speaking
+        console.log('[Bridge] Requesting proactive greeting from ElevenLabs');
+        try {
+            this.send({ type: 'input_audio_buffer.commit' });
+            this.send({ type: 'response.create' });
+            console.log('[Bridge] ✅ Triggered ElevenLabs response generation');
+        } catch (err) {
+            console.error('[Bridge] ❌ Failed to trigger ElevenLabs response:', err.message);
+        }
+    }
+
+    sendToolResult(toolCallId, result, isError) {
+        if (this.isOpen()) {
+            this.send({
+                type: 'client_tool_result',
+                tool_call_id: toolCallId,
+                result: JSON.stringify(result),
+                is_error: isError
+            });
+        }
+    }
+
+    close() {
+        if (this.isOpen()) {
+            this.ws.close();
+        }
+    }
+
+    commit() {
+        if (this.isOpen() && this.chunksSinceLastCommit > 0) {
+            try {
+                this.send({ type: 'input_audio_buffer.commit' });
+                if (this.autoResponseCreate) {
+                    this.send({ type: 'response.create' });
+                }
+                this.chunksSinceLastCommit = 0;
+            } catch (e) {
+                console.error('[ElevenLabs] Commit error:', e.message);
+            }
+        }
+    }
+
+    handleMessage(data) {
+        try {
+            const message = JSON.parse(data);
+
+            // Debug: Log all message types to understand structure
+            if (message.type !== 'audio' && message.type !== 'ping') {
+                console.log(`[ElevenLabs Debug] Message type: ${message.type}`, JSON.stringify(message, null, 2));
+            }
+
+            switch (message.type) {
+                case 'conversation_initiation_metadata': {
+                    const metadata = message.conversation_initiation_metadata_event || {};
+                    console.log('[ElevenLabs] Conversation initialized:', metadata.conversation_id);
+                    try {
+                        this.setFormats({
+                            inputFormat: metadata.user_input_audio_format || undefined,
+                            outputFormat: metadata.agent_output_audio_format || undefined
+                        });
+                        console.log(`[ElevenLabs] Audio formats: ${this.inputFormat} in, ${this.outputFormat} out`);
+                    } catch (formatError) {
+                        console.error('[ElevenLabs] ❌ Agent audio format not supported by the bridge:', formatError.message);
+                    }
+                    this.resolveMetadata();
+                    break;
+                }
+                case 'audio': {
+                    // Extract audio data from ElevenLabs response
+                    const audioData = message.audio_event?.audio_base_64;
+                    if (audioData) {
+                        this.emit('audio', Buffer.from(audioData, 'base64'));
+                    } else {
+                        console.error('[ElevenLabs] Audio event missing audio_base_64 field');
+                    }
+                    break;
+                }
+                case 'agent_response_correction':
+                case 'interruption':
+                    this.emit('interruption');
+                    break;
+                case 'ping':
+                    if (message.ping_event?.event_id) {
+                        const pingMs = message.ping_event.ping_ms || 0;
+                        setTimeout(() => {
+                            if (this.isOpen()) {
+                                this.send({ type: 'pong', event_id: message.ping_event.event_id });
+                            }
+                        }, pingMs);
+                    }
+                    break;
+                case 'user_transcript': {
+                    const userText = message.user_transcription_event?.user_transcript || message.user_transcript || '';
+                    if (userText) {
+                        this.emit('transcript', { role: 'user', text: userText });
+                    }
+                    break;
+                }
+                case 'agent_response': {
+                    const agentText = message.agent_response_event?.agent_response || message.agent_response || '';
+                    this.emit('transcript', { role: 'agent', text: agentText });
+                    break;
+                }
+                case 'client_tool_call': {
+                    const toolCall = message.client_tool_call || {};
+                    this.emit('toolCall', { id: toolCall.tool_call_id, name: toolCall.tool_name, parameters: toolCall.parameters || {} });
+                    break;
+                }
+                case 'error':
+                    console.error('[ElevenLabs] Error:', message.error?.message || JSON.stringify(message));
+                    break;
+                default:
+                    // Silently handle other message types
+                    break;
+            }
+        } catch (error) {
+            console.error('[ElevenLabs] Error processing message:', error);
+        }
+    }
+}
+
+module.exports = ElevenLabsProvider;
@@ -0,0 +1,232 @@
+const WebSocket = require('ws');
+const ConversationProvider = require('./ConversationProvider');
+const agentTools = require('../agentTools');
+
+/**
+ * OpenAIRealtimeProvider - OpenAI Realtime API (or a service speaking the same protocol)
+ *
+ * Unlike the ElevenLabs agent, the whole agent is configured per call: the session.update sent on
+ * connect carries the instructions (built from the customer context), the voice, server-side turn
+ * detection, input transcription and the agent tools. Audio is 24kHz PCM (pcm16) unless
+ * OPENAI_REALTIME_AUDIO_FORMAT picks g711_ulaw or g711_alaw; the bridge transcodes to and from Infobip.
+ *
+ * OPENAI_REALTIME_URL points it at another endpoint with the same protocol.
+ */
+
+// Realtime API audio formats and what they are for the bridge
+const REALTIME_AUDIO_FORMATS = {
+    pcm16: 'pcm_24000',
+    g711_ulaw: 'ulaw_8000',
+    g711_alaw: 'alaw_8000'
+};
+
+// Agent tools as Realtime function definitions (their parameters are listed flat, with `required` on each)
+function toFunctionTools(definitions) {
+    return definitions.map(({ name, description, parameters }) => {
+        const properties = {};
+        const required = [];
+        for (const [key, { required: isRequired, ...schema }] of Object.entries(parameters || {})) {
+            properties[key] = schema;
+            if (isRequired) {
+                required.push(key);
+            }
+        }
+        return { type: 'function', name, description, parameters: { type: 'object', properties, required } };
+    });
+}
+
+/**
+ * Agent instructions for the caller, covering the same details the ElevenLabs agent gets as variables
+ * @param {object|null} customerContext - Caller context from CallsHandler
+ * @returns {string}
+ */
+function buildInstructions(customerContext) {
+    const lines = [
+        'You are a friendly, concise voice assistant for a bank, speaking with a customer on the phone.',
+        'Keep answers short and conversational. Use the tools for anything about accounts, cards, loans or transfers.',
+        'Greet the customer by name when the conversation starts.'
+    ];
+    if (!customerContext) {
+        lines.push('The caller could not be identified; do not discuss account details.');
+        return lines.join('\n');
+    }
+
+    lines.push(
+        '',
+        `Customer name: ${customerContext.name || 'Valued Customer'}`,
+        `Company: ${customerContext.companyName || 'Your Company'}`,
+        `Phone number: ${customerContext.phoneNumber || ''}`,
+        `Account number: ${customerContext.fakeAccountNumber || 'ACC000000000'}`,
+        `Current balance: ${customerContext.fakeAccountBalance || '0.00'}`,
+        `Loan application status: ${customerContext.loanApplicationStatus || 'No Active Applications'}`
+    );
+    for (const [label, summary] of [
+        ['Accounts', customerContext.accountsSummary],
+        ['Cards', customerContext.cardsSummary],
+        ['Recent spending', customerContext.spendingSummary],
+        ['Loans', customerContext.loansSummary]
+    ]) {
+        if (summary) {
+            lines.push(`${label}: ${summary}`);
+        }
+    }
+    if (customerContext.fraudScenario) {
+        lines.push('', 'This account is flagged for suspicious activity. Walk the customer through the flagged transactions before anything else.');
+    }
+    return lines.join('\n');
+}
+
+class OpenAIRealtimeProvider extends ConversationProvider {
+    constructor(call) {
+        super(call);
+        this.ws = null;
+        this.model = process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-realtime-preview';
+        this.voice = process.env.OPENAI_REALTIME_VOICE || 'alloy';
+        this.url = process.env.OPENAI_REALTIME_URL || `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(this.model)}`;
+        this.audioFormat = process.env.OPENAI_REALTIME_AUDIO_FORMAT || 'pcm16';
+        if (!REALTIME_AUDIO_FORMATS[this.audioFormat]) {
+            console.warn(`[OpenAI Realtime] ⚠️  Unknown OPENAI_REALTIME_AUDIO_FORMAT "${this.audioFormat}" - using pcm16`);
+            this.audioFormat = 'pcm16';
+        }
+        this.inputFormat = REALTIME_AUDIO_FORMATS[this.audioFormat];
+        this.outputFormat = REALTIME_AUDIO_FORMATS[this.audioFormat];
+    }
+
+    async connect() {
+        if (!process.env.OPENAI_API_KEY) {
+            throw new Error('OPENAI_API_KEY is not set');
+        }
+
+        this.ws = new WebSocket(this.url, {
+            headers: {
+                Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+                'OpenAI-Beta': 'realtime=v1'
+            }
+        });
+        this.ws.on('message', data => this.handleMessage(data));
+        this.ws.on('error', error => {
+            console.error('[OpenAI Realtime] WebSocket error:', error.message);
+            this.emit('error', error);
+        });
+        this.ws.on('close', (code, reason) => {
+            console.log(`[OpenAI Realtime] Connection closed (code: ${code}${reason ? `, reason: ${reason}` : ''})`);
+            this.emit('close', { code, reason: reason ? reason.toString() : '' });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.ws.once('open', resolve);
+            this.ws.once('error', reject);
+        });
+        console.log('[OpenAI Realtime] WebSocket connected');
+
+        this.send({
+            type: 'session.update',
+            session: {
+                instructions: buildInstructions(this.customerContext),
+                voice: this.voice,
+                input_audio_format: this.audioFormat,
+                output_audio_format: this.audioFormat,
+                input_audio_transcription: { model: 'whisper-1' },
+                turn_detection: { type: 'server_vad' },
+                tools: toFunctionTools(agentTools.getToolDefinitions()),
+                tool_choice: 'auto'
+            }
+        });
+        console.log('[OpenAI Realtime] Sent session configuration for:', this.customerContext?.name || 'unidentified caller');
+    }
+
+    isOpen() {
+        return this.ws?.readyState === WebSocket.OPEN;
+    }
+
+    send(message) {
+        this.ws.send(JSON.stringify(message));
+    }
+
+    sendAudio(audio) {
+        if (!this.isOpen()) {
+            console.warn('[Infobip] Cannot send audio - OpenAI Realtime WS not open');
+            return;
+        }
+        this.send({
+            type: 'input_audio_buffer.append',
+            audio: Buffer.from(audio).toString('base64')
+        });
+    }
+
+    // No flushAudio(): server-side VAD answers once the caller stops speaking, buffered audio included
+    requestGreeting() {
+        if (this.isOpen()) {
+            console.log('[Bridge] Requesting proactive greeting from OpenAI Realtime');
+            this.send({ type: 'response.create' });
+        }
+    }
+
+    sendToolResult(toolCallId, result) {
+        if (!this.isOpen()) {
+            return;
+        }
+        this.send({
+            type: 'conversation.item.create',
+            item: {
+                type: 'function_call_output',
+                call_id: toolCallId,
+                output: JSON.stringify(result)
+            }
+        });
+        this.send({ type: 'response.create' });
+    }
+
+    close() {
+        if (this.isOpen()) {
+            this.ws.close();
+        }
+    }
+
+    handleMessage(data) {
+        try {
+            const message = JSON.parse(data);
+
+            switch (message.type) {
+                case 'session.created':
+                    console.log('[OpenAI Realtime] Session created:', message.session?.id);
+                    break;
+                case 'response.audio.delta':
+                    if (message.delta) {
+                        this.emit('audio', Buffer.from(message.delta, 'base64'));
+                    }
+                    break;
+                case 'input_audio_buffer.speech_started':
+                    this.emit('interruption');
+                    break;
+                case 'conversation.item.input_audio_transcription.completed':
+                    if (message.transcript) {
+                        this.emit('transcript', { role: 'user', text: message.transcript.trim() });
+                    }
+                    break;
+                case 'response.audio_transcript.done':
+                    this.emit('transcript', { role: 'agent', text: message.transcript || '' });
+                    break;
+                case 'response.function_call_arguments.done': {
+                    let parameters = {};
+                    try {
+                        parameters = message.arguments ? JSON.parse(message.arguments) : {};
+                    } catch (parseError) {
+                        console.error(`[OpenAI Realtime] Invalid arguments for tool ${message.name}:`, parseError.message);
+                    }
+                    this.emit('toolCall', { id: message.call_id, name: message.name, parameters });
+                    break;
+                }
+                case 'error':
+                    console.error('[OpenAI Realtime] Error:', message.error?.message || JSON.stringify(message));
+                    break;
+                default:
+                    break;
+            }
+        } catch (error) {
+            console.error('[OpenAI Realtime] Error processing message:', error);
+        }
+    }
+}
+
+module.exports = OpenAIRealtimeProvider;
@@ -0,0 +1,118 @@
+/**
+ * Conversation providers - Which conversational AI a call is bridged to
+ *
+ * A call's provider is chosen when the call arrives and kept in its session (`conversationProvider`):
+ * 1. the call's own request - `conversationProvider` in the Infobip call's customData
+ * 2. the call's scenario - CONVERSATION_PROVIDER_SCENARIOS, e.g. "fraud:openai_realtime,voice_registration:elevenlabs"
+ * 3. CONVERSATION_PROVIDER (default: elevenlabs)
+ *
+ * Unknown names are logged and skipped. A media stream that can't be correlated to its call uses the
+ * default. New providers extend ConversationProvider and are added to PROVIDERS.
+ */
+
+const ConversationProvider = require('./ConversationProvider');
+const ElevenLabsProvider = require('./ElevenLabsProvider');
+const OpenAIRealtimeProvider = require('./OpenAIRealtimeProvider');
+
+const DEFAULT_PROVIDER = 'elevenlabs';
+
+const PROVIDERS = {
+    elevenlabs: ElevenLabsProvider,
+    openai_realtime: OpenAIRealtimeProvider
+};
+
+// Scenarios a call can be in, for CONVERSATION_PROVIDER_SCENARIOS
+const CALL_SCENARIOS = {
+    BANKING: 'banking',
+    FRAUD: 'fraud',
+    VOICE_REGISTRATION: 'voice_registration'
+};
+
+function knownProvider(name, source) {
+    if (!name) {
+        return null;
+    }
+    const normalized = String(name).trim().toLowerCase();
+    if (PROVIDERS[normalized]) {
+        return normalized;
+    }
+    console.warn(`[Providers] ⚠️  Unknown conversation provider "${name}" from ${source} - ignoring`);
+    return null;
+}
+
+// "scenario:provider" pairs, comma-separated
+function parseScenarioProviders(value) {
+    const mapping = {};
+    for (const pair of (value || '').split(',')) {
+        const [scenario, provider] = pair.split(':').map(part => part && part.trim());
+        if (scenario && provider) {
+            mapping[scenario.toLowerCase()] = provider;
+        }
+    }
+    return mapping;
+}
+
+/**
+ * The scenario a caller's call belongs to
+ * @param {object|null} userContext - Caller context from CallsHandler
+ * @returns {string} - One of CALL_SCENARIOS
+ */
+function getCallScenario(userContext) {
+    if (userContext?.scenario) {
+        return userContext.scenario;
+    }
+    return userContext?.fraudScenario ? CALL_SCENARIOS.FRAUD : CALL_SCENARIOS.BANKING;
+}
+
+/**
+ * Choose the provider for a call
+ * @param {object} [options] - { userContext, requested } - the caller's context and a provider the call asked for
+ * @returns {string} - Provider name
+ */
+function selectConversationProvider({ userContext = null, requested = null } = {}) {
+    const scenario = getCallScenario(userContext);
+    const byScenario = parseScenarioProviders(process.env.CONVERSATION_PROVIDER_SCENARIOS)[scenario];
+    return knownProvider(requested, 'call request')
+        || knownProvider(byScenario, `CONVERSATION_PROVIDER_SCENARIOS (${scenario})`)
+        || knownProvider(process.env.CONVERSATION_PROVIDER, 'CONVERSATION_PROVIDER')
+        || DEFAULT_PROVIDER;
+}
+
+/**
+ * Create a provider for one call
+ * @param {string|null} name - Provider name (the default if unknown or missing)
+ * @param {object} call - { callId, customerContext }
+ * @returns {ConversationProvider}
+ */
+function createConversationProvider(name, call) {
+    const chosen = knownProvider(name, 'call session') || selectConversationProvider({ userContext: call.customerContext });
+    console.log(`[Providers] Using ${chosen} for call ${call.callId || '(uncorrelated)'}`);
+    return new PROVIDERS[chosen](call);
+}
+
+// Start/stop shared resources (e.g. the ElevenLabs signed URL pool) of the providers that have them
+async function startProviders() {
+    for (const Provider of Object.values(PROVIDERS)) {
+        if (Provider.start) {
+            await Provider.start();
+        }
+    }
+}
+
+function stopProviders() {
+    for (const Provider of Object.values(PROVIDERS)) {
+        if (Provider.stop) {
+            Provider.stop();
+        }
+    }
+}
+
+module.exports = {
+    CALL_SCENARIOS,
+    ConversationProvider,
+    getCallScenario,
+    selectConversationProvider,
+    createConversationProvider,
+    startProviders,
+    stopProviders
+};
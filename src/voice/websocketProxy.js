@@ -1,21 +1,79 @@
 const WebSocket = require('ws');
 const http = require('http');
-const fetch = require('node-fetch');
 const callsHandler = require('./callsHandler');
-const SignedUrlPool = require('./SignedUrlPool');
+const agentTools = require('./agentTools');
+const { createConversationProvider, startProviders, stopProviders } = require('./providers');
+const { extractTokenFromRequest, extractTokenFromMessage } = require('./CallCorrelator');
+const { DEFAULT_AUDIO_FORMAT, parseAudioFormat, formatName, decode, AudioTranscoder, tone } = require('./audioFormats');
+const { VoiceActivityDetector, VAD_EVENTS } = require('./VoiceActivityDetector');
+const { PlayoutScheduler } = require('./PlayoutScheduler');
+const callRecorder = require('./CallRecorder');
+const { SPEAKERS, CallTranscript } = require('./CallTranscript');
+
+// How long a stream may take to present its correlation token
+const correlationTimeoutMs = Number(process.env.CALL_CORRELATION_TIMEOUT_MS || 3000);
+
+// Buffered audio kept from before the first detected speech, so its onset isn't clipped
+const SPEECH_PREROLL_MS = 200;
+// How long agent audio is dropped after a barge-in unless the provider interrupts its response sooner
+const BARGE_IN_HOLD_MS = 1000;
+
+/**
+ * The audio format of an Infobip media stream: `?format=` (or `?codec=` with `?sampleRate=`) on the
+ * endpoint URL in the media-stream config, else INFOBIP_MEDIA_FORMAT, else pcm_16000
+ * @param {object} req - WebSocket upgrade request
+ * @returns {object} - { encoding, sampleRate }
+ */
+function negotiateInfobipFormat(req) {
+    const query = new URL(req.url || '/', 'http://localhost').searchParams;
+    const requested = query.get('format')
+        || (query.get('codec') ? `${query.get('codec')}_${query.get('sampleRate') || query.get('rate') || ''}`.replace(/_$/, '') : null);
+    for (const [value, source] of [[requested, 'connection URL'], [process.env.INFOBIP_MEDIA_FORMAT, 'INFOBIP_MEDIA_FORMAT']]) {
+        if (!value) {
+            continue;
+        }
+        try {
+            return parseAudioFormat(value);
+        } catch (error) {
+            console.warn(`[Bridge] ⚠️  Ignoring audio format from ${source}: ${error.message}`);
+        }
+    }
+    return DEFAULT_AUDIO_FORMAT;
+}
+
+/**
+ * An Infobip control message, or null if the frame isn't a JSON object (i.e. it's audio). ws delivers
+ * text and binary frames alike as Buffers, so the content decides.
+ * @param {Buffer} data - WebSocket message
+ * @returns {object|null}
+ */
+function parseControlMessage(data) {
+    // Skip the decode for audio: JSON objects start with "{", after any whitespace
+    const first = data.find(byte => byte !== 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d);
+    if (first !== 0x7b) {
+        return null;
+    }
+    try {
+        const message = JSON.parse(data.toString('utf8'));
+        return message && typeof message === 'object' && !Array.isArray(message) ? message : null;
+    } catch (error) {
+        return null;
+    }
+}
 
+/**
+ * WebSocketProxy - Bridges Infobip media streams to the call's conversational AI
+ *
+ * The bridge handles the Infobip side (hold tone, correlation, buffering, paced playout); everything
+ * specific to the AI service lives in its provider (see providers/).
+ */
 class WebSocketProxy {
     constructor() {
-        this.elevenLabsAgentId = process.env.ELEVENLABS_AGENT_ID;
-        this.elevenLabsApiKey = process.env.ELEVENLABS_API_KEY;
         this.port = process.env.WS_PROXY_PORT || 3500;
 
         this.server = http.createServer();
         this.wss = new WebSocket.Server({ server: this.server });
 
-        // Initialize signed URL pool
-        this.signedUrlPool = new SignedUrlPool(() => this.getSignedUrl());
-
         this.setupWebSocketServer();
     }
 
@@ -24,207 +82,107 @@ class WebSocketProxy {
             const connectionStartTime = Date.now();
             console.log('[Bridge] New Infobip connection');
 
-            // Send immediate silence to Infobip to acknowledge connection
-            // This helps prevent premature disconnection during ElevenLabs setup
-            try {
-                const earlyKeepalive = Buffer.alloc(640, 0); // 20ms silence frame
-                infobipWs.send(earlyKeepalive);
-                console.log('[Bridge] Sent early keepalive frame to Infobip');
-            } catch (err) {
-                console.error('[Bridge] Failed to send early keepalive:', err.message);
-            }
-
-            // CRITICAL: Send a brief "hold tone" IMMEDIATELY to satisfy Infobip's audio requirement
-            // Infobip requires actual audio (not just silence) within ~800ms
-            // This is sent BEFORE we even connect to ElevenLabs to eliminate any timing issues
-            console.log('[Bridge] Sending immediate hold tone to satisfy Infobip audio requirement');
-            try {
-                // Generate a 500ms pleasant tone (400Hz sine wave - like a gentle beep)
-                const sampleRate = 16000;
-                const durationMs = 500;
-                const frequency = 400;
-                const amplitude = 1000; // Very quiet
-                const numSamples = Math.floor(sampleRate * durationMs / 1000);
-                const toneBuffer = Buffer.alloc(numSamples * 2); // 16-bit = 2 bytes per sample
-
-                for (let i = 0; i < numSamples; i++) {
-                    const t = i / sampleRate;
-                    const sample = Math.floor(amplitude * Math.sin(2 * Math.PI * frequency * t));
-                    toneBuffer.writeInt16LE(sample, i * 2);
+            // Everything sent to Infobip is in its format; the AI provider's audio is transcoded to and from it
+            let infobipFormat = negotiateInfobipFormat(req);
+            console.log(`[Bridge] Infobip audio format: ${formatName(infobipFormat)}`);
+
+            // Both directions of the stream, if calls are recorded (CALL_RECORDING)
+            const recording = callRecorder.startRecording(infobipFormat);
+
+            // Everything toward Infobip goes through the playout scheduler: paced 20ms frames, comfort noise
+            // whenever the agent isn't speaking
+            const playout = new PlayoutScheduler({
+                format: infobipFormat,
+                send: frame => {
+                    if (infobipWs.readyState === WebSocket.OPEN) {
+                        infobipWs.send(frame);
+                        recording?.writeAgent(frame);
+                    }
                 }
+            });
 
-                infobipWs.send(toneBuffer);
-                console.log('[Bridge] ✅ Sent immediate hold tone to Infobip (before ElevenLabs connection)');
-            } catch (err) {
-                console.error('[Bridge] ❌ Failed to send immediate hold tone:', err.message);
-            }
+            // CRITICAL: Start with a brief "hold tone" to satisfy Infobip's audio requirement
+            // Infobip requires actual audio (not just silence) within ~800ms
+            // This is queued BEFORE we even connect to the AI provider to eliminate any timing issues
+            // A 500ms pleasant tone (400Hz sine wave - like a gentle beep), very quiet
+            playout.enqueue(tone(infobipFormat, { frequency: 400, amplitude: 1000, durationMs: 500 }));
+            playout.start();
+            console.log('[Bridge] ✅ Started playout to Infobip with hold tone (before AI provider connection)');
 
-            // Extract customer context from active calls
+            // Customer context of the call this stream belongs to, once correlated
             let customerContext = null;
             let matchedCallId = null;
+            let callProvider = null; // The conversation provider chosen for the call
 
             console.log('[Bridge] New Infobip WebSocket connection established');
-            console.log('[Bridge] Request URL:', req.url);
-            console.log('[Bridge] Request headers:', JSON.stringify(req.headers, null, 2));
-
-            // Try to extract call ID or dialog ID from the WebSocket connection
-            // Infobip may send this in the URL query params or initial message
-            let callIdFromUrl = null;
-            let dialogIdFromUrl = null;
-
-            if (req.url) {
-                const url = new URL(req.url, 'http://localhost');
-                callIdFromUrl = url.searchParams.get('callId') || url.searchParams.get('call-id');
-                dialogIdFromUrl = url.searchParams.get('dialogId') || url.searchParams.get('dialog-id');
-
-                if (callIdFromUrl) {
-                    console.log('[Bridge] Found callId in URL:', callIdFromUrl);
-                }
-                if (dialogIdFromUrl) {
-                    console.log('[Bridge] Found dialogId in URL:', dialogIdFromUrl);
-                }
-            }
-
-            // Strategy 1: If we have a callId from the URL, look up that specific session
-            if (callIdFromUrl) {
-                const callSession = callsHandler.getCallSession(callIdFromUrl);
-                if (callSession && callSession.userContext) {
-                    customerContext = callSession.userContext;
-                    matchedCallId = callIdFromUrl;
-                    console.log('[Bridge] Matched call by URL callId:', callIdFromUrl);
+            // Path only - the query may carry the correlation token
+            console.log('[Bridge] Request path:', new URL(req.url || '/', 'http://localhost').pathname);
+
+            // Correlate the stream with its call through the dialog's one-time token (see CallCorrelator).
+            // The AI provider - and the caller's buffered audio - wait until it resolves or times out; a stream
+            // that can't be correlated continues without customer context rather than borrowing another call's.
+            let correlationPending = true;
+            let settleContext;
+            const contextReady = new Promise(resolve => { settleContext = resolve; });
+
+            const correlate = async (token, source) => {
+                if (!correlationPending) {
+                    return;
                 }
-            }
-
-            // Strategy 2: If no match yet, look for dialogId match in active calls
-            if (!customerContext && dialogIdFromUrl) {
-                const activeCalls = callsHandler.getActiveCalls();
-                for (const call of activeCalls) {
-                    const session = callsHandler.getCallSession(call.callId);
-                    if (session && session.dialogId === dialogIdFromUrl) {
-                        customerContext = session.userContext;
-                        matchedCallId = call.callId;
-                        console.log('[Bridge] Matched call by dialogId:', dialogIdFromUrl);
-                        break;
+                correlationPending = false;
+                clearTimeout(correlationTimer);
+                try {
+                    const { session } = await callsHandler.correlator.resolve(token);
+                    if (session) {
+                        callProvider = session.conversationProvider || null;
                     }
-                }
-            }
-
-            // Strategy 3: Wait for initial message with call metadata (will be handled below)
-            // Strategy 4: Fall back to most recent call (existing behavior) with warning
-            if (!customerContext) {
-                const activeCalls = callsHandler.getActiveCalls();
-
-                if (activeCalls.length > 0) {
-                    const recentCall = activeCalls[activeCalls.length - 1];
-                    const callSession = callsHandler.getCallSession(recentCall.callId);
-
-                    if (callSession && callSession.userContext) {
-                        customerContext = callSession.userContext;
-                        matchedCallId = recentCall.callId;
-
-                        if (activeCalls.length > 1) {
-                            console.warn('[Bridge] ⚠️  Multiple active calls detected! Using most recent call as fallback.');
-                            console.warn('[Bridge] ⚠️  This may cause issues with concurrent callers.');
-                            console.warn('[Bridge] Active calls:', activeCalls.map(c => c.callId));
-                        } else {
-                            console.log('[Bridge] Retrieved context for:', customerContext.name);
-                        }
-                    } else {
+                    if (session && session.userContext) {
+                        customerContext = session.userContext;
+                        matchedCallId = session.callId;
+                        console.log(`[Bridge] ✅ Correlated by ${source}:`, customerContext.name, '(callId:', matchedCallId, ')');
+                    } else if (session) {
                         console.warn('[Bridge] Call session found but no user context');
                     }
-                } else {
-                    console.warn('[Bridge] No active calls found');
+                } catch (error) {
+                    console.error('[Bridge] ❌ Call correlation failed:', error.message);
+                } finally {
+                    settleContext();
                 }
-            } else {
-                console.log('[Bridge] ✅ Successfully matched context for:', customerContext.name, '(callId:', matchedCallId, ')');
-            }
-
-            let elevenLabsWs = null;
-            let elevenLabsReady = false; // Track when ElevenLabs is ready to receive audio
-            let audioBuffer = []; // Buffer audio until ElevenLabs is connected
-            let commitTimer = null;
-            let audioChunksReceived = 0;
-            let audioChunksSinceLastCommit = 0;
-            let lastAudioTime = Date.now();
-            let lastCommitTime = Date.now();
-            const idleCommitMs = Number(process.env.ELEVENLABS_IDLE_COMMIT_MS || 500);
-            const maxCommitIntervalMs = Number(process.env.ELEVENLABS_MAX_COMMIT_INTERVAL_MS || 2000);
-            const autoResponseCreate = (process.env.ELEVENLABS_AUTO_RESPONSE_CREATE ?? 'true').toLowerCase() !== 'false';
-
-            // Keepalive configuration
-            const continuousKeepalive = (process.env.ELEVENLABS_CONTINUOUS_KEEPALIVE ?? 'true').toLowerCase() === 'true';
-            const keepaliveIntervalMs = Number(process.env.ELEVENLABS_TTS_KEEPALIVE_INTERVAL_MS || 20);
-            let lastTtsTime = 0; // Start at 0 - will be updated when TTS audio arrives
-            let keepaliveTimer = null;
-            let silenceFrameCount = 0;
-            let keepaliveStarted = false; // Track if keepalive has been started
-
-            // Generate PCM silence frame (16-bit PCM, 16kHz, mono, 20ms = 640 bytes)
-            const generateSilenceFrame = () => {
-                return Buffer.alloc(640, 0); // 320 samples * 2 bytes per sample = 640 bytes
             };
 
-            // Continuous audio keepalive - sends silence when no TTS audio
-            const startAudioKeepalive = (immediate = false) => {
-                if (!continuousKeepalive || keepaliveStarted) return;
-
-                // Only enforce delay if not in immediate mode
-                // Immediate mode is used when we discard silent buffers to prevent Infobip timeout
-                if (!immediate) {
-                    // Don't start keepalive until at least 1500ms have passed
-                    // This gives the agent time to generate proactive greeting
-                    const timeSinceConnection = Date.now() - connectionStartTime;
-                    const minDelayMs = 1500;
-
-                    if (timeSinceConnection < minDelayMs) {
-                        const remainingDelay = minDelayMs - timeSinceConnection;
-                        console.log(`[Keepalive] Deferring start by ${remainingDelay}ms (need ${minDelayMs}ms minimum)`);
-                        setTimeout(() => startAudioKeepalive(false), remainingDelay);
-                        return;
-                    }
+            const correlationTimer = setTimeout(() => {
+                if (correlationPending) {
+                    correlationPending = false;
+                    callsHandler.correlator.recordMissing();
+                    console.warn(`[Bridge] ⚠️  No correlation token within ${correlationTimeoutMs}ms - continuing without customer context`);
+                    settleContext();
                 }
+            }, correlationTimeoutMs);
 
-                keepaliveStarted = true;
-                keepaliveTimer = setInterval(() => {
-                    if (infobipWs.readyState !== WebSocket.OPEN) {
-                        console.log('[Keepalive] Infobip WS not open, skipping frame');
-                        return;
-                    }
-
-                    const now = Date.now();
-                    const timeSinceLastTts = lastTtsTime === 0 ? Infinity : (now - lastTtsTime);
-
-                    // Send silence if: never had TTS OR >100ms since last TTS
-                    if (timeSinceLastTts > 100) {
-                        try {
-                            const silenceFrame = generateSilenceFrame();
-                            infobipWs.send(silenceFrame);
-                            silenceFrameCount++;
+            const requestToken = extractTokenFromRequest(req);
+            if (requestToken) {
+                correlate(requestToken, 'connection request');
+            }
 
-                            // Log every 10 frames (~200ms) for debugging
-                            if (silenceFrameCount % 10 === 0) {
-                                console.log(`[Keepalive] ✅ Sent ${silenceFrameCount} silence frames (${silenceFrameCount * keepaliveIntervalMs}ms total)`);
-                            }
-                        } catch (err) {
-                            console.error('[Keepalive] ❌ Error sending silence frame:', err.message);
-                        }
-                    } else {
-                        if (silenceFrameCount === 0) {
-                            console.log('[Keepalive] Waiting for TTS gap (lastTtsTime:', lastTtsTime, 'ms ago)');
-                        }
-                    }
-                }, keepaliveIntervalMs);
+            let provider = null;
+            let providerReady = false; // Track when the AI provider is ready to receive audio
+            let toProvider = null; // Infobip audio -> the provider's input format
+            let fromProvider = null; // The provider's output format -> Infobip audio
+            let audioBuffer = []; // Buffer audio until the AI provider is connected, with where each chunk ends ({ audio, endMs })
+            let audioChunksReceived = 0;
+            let lastAudioTime = Date.now();
 
-                const keepaliveStartTime = Date.now() - connectionStartTime;
-                console.log(`[Keepalive] Started continuous audio keepalive at ${keepaliveStartTime}ms (${keepaliveIntervalMs}ms interval)`);
-            };
+            // Voice activity detection on the caller's audio: which buffered audio is kept, when the caller's
+            // turn is committed, and barge-in over the agent's speech
+            const bargeInEnabled = (process.env.VAD_BARGE_IN ?? 'true').toLowerCase() === 'true';
+            const createVad = () => new VoiceActivityDetector({ sampleRate: infobipFormat.sampleRate });
+            let vad = createVad();
+            let bargeInUntil = 0; // Agent audio is dropped until then after a barge-in
+            let callerSpeechStartedAt = null; // When the caller's turn awaiting its transcript started
 
-            const stopAudioKeepalive = () => {
-                if (keepaliveTimer) {
-                    clearInterval(keepaliveTimer);
-                    keepaliveTimer = null;
-                }
-            };
+            // What was said, saved on the call's log when the stream ends
+            const transcript = new CallTranscript(connectionStartTime);
+            let droppedAgentChunks = 0;
 
             // Set up WebSocket keepalive for Infobip connection
             const keepaliveInterval = setInterval(() => {
@@ -233,426 +191,217 @@ class WebSocketProxy {
                 }
             }, 30000); // Ping every 30 seconds
 
-            const clearCommit = () => {
-                if (commitTimer) {
-                    clearTimeout(commitTimer);
-                    commitTimer = null;
-                }
+            // (Re)build both directions' transcoders for the current formats
+            const setupTranscoders = () => {
+                toProvider = new AudioTranscoder(infobipFormat, provider.inputFormat);
+                fromProvider = new AudioTranscoder(provider.outputFormat, infobipFormat);
+                console.log(`[Bridge] Audio: Infobip ${formatName(infobipFormat)}, provider ${provider.inputFormat} in / ${provider.outputFormat} out` +
+                    (toProvider.passthrough && fromProvider.passthrough ? ' - no transcoding' : ' - transcoding'));
             };
 
-            const doCommit = () => {
-                if (elevenLabsWs && elevenLabsWs.readyState === WebSocket.OPEN && audioChunksSinceLastCommit > 0) {
-                    try {
-                        elevenLabsWs.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
-                        if (autoResponseCreate) {
-                            elevenLabsWs.send(JSON.stringify({ type: 'response.create' }));
+            // A control message may declare the stream's format, e.g. "content-type": "audio/l16;rate=8000"
+            const applyDeclaredFormat = (controlMsg) => {
+                const declared = controlMsg['content-type'] || controlMsg.contentType;
+                if (!declared) {
+                    return;
+                }
+                try {
+                    const format = parseAudioFormat(declared);
+                    if (formatName(format) !== formatName(infobipFormat)) {
+                        console.log(`[Bridge] Infobip declared ${formatName(format)} (was ${formatName(infobipFormat)})`);
+                        infobipFormat = format;
+                        vad = createVad();
+                        playout.flush();
+                        playout.setFormat(format);
+                        recording?.setSourceFormat(format);
+                        if (provider) {
+                            setupTranscoders();
                         }
-                        audioChunksSinceLastCommit = 0;
-                        lastCommitTime = Date.now();
-                    } catch (e) {
-                        console.error('[ElevenLabs] Commit error:', e.message);
                     }
+                } catch (error) {
+                    console.warn(`[Bridge] ⚠️  Ignoring declared audio format "${declared}": ${error.message}`);
                 }
             };
 
-            const scheduleCommit = () => {
-                // Force commit if we haven't committed in maxCommitIntervalMs (prevents infinite buffering)
-                const timeSinceLastCommit = Date.now() - lastCommitTime;
-                if (timeSinceLastCommit >= maxCommitIntervalMs) {
-                    doCommit();
-                    return;
+            // Speech start over the agent is a barge-in; speech end closes the caller's turn
+            const handleVadEvents = (events) => {
+                for (const event of events) {
+                    if (event.type === VAD_EVENTS.SPEECH_START) {
+                        const now = Date.now();
+                        callerSpeechStartedAt = callerSpeechStartedAt ?? now;
+                        if (bargeInEnabled && providerReady && playout.isPlaying()) {
+                            console.log(`[VAD] 🗣️  Caller barged in with ${Math.round(playout.queuedMs())}ms of agent audio left - clearing playback`);
+                            playout.flush();
+                            if (infobipWs.readyState === WebSocket.OPEN) {
+                                infobipWs.send(JSON.stringify({ action: 'clear' }));
+                            }
+                            bargeInUntil = now + BARGE_IN_HOLD_MS;
+                            droppedAgentChunks = 0;
+                        }
+                    } else if (event.type === VAD_EVENTS.SPEECH_END) {
+                        // Before the provider is ready the buffered audio is committed when it's flushed
+                        if (providerReady) {
+                            console.log(`[VAD] Caller stopped speaking (${event.durationMs}ms) - committing turn`);
+                            provider.flushAudio();
+                        }
+                        if (droppedAgentChunks > 0) {
+                            console.log(`[VAD] Dropped ${droppedAgentChunks} agent audio chunk(s) after barge-in`);
+                            droppedAgentChunks = 0;
+                        }
+                    }
                 }
-
-                // Otherwise schedule idle commit
-                clearCommit();
-                commitTimer = setTimeout(() => {
-                    doCommit();
-                }, idleCommitMs);
             };
 
-            // Set up ElevenLabs connection
+            // Set up the AI provider connection
             (async () => {
                 try {
-                    // Use signed URL pool instead of direct API call (saves ~150ms)
-                    const signedUrlStart = Date.now();
-                    const signedUrl = await this.signedUrlPool.get();
-                    const signedUrlTime = Date.now() - signedUrlStart;
-                    console.log(`[Timing] Signed URL retrieved in ${signedUrlTime}ms`);
-
-                    elevenLabsWs = new WebSocket(signedUrl);
-
-                    elevenLabsWs.on('open', () => {
-                        const elevenLabsConnectTime = Date.now() - connectionStartTime;
-                        console.log('[ElevenLabs] WebSocket connected');
-                        console.log(`[Timing] ElevenLabs connected in ${elevenLabsConnectTime}ms from Infobip connection`);
-
-                        // Build dynamic variables from customer context
-                        const dynamicVariables = {};
-
-                        if (customerContext) {
-                            try {
-                            // IMPORTANT: Only send the 8 variables defined in the ElevenLabs agent config
-                            // Additional undefined variables will cause the conversation to fail
-
-                            dynamicVariables.customer_name = customerContext.name || 'Valued Customer';
-                            dynamicVariables.company_name = customerContext.companyName || 'Your Company';
-                            dynamicVariables.current_balance = customerContext.fakeAccountBalance || '0.00';
-                            dynamicVariables.account_number = customerContext.fakeAccountNumber || 'ACC000000000';
-                            dynamicVariables.loan_status = customerContext.loanApplicationStatus || 'No Active Applications';
-                            dynamicVariables.phone_number = customerContext.phoneNumber || '';
-                            dynamicVariables.is_fraud_flagged = customerContext.fraudScenario ? true : false;
-                            dynamicVariables.verification_complete = true;
-
-                            console.log('[ElevenLabs] Loaded context for:', dynamicVariables.customer_name);
-                            console.log('[ElevenLabs] 📋 Dynamic variables:', JSON.stringify(dynamicVariables, null, 2));
-
-                            } catch (variableConstructionError) {
-                                console.error('[ElevenLabs] Failed to construct dynamic variables:', variableConstructionError.message);
-                            }
-                        } else {
-                            console.warn('[ElevenLabs] No customer context - using defaults');
-                        }
+                    // The provider and what it's told about the caller depend on the correlated call
+                    await contextReady;
+                    // The caller hung up before correlation finished - there's no call to connect
+                    if (infobipWs.readyState !== WebSocket.OPEN) {
+                        return;
+                    }
 
-                        // Use agent's configured prompt from dashboard - just send dynamic variables
-                        // The prompt in the dashboard already has the correct {{variable}} placeholders
-                        const initialConfig = {
-                            type: 'conversation_initiation_client_data',
-                            dynamic_variables: dynamicVariables
-                        };
-
-                        // Send configuration with dynamic variables to ElevenLabs
-                        try {
-                            elevenLabsWs.send(JSON.stringify(initialConfig));
-                            console.log('[ElevenLabs] Sent configuration with', Object.keys(dynamicVariables).length, 'variables');
-                        } catch (configSendError) {
-                            console.error('[ElevenLabs] Failed to send configuration:', configSendError.message);
-                            if (elevenLabsWs?.readyState === WebSocket.OPEN) {
-                                elevenLabsWs.close(1011, 'Configuration send failure');
-                            }
+                    provider = createConversationProvider(callProvider, { callId: matchedCallId, customerContext });
+                    setupTranscoders();
+                    provider.on('formats', setupTranscoders);
+
+                    provider.on('audio', (audio) => {
+                        if (Date.now() < bargeInUntil) {
+                            // The rest of the response the caller talked over
+                            droppedAgentChunks++;
+                            return;
                         }
+                        playout.enqueue(fromProvider.transcode(audio));
+                    });
 
-                        // Mark ElevenLabs as ready and flush buffered audio
-                        elevenLabsReady = true;
-
-                        // Analyze buffered audio for silence BEFORE committing
-                        if (audioBuffer.length > 0) {
-                            // Calculate average amplitude to detect silence
-                            // Infobip sends 16-bit PCM L16 (2 bytes per sample, little-endian)
-                            let totalAmplitude = 0;
-                            let sampleCount = 0;
-
-                            audioBuffer.forEach(audioChunk => {
-                                // Sample first 100 16-bit samples (200 bytes) of each chunk
-                                const bytesToSample = Math.min(200, audioChunk.length - (audioChunk.length % 2)); // Ensure even bytes
-                                for (let i = 0; i < bytesToSample; i += 2) {
-                                    // Read 16-bit PCM sample (little-endian)
-                                    const sample = audioChunk.readInt16LE(i);
-                                    // For 16-bit PCM, silence is around 0 (signed range: -32768 to +32767)
-                                    const amplitude = Math.abs(sample);
-                                    totalAmplitude += amplitude;
-                                    sampleCount++;
-                                }
-                            });
+                    provider.on('interruption', () => {
+                        playout.flush();
+                        if (infobipWs.readyState === WebSocket.OPEN) {
+                            infobipWs.send(JSON.stringify({ action: 'clear' }));
+                        }
+                        // The provider stopped its response itself; what it sends next is the new one
+                        bargeInUntil = 0;
+                    });
 
-                            const avgAmplitude = sampleCount > 0 ? totalAmplitude / sampleCount : 0;
-                            // Threshold for silence: very low amplitude values (< 500 out of 32768)
-                            const isSilence = avgAmplitude < 500;
+                    provider.on('transcript', ({ role, text }) => {
+                        if (role === 'user') {
+                            console.log(`\n[TRANSCRIPT] 🎤 User: "${text}"`);
+                            transcript.add(SPEAKERS.CALLER, text, callerSpeechStartedAt ?? Date.now());
+                            callerSpeechStartedAt = null;
+                            return;
+                        }
+                        transcript.add(SPEAKERS.AGENT, text);
+                        if (text) {
+                            console.log(`[TRANSCRIPT] 🤖 Agent: "${text}"\n`);
+                        }
+                    });
 
-                            console.log(`[Bridge] Buffer analysis: ${audioBuffer.length} chunks, avg amplitude: ${avgAmplitude.toFixed(2)}, silence: ${isSilence}`);
+                    // Agent tools (e.g. transfers) run against the caller identified for this call
+                    provider.on('toolCall', ({ id, name, parameters }) => {
+                        agentTools.runTool(name, parameters, {
+                            phoneNumber: customerContext?.phoneNumber,
+                            toolCallId: id
+                        })
+                            .then(result => provider.sendToolResult(id, result, false))
+                            .catch(toolError => {
+                                console.error(`[Bridge] Tool ${name} failed:`, toolError.message);
+                                provider.sendToolResult(id, { error: toolError.message }, true);
+                            });
+                    });
 
-                            if (isSilence) {
-                                console.log('[Bridge] ⏭️  Discarding silent buffer - letting agent send proactive greeting');
-                                audioBuffer = []; // Discard silent buffer
+                    // Errors are logged by the provider; without a listener they would be thrown
+                    provider.on('error', () => {});
 
-                                // Send a tiny "warmup" audio chunk to ElevenLabs
-                                // Some ElevenLabs agents need this to trigger the conversation flow
-                                console.log('[Bridge] Sending warmup audio chunk to prime ElevenLabs');
-                                try {
-                                    // Send 100ms of near-silence (very quiet audio)
-                                    const warmupChunk = Buffer.alloc(3200, 0); // 100ms at 16kHz 16-bit = 3200 bytes
-                                    // Add very faint noise so it's not pure silence (amplitude ~10)
-                                    for (let i = 0; i < warmupChunk.length; i += 2) {
-                                        const noise = Math.floor((Math.random() - 0.5) * 20); // Random noise ±10
-                                        warmupChunk.writeInt16LE(noise, i);
-                                    }
-
-                                    elevenLabsWs.send(JSON.stringify({
-                                        user_audio_chunk: warmupChunk.toString('base64')
-                                    }));
-                                    console.log('[Bridge] ✅ Sent warmup audio chunk');
-                                } catch (err) {
-                                    console.error('[Bridge] ❌ Failed to send warmup chunk:', err.message);
-                                }
+                    // The agent's last words still play; then the stream to Infobip stops
+                    provider.on('close', () => {
+                        playout.finish();
+                    });
 
-                                // Explicitly trigger ElevenLabs to generate proactive greeting
-                                // This is crucial - without user audio, ElevenLabs won't know to start speaking
-                                console.log('[Bridge] Requesting proactive greeting from ElevenLabs');
-                                try {
-                                    // Commit the warmup audio
-                                    elevenLabsWs.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
-                                    // Then trigger response
-                                    elevenLabsWs.send(JSON.stringify({ type: 'response.create' }));
-                                    console.log('[Bridge] ✅ Triggered ElevenLabs response generation');
-                                } catch (err) {
-                                    console.error('[Bridge] ❌ Failed to trigger ElevenLabs response:', err.message);
-                                }
+                    await provider.connect();
+                    console.log(`[Timing] AI provider connected in ${Date.now() - connectionStartTime}ms from Infobip connection`);
 
-                                // Start keepalive immediately to prevent Infobip timeout
-                                // This sends silence to Infobip (not ElevenLabs), preventing disconnect
-                                console.log('[Bridge] Starting keepalive immediately to prevent Infobip timeout');
-
-                                // Note: Hold tone was already sent at connection time (before ElevenLabs connection)
-                                // No need to send again here - just start keepalive
-
-                                startAudioKeepalive(true); // true = bypass delay, start immediately
-                            } else {
-                                console.log(`[Bridge] Flushing ${audioBuffer.length} buffered audio chunk(s) to ElevenLabs`);
-                                audioBuffer.forEach(audioChunk => {
-                                    try {
-                                        elevenLabsWs.send(JSON.stringify({
-                                            user_audio_chunk: Buffer.from(audioChunk).toString('base64')
-                                        }));
-                                        audioChunksSinceLastCommit++;
-                                    } catch (err) {
-                                        console.error('[Bridge] Error flushing buffered audio:', err.message);
-                                    }
-                                });
-                                audioBuffer = []; // Clear buffer after flushing
-                                console.log('[Bridge] Audio buffer flushed successfully');
-
-                                // Commit the buffered audio immediately so ElevenLabs processes it
-                                if (audioChunksSinceLastCommit > 0) {
-                                    console.log('[Bridge] Committing buffered audio to ElevenLabs');
-                                    doCommit();
-                                }
+                    // Infobip may have hung up while the provider was connecting
+                    if (infobipWs.readyState !== WebSocket.OPEN) {
+                        provider.close();
+                        return;
+                    }
 
-                                // Note: Keepalive will start automatically when agent responds
-                                console.log('[Bridge] Waiting for agent response before starting keepalive');
-                            }
-                        } else {
-                            console.log('[Bridge] No buffered audio to process');
-                        }
-                    });
+                    // Mark the provider as ready and flush buffered audio
+                    providerReady = true;
 
-                    elevenLabsWs.on('message', (data) => {
-                        try {
-                            const message = JSON.parse(data);
+                    // Only send buffered audio if the caller said something - from just before they started
+                    if (audioBuffer.length > 0) {
+                        const isSilence = !vad.hasHeardSpeech();
+                        console.log(`[Bridge] Buffer analysis: ${audioBuffer.length} chunks, speech: ${isSilence ? 'none' : `from ${vad.firstSpeechStartMs}ms`}`);
 
-                            // Debug: Log all message types to understand structure
-                            if (message.type !== 'audio' && message.type !== 'ping') {
-                                console.log(`[ElevenLabs Debug] Message type: ${message.type}`, JSON.stringify(message, null, 2));
-                            }
+                        if (isSilence) {
+                            console.log('[Bridge] ⏭️  Discarding silent buffer - letting agent send proactive greeting');
+                            audioBuffer = []; // Discard silent buffer
 
-                            switch (message.type) {
-                                case 'conversation_initiation_metadata':
-                                    console.log('[ElevenLabs] Conversation initialized:', message.conversation_initiation_metadata_event?.conversation_id);
-                                    break;
-                                case 'audio': {
-                                    // Extract audio data from ElevenLabs response
-                                    const audioData = message.audio_event?.audio_base_64;
-
-                                    if (audioData && infobipWs.readyState === WebSocket.OPEN) {
-                                        const buff = Buffer.from(audioData, 'base64');
-                                        infobipWs.send(buff);
-                                        // Update last TTS time to prevent keepalive from interfering
-                                        lastTtsTime = Date.now();
-
-                                        // Start keepalive after first audio (agent is responding)
-                                        if (!keepaliveStarted) {
-                                            startAudioKeepalive();
-                                        }
-                                    } else if (!audioData) {
-                                        console.error('[ElevenLabs] Audio event missing audio_base_64 field');
-                                    }
-                                    break;
+                            // Without caller audio the agent won't know to start speaking
+                            provider.requestGreeting();
+                        } else {
+                            const keepFromMs = vad.firstSpeechStartMs - SPEECH_PREROLL_MS;
+                            const speechChunks = audioBuffer.filter(({ endMs }) => endMs > keepFromMs);
+                            console.log(`[Bridge] Flushing ${speechChunks.length} of ${audioBuffer.length} buffered audio chunk(s) to the AI provider`);
+                            speechChunks.forEach(({ audio }) => {
+                                try {
+                                    provider.sendAudio(toProvider.transcode(audio));
+                                } catch (err) {
+                                    console.error('[Bridge] Error flushing buffered audio:', err.message);
                                 }
-                                case 'agent_response_correction':
-                                case 'interruption':
-                                    if (infobipWs.readyState === WebSocket.OPEN) {
-                                        infobipWs.send(JSON.stringify({ action: 'clear' }));
-                                    }
-                                    break;
-                                case 'ping':
-                                    if (message.ping_event?.event_id) {
-                                        const pingMs = message.ping_event.ping_ms || 0;
-                                        setTimeout(() => {
-                                            if (elevenLabsWs.readyState === WebSocket.OPEN) {
-                                                elevenLabsWs.send(JSON.stringify({
-                                                    type: 'pong',
-                                                    event_id: message.ping_event.event_id
-                                                }));
-                                            }
-                                        }, pingMs);
-                                    }
-                                    break;
-                                case 'user_transcript':
-                                    const userText = message.user_transcription_event?.user_transcript || message.user_transcript || '';
-                                    if (userText) {
-                                        console.log(`\n[TRANSCRIPT] 🎤 User: "${userText}"`);
-                                    }
-                                    break;
-                                case 'agent_response':
-                                    const agentText = message.agent_response_event?.agent_response || message.agent_response || '';
-                                    if (agentText) {
-                                        console.log(`[TRANSCRIPT] 🤖 Agent: "${agentText}"\n`);
-                                    }
-
-                                    // Start keepalive after first agent response (proactive greeting received)
-                                    if (!keepaliveStarted) {
-                                        startAudioKeepalive();
-                                    }
-                                    break;
-                                case 'error':
-                                    console.error('[ElevenLabs] Error:', message.error?.message || JSON.stringify(message));
-                                    break;
-                                default:
-                                    // Silently handle other message types (user_transcript, agent_response, etc.)
-                                    break;
-                            }
-                        } catch (error) {
-                            console.error('[ElevenLabs] Error processing message:', error);
-                        }
-                    });
-
-                    elevenLabsWs.on('error', (error) => {
-                        console.error('[ElevenLabs] WebSocket error:', error.message);
-                    });
-
-                    elevenLabsWs.on('close', (code, reason) => {
-                        clearCommit();
-                        stopAudioKeepalive();
-                        console.log(`[ElevenLabs] Connection closed (code: ${code}${reason ? `, reason: ${reason}` : ''})`);
+                            });
+                            audioBuffer = []; // Clear buffer after flushing
+                            console.log('[Bridge] Audio buffer flushed successfully');
 
-                        if (code !== 1000 && code !== 1005) {
-                            console.warn(`[ElevenLabs] Abnormal close code ${code} - check connection stability`);
+                            // A caller still speaking is committed when they stop (see handleVadEvents)
+                            if (!vad.isSpeaking()) {
+                                provider.flushAudio();
+                            }
                         }
-                    });
+                    } else {
+                        console.log('[Bridge] No buffered audio to process');
+                    }
                 } catch (error) {
-                    console.error('[ElevenLabs] Setup failed:', error.message);
-                    console.error('[ElevenLabs] Stack:', error.stack);
+                    console.error('[Bridge] AI provider setup failed:', error.message);
+                    console.error('[Bridge] Stack:', error.stack);
                 }
             })();
 
             // Handle messages from Infobip
-            infobipWs.on('message', (message) => {
+            infobipWs.on('message', (message, isBinary) => {
                 try {
-                    // Handle JSON control messages (may contain call metadata)
-                    if (typeof message === 'string') {
-                        try {
-                            const controlMsg = JSON.parse(message);
-
-                            // Strategy 3: Extract call/dialog ID from control message if we don't have context yet
-                            if (!customerContext && (controlMsg['call-id'] || controlMsg['dialog-id'])) {
-                                const msgCallId = controlMsg['call-id'];
-                                const msgDialogId = controlMsg['dialog-id'];
-
-                                console.log('[Bridge] Found call metadata in control message:', {
-                                    callId: msgCallId,
-                                    dialogId: msgDialogId
-                                });
-
-                                // Try to match by call ID first
-                                if (msgCallId) {
-                                    const callSession = callsHandler.getCallSession(msgCallId);
-                                    if (callSession && callSession.userContext) {
-                                        customerContext = callSession.userContext;
-                                        matchedCallId = msgCallId;
-                                        console.log('[Bridge] ✅ Matched call by control message callId:', msgCallId);
-                                    }
-                                }
-
-                                // Try to match by dialog ID if still no match
-                                if (!customerContext && msgDialogId) {
-                                    const activeCalls = callsHandler.getActiveCalls();
-                                    for (const call of activeCalls) {
-                                        const session = callsHandler.getCallSession(call.callId);
-                                        if (session && session.dialogId === msgDialogId) {
-                                            customerContext = session.userContext;
-                                            matchedCallId = call.callId;
-                                            console.log('[Bridge] ✅ Matched call by control message dialogId:', msgDialogId);
-                                            break;
-                                        }
-                                    }
-                                }
+                    // Control messages (which may carry the call's token or declare its format) arrive as text frames,
+                    // or as binary frames holding a JSON object; everything else is caller audio
+                    const controlMsg = parseControlMessage(message);
+                    if (controlMsg || !isBinary) {
+                        if (controlMsg) {
+                            applyDeclaredFormat(controlMsg);
+                            const token = extractTokenFromMessage(controlMsg);
+                            if (token) {
+                                correlate(token, isBinary ? 'binary control message' : 'control message');
                             }
-                        } catch (e) {
-                            // Not valid JSON, ignore
                         }
-                        return; // Don't process JSON messages as audio
-                    }
-
-                    // Check if binary message is actually JSON control message
-                    try {
-                        const msgStr = message.toString('utf8');
-                        if ((msgStr.startsWith('{') || msgStr.startsWith(' {')) &&
-                            (msgStr.includes('"call-id"') || msgStr.includes('"event"'))) {
-
-                            // Try to parse and extract metadata even from binary JSON messages
-                            try {
-                                const controlMsg = JSON.parse(msgStr);
-
-                                if (!customerContext && (controlMsg['call-id'] || controlMsg['dialog-id'])) {
-                                    const msgCallId = controlMsg['call-id'];
-                                    const msgDialogId = controlMsg['dialog-id'];
-
-                                    console.log('[Bridge] Found call metadata in binary control message:', {
-                                        callId: msgCallId,
-                                        dialogId: msgDialogId
-                                    });
-
-                                    if (msgCallId) {
-                                        const callSession = callsHandler.getCallSession(msgCallId);
-                                        if (callSession && callSession.userContext) {
-                                            customerContext = callSession.userContext;
-                                            matchedCallId = msgCallId;
-                                            console.log('[Bridge] ✅ Matched call by binary control message callId:', msgCallId);
-                                        }
-                                    }
-
-                                    if (!customerContext && msgDialogId) {
-                                        const activeCalls = callsHandler.getActiveCalls();
-                                        for (const call of activeCalls) {
-                                            const session = callsHandler.getCallSession(call.callId);
-                                            if (session && session.dialogId === msgDialogId) {
-                                                customerContext = session.userContext;
-                                                matchedCallId = call.callId;
-                                                console.log('[Bridge] ✅ Matched call by binary control message dialogId:', msgDialogId);
-                                                break;
-                                            }
-                                        }
-                                    }
-                                }
-                            } catch (e) {
-                                // Parsing failed, ignore
-                            }
-
-                            return; // JSON control events ignored for audio processing
-                        }
-                    } catch (e) {
-                        // If toString fails, it's definitely binary audio
+                        return; // Never played or forwarded as audio
                     }
 
                     audioChunksReceived++;
-                    audioChunksSinceLastCommit++;
                     lastAudioTime = Date.now();
+                    recording?.writeCaller(message);
+
+                    handleVadEvents(vad.process(decode(message, infobipFormat)));
 
-                    // Buffer audio if ElevenLabs isn't ready yet
-                    if (!elevenLabsReady) {
-                        audioBuffer.push(message);
+                    // Buffer audio if the AI provider isn't ready yet
+                    if (!providerReady) {
+                        audioBuffer.push({ audio: message, endMs: vad.positionMs });
                         if (audioBuffer.length === 1) {
-                            console.log('[Bridge] Buffering audio - ElevenLabs not ready yet');
+                            console.log('[Bridge] Buffering audio - AI provider not ready yet');
                         }
                         return;
                     }
 
-                    // Send audio to ElevenLabs
-                    if (elevenLabsWs?.readyState === WebSocket.OPEN) {
-                        elevenLabsWs.send(JSON.stringify({
-                            user_audio_chunk: Buffer.from(message).toString('base64')
-                        }));
-                    } else {
-                        console.warn('[Infobip] Cannot send audio - ElevenLabs WS not open');
-                    }
+                    provider.sendAudio(toProvider.transcode(message));
                 } catch (error) {
                     console.error('[Infobip] Error processing message:', error);
                 }
@@ -660,12 +409,31 @@ class WebSocketProxy {
 
             // Handle WebSocket closure
             infobipWs.on('close', (code, reason) => {
-                clearCommit();
                 clearInterval(keepaliveInterval);
-                stopAudioKeepalive();
-                console.log(`[Infobip] Client disconnected (code: ${code})`);
-                if (elevenLabsWs?.readyState === WebSocket.OPEN) {
-                    elevenLabsWs.close();
+                clearTimeout(correlationTimer);
+                // Release the provider setup if it's still waiting on correlation
+                correlationPending = false;
+                settleContext();
+                playout.stop();
+                const { speechFrames, noiseFrames, flushes } = playout.stats;
+                console.log(`[Infobip] Client disconnected (code: ${code}) - played ${speechFrames} speech / ${noiseFrames} comfort noise frames, ${flushes} flushed`);
+                if (provider?.isOpen()) {
+                    provider.close();
+                }
+                if (recording) {
+                    recording.finish({ callId: matchedCallId, conversationProvider: callProvider })
+                        .then(({ dir }) => console.log(`[Recording] 💾 Saved call recording to ${dir}`))
+                        .catch(error => console.error('[Recording] ❌ Saving call recording failed:', error.message));
+                }
+                if (matchedCallId && !transcript.isEmpty()) {
+                    callsHandler.saveTranscript(matchedCallId, transcript.toJSON(), {
+                        phoneNumber: customerContext?.phoneNumber,
+                        scenario: customerContext?.scenario
+                    })
+                        .then(saved => console.log(saved
+                            ? `[Bridge] 📝 Saved transcript (${transcript.turns.length} turns) for call ${matchedCallId}`
+                            : `[Bridge] ⚠️  No call log to save the transcript of call ${matchedCallId} on`))
+                        .catch(error => console.error('[Bridge] ❌ Saving transcript failed:', error.message));
                 }
             });
         });
@@ -676,37 +444,10 @@ class WebSocketProxy {
     }
 
 
-    async getSignedUrl() {
-        try {
-            const url = `https://api.elevenlabs.io/v1/convai/conversation/get_signed_url?agent_id=${this.elevenLabsAgentId}`;
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'xi-api-key': this.elevenLabsApiKey,
-                },
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to get signed URL: ${response.status} - ${errorText}`);
-            }
-
-            const data = await response.json();
-
-            if (!data.signed_url) {
-                throw new Error('Signed URL not found in API response');
-            }
-
-            return data.signed_url;
-        } catch (error) {
-            console.error('[ElevenLabs API] Failed to get signed URL:', error.message);
-            throw error;
-        }
-    }
-
     async start() {
-        // Start the signed URL pool
-        await this.signedUrlPool.start();
+        // Start shared provider resources (e.g. the ElevenLabs signed URL pool)
+        await startProviders();
+        callRecorder.startRetention();
 
         this.server.listen(this.port, () => {
             console.log(`WebSocket Proxy Server running on port ${this.port}`);
@@ -714,8 +455,9 @@ class WebSocketProxy {
     }
 
     async attachToServer(httpServer) {
-        // Start the signed URL pool
-        await this.signedUrlPool.start();
+        // Start shared provider resources (e.g. the ElevenLabs signed URL pool)
+        await startProviders();
+        callRecorder.startRetention();
 
         this.wss = new WebSocket.Server({
             server: httpServer,
@@ -730,8 +472,8 @@ class WebSocketProxy {
     stop() {
         console.log('Stopping WebSocket Proxy Server...');
 
-        // Stop the signed URL pool
-        this.signedUrlPool.stop();
+        stopProviders();
+        callRecorder.stopRetention();
 
         this.wss.close();
         this.server.close();
@@ -744,3 +486,4 @@ let wsProxyInstance = null;
 module.exports = WebSocketProxy;
 module.exports.getInstance = () => wsProxyInstance;
 module.exports.setInstance = (instance) => { wsProxyInstance = instance; };
+module.exports.parseControlMessage = parseControlMessage;
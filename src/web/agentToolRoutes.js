@@ -0,0 +1,58 @@
+const express = require('express');
+const agentTools = require('../voice/agentTools');
+
+const router = express.Router();
+
+let warnedUnprotected = false;
+
+// ElevenLabs server tools send this as a secret header. Without AGENT_TOOLS_SECRET the tools are open for
+// local demos, but refused in production - anyone knowing a customer's number could move their money.
+function requireToolSecret(req, res, next) {
+    const secret = process.env.AGENT_TOOLS_SECRET;
+    if (!secret) {
+        if (process.env.NODE_ENV === 'production') {
+            console.warn('[AgentTools] 🚫 Rejected tool call: AGENT_TOOLS_SECRET is not set');
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (!warnedUnprotected) {
+            console.warn('[AgentTools] ⚠️  AGENT_TOOLS_SECRET is not set - agent server tools are not authenticated');
+            warnedUnprotected = true;
+        }
+        return next();
+    }
+    if (req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// List tool definitions for configuring the agent
+router.get('/', (req, res) => {
+    res.json({ tools: agentTools.getToolDefinitions() });
+});
+
+// Run a tool as an ElevenLabs server tool (webhook)
+router.post('/:toolName', requireToolSecret, async (req, res) => {
+    const { toolName } = req.params;
+    const { caller_phone: callerPhone, ...args } = req.body || {};
+
+    if (!agentTools.hasTool(toolName)) {
+        return res.status(404).json({ error: `Unknown tool: ${toolName}` });
+    }
+    if (!callerPhone) {
+        return res.status(400).json({ error: 'caller_phone is required' });
+    }
+
+    try {
+        const result = await agentTools.runTool(toolName, args, { phoneNumber: callerPhone });
+        res.json(result);
+    } catch (error) {
+        console.error(`[AgentTools] ❌ ${toolName} failed:`, error.message);
+        if (error.message === 'Caller is not a registered customer') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Tool failed', details: process.env.NODE_ENV === 'development' ? error.message : undefined });
+    }
+});
+
+module.exports = router;
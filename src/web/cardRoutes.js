@@ -0,0 +1,69 @@
+const express = require('express');
+const DatabaseFactory = require('../database/DatabaseFactory');
+const PhoneNumberUtils = require('../utils/phoneUtils');
+const cardService = require('../banking/CardService');
+const { requireAdmin } = require('./requireAdmin');
+
+const router = express.Router();
+const databaseManager = DatabaseFactory.create();
+
+// Load :cardId into req.card
+async function loadCard(req, res, next) {
+    try {
+        const card = await databaseManager.getCard(Number(req.params.cardId));
+        if (!card) {
+            return res.status(404).json({ error: 'Card not found' });
+        }
+        req.card = card;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Run a card action and map its outcome to a status code (409 when the card's status doesn't allow it)
+function cardAction(action, successStatus = 200) {
+    return async (req, res) => {
+        try {
+            const result = await cardService.applyAction(req.card, action);
+            res.status(result.success ? successStatus : 409).json(result);
+        } catch (error) {
+            console.error(`[Cards] ❌ ${action} failed for card ${req.card.id}:`, error.message);
+            res.status(500).json({ error: 'Card update failed' });
+        }
+    };
+}
+
+// Card changes are staff actions
+router.use(requireAdmin);
+
+// List a customer's cards: GET /api/cards?phoneNumber=+15551234567
+router.get('/', async (req, res) => {
+    const phoneNumber = PhoneNumberUtils.standardizeNorthAmerican(req.query.phoneNumber || '');
+    if (!phoneNumber) {
+        return res.status(400).json({ error: 'phoneNumber query parameter is required' });
+    }
+
+    try {
+        const user = await databaseManager.getUserByPhone(phoneNumber);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ cards: await databaseManager.getUserCards(user.id) });
+    } catch (error) {
+        console.error('Card lookup error:', error);
+        res.status(500).json({ error: 'Failed to retrieve cards' });
+    }
+});
+
+router.get('/:cardId', loadCard, (req, res) => {
+    res.json({ card: req.card });
+});
+
+router.post('/:cardId/freeze', loadCard, cardAction('freeze'));
+router.post('/:cardId/unfreeze', loadCard, cardAction('unfreeze'));
+router.post('/:cardId/report-lost', loadCard, cardAction('report_lost'));
+router.post('/:cardId/activate', loadCard, cardAction('activate'));
+router.post('/:cardId/replacement', loadCard, cardAction('replace', 201));
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const DatabaseFactory = require('../database/DatabaseFactory');
+const PhoneNumberUtils = require('../utils/phoneUtils');
+const loanService = require('../banking/LoanService');
+const { requireAdmin } = require('./requireAdmin');
+
+const router = express.Router();
+const databaseManager = DatabaseFactory.create();
+
+// Load :loanId into req.loan, applying any automatic steps that have fallen due
+async function loadLoan(req, res, next) {
+    try {
+        const loan = await databaseManager.getLoanApplication(Number(req.params.loanId));
+        if (!loan) {
+            return res.status(404).json({ error: 'Loan application not found' });
+        }
+        req.loan = await loanService.advanceLoan(loan);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Run a lifecycle action and map its outcome to a status code (409 when the status doesn't allow it)
+function loanAction(action) {
+    return async (req, res) => {
+        const { reason, documents, note, actor } = req.body || {};
+        try {
+            const result = await loanService.applyAction(req.loan, action, {
+                actor: actor || 'staff',
+                reason: reason || null,
+                documents: documents || null,
+                note: note || null
+            });
+            res.status(result.success ? 200 : 409).json(result);
+        } catch (error) {
+            console.error(`[Loans] ❌ ${action} failed for application ${req.loan.id}:`, error.message);
+            res.status(500).json({ error: 'Loan update failed' });
+        }
+    };
+}
+
+// Loan decisions and quotes on customers' finances are staff-only; callers get quotes through the agent tool
+router.use(requireAdmin);
+
+// List applications with their explanation: GET /api/loans?phoneNumber=+15551234567 (all customers if omitted)
+router.get('/', async (req, res) => {
+    try {
+        if (!req.query.phoneNumber) {
+            await loanService.advanceDueLoans();
+            const loans = await databaseManager.getAllLoanApplications();
+            return res.json({ loans: await Promise.all(loans.map(loan => loanService.explain(loan))) });
+        }
+
+        const phoneNumber = PhoneNumberUtils.standardizeNorthAmerican(req.query.phoneNumber);
+        const user = phoneNumber ? await databaseManager.getUserByPhone(phoneNumber) : null;
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const { loans } = await loanService.getUserLoans(user);
+        res.json({ loans });
+    } catch (error) {
+        console.error('Loan lookup error:', error);
+        res.status(500).json({ error: 'Failed to retrieve loan applications' });
+    }
+});
+
+// Submit an application: POST /api/loans { phoneNumber, loanType, loanAmount, termMonths? }
+router.post('/', async (req, res) => {
+    const { phoneNumber: rawPhone, loanType, loanAmount, termMonths } = req.body || {};
+    const phoneNumber = PhoneNumberUtils.standardizeNorthAmerican(rawPhone || '');
+    if (!phoneNumber) {
+        return res.status(400).json({ error: 'phoneNumber is required' });
+    }
+
+    try {
+        const user = await databaseManager.getUserByPhone(phoneNumber);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const result = await loanService.apply(user, { loanType, loanAmount, termMonths });
+        res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+        console.error('Loan application error:', error);
+        res.status(500).json({ error: 'Failed to submit loan application' });
+    }
+});
+
+// Apply every automatic step that has fallen due now, instead of waiting for the timer
+router.post('/progress', async (req, res) => {
+    try {
+        res.json({ changed: await loanService.advanceDueLoans() });
+    } catch (error) {
+        console.error('Loan progression error:', error);
+        res.status(500).json({ error: 'Loan progression failed' });
+    }
+});
+
+// Pre-qualify a customer: POST /api/loans/quote { phoneNumber, loanType, loanAmount, termMonths? }
+router.post('/quote', async (req, res) => {
+    const { phoneNumber: rawPhone, loanType, loanAmount, termMonths } = req.body || {};
+    const phoneNumber = PhoneNumberUtils.standardizeNorthAmerican(rawPhone || '');
+    if (!phoneNumber) {
+        return res.status(400).json({ error: 'phoneNumber is required' });
+    }
+
+    try {
+        const user = await databaseManager.getUserByPhone(phoneNumber);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const result = await loanService.quote(user, { loanType, loanAmount, termMonths });
+        res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+        console.error('Loan quote error:', error);
+        res.status(500).json({ error: 'Failed to prepare loan quote' });
+    }
+});
+
+// A customer's recent quotes: GET /api/loans/quotes?phoneNumber=+15551234567
+router.get('/quotes', async (req, res) => {
+    const phoneNumber = PhoneNumberUtils.standardizeNorthAmerican(req.query.phoneNumber || '');
+    if (!phoneNumber) {
+        return res.status(400).json({ error: 'phoneNumber is required' });
+    }
+
+    try {
+        const user = await databaseManager.getUserByPhone(phoneNumber);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(await loanService.getUserQuotes(user));
+    } catch (error) {
+        console.error('Loan quote lookup error:', error);
+        res.status(500).json({ error: 'Failed to retrieve loan quotes' });
+    }
+});
+
+// One quote with its amortization table (projected from today)
+router.get('/quotes/:quoteId', async (req, res) => {
+    try {
+        const quote = await databaseManager.getLoanQuote(Number(req.params.quoteId));
+        if (!quote) {
+            return res.status(404).json({ error: 'Loan quote not found' });
+        }
+        res.json({ quote, schedule: quote.loanAmount ? loanService.getSchedule(quote) : null });
+    } catch (error) {
+        console.error('Loan quote lookup error:', error);
+        res.status(500).json({ error: 'Failed to retrieve loan quote' });
+    }
+});
+
+router.get('/:loanId', loadLoan, async (req, res) => {
+    res.json({ loan: await loanService.explain(req.loan) });
+});
+
+// Repayment schedule (projected from today until the loan is funded)
+router.get('/:loanId/schedule', loadLoan, (req, res) => {
+    res.json({ loanId: req.loan.id, schedule: loanService.getSchedule(req.loan) });
+});
+
+router.post('/:loanId/start-review', loadLoan, loanAction('start_review'));
+router.post('/:loanId/request-documents', loadLoan, loanAction('request_documents'));
+router.post('/:loanId/receive-documents', loadLoan, loanAction('receive_documents'));
+router.post('/:loanId/approve', loadLoan, loanAction('approve'));
+router.post('/:loanId/decline', loadLoan, loanAction('decline'));
+router.post('/:loanId/fund', loadLoan, loanAction('fund'));
+
+// Skip the wait: apply the application's next automatic step now
+router.post('/:loanId/advance', loadLoan, async (req, res) => {
+    try {
+        const result = await loanService.advanceNow(req.loan, (req.body && req.body.actor) || 'staff');
+        res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+        console.error(`[Loans] ❌ advance failed for application ${req.loan.id}:`, error.message);
+        res.status(500).json({ error: 'Loan update failed' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const officerService = require('../banking/OfficerService');
+const { requireAdmin } = require('./requireAdmin');
+
+const router = express.Router();
+
+// Load :officerId into req.officer
+async function loadOfficer(req, res, next) {
+    try {
+        const officer = await officerService.getOfficer(Number(req.params.officerId));
+        if (!officer) {
+            return res.status(404).json({ error: 'Officer not found' });
+        }
+        req.officer = officer;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// 409 for a duplicate name, 400 for anything else the service rejected
+function statusFor(result, successStatus = 200) {
+    if (result.success) {
+        return successStatus;
+    }
+    return result.duplicate ? 409 : 400;
+}
+
+// The officer directory is staff-only
+router.use(requireAdmin);
+
+// Every officer with their availability right now
+router.get('/', async (req, res) => {
+    try {
+        res.json({ officers: await officerService.listOfficers() });
+    } catch (error) {
+        console.error('Officer lookup error:', error);
+        res.status(500).json({ error: 'Failed to retrieve officers' });
+    }
+});
+
+// Who a transfer would go to right now, without assigning it: GET /api/admin/officers/route?reason=fraud
+router.get('/route', async (req, res) => {
+    try {
+        res.json(await officerService.routeTransfer(req.query.reason || 'general'));
+    } catch (error) {
+        console.error('Officer routing error:', error);
+        res.status(500).json({ error: 'Failed to route transfer' });
+    }
+});
+
+router.get('/:officerId', loadOfficer, (req, res) => {
+    res.json({ officer: req.officer });
+});
+
+// Add an officer: POST /api/admin/officers { name, department, phoneNumber, email?, skills, timeZone?,
+// workingDays?, shiftStart?, shiftEnd?, capacity? }
+router.post('/', async (req, res) => {
+    try {
+        const result = await officerService.createOfficer(req.body);
+        res.status(statusFor(result, 201)).json(result);
+    } catch (error) {
+        console.error('Officer creation error:', error);
+        res.status(500).json({ error: 'Failed to add officer' });
+    }
+});
+
+// Change any of the fields above, or reactivate with { active: true }
+router.patch('/:officerId', loadOfficer, async (req, res) => {
+    try {
+        const result = await officerService.updateOfficer(req.officer, req.body);
+        res.status(statusFor(result)).json(result);
+    } catch (error) {
+        console.error(`[Officers] ❌ update failed for officer ${req.officer.id}:`, error.message);
+        res.status(500).json({ error: 'Officer update failed' });
+    }
+});
+
+// Officers are deactivated rather than deleted, so past transfers keep pointing at them
+router.delete('/:officerId', loadOfficer, async (req, res) => {
+    try {
+        const result = await officerService.deactivateOfficer(req.officer);
+        res.status(statusFor(result)).json(result);
+    } catch (error) {
+        console.error(`[Officers] ❌ deactivation failed for officer ${req.officer.id}:`, error.message);
+        res.status(500).json({ error: 'Officer update failed' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Admin auth - the simple bearer token the admin dashboard and staff-only routes share
+ *
+ * Requests must send `Authorization: Bearer <ADMIN_TOKEN>` (default 'demo-admin-token' for local
+ * demos). In production, use proper authentication.
+ */
+
+/**
+ * Route middleware rejecting requests without the admin token
+ * @returns {void} - Answers 401, or hands over to the next handler
+ */
+function requireAdmin(req, res, next) {
+    if (req.headers.authorization !== `Bearer ${process.env.ADMIN_TOKEN || 'demo-admin-token'}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+module.exports = {
+    requireAdmin
+};
@@ -2,13 +2,40 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const DatabaseFactory = require('../database/DatabaseFactory');
 const { safeStringify } = require('../utils/jsonSanitizer');
+const { ACCOUNT_TYPES, MAX_ADDITIONAL_ACCOUNTS, getDisplayName } = require('../banking/accounts');
+const { CARD_STATUS, describeCard } = require('../banking/cards');
+const { getPersonaNames } = require('../banking/transactionGenerator');
+const { REGISTRATION_STATUSES } = require('../banking/loans');
+const { formatQuote } = require('../banking/prequalification');
+const { OFFICER_SKILLS, describeOfficerSchedule } = require('../banking/officers');
+const { verifyWebhook, getStats: getWebhookStats } = require('./webhookVerification');
+const { requireAdmin } = require('./requireAdmin');
 
 // Initialize database manager based on environment
 const databaseManager = DatabaseFactory.create();
 const PhoneNumberUtils = require('../utils/phoneUtils');
 const callsHandler = require('../voice/callsHandler');
+const callRecorder = require('../voice/CallRecorder');
+const { RECORDING_TRACKS } = callRecorder;
+const { formatTranscriptText, formatTranscriptVtt } = require('../voice/CallTranscript');
+const transactionSearchService = require('../banking/TransactionSearchService');
+const spendingService = require('../banking/SpendingService');
+const loanService = require('../banking/LoanService');
+const officerService = require('../banking/OfficerService');
 const router = express.Router();
 
+// Agent tools (transfers etc.) called by the ElevenLabs agent as server tools
+router.use('/api/agent/tools', require('./agentToolRoutes'));
+
+// Card management (freeze, unfreeze, report lost, replacement) for demo staff
+router.use('/api/cards', require('./cardRoutes'));
+
+// Loan lifecycle (review, document requests, decisions, funding) for demo staff
+router.use('/api/loans', require('./loanRoutes'));
+
+// Officer directory (skills, shifts, capacity) and live-agent routing for demo staff
+router.use('/api/admin/officers', require('./officerRoutes'));
+
 // Simple test endpoint
 router.get('/test', (req, res) => {
     res.json({ message: 'Test endpoint working' });
@@ -37,7 +64,8 @@ router.get('/debug-phone/:phoneNumber', async (req, res) => {
                 name: userContext.name,
                 company: userContext.companyName,
                 phone: userContext.phoneNumber,
-                balance: userContext.fakeAccountBalance
+                balance: userContext.fakeAccountBalance,
+                availableBalance: userContext.availableBalance
             } : null
         });
     } catch (error) {
@@ -47,7 +75,7 @@ router.get('/debug-phone/:phoneNumber', async (req, res) => {
 });
 
 // ElevenLabs webhook endpoint for conversation_initiation_client_data
-router.post('/elevenlabs-webhook', async (req, res) => {
+router.post('/elevenlabs-webhook', verifyWebhook('elevenlabs'), async (req, res) => {
     try {
         console.log('🔔 ElevenLabs webhook called:', safeStringify(req.body, 2));
 
@@ -98,7 +126,16 @@ router.post('/elevenlabs-webhook', async (req, res) => {
                     phone_number: userContext.phoneNumber,
                     loan_status: userContext.loanApplicationStatus || 'None',
                     is_fraud_flagged: userContext.fraudScenario || false,
-                    verification_complete: true
+                    verification_complete: true,
+                    // accounts_summary / cards_summary / spending_summary / loans_summary must be added to the agent config first (see README)
+                    ...(process.env.ELEVENLABS_ACCOUNT_VARIABLES === 'true'
+                        ? {
+                            accounts_summary: userContext.accountsSummary || '',
+                            cards_summary: userContext.cardsSummary || '',
+                            spending_summary: userContext.spendingSummary || '',
+                            loans_summary: userContext.loansSummary || ''
+                        }
+                        : {})
                 },
                 conversation_config_override: {
                     agent: {
@@ -162,11 +199,31 @@ router.post('/api/register', [
         .isFloat({ min: 0, max: 1000000 })
         .withMessage('Account balance must be between 0 and 1,000,000'),
     body('loanApplicationStatus')
-        .isIn(['None', 'Under Review', 'Approved', 'Pending', 'Requires Documentation'])
+        .isIn(['None', ...Object.keys(REGISTRATION_STATUSES)])
         .withMessage('Invalid loan application status'),
     body('fraudScenario')
         .isBoolean()
-        .withMessage('Fraud scenario must be true or false')
+        .withMessage('Fraud scenario must be true or false'),
+    body('persona')
+        .optional({ values: 'falsy' })
+        .isIn(getPersonaNames())
+        .withMessage(`Persona must be one of: ${getPersonaNames().join(', ')}`),
+    body('accounts')
+        .optional()
+        .isArray({ max: MAX_ADDITIONAL_ACCOUNTS })
+        .withMessage(`Accounts must be a list of at most ${MAX_ADDITIONAL_ACCOUNTS} products`),
+    body('accounts.*.type')
+        .isIn(Object.keys(ACCOUNT_TYPES))
+        .withMessage(`Account type must be one of: ${Object.keys(ACCOUNT_TYPES).join(', ')}`),
+    body('accounts.*.nickname')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Account nickname must be at most 50 characters'),
+    body('accounts.*.balance')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0, max: 1000000 })
+        .withMessage('Account balance must be between 0 and 1,000,000')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -204,22 +261,23 @@ router.post('/api/register', [
 
         // Register the user in the database
         const user = await databaseManager.registerUser(standardizedUserData);
+        const accounts = await databaseManager.getUserAccounts(user.id);
 
         // Return success response
-        // Handle both PostgreSQL (snake_case) and SQLite (camelCase) field names
         res.status(201).json({
             success: true,
             message: 'Registration successful',
             user: {
                 id: user.id,
                 name: user.name,
-                phoneNumber: user.phone_number || user.phoneNumber,
-                companyName: user.company_name || user.companyName,
-                fakeAccountNumber: user.fake_account_number || user.fakeAccountNumber,
-                fakeAccountBalance: user.fake_account_balance || user.fakeAccountBalance,
-                loanApplicationStatus: user.loan_application_status || user.loanApplicationStatus,
-                fraudScenario: Boolean(user.fraud_scenario || user.fraudScenario)
+                phoneNumber: user.phoneNumber,
+                companyName: user.companyName,
+                fakeAccountNumber: user.fakeAccountNumber,
+                fakeAccountBalance: user.fakeAccountBalance,
+                loanApplicationStatus: user.loanApplicationStatus,
+                fraudScenario: user.fraudScenario
             },
+            accounts,
             demoNumber: process.env.DEMO_CALL_NUMBER || '+1-XXX-XXX-XXXX'
         });
 
@@ -250,13 +308,17 @@ router.get('/api/user/:phoneNumber', async (req, res) => {
         }
 
         // Get additional user data
-        const [loanApplications, transactions] = await Promise.all([
+        const [loanApplications, transactions, accounts, cards] = await Promise.all([
             databaseManager.getUserLoanApplications(user.id),
-            databaseManager.getUserTransactions(user.id, 5)
+            databaseManager.getUserTransactions(user.id, 5),
+            databaseManager.getUserAccounts(user.id),
+            databaseManager.getUserCards(user.id)
         ]);
 
         res.json({
             user,
+            accounts,
+            cards,
             loanApplications,
             recentTransactions: transactions
         });
@@ -267,28 +329,50 @@ router.get('/api/user/:phoneNumber', async (req, res) => {
     }
 });
 
-// Admin dashboard - list all registered users
-router.get('/api/admin/users', async (req, res) => {
+// Search a user's transactions (demo staff only): GET /api/users/1/transactions?merchant=amazon&period=last_month&limit=20
+// Filters: from, to, period, merchant, category, text, minAmount, maxAmount, type, status, account, sort, limit, offset
+router.get('/api/users/:id/transactions', requireAdmin, async (req, res) => {
     try {
-        // Simple auth check - in production, use proper authentication
-        const authHeader = req.headers.authorization;
-        if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_TOKEN || 'demo-admin-token'}`) {
-            return res.status(401).json({ error: 'Unauthorized' });
+        const user = await databaseManager.getUserById(Number(req.params.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
+        const result = await transactionSearchService.search(user, req.query);
+        if (!result.success) {
+            return res.status(400).json({ error: result.message });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Transaction search error:', error);
+        res.status(500).json({ error: 'Failed to search transactions' });
+    }
+});
+
+// Spending analytics (demo staff only): GET /api/users/1/spending?months=3 (calendar months before the current one, max 12)
+router.get('/api/users/:id/spending', requireAdmin, async (req, res) => {
+    const months = spendingService.parseMonths(req.query.months);
+    if (months === null) {
+        return res.status(400).json({ error: 'months must be a whole number between 1 and 12' });
+    }
+
+    try {
+        const user = await databaseManager.getUserById(Number(req.params.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(await spendingService.getAnalytics(user, { months }));
+    } catch (error) {
+        console.error('Spending analytics error:', error);
+        res.status(500).json({ error: 'Failed to compute spending analytics' });
+    }
+});
+
+// Admin dashboard - list all registered users
+router.get('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
         // Get all users with basic info
-        const users = await new Promise((resolve, reject) => {
-            databaseManager.db.all(
-                `SELECT id, name, phoneNumber, companyName, fakeAccountNumber, 
-                        fakeAccountBalance, loanApplicationStatus, fraudScenario,
-                        registeredAt, lastCallAt, callCount 
-                 FROM users ORDER BY registeredAt DESC`,
-                (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                }
-            );
-        });
+        const users = await databaseManager.getAllUsers();
 
         res.json({ users });
 
@@ -329,25 +413,14 @@ router.get('/api/health', async (req, res) => {
 
 // Demo scenarios info endpoint
 // Voice webhook endpoints for Infobip Voice API
-router.post('/webhook/voice', async (req, res) => {
+router.post('/webhook/voice', verifyWebhook('infobip'), async (req, res) => {
     try {
         const event = req.body;
         console.log('📞 Received Infobip Voice event:', event.type, event.callId);
         console.log('🔍 Full webhook payload:', safeStringify(event, 2));
 
-        switch (event.type) {
-            case 'CALL_RECEIVED':
-                await callsHandler.handleCallReceived(event);
-                break;
-                
-            case 'CALL_HANGUP':
-            case 'CALL_FINISHED':
-                await callsHandler.handleCallHangup(event);
-                break;
-                
-            default:
-                console.log(`ℹ️  Unhandled voice event type: ${event.type}`);
-        }
+        // Recorded against the call, then applied to its session and log (see CallsHandler.handleVoiceEvent)
+        await callsHandler.handleVoiceEvent(event);
         
         res.status(200).send('OK');
         
@@ -358,9 +431,10 @@ router.post('/webhook/voice', async (req, res) => {
 });
 
 // Call management endpoints
-router.get('/api/calls/active', (req, res) => {
+// Calls in progress with their current state and how they got there (see voice/CallStateMachine.js)
+router.get('/api/calls/active', async (req, res) => {
     try {
-        const activeCalls = callsHandler.getActiveCalls();
+        const activeCalls = await callsHandler.getActiveCalls();
         res.json({ activeCalls });
     } catch (error) {
         console.error('❌ Error getting active calls:', error);
@@ -368,12 +442,84 @@ router.get('/api/calls/active', (req, res) => {
     }
 });
 
+// Every voice webhook event received for a call, oldest first (kept after the call ends)
+// Events carry callers' numbers and call details - demo staff only
+router.get('/api/calls/:callId/events', requireAdmin, async (req, res) => {
+    try {
+        res.json({ callId: req.params.callId, events: await callsHandler.getCallEvents(req.params.callId) });
+    } catch (error) {
+        console.error('❌ Error getting call events:', error);
+        res.status(500).json({ error: 'Failed to get call events' });
+    }
+});
+
+// A call's recording as WAV (see voice/CallRecorder.js): ?track=mixed (default), caller or agent
+// Recordings hold callers' voices - demo staff only
+router.get('/api/calls/:callId/recording', requireAdmin, async (req, res) => {
+    try {
+        const { callId } = req.params;
+        const track = req.query.track || 'mixed';
+        if (!RECORDING_TRACKS.includes(track)) {
+            return res.status(400).json({ error: `track must be one of: ${RECORDING_TRACKS.join(', ')}` });
+        }
+
+        const file = await callRecorder.getRecordingFile(callId, track);
+        if (!file) {
+            return res.status(404).json({ error: 'No recording for this call' });
+        }
+        res.download(file, `${callId}-${track}.wav`, { headers: { 'Content-Type': 'audio/wav' } });
+    } catch (error) {
+        console.error('❌ Error getting call recording:', error);
+        res.status(500).json({ error: 'Failed to get call recording' });
+    }
+});
+
+// A call's transcript (see voice/CallTranscript.js): ?format=json (default), text or vtt
+// Transcripts hold what callers said about their accounts - demo staff only
+router.get('/api/calls/:callId/transcript', requireAdmin, async (req, res) => {
+    try {
+        const { callId } = req.params;
+        const format = req.query.format || 'json';
+        if (!['json', 'text', 'vtt'].includes(format)) {
+            return res.status(400).json({ error: 'format must be one of: json, text, vtt' });
+        }
+
+        const transcript = await callsHandler.getCallTranscript(callId);
+        if (!transcript) {
+            return res.status(404).json({ error: 'No transcript for this call' });
+        }
+        if (format === 'text') {
+            return res.type('text/plain').send(formatTranscriptText(transcript));
+        }
+        if (format === 'vtt') {
+            return res.type('text/vtt').send(formatTranscriptVtt(transcript));
+        }
+        res.json({ callId, ...transcript });
+    } catch (error) {
+        console.error('❌ Error getting call transcript:', error);
+        res.status(500).json({ error: 'Failed to get call transcript' });
+    }
+});
+
+// Webhooks verified and rejected (by reason) since startup, per provider - demo staff only
+router.get('/api/webhooks/verification', requireAdmin, (req, res) => {
+    res.json(getWebhookStats());
+});
+
+// How media streams have been matched to their calls since startup (see voice/CallCorrelator.js)
+router.get('/api/calls/correlation', (req, res) => {
+    res.json(callsHandler.correlator.getStats());
+});
+
 router.post('/api/calls/:callId/transfer', async (req, res) => {
     try {
         const { callId } = req.params;
         const { reason = 'general' } = req.body;
         
         const result = await callsHandler.transferToLiveAgent(callId, reason);
+        if (!result) {
+            return res.status(409).json({ success: false, error: 'Call could not be transferred: not in progress, already transferred or no officer available' });
+        }
         res.json({ success: true, transfer: result });
         
     } catch (error) {
@@ -385,84 +531,19 @@ router.post('/api/calls/:callId/transfer', async (req, res) => {
 // Dynamic knowledge base endpoint for ElevenLabs with real database data
 router.get('/knowledge-base', async (req, res) => {
     try {
-        let users, officers, loanApplications, recentTransactions;
-
-        // Check if we're using PostgreSQL or SQLite
-        if (databaseManager.pool) {
-            // PostgreSQL queries
-            const usersResult = await databaseManager.pool.query(
-                'SELECT * FROM users ORDER BY registered_at DESC'
-            );
-            users = usersResult.rows;
-
-            const officersResult = await databaseManager.pool.query(
-                'SELECT * FROM officers'
-            );
-            officers = officersResult.rows;
-
-            const loanAppsResult = await databaseManager.pool.query(`
-                SELECT la.*, u.name as user_name, u.phone_number as user_phone 
-                FROM loan_applications la 
-                JOIN users u ON la.user_id = u.id 
-                ORDER BY la.applied_at DESC
-            `);
-            loanApplications = loanAppsResult.rows;
-
-            const transactionsResult = await databaseManager.pool.query(`
-                SELECT t.*, u.name as user_name, u.phone_number as user_phone 
-                FROM transactions t 
-                JOIN users u ON t.user_id = u.id 
-                ORDER BY t.transaction_date DESC LIMIT 50
-            `);
-            recentTransactions = transactionsResult.rows;
-        } else {
-            // SQLite queries
-            users = await new Promise((resolve, reject) => {
-                databaseManager.db.all(
-                    `SELECT * FROM users ORDER BY registeredAt DESC`,
-                    (err, rows) => {
-                        if (err) reject(err);
-                        else resolve(rows || []);
-                    }
-                );
-            });
-
-            officers = await new Promise((resolve, reject) => {
-                databaseManager.db.all(
-                    `SELECT * FROM officers`,
-                    (err, rows) => {
-                        if (err) reject(err);
-                        else resolve(rows || []);
-                    }
-                );
-            });
-
-            loanApplications = await new Promise((resolve, reject) => {
-                databaseManager.db.all(
-                    `SELECT la.*, u.name as user_name, u.phoneNumber as user_phone 
-                     FROM loan_applications la 
-                     JOIN users u ON la.userId = u.id 
-                     ORDER BY la.appliedAt DESC`,
-                    (err, rows) => {
-                        if (err) reject(err);
-                        else resolve(rows || []);
-                    }
-                );
-            });
-
-            recentTransactions = await new Promise((resolve, reject) => {
-                databaseManager.db.all(
-                    `SELECT t.*, u.name as user_name, u.phoneNumber as user_phone 
-                     FROM transactions t 
-                     JOIN users u ON t.userId = u.id 
-                     ORDER BY t.transactionDate DESC LIMIT 50`,
-                    (err, rows) => {
-                        if (err) reject(err);
-                        else resolve(rows || []);
-                    }
-                );
-            });
-        }
+        const [users, officers, recentTransactions] = await Promise.all([
+            databaseManager.getAllUsers(),
+            officerService.listOfficers(),
+            databaseManager.getRecentTransactions(50)
+        ]);
+        const [accountsByUser, cardsByUser, suspiciousByUser, spendingByUser, loansByUser, quotesByUser] = await Promise.all([
+            Promise.all(users.map(user => databaseManager.getUserAccounts(user.id))),
+            Promise.all(users.map(user => databaseManager.getUserCards(user.id))),
+            Promise.all(users.map(user => databaseManager.getSuspiciousTransactions(user.id))),
+            Promise.all(users.map(user => spendingService.getAnalytics(user))),
+            Promise.all(users.map(user => loanService.getUserLoans(user))),
+            Promise.all(users.map(user => loanService.getUserQuotes(user)))
+        ]);
 
         // Create comprehensive knowledge base content
         const knowledgeBase = `# Infobip Capital Banking - Live Customer Database
@@ -484,55 +565,60 @@ router.get('/knowledge-base', async (req, res) => {
 
 ## Customer Accounts Database
 
-${users.map(user => {
-    const userLoanApps = loanApplications.filter(loan => 
-        (loan.userId === user.id) || (loan.user_id === user.id)
-    );
-    const userTransactions = recentTransactions.filter(tx => 
-        (tx.userId === user.id) || (tx.user_id === user.id)
-    ).slice(0, 5);
-    
-    // Handle both PostgreSQL (snake_case) and SQLite (camelCase) field names
-    const phone = user.phone_number || user.phoneNumber;
-    const company = user.company_name || user.companyName;
-    const accountNumber = user.fake_account_number || user.fakeAccountNumber;
-    const balance = user.fake_account_balance || user.fakeAccountBalance;
-    const registered = user.registered_at || user.registeredAt;
-    const callCount = user.call_count || user.callCount || 0;
-    const lastCall = user.last_call_at || user.lastCallAt;
-    const fraudFlag = user.fraud_scenario || user.fraudScenario;
-    
+${users.map((user, index) => {
+    const userAccounts = accountsByUser[index];
+    const userCards = cardsByUser[index].filter(card => card.status !== CARD_STATUS.CLOSED);
+    const userSuspicious = suspiciousByUser[index];
+    const userLoanApps = loansByUser[index].loans;
+    const userTransactions = recentTransactions.filter(tx => tx.userId === user.id).slice(0, 5);
+
     return `### Customer: ${user.name}
-**Phone:** ${phone}  
-**Company:** ${company}  
-**Account Number:** ${accountNumber}  
-**Current Balance:** $${parseFloat(balance).toLocaleString('en-US', { minimumFractionDigits: 2 })}  
-**Registered:** ${new Date(registered).toLocaleDateString()}  
-**Total Calls Made:** ${callCount}  
-**Last Call:** ${lastCall ? new Date(lastCall).toLocaleDateString() : 'Never'}  
-**Fraud Flag:** ${fraudFlag ? 'YES - REQUIRES IMMEDIATE AGENT TRANSFER' : 'No'}  
+**Phone:** ${user.phoneNumber}  
+**Company:** ${user.companyName}  
+**Account Number:** ${user.fakeAccountNumber}  
+**Current Balance:** $${user.fakeAccountBalance.toLocaleString('en-US', { minimumFractionDigits: 2 })}  
+**Available Balance:** $${user.availableBalance.toLocaleString('en-US', { minimumFractionDigits: 2 })}${user.pendingDebits < 0 ? ` (pending charges: $${Math.abs(user.pendingDebits).toFixed(2)})` : ''}  
+**Registered:** ${new Date(user.registeredAt).toLocaleDateString()}  
+**Total Calls Made:** ${user.callCount}  
+**Last Call:** ${user.lastCallAt ? new Date(user.lastCallAt).toLocaleDateString() : 'Never'}  
+**Fraud Flag:** ${user.fraudScenario ? 'YES - REQUIRES IMMEDIATE AGENT TRANSFER' : 'No'}  
+
+**Accounts:**
+${userAccounts.map(account => {
+    const type = ACCOUNT_TYPES[account.accountType];
+    const amount = type && type.liability
+        ? `$${Math.abs(account.ledgerBalance).toLocaleString('en-US', { minimumFractionDigits: 2 })} owed`
+        : `$${account.ledgerBalance.toLocaleString('en-US', { minimumFractionDigits: 2 })} (available $${account.availableBalance.toLocaleString('en-US', { minimumFractionDigits: 2 })})`;
+    return `- ${getDisplayName(account)} (${type ? type.label : account.accountType}, ${account.accountNumber}): ${amount}`;
+}).join('\n')}
 
+**Cards:**
+${userCards.length > 0 ? userCards.map(card => `- ${describeCard(card)}: ${card.status.toUpperCase()}${card.replacesCardId ? ' (replacement)' : ''} - expires ${String(card.expiryMonth).padStart(2, '0')}/${card.expiryYear}`).join('\n') : '- No cards on file'}
+${userSuspicious.length > 0 ? `
+**Suspicious Transactions:**
+${userSuspicious.map(tx => {
+    const card = cardsByUser[index].find(c => c.id === tx.cardId);
+    return `- ${new Date(tx.transactionDate).toLocaleString('en-US')}: ${tx.description} - $${Math.abs(tx.amount).toFixed(2)}${tx.status === 'pending' ? ' (Pending)' : ''}${card ? ` on ${describeCard(card)} (${card.status})` : ''}`;
+}).join('\n')}
+` : ''}
+**Spending:** ${spendingByUser[index].summary}
+${spendingByUser[index].monthOverMonth ? `
+**Month-over-Month (${spendingByUser[index].monthOverMonth.label}):**
+${spendingByUser[index].monthOverMonth.categories.slice(0, 5).map(c => `- ${c.category}: $${c.total.toLocaleString('en-US', { minimumFractionDigits: 2 })} vs $${c.previousTotal.toLocaleString('en-US', { minimumFractionDigits: 2 })}`).join('\n')}
+` : ''}
 **Loan Applications:**
-${userLoanApps.length > 0 ? userLoanApps.map(loan => {
-    const loanType = loan.loan_type || loan.loanType;
-    const loanAmount = loan.loan_amount || loan.loanAmount;
-    const nextStep = loan.next_step || loan.nextStep;
-    const assignedOfficer = loan.assigned_officer || loan.assignedOfficer;
-    const appliedAt = loan.applied_at || loan.appliedAt;
-    
-    return `- ${loanType}: $${parseFloat(loanAmount).toLocaleString('en-US')} - Status: ${loan.status}
-  Next Step: ${nextStep}
-  Assigned Officer: ${assignedOfficer}
-  Applied: ${new Date(appliedAt).toLocaleDateString()}`;
-}).join('\n') : '- No active loan applications'}
-
+${userLoanApps.length > 0 ? userLoanApps.map(loan => `- #${loan.loanId} ${loan.loanType}: $${loan.loanAmount.toLocaleString('en-US')} - Status: ${loan.statusLabel} since ${new Date(loan.since).toLocaleDateString()}
+  Why: ${loan.reason}
+  Next Step: ${loan.nextStep}${loan.expectedBy ? ` (expected by ${new Date(loan.expectedBy).toLocaleDateString()})` : ''}
+  Terms: ${loan.termMonths} months at ${loan.interestRate}% APR, $${loan.monthlyPayment.toLocaleString('en-US', { minimumFractionDigits: 2 })}/month
+  Assigned Officer: ${loan.assignedOfficer}
+  History: ${loan.history.map(event => `${new Date(event.date).toLocaleDateString()} ${event.event}`).join(', ')}`).join('\n') : '- No active loan applications'}
+${quotesByUser[index].quotes.length > 0 ? `
+**Loan Quotes:**
+${quotesByUser[index].quotes.map(quote => `- ${formatQuote(quote)}`).join('\n')}
+` : ''}
 **Recent Transaction History:**
-${userTransactions.length > 0 ? userTransactions.map(tx => {
-    const transactionDate = tx.transaction_date || tx.transactionDate;
-    const transactionType = tx.transaction_type || tx.transactionType;
-    
-    return `- ${new Date(transactionDate).toLocaleDateString()}: ${tx.description} - $${Math.abs(parseFloat(tx.amount)).toFixed(2)} ${transactionType === 'credit' ? '(Credit)' : '(Debit)'} [${tx.category}]`;
-}).join('\n') : '- No recent transactions'}
+${userTransactions.length > 0 ? userTransactions.map(tx => `- ${new Date(tx.transactionDate).toLocaleDateString()}: ${tx.description} - $${Math.abs(tx.amount).toFixed(2)} ${tx.transactionType === 'credit' ? '(Credit)' : '(Debit)'}${tx.status === 'pending' ? ' (Pending)' : ''} [${tx.category}]`).join('\n') : '- No recent transactions'}
 
 ---
 `;
@@ -540,15 +626,13 @@ ${userTransactions.length > 0 ? userTransactions.map(tx => {
 
 ## Bank Officers & Specialists
 
-${officers.map(officer => {
-    const phoneNumber = officer.phone_number || officer.phoneNumber;
-    
-    return `### ${officer.name} - ${officer.department}
+${officers.filter(officer => officer.active).map(officer => `### ${officer.name} - ${officer.department}
 **Specialization:** ${officer.specialization}  
-**Phone:** ${phoneNumber}  
+**Skills:** ${officer.skills.map(skill => OFFICER_SKILLS[skill]).join(', ')}  
+**Hours:** ${describeOfficerSchedule(officer, officer.availability)}  
+**Phone:** ${officer.phoneNumber || 'Main line'}  
 **Email:** ${officer.email}  
-`;
-}).join('\n')}
+`).join('\n')}
 
 ## IMPORTANT: Security & Verification Protocols
 
@@ -577,23 +661,63 @@ ${officers.map(officer => {
 
 ### Balance Inquiries
 - Always provide the exact current balance from the database
+- If the available balance differs, explain it is lower because of pending card charges
+- Customers may hold several accounts (checking, savings, credit card, loan) listed under **Accounts:**
+- Match the account the caller names ("my savings", "the rainy day fund") by type or nickname
+- For credit cards and loans quote the amount owed, not a balance available
 - Include account number for reference
 - Mention any recent significant transactions if relevant
 - NO additional verification needed beyond name/phone confirmation
 
+### Transaction History
+- The knowledge base only lists the latest transactions; use search_transactions for anything older or more specific
+- Pass what the caller asked for: merchant ("Amazon"), category ("Groceries"), period ("last_month") or dates, amount range, debit/credit
+- Answer from the returned message and summary totals (they cover every match, not just the transactions returned)
+- Read out at most a few individual transactions unless the caller asks for more
+
+### Budgeting & Spending Insights
+- Each customer's **Spending:** line has last month's total and top categories, this month so far, top merchants and unusual spend
+- Use it for "how much did I spend last month?", "where does my money go?" or "am I spending more than usual?"
+- For a specific merchant, category or date range use search_transactions
+- Point out unusual spend; if a charge is flagged as suspected fraud, follow the fraud protocol
+
+### Transfers & Payments
+- Use prepare_transfer for transfers between the caller's accounts or payments to their saved payees
+- Read the returned read_back to the caller word for word and wait for a clear "yes"
+- Only then call confirm_transfer with confirmed=true; on "no" or hesitation call it with confirmed=false
+- Never tell the caller money has moved until confirm_transfer reports status "completed"
+
+### Card Services
+- Each customer's cards and their status are listed under **Cards:**; use list_cards for the live status
+- freeze_card blocks new purchases temporarily; unfreeze_card lifts it
+- report_card_lost blocks a lost or stolen card permanently - then offer order_replacement_card
+- A card ordered as a replacement arrives within 5 business days
+- Ordering a replacement for an active or frozen card closes the old card, so confirm first
+- Never read out more than the last four digits of a card
+
 ### Loan Status Updates
-- Provide current status from loan_applications table
-- Include next steps and assigned officer information
-- Give realistic timelines based on status
+- Each customer's applications are listed under **Loan Applications:**; use get_loan_status for the live status
+- Explain why the application is where it is (Why:) and what happens next, with the expected date when there is one
+- Applications go: submitted -> under review -> (documents requested ->) approved or declined -> funded
+- If documents were requested, name them exactly; the review resumes as soon as they arrive
+- Once funded, quote the next payment and its due date; never promise an approval before the decision
 - Share loan officer contact information when helpful
 
+### Loan Pre-qualification
+- When a caller asks what they could borrow or what a loan would cost, use quote_loan with the product, amount and term
+- Quotes are indicative, based on their income and existing debt, with no credit check - say so, and that applying is a separate step
+- If they qualify for less than they asked, offer the smaller amount and explain why
+- Earlier quotes are listed under **Loan Quotes:**; use get_loan_quotes when a caller refers back to one, and mention if it has expired
+
 ### Fraud Prevention Protocol
 **CRITICAL:** If customer has fraud_scenario = true, immediately:
 1. Acknowledge their concern professionally
 2. Inform them you're transferring to our fraud specialist
-3. DO NOT discuss account details over the phone
-4. Transfer to Sarah Johnson in Fraud Prevention (+15553728321)
-5. NO additional verification needed - fraud scenarios get immediate escalation
+3. Name the charge listed under **Suspicious Transactions:** and the card it was made on, and ask if they recognize it
+4. If they don't, offer to freeze that card (freeze_card) before transferring
+5. DO NOT discuss other account details over the phone
+6. Transfer to Fraud Prevention - the call goes to whichever fraud specialist is on shift and free (see Bank Officers & Specialists)
+7. NO additional verification needed - fraud scenarios get immediate escalation
 
 ### Transaction Inquiries
 - Reference specific transactions from the database
@@ -620,7 +744,9 @@ ${officers.map(officer => {
 3. **Fraud Alert & Agent Transfer** - Handle fraud reports with immediate escalation
 4. **Transaction History** - Review recent account activity
 5. **Account Activation** - Activate new customer accounts
-6. **General Banking Support** - Handle various banking questions
+6. **Card Services** - Freeze, unfreeze, report lost or replace a card
+7. **Spending Insights** - Monthly spend by category, top merchants and unusual spending
+8. **General Banking Support** - Handle various banking questions
 
 ---
 *This knowledge base is dynamically generated from live database at ${new Date().toISOString()}*`;
@@ -677,6 +803,26 @@ router.get('/api/scenarios', (req, res) => {
                 "How do I activate my account?"
             ]
         },
+        {
+            id: 'card_services',
+            name: 'Card Services',
+            description: 'Freeze, unfreeze, report lost or replace a card',
+            samplePhrases: [
+                "Can you freeze my debit card?",
+                "I lost my card",
+                "I need a replacement card"
+            ]
+        },
+        {
+            id: 'spending_insights',
+            name: 'Spending Insights',
+            description: 'Budgeting questions answered from spending by category and merchant',
+            samplePhrases: [
+                "How much did I spend last month?",
+                "What am I spending the most on?",
+                "Am I spending more than usual on dining out?"
+            ]
+        },
         {
             id: 'voice_registration',
             name: 'Voice Registration',
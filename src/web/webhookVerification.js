@@ -0,0 +1,222 @@
+/**
+ * Webhook verification - Signed, fresh and not-seen-before webhooks only
+ *
+ * verifyWebhook(provider, options) is route middleware. A request passes when it carries a valid HMAC
+ * signature from the provider's secret, its timestamp is within the tolerance window, and that exact
+ * delivery (signature and timestamp) hasn't been accepted before. A provider may send several webhooks
+ * for one call or conversation, so event IDs don't identify a delivery; the replay cache remembers
+ * deliveries for longer than the window, so anything older is refused as stale instead.
+ *
+ * Providers:
+ * - elevenlabs - `ElevenLabs-Signature: t=<unix seconds>,v0=<hex HMAC-SHA256 of "t.body">`,
+ *   secret ELEVENLABS_WEBHOOK_SECRET
+ * - infobip - `X-Signature: <hex HMAC-SHA256 of "timestamp.body">` with `X-Timestamp`,
+ *   secret VOICE_WEBHOOK_SECRET (header names can be changed per route to match the subscription)
+ *
+ * Without a secret, webhooks are let through with a warning logged at startup (local demos) unless
+ * verification is required - WEBHOOK_VERIFICATION_REQUIRED=true, or `required` on the route - in which
+ * case they are refused. Rejections answer 401 and are counted by reason (see getStats()).
+ */
+
+const { createHmac, timingSafeEqual } = require('crypto');
+
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+const REPLAY_CACHE_LIMIT = 10000;
+
+const REJECTION_REASONS = {
+    NOT_CONFIGURED: 'not_configured', // verification required but no secret set
+    MISSING_SIGNATURE: 'missing_signature',
+    BAD_SIGNATURE: 'bad_signature',
+    STALE_TIMESTAMP: 'stale_timestamp',
+    REPLAYED: 'replayed'
+};
+
+const PROVIDERS = {
+    elevenlabs: {
+        secretEnv: 'ELEVENLABS_WEBHOOK_SECRET',
+        // Timestamp and signature travel together in one header
+        readSignature(req) {
+            const header = req.headers['elevenlabs-signature'];
+            if (!header) {
+                return null;
+            }
+            const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+            return { timestamp: parts.t, signature: parts.v0 };
+        }
+    },
+    infobip: {
+        secretEnv: 'VOICE_WEBHOOK_SECRET',
+        signatureHeader: 'x-signature',
+        timestampHeader: 'x-timestamp',
+        readSignature(req, options) {
+            const signature = req.headers[options.signatureHeader];
+            if (!signature) {
+                return null;
+            }
+            return { timestamp: req.headers[options.timestampHeader], signature: signature.replace(/^sha256=/, '') };
+        }
+    }
+};
+
+// Deliveries accepted recently, each remembered until it could no longer pass the timestamp check
+class ReplayCache {
+    constructor(limit = REPLAY_CACHE_LIMIT) {
+        this.limit = limit;
+        this.entries = new Map();
+    }
+
+    /**
+     * Remember a key unless it is already known
+     * @returns {boolean} - false if the key was seen before
+     */
+    add(key, ttlMs, now = Date.now()) {
+        const expiresAt = this.entries.get(key);
+        if (expiresAt !== undefined && expiresAt > now) {
+            return false;
+        }
+        this.prune(now);
+        this.entries.set(key, now + ttlMs);
+        return true;
+    }
+
+    // Drop expired keys, then the oldest ones if the cache is still full
+    prune(now) {
+        for (const [key, expiresAt] of this.entries) {
+            if (expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+        while (this.entries.size >= this.limit) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+const replayCache = new ReplayCache();
+const stats = {};
+
+function statsFor(provider) {
+    if (!stats[provider]) {
+        stats[provider] = {
+            verified: 0,
+            unverifiedAllowed: 0,
+            rejected: Object.fromEntries(Object.values(REJECTION_REASONS).map(reason => [reason, 0]))
+        };
+    }
+    return stats[provider];
+}
+
+// Unix seconds or milliseconds, or an ISO date
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+$/.test(String(value))) {
+        const number = Number(value);
+        return number < 1e12 ? number * 1000 : number;
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(String(received), 'hex');
+    return expectedBuffer.length === receivedBuffer.length && timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Route middleware verifying a provider's webhooks
+ * @param {string} provider - 'elevenlabs' or 'infobip'
+ * @param {object} [options] - { toleranceMs, required, signatureHeader, timestampHeader }; `required`
+ *   rejects requests when no secret is configured (default: WEBHOOK_VERIFICATION_REQUIRED)
+ * @returns {Function} - Express middleware
+ * @throws {Error} - For an unknown provider
+ */
+function verifyWebhook(provider, options = {}) {
+    const definition = PROVIDERS[provider];
+    if (!definition) {
+        throw new Error(`Unknown webhook provider "${provider}"`);
+    }
+    const settings = {
+        toleranceMs: Number(process.env.WEBHOOK_TOLERANCE_MS) || DEFAULT_TOLERANCE_MS,
+        required: (process.env.WEBHOOK_VERIFICATION_REQUIRED || 'false').toLowerCase() === 'true',
+        signatureHeader: definition.signatureHeader,
+        timestampHeader: definition.timestampHeader,
+        ...options
+    };
+    const counters = statsFor(provider);
+    let warned = false;
+
+    // Routes are set up at startup, so a deploy missing its secret says so before the first webhook arrives
+    if (!process.env[definition.secretEnv]) {
+        console.warn(settings.required
+            ? `[Webhooks] ⚠️  ${definition.secretEnv} is not set - every ${provider} webhook will be rejected until it is`
+            : `[Webhooks] ⚠️  ${definition.secretEnv} is not set - ${provider} webhooks are accepted unverified ` +
+                '(set it, and WEBHOOK_VERIFICATION_REQUIRED=true to refuse unsigned webhooks)');
+        warned = true;
+    }
+
+    const reject = (res, reason) => {
+        counters.rejected[reason]++;
+        console.warn(`[Webhooks] 🚫 Rejected ${provider} webhook (${reason})`);
+        return res.status(401).json({ error: 'Webhook verification failed' });
+    };
+
+    return (req, res, next) => {
+        const secret = process.env[definition.secretEnv];
+        if (!secret) {
+            if (settings.required) {
+                return reject(res, REJECTION_REASONS.NOT_CONFIGURED);
+            }
+            if (!warned) {
+                console.warn(`[Webhooks] ⚠️  ${definition.secretEnv} is not set - ${provider} webhooks are not verified`);
+                warned = true;
+            }
+            counters.unverifiedAllowed++;
+            return next();
+        }
+
+        const received = definition.readSignature(req, settings);
+        if (!received || !received.signature) {
+            return reject(res, REJECTION_REASONS.MISSING_SIGNATURE);
+        }
+
+        // The timestamp is part of what's signed, so it is checked only once the signature holds
+        const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+        const expected = createHmac('sha256', secret).update(`${received.timestamp}.${body}`).digest('hex');
+        if (!signaturesMatch(expected, received.signature)) {
+            return reject(res, REJECTION_REASONS.BAD_SIGNATURE);
+        }
+
+        const timestamp = parseTimestamp(received.timestamp);
+        if (timestamp === null || Math.abs(Date.now() - timestamp) > settings.toleranceMs) {
+            return reject(res, REJECTION_REASONS.STALE_TIMESTAMP);
+        }
+
+        // The signature covers the timestamp and body, so together they identify this one delivery
+        if (!replayCache.add(`${provider}:${received.timestamp}:${received.signature}`, settings.toleranceMs * 2)) {
+            return reject(res, REJECTION_REASONS.REPLAYED);
+        }
+
+        counters.verified++;
+        next();
+    };
+}
+
+/**
+ * Verification counters since startup, by provider
+ */
+function getStats() {
+    return Object.fromEntries(Object.entries(stats).map(([provider, counters]) => {
+        const rejected = Object.values(counters.rejected).reduce((sum, count) => sum + count, 0);
+        return [provider, { ...counters, rejected: { total: rejected, ...counters.rejected } }];
+    }));
+}
+
+module.exports = {
+    REJECTION_REASONS,
+    ReplayCache,
+    verifyWebhook,
+    getStats
+};
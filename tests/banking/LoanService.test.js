@@ -0,0 +1,163 @@
+const FinTechRepository = require('../../src/database/FinTechRepository');
+const InMemoryFinTechManager = require('../../src/database/MemoryManager');
+const { LoanService } = require('../../src/banking/LoanService');
+const { buildLoanApplication } = require('../../src/banking/loans');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let repository;
+let loans;
+let user;
+
+async function checkingBalance() {
+    return (await repository.getAccountBalance(user.fakeAccountNumber)).ledgerBalance;
+}
+
+// An application submitted at `appliedAt` that underwriting will decide as `plannedDecision`
+async function submit(plannedDecision, appliedAt = new Date().toISOString()) {
+    const { loan, events } = buildLoanApplication({
+        userId: user.id,
+        loanType: 'Personal Loan',
+        loanAmount: 15000,
+        termMonths: 36,
+        plannedDecision,
+        appliedAt
+    });
+    return repository.createLoanApplication(loan, events);
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+    repository = new FinTechRepository(new InMemoryFinTechManager());
+    await repository.initialize();
+    loans = new LoanService(repository);
+    user = await repository.registerUser({
+        name: 'Ada Lovelace',
+        phoneNumber: '+12125550199',
+        companyName: 'Analytical Engines',
+        fakeAccountBalance: 5000,
+        loanApplicationStatus: 'None',
+        fraudScenario: false,
+        accounts: []
+    });
+});
+
+describe('LoanService.apply', () => {
+    test('submits an application assigned to a loan officer', async () => {
+        const result = await loans.apply(user, { loanType: 'Personal Loan', loanAmount: '15000' });
+
+        expect(result.success).toBe(true);
+        expect(result.loan).toMatchObject({ status: 'submitted', loanAmount: 15000, termMonths: 36 });
+        expect(result.loan.assignedOfficer).not.toBe('Loan Services');
+        expect(result.loan.history).toEqual([expect.objectContaining({ event: 'submitted', status: 'submitted' })]);
+    });
+
+    test.each([
+        [{ loanType: 'Boat Loan', loanAmount: 15000 }, 'Unknown loan type'],
+        [{ loanType: 'Personal Loan' }, 'loanAmount is required.'],
+        [{ loanType: 'Personal Loan', loanAmount: 'lots' }, 'loanAmount must be a number.'],
+        [{ loanType: 'Personal Loan', loanAmount: 500 }, 'Personal Loan applications start at $1,000.00.'],
+        [{ loanType: 'Personal Loan', loanAmount: 15000, termMonths: 13 }, 'Personal Loan terms are 24, 36, 48, 60 months.']
+    ])('refuses %p', async (request, message) => {
+        const result = await loans.apply(user, request);
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain(message);
+        expect(await repository.getUserLoanApplications(user.id)).toEqual([]);
+    });
+});
+
+describe('LoanService staff actions', () => {
+    test('walks an application from review to funding and pays it into checking', async () => {
+        const before = await checkingBalance();
+        let loan = await submit('approve');
+
+        for (const action of ['start_review', 'request_documents', 'receive_documents', 'approve', 'fund']) {
+            const result = await loans.applyAction(loan, action, { actor: 'staff' });
+            expect(result.success).toBe(true);
+            loan = await repository.getLoanApplication(loan.id);
+        }
+
+        expect(loan.status).toBe('funded');
+        expect(loan.firstPaymentDate).not.toBeNull();
+        expect(await checkingBalance()).toBe(before + 15000);
+        expect((await repository.getLoanEvents(loan.id)).map(event => event.eventType))
+            .toEqual(['submitted', 'start_review', 'request_documents', 'receive_documents', 'approve', 'fund']);
+    });
+
+    test('refuses an action the status does not allow', async () => {
+        const loan = await submit('approve');
+        const result = await loans.applyAction(loan, 'fund');
+
+        expect(result).toMatchObject({ success: false, message: `Loan application ${loan.id} is submitted, so it can't be funded.` });
+        expect((await repository.getLoanApplication(loan.id)).status).toBe('submitted');
+    });
+
+    test('treats a repeated action as done', async () => {
+        const loan = await submit('approve');
+        await loans.applyAction(loan, 'start_review');
+        const repeat = await loans.applyAction(await repository.getLoanApplication(loan.id), 'start_review');
+
+        expect(repeat).toMatchObject({ success: true, message: `Loan application ${loan.id} is already put under review.` });
+        expect(await repository.getLoanEvents(loan.id)).toHaveLength(2);
+    });
+
+    test('applies only one of two actions decided from the same status', async () => {
+        const loan = await submit('approve');
+        await loans.applyAction(loan, 'start_review');
+        const reviewing = await repository.getLoanApplication(loan.id);
+
+        const [approved, declined] = await Promise.all([
+            loans.applyAction(reviewing, 'approve'),
+            loans.applyAction(reviewing, 'decline')
+        ]);
+
+        expect([approved.success, declined.success].sort()).toEqual([false, true]);
+        expect((await repository.getLoanEvents(loan.id)).filter(event => ['approve', 'decline'].includes(event.eventType))).toHaveLength(1);
+    });
+});
+
+describe('LoanService automatic progression', () => {
+    test('applies every step that has fallen due, dated when it fell due', async () => {
+        const appliedAt = new Date('2026-10-01T09:00:00.000Z');
+        const before = await checkingBalance();
+        const loan = await submit('approve', appliedAt.toISOString());
+
+        const current = await loans.advanceLoan(loan, new Date(appliedAt.getTime() + 200 * HOUR_MS));
+
+        expect(current.status).toBe('funded');
+        expect(current.fundedAt).toBe('2026-10-07T09:00:00.000Z');
+        expect((await repository.getLoanEvents(loan.id)).map(event => [event.eventType, event.createdAt])).toEqual([
+            ['submitted', '2026-10-01T09:00:00.000Z'],
+            ['start_review', '2026-10-02T09:00:00.000Z'],
+            ['approve', '2026-10-05T09:00:00.000Z'],
+            ['fund', '2026-10-07T09:00:00.000Z']
+        ]);
+        expect(await checkingBalance()).toBe(before + 15000);
+    });
+
+    test('waits for the customer\'s documents', async () => {
+        const appliedAt = new Date('2026-10-01T09:00:00.000Z');
+        const loan = await submit('documents', appliedAt.toISOString());
+
+        const current = await loans.advanceLoan(loan, new Date(appliedAt.getTime() + 1000 * HOUR_MS));
+
+        expect(current.status).toBe('documents_requested');
+        expect(await loans.advanceDueLoans(new Date(appliedAt.getTime() + 2000 * HOUR_MS))).toBe(0);
+    });
+
+    test('brings applications up to date when they are read', async () => {
+        await submit('decline', new Date(Date.now() - 200 * HOUR_MS).toISOString());
+        const { loans: explanations, message } = await loans.getUserLoans(user);
+
+        expect(explanations[0].status).toBe('declined');
+        expect(message).toContain('Declined:');
+    });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FinTechRepository = require('../../src/database/FinTechRepository');
+const InMemoryFinTechManager = require('../../src/database/MemoryManager');
+const sqliteManager = require('../../src/database/databaseManager');
+const { TransactionSearchService } = require('../../src/banking/TransactionSearchService');
+
+const drivers = {
+    memory: () => new InMemoryFinTechManager(),
+    sqlite: (directory) => new sqliteManager.constructor(path.join(directory, 'test.db'))
+};
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe.each(Object.keys(drivers))('TransactionSearchService on the %s driver', (driverName) => {
+    let directory;
+    let repository;
+    let search;
+    let user;
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'transaction-search-'));
+        repository = new FinTechRepository(drivers[driverName](directory));
+        await repository.initialize();
+        search = new TransactionSearchService(repository);
+        user = await repository.registerUser({
+            name: 'Ada Lovelace',
+            phoneNumber: '+12125550199',
+            companyName: 'Analytical Engines',
+            fakeAccountBalance: 5000,
+            loanApplicationStatus: 'None',
+            fraudScenario: false,
+            accounts: [{ type: 'savings' }]
+        });
+
+        const savings = (await repository.getUserAccounts(user.id)).find(account => account.accountType === 'savings');
+        const coffee = (amount, day, extra = {}) => repository.postTransaction(user.id, {
+            description: 'Quokka Coffee Roasters',
+            merchant: 'Quokka Coffee',
+            category: 'Dining',
+            amount,
+            transactionDate: `2026-09-${day}T12:00:00.000Z`,
+            ...extra
+        });
+        await coffee(-4.5, '02');
+        await coffee(-12.25, '10');
+        await coffee(-6, '21', { status: 'pending' });
+        await coffee(20, '22', { description: 'Quokka Coffee Refund' });
+        await coffee(-30, '23', { accountNumber: savings.accountNumber });
+    });
+
+    afterEach(async () => {
+        await repository.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('finds a merchant\'s transactions across accounts with totals', async () => {
+        const result = await search.search(user, { merchant: 'quokka', from: '2026-09-01', to: '2026-09-30' });
+
+        expect(result.success).toBe(true);
+        expect(result.transactions.map(tx => tx.amount)).toEqual([-30, 20, -6, -12.25, -4.5]);
+        expect(result.summary).toMatchObject({ count: 5, totalSpent: 52.75, totalReceived: 20 });
+        expect(result.message).toBe('5 transactions at quokka from Sep 1, 2026 to Sep 30, 2026: $52.75 spent, $20.00 received.');
+    });
+
+    test('pages through the matches', async () => {
+        const first = await search.search(user, { merchant: 'quokka', sort: 'oldest', limit: 2 });
+        const last = await search.search(user, { merchant: 'quokka', sort: 'oldest', limit: 2, offset: 4 });
+
+        expect(first.transactions.map(tx => tx.amount)).toEqual([-4.5, -12.25]);
+        expect(first.pagination).toEqual({ limit: 2, offset: 0, total: 5, nextOffset: 2 });
+        expect(last.transactions.map(tx => tx.amount)).toEqual([-30]);
+        expect(last.pagination.nextOffset).toBeNull();
+        expect(first.summary.totalSpent).toBe(52.75);
+    });
+
+    test('filters by status, type, amount and account', async () => {
+        const pending = await search.search(user, { merchant: 'quokka', status: 'pending' });
+        const credits = await search.search(user, { merchant: 'quokka', type: 'credit' });
+        const large = await search.search(user, { merchant: 'quokka', minAmount: 10, sort: 'largest' });
+        const savings = await search.search(user, { merchant: 'quokka', account: 'savings' });
+
+        expect(pending.transactions.map(tx => tx.amount)).toEqual([-6]);
+        expect(credits.transactions.map(tx => tx.amount)).toEqual([20]);
+        expect(large.transactions.map(tx => tx.amount)).toEqual([-30, 20, -12.25]);
+        expect(savings.transactions.map(tx => tx.amount)).toEqual([-30]);
+    });
+
+    test('explains invalid parameters and unknown accounts instead of searching', async () => {
+        expect(await search.search(user, { limit: 500 })).toEqual({ success: false, message: 'limit must be between 1 and 100' });
+        expect((await search.search(user, { account: 'brokerage' })).message).toContain('couldn\'t tell which account you mean');
+    });
+});
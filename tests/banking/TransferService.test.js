@@ -0,0 +1,144 @@
+process.env.DATABASE_URL = 'memory://';
+
+const DatabaseFactory = require('../../src/database/DatabaseFactory');
+const { TransferService } = require('../../src/banking/TransferService');
+const { roundCents } = require('../../src/database/ledger');
+
+let repository;
+let transfers;
+let user;
+
+async function balances() {
+    const [checking, savings] = await repository.getUserAccounts(user.id);
+    return { checking: checking.ledgerBalance, savings: savings.ledgerBalance };
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+beforeEach(async () => {
+    DatabaseFactory.reset();
+    repository = DatabaseFactory.create();
+    await repository.initialize();
+    transfers = new TransferService(repository);
+    user = await repository.registerUser({
+        name: 'Grace Hopper',
+        phoneNumber: '+12125550199',
+        companyName: 'Compilers Inc',
+        fakeAccountBalance: 5000,
+        loanApplicationStatus: 'None',
+        fraudScenario: false,
+        accounts: [{ type: 'savings' }]
+    });
+});
+
+afterAll(() => {
+    delete process.env.DATABASE_URL;
+    DatabaseFactory.reset();
+    jest.restoreAllMocks();
+});
+
+describe('TransferService idempotency', () => {
+    test('preparing again with the same idempotency key returns the original transfer', async () => {
+        const first = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+        const retry = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+
+        expect(first).toMatchObject({ success: true, status: 'pending_confirmation', amount: 250 });
+        expect(retry).toEqual(first);
+    });
+
+    test.each([
+        ['amount', { to: 'savings', amount: 999 }],
+        ['recipient', { to: 'rent', amount: 250 }],
+        ['memo', { to: 'savings', amount: 250, memo: 'holiday fund' }]
+    ])('refuses the same idempotency key with a different %s', async (field, request) => {
+        const first = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+        const conflict = await transfers.prepareTransfer(user, { ...request, idempotencyKey: 'key-1' });
+
+        expect(conflict).toMatchObject({ success: false, error: 'idempotency_conflict', transferId: first.transferId });
+        expect((await repository.getTransfer(first.transferId)).amount).toBe(250);
+    });
+
+    test('a different idempotency key prepares a separate transfer', async () => {
+        const first = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+        const second = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-2' });
+
+        expect(second.transferId).not.toBe(first.transferId);
+    });
+
+    test('idempotency keys are scoped to the caller', async () => {
+        const other = await repository.registerUser({ ...user, phoneNumber: '+12125550198', accounts: [{ type: 'savings' }] });
+        const mine = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+        const theirs = await transfers.prepareTransfer(other, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+
+        expect(theirs.transferId).not.toBe(mine.transferId);
+        expect((await transfers.confirmTransfer(other, { transferId: mine.transferId, confirmed: true })).success).toBe(false);
+    });
+
+    test('confirming twice moves the money once', async () => {
+        const before = await balances();
+        const { transferId } = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+
+        const confirmed = await transfers.confirmTransfer(user, { transferId, confirmed: true });
+        const again = await transfers.confirmTransfer(user, { transferId, confirmed: true });
+
+        expect(confirmed).toMatchObject({ success: true, status: 'completed' });
+        expect(again).toMatchObject({ success: true, status: 'completed', transferId });
+        expect(await balances()).toEqual({
+            checking: roundCents(before.checking - 250),
+            savings: roundCents(before.savings + 250)
+        });
+    });
+
+    test('concurrent confirmations complete the transfer once', async () => {
+        const before = await balances();
+        const { transferId } = await transfers.prepareTransfer(user, { to: 'savings', amount: 100, idempotencyKey: 'key-1' });
+
+        const results = await Promise.all([
+            transfers.confirmTransfer(user, { transferId, confirmed: true }),
+            transfers.confirmTransfer(user, { transferId, confirmed: true })
+        ]);
+
+        expect(results.map(result => result.status)).toEqual(['completed', 'completed']);
+        expect((await balances()).checking).toBe(roundCents(before.checking - 100));
+    });
+
+    test('a cancelled transfer stays cancelled and moves nothing', async () => {
+        const before = await balances();
+        const { transferId } = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+
+        expect((await transfers.confirmTransfer(user, { transferId, confirmed: false })).status).toBe('cancelled');
+        expect(await transfers.confirmTransfer(user, { transferId, confirmed: true }))
+            .toMatchObject({ success: false, status: 'cancelled' });
+        expect(await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' }))
+            .toMatchObject({ transferId, status: 'cancelled' });
+        expect(await balances()).toEqual(before);
+    });
+});
+
+describe('TransferService confirmation', () => {
+    test('cancels a transfer whose source account was closed after the read-back', async () => {
+        const { transferId } = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+        repository.driver.tables.accounts = repository.driver.tables.accounts
+            .filter(account => account.accountNumber !== user.fakeAccountNumber);
+
+        const result = await transfers.confirmTransfer(user, { transferId, confirmed: true });
+
+        expect(result).toEqual({ success: false, message: expect.stringContaining('couldn\'t tell which account to send from') });
+        expect((await repository.getTransfer(transferId)).status).toBe('cancelled');
+    });
+
+    test('cancels a transfer whose destination account was closed after the read-back', async () => {
+        const before = await balances();
+        const { transferId } = await transfers.prepareTransfer(user, { to: 'savings', amount: 250, idempotencyKey: 'key-1' });
+        repository.driver.tables.accounts = repository.driver.tables.accounts.filter(account => account.accountType !== 'savings');
+
+        const result = await transfers.confirmTransfer(user, { transferId, confirmed: true });
+
+        expect(result.message).toContain('couldn\'t find that recipient');
+        expect((await repository.getTransfer(transferId)).status).toBe('cancelled');
+        expect((await repository.getUserAccounts(user.id))[0].ledgerBalance).toBe(before.checking);
+    });
+});
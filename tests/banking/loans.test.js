@@ -0,0 +1,143 @@
+const {
+    buildAmortizationSchedule,
+    buildLoanApplication,
+    buildLoanTransition,
+    calculateMonthlyPayment,
+    checkLoanTransition,
+    explainLoan,
+    getNextMilestone,
+    getStageHours,
+    planLoanDecision
+} = require('../../src/banking/loans');
+const { createSeededRandom } = require('../../src/utils/seededRandom');
+
+const APPLIED_AT = '2026-10-01T09:00:00.000Z';
+
+function application(overrides = {}) {
+    const { loan } = buildLoanApplication({
+        userId: 1,
+        loanType: 'Personal Loan',
+        loanAmount: 12000,
+        termMonths: 36,
+        assignedOfficer: 'Maria Rodriguez',
+        plannedDecision: 'approve',
+        appliedAt: APPLIED_AT
+    }, createSeededRandom('loans-test'));
+    return { id: 7, ...loan, ...overrides };
+}
+
+afterEach(() => {
+    delete process.env.LOAN_PROGRESSION_SCALE;
+});
+
+describe('repayments', () => {
+    test('calculates a fully amortizing monthly payment', () => {
+        expect(calculateMonthlyPayment(12000, 9.99, 36)).toBe(387.15);
+        expect(calculateMonthlyPayment(1200, 0, 12)).toBe(100);
+    });
+
+    test('builds a schedule that pays the principal off exactly', () => {
+        const schedule = buildAmortizationSchedule({
+            principal: 12000, annualRate: 9.99, termMonths: 36, firstPaymentDate: '2026-01-31T00:00:00.000Z'
+        });
+        const principalPaid = schedule.reduce((sum, row) => sum + row.principal, 0);
+
+        expect(schedule).toHaveLength(36);
+        expect(schedule[35].balance).toBe(0);
+        expect(Math.round(principalPaid * 100) / 100).toBe(12000);
+        expect(schedule.slice(0, 3).map(row => row.dueDate.slice(0, 10))).toEqual(['2026-01-28', '2026-02-28', '2026-03-28']);
+    });
+});
+
+describe('applications', () => {
+    test('start submitted with a rate in the product\'s APR range and a submitted event', () => {
+        const { loan, events } = buildLoanApplication({ userId: 1, loanType: 'Auto Loan', loanAmount: 25000, appliedAt: APPLIED_AT });
+
+        expect(loan).toMatchObject({ status: 'submitted', termMonths: 60, assignedOfficer: 'Loan Services', statusChangedAt: APPLIED_AT });
+        expect(loan.interestRate).toBeGreaterThanOrEqual(5.49);
+        expect(loan.interestRate).toBeLessThanOrEqual(8.99);
+        expect(events).toEqual([expect.objectContaining({ eventType: 'submitted', fromStatus: null, toStatus: 'submitted', actor: 'customer' })]);
+    });
+
+    test('over the product maximum are headed for a decline', () => {
+        expect(planLoanDecision({ loanType: 'Personal Loan', loanAmount: 250000 })).toBe('decline');
+    });
+});
+
+describe('transitions', () => {
+    test.each([
+        ['submitted', 'start_review'],
+        ['under_review', 'request_documents'],
+        ['documents_requested', 'receive_documents'],
+        ['under_review', 'approve'],
+        ['documents_requested', 'decline'],
+        ['approved', 'fund']
+    ])('allow %s -> %s', (status, action) => {
+        expect(checkLoanTransition(application({ status }), action)).toBeNull();
+    });
+
+    test.each([
+        ['submitted', 'approve'],
+        ['approved', 'decline'],
+        ['declined', 'start_review'],
+        ['funded', 'fund']
+    ])('refuse %s -> %s', (status, action) => {
+        expect(checkLoanTransition(application({ status }), action)).toMatch(/^Loan application 7 is .+, so it can't be /);
+    });
+
+    test('refuse unknown actions', () => {
+        expect(checkLoanTransition(application(), 'cancel')).toBe('Unknown loan action: cancel');
+    });
+
+    test('record the decision, documents and funding dates', () => {
+        const at = '2026-10-05T12:00:00.000Z';
+
+        expect(buildLoanTransition(application({ status: 'under_review' }), 'request_documents', { at }).changes.documentsRequested)
+            .toBe('Two recent pay stubs and a photo ID');
+        expect(buildLoanTransition(application({ status: 'under_review' }), 'decline', { at, reason: 'Too much debt' }))
+            .toMatchObject({ changes: { status: 'declined', decisionReason: 'Too much debt' }, event: { fromStatus: 'under_review', note: 'Too much debt' } });
+        expect(buildLoanTransition(application({ status: 'approved' }), 'fund', { at }).changes)
+            .toMatchObject({ status: 'funded', fundedAt: at, firstPaymentDate: '2026-11-05T00:00:00.000Z' });
+    });
+});
+
+describe('automatic progression', () => {
+    test('follows the planned decision, one stage at a time', () => {
+        expect(getNextMilestone(application())).toEqual({ action: 'start_review', dueAt: '2026-10-02T09:00:00.000Z' });
+        expect(getNextMilestone(application({ status: 'under_review' })).action).toBe('approve');
+        expect(getNextMilestone(application({ status: 'under_review', plannedDecision: 'documents' })).action).toBe('request_documents');
+        expect(getNextMilestone(application({ status: 'under_review', plannedDecision: 'documents', documentsRequested: 'ID' })).action).toBe('approve');
+        expect(getNextMilestone(application({ status: 'under_review', plannedDecision: 'decline' })).action).toBe('decline');
+        expect(getNextMilestone(application({ status: 'documents_requested' }))).toBeNull();
+        expect(getNextMilestone(application({ status: 'funded' }))).toBeNull();
+    });
+
+    test('runs faster with LOAN_PROGRESSION_SCALE', () => {
+        process.env.LOAN_PROGRESSION_SCALE = '0.01';
+        expect(getStageHours('under_review')).toBeCloseTo(0.72);
+        expect(getNextMilestone(application()).dueAt).toBe('2026-10-01T09:14:24.000Z');
+    });
+});
+
+describe('explainLoan', () => {
+    test('explains a funded loan with its next payment', () => {
+        const loan = application({
+            status: 'funded',
+            fundedAt: '2026-10-05T12:00:00.000Z',
+            firstPaymentDate: '2026-11-05T00:00:00.000Z',
+            statusChangedAt: '2026-10-05T12:00:00.000Z'
+        });
+        const explanation = explainLoan(loan, [], new Date('2026-12-01T00:00:00.000Z'));
+
+        expect(explanation.nextPayment).toEqual({ dueDate: '2026-12-05T00:00:00.000Z', amount: loan.monthlyPayment });
+        expect(explanation.reason).toBe('$12,000.00 was paid into the primary checking account on Oct 5, 2026.');
+        expect(explanation.message).toContain('Next: Payment 2 of 36');
+    });
+
+    test('lists the documents a paused review is waiting for', () => {
+        const explanation = explainLoan(application({ status: 'documents_requested', documentsRequested: 'A photo ID' }));
+
+        expect(explanation.reason).toBe('The review is paused until the bank receives: A photo ID.');
+        expect(explanation.expectedBy).toBeNull();
+    });
+});
@@ -0,0 +1,189 @@
+const {
+    isOnShift,
+    getSkillForReason,
+    getOfficerAvailability,
+    routeTransfer,
+    normalizeOfficer
+} = require('../../src/banking/officers');
+
+// Friday 16 October 2026, 12:00 UTC
+const FRIDAY_NOON = new Date('2026-10-16T12:00:00Z');
+
+let nextId = 1;
+
+function officer(fields = {}) {
+    return {
+        id: nextId++,
+        name: `Officer ${nextId}`,
+        department: 'Customer Service',
+        phoneNumber: '+12125550100',
+        skills: ['general_support'],
+        timeZone: 'UTC',
+        workingDays: [1, 2, 3, 4, 5],
+        shiftStart: '09:00',
+        shiftEnd: '17:00',
+        capacity: 2,
+        active: true,
+        lastAssignedAt: null,
+        ...fields
+    };
+}
+
+describe('isOnShift', () => {
+    test('follows a same-day shift in the officer\'s time zone', () => {
+        const newYork = officer({ timeZone: 'America/New_York' });
+
+        expect(isOnShift(newYork, new Date('2026-10-16T13:00:00Z'))).toBe(true); // 09:00 EDT
+        expect(isOnShift(newYork, new Date('2026-10-16T12:59:00Z'))).toBe(false);
+        expect(isOnShift(newYork, new Date('2026-10-16T21:00:00Z'))).toBe(false); // 17:00 EDT
+        expect(isOnShift(newYork, new Date('2026-10-17T15:00:00Z'))).toBe(false); // Saturday
+    });
+
+    test('counts the hours past midnight as part of the day the shift started', () => {
+        const fridayNights = officer({ workingDays: [5], shiftStart: '22:00', shiftEnd: '06:00' });
+
+        expect(isOnShift(fridayNights, new Date('2026-10-16T23:00:00Z'))).toBe(true);
+        expect(isOnShift(fridayNights, new Date('2026-10-17T02:00:00Z'))).toBe(true); // Saturday morning
+        expect(isOnShift(fridayNights, new Date('2026-10-17T06:00:00Z'))).toBe(false);
+        expect(isOnShift(fridayNights, new Date('2026-10-17T23:00:00Z'))).toBe(false); // Saturday night
+        expect(isOnShift(fridayNights, new Date('2026-10-16T02:00:00Z'))).toBe(false); // Thursday's night
+    });
+
+    test('wraps from Sunday night into Monday', () => {
+        const sundayNights = officer({ timeZone: 'America/Los_Angeles', workingDays: [7], shiftStart: '17:00', shiftEnd: '05:00' });
+
+        expect(isOnShift(sundayNights, new Date('2026-10-19T09:00:00Z'))).toBe(true); // Monday 02:00 PDT
+        expect(isOnShift(sundayNights, new Date('2026-10-20T09:00:00Z'))).toBe(false); // Tuesday 02:00 PDT
+    });
+});
+
+describe('getOfficerAvailability', () => {
+    test('reports why an officer can\'t take a call', () => {
+        const status = (fields, load = 0, now = FRIDAY_NOON) => getOfficerAvailability(officer(fields), load, now).status;
+
+        expect(status({})).toBe('available');
+        expect(status({}, 2)).toBe('busy');
+        expect(status({}, 0, new Date('2026-10-17T12:00:00Z'))).toBe('off_shift');
+        expect(status({ phoneNumber: null })).toBe('no_phone');
+        expect(status({ active: false, phoneNumber: null })).toBe('inactive');
+    });
+
+    test('includes the load, capacity and local time', () => {
+        const availability = getOfficerAvailability(officer({ timeZone: 'America/Chicago', capacity: 3 }), 1, FRIDAY_NOON);
+
+        expect(availability).toEqual({
+            available: false,
+            onShift: false,
+            load: 1,
+            capacity: 3,
+            localTime: '07:00',
+            status: 'off_shift'
+        });
+    });
+});
+
+describe('routeTransfer', () => {
+    test('maps transfer reasons to skills', () => {
+        expect(getSkillForReason('fraud')).toBe('fraud_investigation');
+        expect(getSkillForReason('card_services')).toBe('card_services');
+        expect(getSkillForReason('something else')).toBe('general_support');
+    });
+
+    test('prefers a specialist over an officer who merely has the skill', () => {
+        const generalist = officer({ skills: ['general_support', 'card_services'] });
+        const specialist = officer({ skills: ['card_services'], lastAssignedAt: '2026-10-16T11:59:00Z' });
+
+        const routing = routeTransfer([generalist, specialist], 'lost_card', { now: FRIDAY_NOON });
+
+        expect(routing.officer).toBe(specialist);
+        expect(routing.skill).toBe('card_services');
+        expect(routing.fallback).toBe(false);
+    });
+
+    test('spreads calls by the share of capacity in use, then by who waited longest', () => {
+        const small = officer({ skills: ['fraud_investigation'], capacity: 2 });
+        const large = officer({ skills: ['fraud_investigation'], capacity: 4 });
+
+        expect(routeTransfer([small, large], 'fraud', { loads: { [small.id]: 1, [large.id]: 1 }, now: FRIDAY_NOON }).officer)
+            .toBe(large);
+
+        const recent = officer({ skills: ['fraud_investigation'], lastAssignedAt: '2026-10-16T11:00:00Z' });
+        const waiting = officer({ skills: ['fraud_investigation'], lastAssignedAt: '2026-10-16T09:00:00Z' });
+
+        expect(routeTransfer([recent, waiting], 'fraud', { now: FRIDAY_NOON }).officer).toBe(waiting);
+    });
+
+    test('skips officers at capacity, off shift or without a phone number', () => {
+        const full = officer({ skills: ['personal_loans'], capacity: 1 });
+        const asleep = officer({ skills: ['personal_loans'], shiftStart: '20:00', shiftEnd: '23:00' });
+        const unreachable = officer({ skills: ['personal_loans'], phoneNumber: null });
+        const free = officer({ skills: ['business_banking', 'personal_loans'] });
+
+        const routing = routeTransfer([full, asleep, unreachable, free], 'loan', { loads: { [full.id]: 1 }, now: FRIDAY_NOON });
+
+        expect(routing.officer).toBe(free);
+        expect(routing.fallback).toBe(false);
+    });
+
+    test('hands the call to general support when no one with the skill is free', () => {
+        const unreachable = officer({ skills: ['fraud_investigation'], phoneNumber: null });
+        const support = officer({ name: 'Emily Rodriguez', skills: ['general_support'] });
+
+        const routing = routeTransfer([unreachable, support], 'fraud', { now: FRIDAY_NOON });
+
+        expect(routing.officer).toBe(support);
+        expect(routing.skill).toBe('fraud_investigation');
+        expect(routing.fallback).toBe(true);
+        expect(routing.message).toContain('Emily Rodriguez');
+    });
+
+    test('returns no officer when general support is unavailable too', () => {
+        const routing = routeTransfer([officer({ phoneNumber: null })], 'general', { now: FRIDAY_NOON });
+
+        expect(routing).toEqual({
+            officer: null,
+            skill: 'general_support',
+            fallback: false,
+            message: 'No officer is available for general support right now.'
+        });
+    });
+});
+
+describe('normalizeOfficer', () => {
+    const input = { name: ' Ada Lovelace ', department: 'Loan Services', phoneNumber: '212-555-0199', skills: 'personal_loans, business_banking' };
+
+    test('fills in the default shift and standardizes the fields', () => {
+        const { officer: normalized, error } = normalizeOfficer(input);
+
+        expect(error).toBeUndefined();
+        expect(normalized).toMatchObject({
+            name: 'Ada Lovelace',
+            phoneNumber: '+12125550199',
+            skills: ['personal_loans', 'business_banking'],
+            specialization: 'personal_loans',
+            timeZone: 'America/New_York',
+            workingDays: [1, 2, 3, 4, 5],
+            capacity: 2,
+            active: true
+        });
+    });
+
+    test('rejects invalid fields', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(normalizeOfficer({ ...input, skills: ['juggling'] }).error).toMatch(/^Unknown skill: juggling/);
+        expect(normalizeOfficer({ ...input, timeZone: 'Mars/Olympus' }).error).toBe('Unknown time zone: Mars/Olympus');
+        expect(normalizeOfficer({ ...input, workingDays: [0, 8] }).error).toMatch(/^workingDays/);
+        expect(normalizeOfficer({ ...input, shiftEnd: '09:00' }).error).toMatch(/^shiftStart and shiftEnd/);
+        expect(normalizeOfficer({ ...input, capacity: 0 }).error).toBe('capacity must be between 1 and 20');
+        expect(normalizeOfficer({ ...input, phoneNumber: '12' }).error).toMatch(/^phoneNumber/);
+        jest.restoreAllMocks();
+    });
+
+    test('keeps the existing values for fields an update leaves out', () => {
+        const { officer: existing } = normalizeOfficer(input);
+        const { officer: updated } = normalizeOfficer({ capacity: 5, active: 'false' }, existing);
+
+        expect(updated).toEqual({ ...existing, capacity: 5, active: false });
+    });
+});
@@ -0,0 +1,95 @@
+const { normalizeTransactionQuery, describeTransactionSearch } = require('../../src/banking/transactionSearch');
+const { buildTransactionSearch, matchesTransactionQuery } = require('../../src/database/transactionQuery');
+
+const NOW = new Date('2026-10-19T15:30:00.000Z');
+
+describe('normalizeTransactionQuery', () => {
+    test('defaults to the newest 20 transactions', () => {
+        expect(normalizeTransactionQuery({}, NOW)).toEqual({ query: { sort: 'newest', limit: 20, offset: 0 } });
+    });
+
+    test('turns a period into a UTC range with an exclusive end', () => {
+        expect(normalizeTransactionQuery({ period: 'last_month' }, NOW).query).toMatchObject({
+            from: '2026-09-01T00:00:00.000Z',
+            to: '2026-10-01T00:00:00.000Z'
+        });
+        expect(normalizeTransactionQuery({ period: 'Last_Year' }, NOW).query).toMatchObject({
+            from: '2025-01-01T00:00:00.000Z',
+            to: '2026-01-01T00:00:00.000Z'
+        });
+        expect(normalizeTransactionQuery({ period: 'last_7_days' }, NOW).query.from).toBe('2026-10-13T00:00:00.000Z');
+    });
+
+    test('includes the whole day of a date-only end bound', () => {
+        expect(normalizeTransactionQuery({ from: '2026-09-01', to: '2026-09-30' }, NOW).query).toMatchObject({
+            from: '2026-09-01T00:00:00.000Z',
+            to: '2026-10-01T00:00:00.000Z'
+        });
+    });
+
+    test('reads amounts, choices and paging', () => {
+        const { query } = normalizeTransactionQuery({
+            minAmount: '$1,200.50', maxAmount: 5000, type: 'DEBIT', status: 'pending', sort: 'largest', limit: '5', offset: '10'
+        }, NOW);
+        expect(query).toMatchObject({ minAmount: 1200.5, maxAmount: 5000, type: 'debit', status: 'pending', sort: 'largest', limit: 5, offset: 10 });
+    });
+
+    test.each([
+        [{ period: 'fortnight' }, 'period must be one of'],
+        [{ from: 'yesterday-ish' }, 'from must be a date'],
+        [{ from: '2026-09-30', to: '2026-09-01' }, 'from must be before to'],
+        [{ merchant: 'x'.repeat(101) }, 'merchant must be at most 100 characters'],
+        [{ minAmount: -5 }, 'minAmount must be a positive amount'],
+        [{ minAmount: 100, maxAmount: 50 }, 'minAmount must not be greater than maxAmount'],
+        [{ type: 'refund' }, 'type must be one of: debit, credit'],
+        [{ limit: 101 }, 'limit must be between 1 and 100'],
+        [{ offset: -1 }, 'offset must be zero or more']
+    ])('rejects %p', (params, error) => {
+        expect(normalizeTransactionQuery(params, NOW).error).toContain(error);
+    });
+});
+
+describe('describeTransactionSearch', () => {
+    test('summarizes the filters and totals', () => {
+        const { query } = normalizeTransactionQuery({ merchant: 'Amazon', from: '2026-09-01', to: '2026-09-30' }, NOW);
+        expect(describeTransactionSearch(query, { total: 3, debitTotal: -182.4, creditTotal: 0 }))
+            .toBe('3 transactions at Amazon from Sep 1, 2026 to Sep 30, 2026: $182.40 spent.');
+    });
+
+    test('says when nothing matched', () => {
+        const { query } = normalizeTransactionQuery({ status: 'pending', type: 'credit' }, NOW);
+        expect(describeTransactionSearch(query, { total: 0, debitTotal: 0, creditTotal: 0 })).toBe('No pending credit transactions.');
+    });
+});
+
+describe('transaction query filters', () => {
+    const transaction = {
+        userId: 1,
+        accountId: 2,
+        description: 'AMZN Mktp US',
+        merchant: 'Amazon',
+        category: 'Shopping',
+        amount: -120,
+        transactionType: 'debit',
+        status: 'posted',
+        transactionDate: '2026-09-15T12:00:00.000Z'
+    };
+
+    test('match the same transactions in memory as the SQL filters describe', () => {
+        const matches = params => matchesTransactionQuery(transaction, 1, normalizeTransactionQuery(params, NOW).query);
+
+        expect(matches({ merchant: 'amazon', category: 'SHOPPING', period: 'last_month' })).toBe(true);
+        expect(matches({ text: 'mktp', minAmount: 100, maxAmount: 120 })).toBe(true);
+        expect(matches({ minAmount: 121 })).toBe(false);
+        expect(matches({ type: 'credit' })).toBe(false);
+        expect(matches({ to: '2026-09-14' })).toBe(false);
+        expect(matchesTransactionQuery(transaction, 2, {})).toBe(false);
+    });
+
+    test('take % and _ in search text literally', () => {
+        const { where, params } = buildTransactionSearch(1, { text: '50%_off' }, 'postgres');
+
+        expect(where).toContain('LIKE $2 ESCAPE');
+        expect(params).toEqual([1, '%50\\%\\_off%', '%50\\%\\_off%', '%50\\%\\_off%']);
+    });
+});
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqliteManager = require('../../src/database/databaseManager');
+const MigrationRunner = require('../../src/database/MigrationRunner');
+
+let directory;
+let driver;
+let runner;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    driver = new sqliteManager.constructor(path.join(directory, 'test.db'));
+    await driver.connect();
+    runner = new MigrationRunner(driver);
+    await runner.migrate();
+});
+
+afterEach(async () => {
+    await driver.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('MigrationRunner.rollback', () => {
+    test('rolls back the given number of migrations, newest first', async () => {
+        const { applied } = await runner.status();
+        const rolledBack = await runner.rollback(2);
+
+        expect(rolledBack.map(m => m.version)).toEqual(applied.slice(-2).reverse().map(m => m.version));
+        expect((await runner.status()).applied).toHaveLength(applied.length - 2);
+    });
+
+    test.each([0, -1, 1.5, NaN, '1', null])('refuses %p steps and leaves the schema alone', async (steps) => {
+        const before = (await runner.status()).applied.length;
+
+        await expect(runner.rollback(steps)).rejects.toThrow('Rollback steps must be a positive integer');
+        expect((await runner.status()).applied).toHaveLength(before);
+    });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqliteManager = require('../../src/database/databaseManager');
+const FinTechRepository = require('../../src/database/FinTechRepository');
+
+let directory;
+let repository;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-ledger-'));
+    repository = new FinTechRepository(new sqliteManager.constructor(path.join(directory, 'test.db')));
+    await repository.initialize();
+});
+
+afterEach(async () => {
+    await repository.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('SQLite transactions', () => {
+    test('a statement from outside an open transaction survives its rollback', async () => {
+        const failing = repository.driver.withTransaction(async (tx) => {
+            await tx.run(`INSERT INTO call_logs (phoneNumber, scenario, successful, callId) VALUES ('+1', 'inside', 1, 'inside')`);
+            await wait(50);
+            throw new Error('boom');
+        });
+        await wait(10);
+        const outside = repository.logCall('+2', 'outside', null, true, null, 'outside');
+
+        await expect(failing).rejects.toThrow('boom');
+        await outside;
+        expect((await repository.getCallLogs()).map(log => log.callId)).toEqual(['outside']);
+    });
+
+    test('a registration posts a history that adds up to the requested balance', async () => {
+        const user = await repository.registerUser({
+            name: 'Ada Lovelace',
+            phoneNumber: '+12125550199',
+            companyName: 'Analytical Engines',
+            fakeAccountBalance: 5000,
+            loanApplicationStatus: 'None',
+            fraudScenario: false,
+            accounts: []
+        });
+
+        expect(user.fakeAccountBalance).toBe(5000);
+        expect((await repository.getAccountBalance(user.fakeAccountNumber)).ledgerBalance).toBe(5000);
+    });
+});
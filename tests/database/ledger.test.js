@@ -0,0 +1,153 @@
+const DatabaseFactory = require('../../src/database/DatabaseFactory');
+const {
+    CLEARING_ACCOUNT_NUMBER,
+    buildTransactionPostings,
+    planAccountHistory,
+    roundCents,
+    summarizeBalance,
+    validateJournal
+} = require('../../src/database/ledger');
+
+const registration = {
+    name: 'Ada Lovelace',
+    phoneNumber: '+12125550199',
+    companyName: 'Analytical Engines',
+    fakeAccountBalance: 5000,
+    loanApplicationStatus: 'None',
+    fraudScenario: false,
+    accounts: []
+};
+
+describe('validateJournal', () => {
+    test('accepts postings that sum to zero', () => {
+        expect(() => validateJournal([
+            { accountId: 1, amount: -12.34 },
+            { accountId: 2, amount: 10 },
+            { accountId: 3, amount: 2.34 }
+        ])).not.toThrow();
+    });
+
+    test('rejects unbalanced, single-sided and malformed journals', () => {
+        expect(() => validateJournal([{ accountId: 1, amount: -5 }, { accountId: 2, amount: 4.99 }]))
+            .toThrow('Unbalanced journal entry: postings sum to -0.01');
+        expect(() => validateJournal([{ accountId: 1, amount: 0 }])).toThrow('at least two postings');
+        expect(() => validateJournal([{ accountId: 1, amount: 5 }, { amount: -5 }])).toThrow('needs an accountId');
+        expect(() => validateJournal([{ accountId: 1, amount: 'five' }, { accountId: 2, amount: -5 }])).toThrow('numeric amount');
+    });
+
+    test('ignores floating-point dust below a cent', () => {
+        expect(() => validateJournal([
+            { accountId: 1, amount: 0.1 },
+            { accountId: 2, amount: 0.2 },
+            { accountId: 3, amount: -0.3 }
+        ])).not.toThrow();
+    });
+});
+
+describe('buildTransactionPostings', () => {
+    test('moves the customer account by the amount and the clearing account by the opposite', () => {
+        expect(buildTransactionPostings({ customerAccountId: 7, clearingAccountId: 1, amount: -19.999 })).toEqual([
+            { accountId: 7, amount: -20 },
+            { accountId: 1, amount: 20 }
+        ]);
+    });
+});
+
+describe('planAccountHistory', () => {
+    const transactions = [
+        { description: 'Rent', amount: -1500, status: 'posted', transactionDate: '2024-03-01T09:00:00.000Z' },
+        { description: 'Coffee', amount: -4.5, status: 'pending', transactionDate: '2024-03-03T09:00:00.000Z' },
+        { description: 'Payroll', amount: 3200, status: 'posted', transactionDate: '2024-02-15T09:00:00.000Z' }
+    ];
+
+    test('opens with a deposit that makes the posted history add up to the target balance', () => {
+        const plan = planAccountHistory(2500, transactions);
+        const posted = plan.filter(tx => tx.status === 'posted').reduce((sum, tx) => sum + tx.amount, 0);
+
+        expect(plan[0]).toMatchObject({ description: 'Opening Deposit', amount: 800, transactionType: 'credit' });
+        expect(roundCents(posted)).toBe(2500);
+        expect(plan[0].transactionDate).toBe('2024-02-14T09:00:00.000Z');
+        expect(plan.slice(1).map(tx => tx.description)).toEqual(['Payroll', 'Rent', 'Coffee']);
+    });
+
+    test('opens with a debit when the history already exceeds the target', () => {
+        const [opening] = planAccountHistory(1000, transactions, { description: 'Loan Disbursement', category: 'Loan' });
+        expect(opening).toMatchObject({ description: 'Loan Disbursement', category: 'Loan', amount: -700, transactionType: 'debit' });
+    });
+});
+
+describe('summarizeBalance', () => {
+    test('takes pending debits off the available balance only', () => {
+        expect(summarizeBalance(1000.004, -250.5)).toEqual({
+            ledgerBalance: 1000,
+            availableBalance: 749.5,
+            pendingDebits: -250.5
+        });
+        expect(summarizeBalance(null, undefined)).toEqual({ ledgerBalance: 0, availableBalance: 0, pendingDebits: 0 });
+    });
+});
+
+describe('ledger posting and balances', () => {
+    let repository;
+    let user;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        delete process.env.DATABASE_URL;
+        DatabaseFactory.reset();
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        process.env.DATABASE_URL = 'memory://';
+        DatabaseFactory.reset();
+        repository = DatabaseFactory.create();
+        await repository.initialize();
+        user = await repository.registerUser(registration);
+    });
+
+    test('a posted debit lowers both the ledger and the available balance', async () => {
+        const before = await repository.getAccountBalance(user.fakeAccountNumber);
+        await repository.postTransaction(user.id, { description: 'Office Rent', amount: -1200.5, category: 'Rent' });
+        const after = await repository.getAccountBalance(user.fakeAccountNumber);
+
+        expect(after.ledgerBalance).toBe(roundCents(before.ledgerBalance - 1200.5));
+        expect(after.availableBalance).toBe(roundCents(before.availableBalance - 1200.5));
+        expect((await repository.getUserById(user.id)).fakeAccountBalance).toBe(after.ledgerBalance);
+    });
+
+    test('a pending debit only holds the available balance until it settles', async () => {
+        const before = await repository.getAccountBalance(user.fakeAccountNumber);
+        const hold = await repository.postTransaction(user.id, { description: 'Hotel', amount: -300, status: 'pending' });
+
+        const held = await repository.getAccountBalance(user.fakeAccountNumber);
+        expect(held.ledgerBalance).toBe(before.ledgerBalance);
+        expect(held.availableBalance).toBe(roundCents(before.availableBalance - 300));
+
+        expect((await repository.settleTransaction(hold.transactionId)).status).toBe('posted');
+        const settled = await repository.getAccountBalance(user.fakeAccountNumber);
+        expect(settled.ledgerBalance).toBe(roundCents(before.ledgerBalance - 300));
+        expect(settled.availableBalance).toBe(held.availableBalance);
+        expect(await repository.settleTransaction(hold.transactionId)).toBeNull();
+    });
+
+    test('every journal balances against the clearing account', async () => {
+        const posted = await repository.postTransaction(user.id, { description: 'Client Payment', amount: 875.25 });
+
+        const [customerPosting] = await repository.getAccountPostings(user.fakeAccountNumber, 1);
+        const clearingPosting = (await repository.getAccountPostings(CLEARING_ACCOUNT_NUMBER, 500))
+            .find(posting => posting.journalId === posted.transactionId);
+
+        expect(customerPosting).toMatchObject({ journalId: posted.transactionId, amount: 875.25 });
+        expect(clearingPosting.amount).toBe(-875.25);
+    });
+
+    test('refuses to post to an account the user does not own', async () => {
+        const other = await repository.registerUser({ ...registration, phoneNumber: '+12125550198' });
+        await expect(repository.postTransaction(user.id, { accountNumber: other.fakeAccountNumber, description: 'Sneaky', amount: -1 }))
+            .rejects.toThrow(`No ledger account found for user ${user.id}`);
+    });
+});
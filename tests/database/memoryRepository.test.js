@@ -0,0 +1,90 @@
+const DatabaseFactory = require('../../src/database/DatabaseFactory');
+
+const registration = {
+    name: 'Ada Lovelace',
+    phoneNumber: '+12125550199',
+    companyName: 'Analytical Engines',
+    fakeAccountBalance: 5000,
+    loanApplicationStatus: 'None',
+    fraudScenario: false,
+    accounts: [{ type: 'savings' }]
+};
+
+async function createRepository(url = 'memory://') {
+    process.env.DATABASE_URL = url;
+    DatabaseFactory.reset();
+    const repository = DatabaseFactory.create();
+    await repository.initialize();
+    return repository;
+}
+
+let repository;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+beforeEach(async () => {
+    repository = await createRepository();
+});
+
+afterAll(() => {
+    delete process.env.DATABASE_URL;
+    DatabaseFactory.reset();
+    jest.restoreAllMocks();
+});
+
+describe('FinTechRepository on the memory driver', () => {
+    test('is selected by a memory:// DATABASE_URL and seeds the officers', async () => {
+        expect(repository.driverName).toBe('InMemoryFinTechManager');
+        expect(repository.getMigrationRunner()).toBeNull();
+        expect((await repository.getAllOfficers()).length).toBeGreaterThan(0);
+    });
+
+    test('registers a user and finds them by phone and ID', async () => {
+        const user = await repository.registerUser(registration);
+
+        expect(user).toMatchObject({
+            name: 'Ada Lovelace',
+            phoneNumber: '+12125550199',
+            fakeAccountBalance: 5000,
+            fraudScenario: false,
+            callCount: 0
+        });
+        expect(await repository.getUserById(user.id)).toEqual(user);
+        expect(await repository.getUserByPhone('+12125550199')).toEqual(user);
+        expect(await repository.getUserByPhone('+12125550100')).toBeNull();
+        await expect(repository.registerUser(registration)).rejects.toThrow('Phone number already registered');
+    });
+
+    test('opens the primary checking account first, then the requested products', async () => {
+        const user = await repository.registerUser(registration);
+        const accounts = await repository.getUserAccounts(user.id);
+
+        expect(accounts.map(account => account.accountType)).toEqual(['checking', 'savings']);
+        expect(accounts[0].accountNumber).toBe(user.fakeAccountNumber);
+        expect(accounts[0].ledgerBalance).toBe(5000);
+        await expect(repository.registerUser({ ...registration, phoneNumber: '+12125550198', accounts: [{ type: 'yacht' }] }))
+            .rejects.toThrow('Unknown account type: yacht');
+    });
+
+    test('generates the same data from the same seed', async () => {
+        const first = await (await createRepository('memory://?seed=42')).registerUser(registration);
+        const second = await (await createRepository('memory://?seed=42')).registerUser(registration);
+        const other = await (await createRepository('memory://?seed=43')).registerUser(registration);
+
+        expect(second.fakeAccountNumber).toBe(first.fakeAccountNumber);
+        expect(other.fakeAccountNumber).not.toBe(first.fakeAccountNumber);
+    });
+
+    test('logs calls and counts them on the user', async () => {
+        const user = await repository.registerUser(registration);
+        await repository.logCall(user.phoneNumber, 'balance_inquiry', 95, true, null, 'call-1');
+        await repository.updateUserCallStats(user.phoneNumber);
+
+        const [log] = await repository.getCallLogs(user.phoneNumber);
+        expect(log).toMatchObject({ phoneNumber: user.phoneNumber, scenario: 'balance_inquiry', callId: 'call-1' });
+        expect((await repository.getCallLog('call-1')).id).toBe(log.id);
+        expect((await repository.getUserById(user.id)).callCount).toBe(1);
+    });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqliteManager = require('../../src/database/databaseManager');
+const MigrationRunner = require('../../src/database/MigrationRunner');
+const { PLACEHOLDER_PHONE_NUMBERS } = require('../../src/banking/officers');
+
+let directory;
+let driver;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'officer-phones-'));
+    driver = new sqliteManager.constructor(path.join(directory, 'test.db'));
+    await driver.connect();
+});
+
+afterEach(async () => {
+    await driver.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('migration 013 (officer phone numbers)', () => {
+    test('clears the placeholder numbers and keeps the ones staff set', async () => {
+        const runner = new MigrationRunner(driver);
+        await runner.migrate(12);
+        await driver.insertDefaultOfficers();
+        const officers = await driver.allRows('SELECT id FROM officers ORDER BY id');
+        await driver.runQuery('UPDATE officers SET phoneNumber = ? WHERE id = ?', [PLACEHOLDER_PHONE_NUMBERS[0], officers[0].id]);
+        await driver.runQuery('UPDATE officers SET phoneNumber = ? WHERE id = ?', [PLACEHOLDER_PHONE_NUMBERS[5], officers[1].id]);
+        await driver.runQuery('UPDATE officers SET phoneNumber = ? WHERE id = ?', ['+12125550123', officers[2].id]);
+
+        await runner.migrate();
+
+        const numbers = await driver.allRows('SELECT phoneNumber FROM officers ORDER BY id');
+        expect(numbers.slice(0, 3).map(row => row.phoneNumber)).toEqual([null, null, '+12125550123']);
+    });
+});
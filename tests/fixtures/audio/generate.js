@@ -0,0 +1,61 @@
+/**
+ * Writes the voice activity detection fixtures: 16kHz 16-bit little-endian mono PCM, built from a seed so
+ * they come out the same every time. Run with `node tests/fixtures/audio/generate.js` after changing them.
+ *
+ *   line-noise.pcm   - 1s of a quiet line: faint hiss, nobody speaking
+ *   speech.pcm       - 600ms of line noise, two words (350ms, a 150ms pause, 350ms), then 1.2s of line noise
+ *   noise-bursts.pcm - line noise with a click, a 40ms knock, then 400ms of mains hum and 300ms of hiss, both
+ *                      above the speech threshold but not twice it
+ */
+const fs = require('fs');
+const path = require('path');
+const { createSeededRandom } = require('../../../src/utils/seededRandom');
+
+const SAMPLE_RATE = 16000;
+const random = createSeededRandom('vad-fixtures');
+
+const samplesFor = ms => Math.round(SAMPLE_RATE * ms / 1000);
+
+// Faint white noise, as on a quiet phone line
+function lineNoise(ms, amplitude = 60) {
+    return Array.from({ length: samplesFor(ms) }, () => random.float(-1, 1) * amplitude);
+}
+
+// A voiced sound: a 140Hz fundamental with falling harmonics, faded in and out like a syllable
+function word(ms, amplitude = 6000) {
+    const length = samplesFor(ms);
+    return Array.from({ length }, (_, i) => {
+        const t = i / SAMPLE_RATE;
+        const envelope = Math.sin(Math.PI * i / length) ** 0.5;
+        let sample = 0;
+        for (let harmonic = 1; harmonic <= 8; harmonic++) {
+            sample += Math.sin(2 * Math.PI * 140 * harmonic * t) / harmonic;
+        }
+        return amplitude * envelope * sample / 2 + random.float(-1, 1) * 60;
+    });
+}
+
+function tone(ms, frequency, amplitude) {
+    return Array.from({ length: samplesFor(ms) }, (_, i) =>
+        amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) + random.float(-1, 1) * 60);
+}
+
+function write(name, samples) {
+    const pcm = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample))), i * 2));
+    fs.writeFileSync(path.join(__dirname, name), pcm);
+}
+
+write('line-noise.pcm', lineNoise(1000));
+write('speech.pcm', [...lineNoise(600), ...word(350), ...lineNoise(150), ...word(350), ...lineNoise(1200)]);
+write('noise-bursts.pcm', [
+    ...lineNoise(300),
+    ...lineNoise(5, 20000), // click
+    ...lineNoise(295),
+    ...lineNoise(40, 12000), // knock
+    ...lineNoise(260),
+    ...tone(400, 50, 300), // mains hum
+    ...lineNoise(300),
+    ...lineNoise(300, 400), // hiss
+    ...lineNoise(300)
+]);
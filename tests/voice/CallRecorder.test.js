@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CallRecorder, CallRecording } = require('../../src/voice/CallRecorder');
+const { parseAudioFormat } = require('../../src/voice/audioFormats');
+
+const SAMPLE_RATE = 8000;
+const START = Date.parse('2026-10-16T12:00:00Z');
+
+let baseDir;
+let now;
+
+// 20ms of 16-bit PCM at one level
+function frame(level, samples = 160) {
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(level, i * 2);
+    }
+    return pcm;
+}
+
+function samplesOf(data) {
+    return Array.from({ length: data.length / 2 }, (unused, i) => data.readInt16LE(i * 2));
+}
+
+// The header fields of a WAV file, and its data
+function readWav(file) {
+    const bytes = fs.readFileSync(file);
+    return {
+        fileBytes: bytes.length,
+        riff: bytes.toString('ascii', 0, 4),
+        riffSize: bytes.readUInt32LE(4),
+        wave: bytes.toString('ascii', 8, 12),
+        fmt: bytes.toString('ascii', 12, 16),
+        fmtSize: bytes.readUInt32LE(16),
+        audioFormat: bytes.readUInt16LE(20),
+        channels: bytes.readUInt16LE(22),
+        sampleRate: bytes.readUInt32LE(24),
+        byteRate: bytes.readUInt32LE(28),
+        blockAlign: bytes.readUInt16LE(32),
+        bitsPerSample: bytes.readUInt16LE(34),
+        dataId: bytes.toString('ascii', 36, 40),
+        dataSize: bytes.readUInt32LE(40),
+        data: bytes.subarray(44)
+    };
+}
+
+beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+// Two 20ms frames from each leg, then the agent falls silent and the caller speaks again 200ms in
+async function recordCall() {
+    const recording = new CallRecording({ baseDir, sourceFormat: parseAudioFormat(`pcm_${SAMPLE_RATE}`) });
+    now = START + 20;
+    recording.writeCaller(frame(1000));
+    recording.writeAgent(frame(2000));
+    now = START + 40;
+    recording.writeCaller(frame(30000));
+    recording.writeAgent(frame(30000));
+    now = START + 200;
+    recording.writeCaller(frame(500));
+    now = START + 220;
+    return recording.finish({ callId: 'call-1', conversationProvider: 'elevenlabs' });
+}
+
+describe('CallRecording', () => {
+    test('writes mono 16-bit PCM WAV headers whose sizes match the audio written', async () => {
+        const { dir } = await recordCall();
+
+        for (const track of ['caller', 'agent', 'mixed']) {
+            const wav = readWav(path.join(dir, `${track}.wav`));
+            expect(wav).toMatchObject({
+                riff: 'RIFF',
+                riffSize: wav.fileBytes - 8,
+                wave: 'WAVE',
+                fmt: 'fmt ',
+                fmtSize: 16,
+                audioFormat: 1,
+                channels: 1,
+                sampleRate: SAMPLE_RATE,
+                byteRate: SAMPLE_RATE * 2,
+                blockAlign: 2,
+                bitsPerSample: 16,
+                dataId: 'data',
+                dataSize: wav.fileBytes - 44
+            });
+        }
+        // The caller's track runs to their last audio; the agent's stops with the silence it was padded to
+        expect(readWav(path.join(dir, 'caller.wav')).dataSize).toBe(1600 * 2);
+        expect(readWav(path.join(dir, 'agent.wav')).dataSize).toBe(1120 * 2);
+        expect(readWav(path.join(dir, 'mixed.wav')).dataSize).toBe(1600 * 2);
+    });
+
+    test('keeps the legs aligned and mixes them, clipping at full scale', async () => {
+        const { dir } = await recordCall();
+        const caller = samplesOf(readWav(path.join(dir, 'caller.wav')).data);
+        const agent = samplesOf(readWav(path.join(dir, 'agent.wav')).data);
+        const mixed = samplesOf(readWav(path.join(dir, 'mixed.wav')).data);
+
+        // The 160ms gap before the caller's last frame is silence in both legs
+        expect(caller.slice(320, 1440).every(sample => sample === 0)).toBe(true);
+        expect(agent.slice(320).every(sample => sample === 0)).toBe(true);
+        expect(caller[1440]).toBe(500);
+
+        expect(new Set(mixed.slice(0, 160))).toEqual(new Set([3000]));
+        expect(new Set(mixed.slice(160, 320))).toEqual(new Set([32767]));
+        expect(new Set(mixed.slice(320, 1440))).toEqual(new Set([0]));
+        expect(new Set(mixed.slice(1440))).toEqual(new Set([500]));
+    });
+
+    test('moves the files to the call\'s directory with their metadata', async () => {
+        const { dir, metadata } = await recordCall();
+
+        expect(dir).toBe(path.join(baseDir, 'call-1'));
+        expect(fs.readdirSync(dir).sort()).toEqual(['agent.wav', 'caller.wav', 'metadata.json', 'mixed.wav']);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'metadata.json'), 'utf8'))).toEqual(metadata);
+        expect(metadata).toMatchObject({
+            callId: 'call-1',
+            conversationProvider: 'elevenlabs',
+            durationMs: 220,
+            format: 'pcm_8000',
+            tracks: { caller: { durationMs: 200 }, agent: { durationMs: 140 }, mixed: { durationMs: 200 } }
+        });
+    });
+});
+
+describe('CallRecorder', () => {
+    test('finds finished recordings and refuses other paths', async () => {
+        await recordCall();
+        const recorder = new CallRecorder();
+        recorder.dir = baseDir;
+
+        expect(await recorder.getRecordingFile('call-1', 'agent')).toBe(path.join(baseDir, 'call-1', 'agent.wav'));
+        expect(await recorder.getRecordingFile('call-2')).toBeNull();
+        expect(await recorder.getRecordingFile('../call-1')).toBeNull();
+        expect(await recorder.getRecordingFile('call-1', 'stereo')).toBeNull();
+    });
+});
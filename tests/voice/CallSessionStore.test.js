@@ -0,0 +1,116 @@
+const DatabaseFactory = require('../../src/database/DatabaseFactory');
+const {
+    MemoryCallSessionStore,
+    DatabaseCallSessionStore,
+    createCallSessionStore
+} = require('../../src/voice/CallSessionStore');
+
+const session = { callerId: '+12125550199', startTime: Date.parse('2026-10-16T12:00:00Z'), status: 'active' };
+
+let repository;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+beforeEach(async () => {
+    process.env.DATABASE_URL = 'memory://';
+    DatabaseFactory.reset();
+    repository = DatabaseFactory.create();
+    await repository.initialize();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.CALL_SESSION_STORE;
+});
+
+afterAll(() => {
+    delete process.env.DATABASE_URL;
+    DatabaseFactory.reset();
+    jest.restoreAllMocks();
+});
+
+describe('DatabaseCallSessionStore', () => {
+    test('stores sessions and bumps the version on each update', async () => {
+        const store = new DatabaseCallSessionStore(repository);
+        await store.create('call-1', { ...session, dialogId: 'dialog-1' });
+
+        const updated = await store.update('call-1', { status: 'transferring', officerId: 4 });
+
+        expect(updated).toMatchObject({ callId: 'call-1', status: 'transferring', officerId: 4, version: 2 });
+        expect(await store.get('call-1')).toMatchObject({ status: 'transferring', officerId: 4, version: 2 });
+        expect((await store.findByDialogId('dialog-1')).callId).toBe('call-1');
+        expect(await store.update('call-missing', { status: 'ended' })).toBeNull();
+    });
+
+    test('re-reads and retries when another writer changed the session first', async () => {
+        const store = new DatabaseCallSessionStore(repository);
+        await store.create('call-1', { ...session, turns: 0 });
+        const updateCallSession = repository.updateCallSession.bind(repository);
+        // Another replica changes the status between this update's read and its write
+        jest.spyOn(repository, 'updateCallSession').mockImplementationOnce(async (stale) => {
+            await store.update('call-1', { status: 'transferring' });
+            return updateCallSession(stale);
+        });
+        const changes = jest.fn(current => ({ turns: current.turns + 1 }));
+
+        const updated = await store.update('call-1', changes);
+
+        expect(changes).toHaveBeenCalledTimes(2);
+        expect(updated).toMatchObject({ status: 'transferring', turns: 1, version: 3 });
+        expect(await store.get('call-1')).toMatchObject({ status: 'transferring', turns: 1, version: 3 });
+    });
+
+    test('gives up after repeated conflicts', async () => {
+        const store = new DatabaseCallSessionStore(repository);
+        await store.create('call-1', session);
+        const updateCallSession = jest.spyOn(repository, 'updateCallSession').mockResolvedValue(false);
+
+        await expect(store.update('call-1', { status: 'ended' })).rejects.toThrow('Call session call-1 kept changing');
+        expect(updateCallSession).toHaveBeenCalledTimes(5);
+        updateCallSession.mockRestore();
+    });
+
+    test('hides expired sessions and purges them when the next call starts', async () => {
+        jest.useFakeTimers({ now: new Date('2026-10-16T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        const store = new DatabaseCallSessionStore(repository, { ttlMs: 60 * 1000 });
+        await store.create('call-old', session);
+
+        jest.setSystemTime(new Date('2026-10-16T12:01:00Z'));
+        expect(await store.get('call-old')).toBeNull();
+        expect(await store.list()).toEqual([]);
+        expect(repository.driver.tables.call_sessions).toHaveLength(1);
+
+        await store.create('call-new', session);
+
+        expect(repository.driver.tables.call_sessions.map(row => row.callId)).toEqual(['call-new']);
+    });
+});
+
+describe('MemoryCallSessionStore', () => {
+    test('applies updates and expires sessions after the TTL', async () => {
+        jest.useFakeTimers({ now: new Date('2026-10-16T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        const store = new MemoryCallSessionStore({ ttlMs: 60 * 1000 });
+        await store.create('call-1', session);
+        await store.update('call-1', current => ({ turns: (current.turns || 0) + 1 }));
+
+        jest.setSystemTime(new Date('2026-10-16T12:00:59Z'));
+        expect(await store.get('call-1')).toMatchObject({ turns: 1, status: 'active' });
+
+        // The update above restarted the TTL
+        jest.setSystemTime(new Date('2026-10-16T12:01:00Z'));
+        expect(await store.get('call-1')).toBeNull();
+        expect(await store.update('call-1', { status: 'ended' })).toBeNull();
+    });
+});
+
+describe('createCallSessionStore', () => {
+    test('picks the store from CALL_SESSION_STORE', () => {
+        expect(createCallSessionStore(repository)).toBeInstanceOf(MemoryCallSessionStore);
+        process.env.CALL_SESSION_STORE = 'Database';
+        expect(createCallSessionStore(repository)).toBeInstanceOf(DatabaseCallSessionStore);
+        process.env.CALL_SESSION_STORE = 'redis';
+        expect(() => createCallSessionStore(repository)).toThrow('Unknown CALL_SESSION_STORE "redis"');
+    });
+});
@@ -0,0 +1,137 @@
+const { CALL_STATES, canTransition, CallStateMachine } = require('../../src/voice/CallStateMachine');
+const { MemoryCallSessionStore } = require('../../src/voice/CallSessionStore');
+
+const {
+    CONNECTED,
+    UNREGISTERED_FLOW,
+    DIALOG_CREATED,
+    TRANSFERRING,
+    TRANSFERRED_TO_AGENT,
+    FAILED,
+    ENDED
+} = CALL_STATES;
+
+let machine;
+let events;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    machine = new CallStateMachine(new MemoryCallSessionStore());
+    events = [];
+    machine.on('transition', event => events.push(`${event.from || 'new'}->${event.to}`));
+});
+
+describe('canTransition', () => {
+    test.each([
+        [CONNECTED, DIALOG_CREATED],
+        [CONNECTED, FAILED],
+        [DIALOG_CREATED, TRANSFERRING],
+        [UNREGISTERED_FLOW, TRANSFERRING],
+        [TRANSFERRING, TRANSFERRED_TO_AGENT],
+        [TRANSFERRING, DIALOG_CREATED],
+        [TRANSFERRING, UNREGISTERED_FLOW],
+        [TRANSFERRING, FAILED],
+        [FAILED, TRANSFERRING],
+        [TRANSFERRED_TO_AGENT, ENDED],
+        [FAILED, ENDED]
+    ])('allows %s -> %s', (from, to) => {
+        expect(canTransition(from, to)).toBe(true);
+    });
+
+    test.each([
+        [CONNECTED, TRANSFERRING],
+        [CONNECTED, TRANSFERRED_TO_AGENT],
+        [DIALOG_CREATED, TRANSFERRED_TO_AGENT],
+        [TRANSFERRED_TO_AGENT, TRANSFERRING],
+        [TRANSFERRED_TO_AGENT, FAILED],
+        [FAILED, DIALOG_CREATED],
+        [ENDED, ENDED],
+        [ENDED, CONNECTED],
+        ['unknown', DIALOG_CREATED]
+    ])('refuses %s -> %s', (from, to) => {
+        expect(canTransition(from, to)).toBe(false);
+    });
+});
+
+describe('CallStateMachine', () => {
+    test('walks a call to a live agent and records every state', async () => {
+        await machine.start('call-1', CONNECTED, { callerId: '+12125550199' });
+        await machine.transition('call-1', DIALOG_CREATED, { changes: { dialogId: 'dialog-1' } });
+        await machine.transition('call-1', TRANSFERRING, { reason: 'caller asked for a person' });
+        const { session, from } = await machine.transition('call-1', TRANSFERRED_TO_AGENT);
+
+        expect(from).toBe(TRANSFERRING);
+        expect(session).toMatchObject({ callId: 'call-1', callerId: '+12125550199', dialogId: 'dialog-1', status: TRANSFERRED_TO_AGENT });
+        expect(session.stateHistory.map(entry => entry.state))
+            .toEqual([CONNECTED, DIALOG_CREATED, TRANSFERRING, TRANSFERRED_TO_AGENT]);
+        expect(session.stateHistory[2].reason).toBe('caller asked for a person');
+        expect(events).toEqual(['new->connected', 'connected->dialog_created', 'dialog_created->transferring', 'transferring->transferred_to_agent']);
+    });
+
+    test('returns a failed transfer to the AI dialog', async () => {
+        await machine.start('call-1', UNREGISTERED_FLOW, {});
+        await machine.transition('call-1', TRANSFERRING);
+        const { session } = await machine.transition('call-1', UNREGISTERED_FLOW, { reason: 'agent did not answer' });
+
+        expect(session.status).toBe(UNREGISTERED_FLOW);
+    });
+
+    test('refuses a move the state does not allow and leaves the session alone', async () => {
+        await machine.start('call-1', CONNECTED, {});
+        const result = await machine.transition('call-1', TRANSFERRED_TO_AGENT, { changes: { agentCallId: 'agent-1' } });
+
+        expect(result).toEqual({ error: "Call call-1 can't go from connected to transferred_to_agent" });
+        const session = await machine.sessions.get('call-1');
+        expect(session.status).toBe(CONNECTED);
+        expect(session.agentCallId).toBeUndefined();
+        expect(session.stateHistory).toHaveLength(1);
+        expect(events).toEqual(['new->connected']);
+    });
+
+    test('refuses to move a call that is not in progress', async () => {
+        expect(await machine.transition('missing', DIALOG_CREATED)).toEqual({ error: 'Call missing is not in progress' });
+    });
+
+    test('lets only one of two simultaneous transfers start', async () => {
+        await machine.start('call-1', DIALOG_CREATED, {});
+        const results = await Promise.all([
+            machine.transition('call-1', TRANSFERRING),
+            machine.transition('call-1', TRANSFERRING)
+        ]);
+
+        expect(results.filter(result => result.session)).toHaveLength(1);
+        expect(results.filter(result => result.error)).toHaveLength(1);
+    });
+
+    test('ends a call once and then refuses to move it', async () => {
+        const ended = [];
+        machine.on(ENDED, event => ended.push(event));
+        await machine.start('call-1', DIALOG_CREATED, {});
+
+        const session = await machine.end('call-1', 'caller hung up');
+        expect(session.status).toBe(ENDED);
+        expect(session.stateHistory[session.stateHistory.length - 1]).toMatchObject({ state: ENDED, reason: 'caller hung up' });
+        expect(await machine.end('call-1')).toBeNull();
+        expect(ended).toHaveLength(1);
+        expect(ended[0].from).toBe(DIALOG_CREATED);
+        expect((await machine.transition('call-1', TRANSFERRING)).error).toBe('Call call-1 is not in progress');
+    });
+
+    test('keeps going when a listener throws', async () => {
+        machine.on(CONNECTED, () => {
+            throw new Error('listener broke');
+        });
+
+        await expect(machine.start('call-1', CONNECTED, {})).resolves.toMatchObject({ status: CONNECTED });
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining("'connected' listener failed"), 'listener broke');
+    });
+});
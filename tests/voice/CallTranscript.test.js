@@ -0,0 +1,91 @@
+const {
+    SPEAKERS,
+    CallTranscript,
+    formatTranscriptText,
+    formatTranscriptVtt
+} = require('../../src/voice/CallTranscript');
+
+const START = Date.parse('2026-10-16T12:00:00Z');
+
+// A stored transcript, as toJSON() leaves it on the call's log
+function stored(turns, endedAfterMs = 60 * 1000) {
+    return {
+        startedAt: new Date(START).toISOString(),
+        endedAt: new Date(START + endedAfterMs).toISOString(),
+        turns: turns.map(([speaker, text, offsetMs]) => ({
+            speaker,
+            text,
+            startedAt: new Date(START + offsetMs).toISOString(),
+            offsetMs
+        }))
+    };
+}
+
+describe('CallTranscript', () => {
+    test('joins consecutive pieces from one speaker into a turn', () => {
+        const transcript = new CallTranscript(START);
+        transcript.add(SPEAKERS.AGENT, 'Hi Ada,', START + 500);
+        transcript.add(SPEAKERS.AGENT, ' how can I help? ', START + 2000);
+        transcript.add(SPEAKERS.CALLER, '   ', START + 3000);
+
+        expect(transcript.toJSON().turns).toEqual([
+            { speaker: 'agent', text: 'Hi Ada, how can I help?', startedAt: '2026-10-16T12:00:00.500Z', offsetMs: 500 }
+        ]);
+    });
+
+    test('places the caller\'s turn where they started speaking', () => {
+        const transcript = new CallTranscript(START);
+        transcript.add(SPEAKERS.CALLER, 'Hello?', START + 500);
+        transcript.add(SPEAKERS.AGENT, 'Hi Ada, how can I help?', START + 4000);
+        // Transcribed after the agent had started talking
+        transcript.add(SPEAKERS.CALLER, 'Is anyone there?', START + 3000);
+
+        expect(transcript.toJSON().turns.map(turn => [turn.speaker, turn.text, turn.offsetMs])).toEqual([
+            ['caller', 'Hello?', 500],
+            ['caller', 'Is anyone there?', 3000],
+            ['agent', 'Hi Ada, how can I help?', 4000]
+        ]);
+    });
+});
+
+describe('formatTranscriptText', () => {
+    test('prints one line per turn with its offset into the call', () => {
+        const text = formatTranscriptText(stored([
+            ['agent', 'Hi Ada, how can I help?', 0],
+            ['caller', 'What is my balance?', 65 * 1000],
+            ['agent', 'Goodbye.', 3725 * 1000]
+        ]));
+
+        expect(text).toBe(
+            '[00:00] Agent: Hi Ada, how can I help?\n' +
+            '[01:05] Caller: What is my balance?\n' +
+            '[1:02:05] Agent: Goodbye.\n'
+        );
+    });
+});
+
+describe('formatTranscriptVtt', () => {
+    test('gives each turn a cue until the next one starts and the last until the call ended', () => {
+        const vtt = formatTranscriptVtt(stored([
+            ['agent', 'Hi Ada, how can I help?', 250],
+            ['caller', 'Is <script> & stuff escaped?', 4500]
+        ], 9000));
+
+        expect(vtt).toBe(
+            'WEBVTT\n\n' +
+            '1\n00:00:00.250 --> 00:00:04.500\n<v Agent>Hi Ada, how can I help?\n\n' +
+            '2\n00:00:04.500 --> 00:00:09.000\n<v Caller>Is &lt;script&gt; &amp; stuff escaped?\n'
+        );
+    });
+
+    test('shows the last cue for at least a second', () => {
+        const vtt = formatTranscriptVtt(stored([['caller', 'Bye.', 3661 * 1000 + 5]], 3661 * 1000 + 5));
+
+        expect(vtt).toContain('01:01:01.005 --> 01:01:02.005');
+    });
+
+    test('renders an empty transcript as just the header', () => {
+        expect(formatTranscriptVtt(stored([]))).toBe('WEBVTT\n');
+        expect(formatTranscriptText(stored([]))).toBe('\n');
+    });
+});
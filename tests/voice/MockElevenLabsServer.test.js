@@ -0,0 +1,91 @@
+const MockElevenLabsServer = require('../../src/voice/mock/MockElevenLabsServer');
+const ElevenLabsProvider = require('../../src/voice/providers/ElevenLabsProvider');
+const { parseAudioFormat, tone } = require('../../src/voice/audioFormats');
+
+const customerContext = { name: 'Ada Lovelace', phoneNumber: '+12125550199', fakeAccountNumber: 'ACC123456789', fakeAccountBalance: 5000 };
+
+let server;
+let apiUrl;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    server = new MockElevenLabsServer({ port: 0, script: 'banking', silenceMs: 200, chunkIntervalMs: 0, pingIntervalMs: 0, apiKey: 'xi-test' });
+    apiUrl = `http://127.0.0.1:${await server.start()}`;
+    process.env.ELEVENLABS_API_URL = apiUrl;
+    process.env.ELEVENLABS_API_KEY = 'xi-test';
+    process.env.ELEVENLABS_AGENT_ID = 'agent-1';
+});
+
+afterAll(async () => {
+    await server.stop();
+    delete process.env.ELEVENLABS_API_URL;
+    delete process.env.ELEVENLABS_API_KEY;
+    delete process.env.ELEVENLABS_AGENT_ID;
+    jest.restoreAllMocks();
+});
+
+// Resolves with the first event the provider emits that matches
+function next(provider, name, matches = () => true) {
+    return new Promise(resolve => {
+        const listener = payload => {
+            if (matches(payload)) {
+                provider.off(name, listener);
+                resolve(payload);
+            }
+        };
+        provider.on(name, listener);
+    });
+}
+
+describe('MockElevenLabsServer', () => {
+    test('issues signed URLs only for the configured API key and an agent', async () => {
+        const url = `${apiUrl}/v1/convai/conversation/get_signed_url`;
+
+        expect((await fetch(`${url}?agent_id=agent-1`)).status).toBe(401);
+        expect((await fetch(url, { headers: { 'xi-api-key': 'xi-test' } })).status).toBe(422);
+        const { signed_url: signedUrl } = await (await fetch(`${url}?agent_id=agent-1`, { headers: { 'xi-api-key': 'xi-test' } })).json();
+        expect(signedUrl).toMatch(/^ws:\/\/127\.0\.0\.1:\d+\/v1\/convai\/conversation\?agent_id=agent-1&conversation_signature=\w+$/);
+    });
+
+    test('plays a scripted conversation with the ElevenLabs provider', async () => {
+        const provider = new ElevenLabsProvider({ callId: 'call-1', customerContext });
+        const greeting = next(provider, 'transcript', ({ role }) => role === 'agent');
+        const greetingAudio = next(provider, 'audio');
+        await provider.connect();
+
+        expect(await greeting).toEqual({ role: 'agent', text: 'Hi Ada Lovelace, welcome to Infobip Capital. How can I help you today?' });
+        expect((await greetingAudio).length).toBeGreaterThan(0);
+
+        // The caller speaks and finishes their turn; the agent looks up the accounts and answers
+        const heard = next(provider, 'transcript', ({ role }) => role === 'user');
+        const toolCall = next(provider, 'toolCall');
+        const speech = tone(parseAudioFormat('pcm_16000'), { frequency: 300, amplitude: 8000, durationMs: 600 });
+        for (let offset = 0; offset < speech.length; offset += 3200) {
+            provider.sendAudio(speech.subarray(offset, offset + 3200));
+        }
+        provider.flushAudio();
+
+        expect(await heard).toEqual({ role: 'user', text: 'What\'s in my accounts?' });
+        const { id, name } = await toolCall;
+        expect(name).toBe('get_accounts');
+
+        const answer = next(provider, 'transcript', ({ role }) => role === 'agent');
+        provider.sendToolResult(id, { accounts: [] }, false);
+        expect((await answer).text).toBe('Your checking account ending in ACC123456789 has a balance of 5000 dollars. Anything else?');
+
+        const closed = next(provider, 'close');
+        provider.close();
+        await closed;
+
+        const [record] = server.getConversations();
+        expect(record).toMatchObject({
+            agentId: 'agent-1',
+            dynamicVariables: { customer_name: 'Ada Lovelace', phone_number: '+12125550199' },
+            commits: 1,
+            userTurns: 1,
+            toolResults: [{ toolCallId: id, result: '{"accounts":[]}', isError: false }]
+        });
+        expect(record.audioChunksReceived).toBe(6);
+    });
+});
@@ -0,0 +1,61 @@
+const { PlayoutScheduler } = require('../../src/voice/PlayoutScheduler');
+const { parseAudioFormat, frameBytes, tone } = require('../../src/voice/audioFormats');
+
+const format = parseAudioFormat('pcm_16000');
+
+let frames;
+
+function start(options = {}) {
+    frames = [];
+    const scheduler = new PlayoutScheduler({ format, send: frame => frames.push(frame), ...options });
+    scheduler.start();
+    return scheduler;
+}
+
+const isSilent = frame => frame.every(byte => byte === 0);
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.PLAYOUT_COMFORT_NOISE;
+});
+
+describe('PlayoutScheduler', () => {
+    test('fills gaps with comfort noise by default', () => {
+        const scheduler = start();
+        jest.advanceTimersByTime(100);
+        scheduler.stop();
+
+        expect(frames).toHaveLength(6);
+        expect(frames.every(frame => frame.length === frameBytes(format, 20))).toBe(true);
+        expect(frames.every(frame => !isSilent(frame))).toBe(true);
+        expect(scheduler.stats).toMatchObject({ speechFrames: 0, noiseFrames: 6 });
+    });
+
+    test('sends digital silence with PLAYOUT_COMFORT_NOISE=0', () => {
+        process.env.PLAYOUT_COMFORT_NOISE = '0';
+        const scheduler = start();
+        jest.advanceTimersByTime(100);
+        scheduler.stop();
+
+        expect(frames.length).toBeGreaterThan(0);
+        expect(frames.every(isSilent)).toBe(true);
+    });
+
+    test('plays queued speech in frames once the jitter buffer fills, then goes back to noise', () => {
+        const speech = tone(format, { frequency: 400, amplitude: 8000, durationMs: 100 });
+        const scheduler = start({ jitterMs: 60 });
+        scheduler.enqueue(speech);
+        jest.advanceTimersByTime(200);
+        scheduler.stop();
+
+        // Noise went out when playout started, before the speech was queued
+        expect(isSilent(frames[0])).toBe(false);
+        expect(Buffer.concat(frames.slice(1, 6))).toEqual(speech);
+        expect(scheduler.stats).toMatchObject({ speechFrames: 5, underruns: 1 });
+        expect(frames.slice(6).every(frame => !isSilent(frame))).toBe(true);
+    });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { VAD_EVENTS, VoiceActivityDetector, analyzeSpeech } = require('../../src/voice/VoiceActivityDetector');
+
+// 16kHz 16-bit PCM; see fixtures/audio/generate.js for what each holds
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures/audio', `${name}.pcm`));
+
+const FRAME_BYTES = 640; // 20ms, the size of Infobip's media-stream chunks
+
+// Feed audio the way the bridge does, 20ms at a time, noting where in the audio each event came
+function stream(pcm, detector = new VoiceActivityDetector()) {
+    const events = [];
+    for (let offset = 0; offset < pcm.length; offset += FRAME_BYTES) {
+        for (const event of detector.process(pcm.subarray(offset, offset + FRAME_BYTES))) {
+            events.push({ ...event, heardAtMs: (offset + FRAME_BYTES) / 32 });
+        }
+    }
+    return events;
+}
+
+describe('analyzeSpeech', () => {
+    test('finds no speech on a quiet line', () => {
+        expect(analyzeSpeech(fixture('line-noise'))).toEqual([]);
+    });
+
+    test('finds one utterance, with the pause between its words kept inside it', () => {
+        const [segment, ...rest] = analyzeSpeech(fixture('speech'));
+
+        expect(rest).toEqual([]);
+        expect(segment.startMs).toBe(600);
+        // The words end at 1450ms; the 150ms pause is shorter than the hangover
+        expect(segment.endMs).toBeGreaterThanOrEqual(1440);
+        expect(segment.endMs).toBeLessThanOrEqual(1480);
+    });
+
+    test('ignores clicks, knocks, hum and hiss', () => {
+        expect(analyzeSpeech(fixture('noise-bursts'))).toEqual([]);
+    });
+
+    test('gives the same segments however the audio is chunked', () => {
+        const pcm = fixture('speech');
+        const detector = new VoiceActivityDetector();
+        const events = [];
+        for (let offset = 0, size = 1; offset < pcm.length; offset += size, size = (size * 7) % 997 + 1) {
+            events.push(...detector.process(pcm.subarray(offset, offset + size)));
+        }
+
+        expect(events.map(({ type, atMs }) => ({ type, atMs }))).toEqual([
+            { type: VAD_EVENTS.SPEECH_START, atMs: 600 },
+            { type: VAD_EVENTS.SPEECH_END, atMs: analyzeSpeech(pcm)[0].endMs }
+        ]);
+    });
+
+    test('ends an utterance still going with the recording', () => {
+        const pcm = fixture('speech').subarray(0, 1000 * 32);
+        expect(analyzeSpeech(pcm)).toEqual([{ startMs: 600, endMs: 1000 }]);
+    });
+});
+
+describe('turn taking', () => {
+    test('commits the caller\'s turn once the hangover has passed', () => {
+        const end = stream(fixture('speech')).find(event => event.type === VAD_EVENTS.SPEECH_END);
+
+        expect(end.startMs).toBe(600);
+        expect(end.durationMs).toBe(end.atMs - 600);
+        expect(end.heardAtMs).toBe(end.atMs + 500);
+    });
+
+    test('takes hangover and minimum speech from the environment', () => {
+        process.env.VAD_HANGOVER_MS = '200';
+        process.env.VAD_MIN_SPEECH_MS = '100';
+        try {
+            const events = stream(fixture('speech'));
+            const start = events.find(event => event.type === VAD_EVENTS.SPEECH_START);
+            const end = events.find(event => event.type === VAD_EVENTS.SPEECH_END);
+
+            expect(start.heardAtMs).toBe(start.atMs + 100);
+            expect(end.heardAtMs).toBe(end.atMs + 200);
+        } finally {
+            delete process.env.VAD_HANGOVER_MS;
+            delete process.env.VAD_MIN_SPEECH_MS;
+        }
+    });
+
+    test('remembers where the first speech started, for trimming buffered audio', () => {
+        const detector = new VoiceActivityDetector();
+        stream(fixture('line-noise'), detector);
+        expect(detector.hasHeardSpeech()).toBe(false);
+
+        stream(fixture('speech').subarray(0, 700 * 32), detector);
+        expect(detector.hasHeardSpeech()).toBe(true);
+        expect(detector.isSpeaking()).toBe(true);
+        expect(detector.firstSpeechStartMs).toBe(1600);
+
+        detector.reset();
+        expect(detector.hasHeardSpeech()).toBe(false);
+    });
+});
+
+describe('barge-in', () => {
+    // The bridge cuts the agent off on speech_start, so it must come quickly for speech and never for noise
+    test('is triggered within the minimum speech time of the caller starting to talk', () => {
+        const starts = stream(fixture('speech')).filter(event => event.type === VAD_EVENTS.SPEECH_START);
+
+        expect(starts).toHaveLength(1);
+        expect(starts[0].atMs).toBe(600);
+        expect(starts[0].heardAtMs).toBe(660);
+    });
+
+    test('is not triggered by noise on the line', () => {
+        expect(stream(fixture('noise-bursts'))).toEqual([]);
+        expect(stream(fixture('line-noise'))).toEqual([]);
+    });
+
+    test('is not triggered again by the pause between words', () => {
+        const detector = new VoiceActivityDetector();
+        const events = stream(fixture('speech').subarray(0, 1400 * 32), detector);
+
+        expect(events.map(event => event.type)).toEqual([VAD_EVENTS.SPEECH_START]);
+        expect(detector.isSpeaking()).toBe(true);
+    });
+});
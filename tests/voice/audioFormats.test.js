@@ -0,0 +1,101 @@
+const {
+    AudioTranscoder,
+    Resampler,
+    decode,
+    encode,
+    parseAudioFormat,
+    resample
+} = require('../../src/voice/audioFormats');
+
+// A tone with some noise on it, as 16-bit PCM
+function testSignal(samples) {
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.round(8000 * Math.sin(i / 7) + 500 * Math.sin(i * 1.3)), i * 2);
+    }
+    return pcm;
+}
+
+// Split a buffer into chunks of the given sizes (in bytes), repeating them
+function chunk(buffer, sizes) {
+    const chunks = [];
+    for (let offset = 0, i = 0; offset < buffer.length; i++) {
+        const size = sizes[i % sizes.length];
+        chunks.push(buffer.subarray(offset, offset + size));
+        offset += size;
+    }
+    return chunks;
+}
+
+describe('parseAudioFormat', () => {
+    test('reads names, MIME types and aliases', () => {
+        expect(parseAudioFormat('pcm_24000')).toEqual({ encoding: 'pcm', sampleRate: 24000 });
+        expect(parseAudioFormat('audio/l16;rate=8000')).toEqual({ encoding: 'pcm', sampleRate: 8000 });
+        expect(parseAudioFormat('audio/pcmu')).toEqual({ encoding: 'mulaw', sampleRate: 8000 });
+        expect(parseAudioFormat('ulaw_8000')).toEqual({ encoding: 'mulaw', sampleRate: 8000 });
+    });
+
+    test('rejects unknown encodings and unsupported rates', () => {
+        expect(() => parseAudioFormat('opus_48000')).toThrow('Unknown audio encoding');
+        expect(() => parseAudioFormat('ulaw_16000')).toThrow('Unsupported sample rate');
+    });
+});
+
+describe('G.711', () => {
+    test.each(['mulaw', 'alaw'])('%s round-trips within its quantization step', (encoding) => {
+        const format = { encoding, sampleRate: 8000 };
+        const pcm = testSignal(400);
+        const decoded = decode(encode(pcm, format), format);
+        for (let i = 0; i < 400; i++) {
+            const original = pcm.readInt16LE(i * 2);
+            expect(Math.abs(decoded.readInt16LE(i * 2) - original)).toBeLessThanOrEqual(Math.abs(original) / 16 + 16);
+        }
+    });
+});
+
+describe('Resampler', () => {
+    const pairs = [[8000, 16000], [16000, 8000], [16000, 24000], [24000, 16000], [8000, 48000], [48000, 8000]];
+
+    test.each(pairs)('%i -> %i gives the same audio in chunks as in one piece', (fromRate, toRate) => {
+        const pcm = testSignal(4801);
+        const resampler = new Resampler(fromRate, toRate);
+        const chunked = Buffer.concat([
+            ...chunk(pcm, [2, 14, 320, 666, 640, 4]).map(piece => resampler.process(piece)),
+            resampler.flush()
+        ]);
+
+        expect(chunked.equals(resample(pcm, fromRate, toRate))).toBe(true);
+        expect(chunked.length / 2).toBe(Math.floor(4801 * toRate / fromRate));
+    });
+
+    test('keeps the leftover of chunks that are not a whole number of the rate ratio', () => {
+        // 20ms at 24kHz is 480 samples, 320 at 16kHz; 7-sample chunks leave a third of a sample over each time
+        const resampler = new Resampler(24000, 16000);
+        let produced = 0;
+        for (let i = 0; i < 300; i++) {
+            produced += resampler.process(testSignal(7)).length / 2;
+        }
+        expect(produced).toBe(1400);
+    });
+
+    test('passes audio through when the rates match', () => {
+        const pcm = testSignal(10);
+        expect(new Resampler(16000, 16000).process(pcm)).toBe(pcm);
+    });
+});
+
+describe('AudioTranscoder', () => {
+    test('carries half samples and resampler state across chunks', () => {
+        const pcm = testSignal(2400);
+        const transcoder = new AudioTranscoder('pcm_24000', 'pcm_16000');
+        const output = Buffer.concat(chunk(pcm, [481]).map(piece => transcoder.transcode(piece)));
+
+        expect(output.equals(resample(pcm, 24000, 16000))).toBe(true);
+    });
+
+    test('converts between encodings and rates', () => {
+        const transcoder = new AudioTranscoder('pcm_16000', 'ulaw_8000');
+        expect(transcoder.transcode(testSignal(320))).toHaveLength(160);
+        expect(new AudioTranscoder('pcm_16000', 'pcm_16000').passthrough).toBe(true);
+    });
+});
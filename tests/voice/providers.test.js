@@ -0,0 +1,290 @@
+// The AI services' sockets are stand-ins: they open on the next tick, record what is sent and let the
+// test play the service's messages
+jest.mock('ws', () => {
+    const { EventEmitter } = require('events');
+
+    class MockSocket extends EventEmitter {
+        constructor(url, options) {
+            super();
+            this.url = url;
+            this.options = options;
+            this.readyState = MockSocket.CONNECTING;
+            this.sent = [];
+            MockSocket.instances.push(this);
+            setImmediate(() => {
+                this.readyState = MockSocket.OPEN;
+                this.emit('open');
+            });
+        }
+
+        send(data) {
+            this.sent.push(JSON.parse(data));
+        }
+
+        close() {
+            this.readyState = MockSocket.CLOSED;
+            this.emit('close', 1000, Buffer.from(''));
+        }
+
+        // A message from the service
+        receive(message) {
+            this.emit('message', Buffer.from(JSON.stringify(message)));
+        }
+    }
+    MockSocket.CONNECTING = 0;
+    MockSocket.OPEN = 1;
+    MockSocket.CLOSED = 3;
+    MockSocket.instances = [];
+    return MockSocket;
+});
+jest.mock('node-fetch', () => jest.fn());
+jest.mock('../../src/voice/agentTools', () => ({
+    getToolDefinitions: () => [{
+        name: 'prepare_transfer',
+        description: 'Set up a transfer',
+        parameters: { amount: { type: 'number', required: true }, memo: { type: 'string' } }
+    }]
+}));
+
+const WebSocket = require('ws');
+const fetch = require('node-fetch');
+const {
+    CALL_SCENARIOS,
+    getCallScenario,
+    selectConversationProvider,
+    createConversationProvider
+} = require('../../src/voice/providers');
+const ElevenLabsProvider = require('../../src/voice/providers/ElevenLabsProvider');
+const OpenAIRealtimeProvider = require('../../src/voice/providers/OpenAIRealtimeProvider');
+
+const customerContext = {
+    name: 'Ada Lovelace',
+    companyName: 'Analytical Engines',
+    phoneNumber: '+12125550199',
+    fakeAccountNumber: 'ACC123456789',
+    fakeAccountBalance: 5000,
+    fraudScenario: false
+};
+
+const socket = () => WebSocket.instances[WebSocket.instances.length - 1];
+
+function waitFor(condition) {
+    return new Promise(resolve => {
+        const check = () => (condition() ? resolve() : setImmediate(check));
+        check();
+    });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    WebSocket.instances = [];
+});
+
+afterEach(() => {
+    delete process.env.CONVERSATION_PROVIDER;
+    delete process.env.CONVERSATION_PROVIDER_SCENARIOS;
+    delete process.env.OPENAI_API_KEY;
+});
+
+describe('provider selection', () => {
+    test('uses ElevenLabs unless configured otherwise', () => {
+        expect(selectConversationProvider()).toBe('elevenlabs');
+        process.env.CONVERSATION_PROVIDER = 'OpenAI_Realtime';
+        expect(selectConversationProvider()).toBe('openai_realtime');
+    });
+
+    test('prefers the call\'s request, then its scenario, then the default', () => {
+        process.env.CONVERSATION_PROVIDER_SCENARIOS = 'fraud:openai_realtime, voice_registration:elevenlabs';
+        const fraud = { ...customerContext, fraudScenario: true };
+
+        expect(getCallScenario(fraud)).toBe(CALL_SCENARIOS.FRAUD);
+        expect(selectConversationProvider({ userContext: fraud })).toBe('openai_realtime');
+        expect(selectConversationProvider({ userContext: customerContext })).toBe('elevenlabs');
+        expect(selectConversationProvider({ userContext: fraud, requested: 'elevenlabs' })).toBe('elevenlabs');
+    });
+
+    test('skips unknown names', () => {
+        process.env.CONVERSATION_PROVIDER = 'watson';
+
+        expect(selectConversationProvider({ requested: 'siri' })).toBe('elevenlabs');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Unknown conversation provider "siri"'));
+    });
+
+    test('creates the provider a call\'s session names, for that call', () => {
+        const provider = createConversationProvider('openai_realtime', { callId: 'call-1', customerContext });
+
+        expect(provider).toBeInstanceOf(OpenAIRealtimeProvider);
+        expect(provider).toMatchObject({ callId: 'call-1', customerContext });
+        expect(createConversationProvider(null, { callId: null, customerContext: null })).toBeInstanceOf(ElevenLabsProvider);
+    });
+});
+
+describe('ElevenLabsProvider', () => {
+    // Connect the way ElevenLabs answers: the conversation's metadata follows the caller's details
+    async function connect(provider = new ElevenLabsProvider({ callId: 'call-1', customerContext })) {
+        fetch.mockResolvedValue({ ok: true, json: async () => ({ signed_url: 'wss://elevenlabs.test/convai?token=abc' }) });
+        const connecting = provider.connect();
+        await waitFor(() => socket()?.sent.length > 0);
+        socket().receive({
+            type: 'conversation_initiation_metadata',
+            conversation_initiation_metadata_event: {
+                conversation_id: 'conv-1',
+                user_input_audio_format: 'pcm_16000',
+                agent_output_audio_format: 'ulaw_8000'
+            }
+        });
+        await connecting;
+        return provider;
+    }
+
+    test('opens the signed URL, sends the caller\'s details and takes the agent\'s audio formats', async () => {
+        const provider = new ElevenLabsProvider({ callId: 'call-1', customerContext });
+        const formats = jest.fn();
+        provider.on('formats', formats);
+        await connect(provider);
+
+        expect(fetch.mock.calls[0][0]).toContain('/v1/convai/conversation/get_signed_url');
+        expect(socket().url).toBe('wss://elevenlabs.test/convai?token=abc');
+        expect(socket().sent[0]).toMatchObject({
+            type: 'conversation_initiation_client_data',
+            dynamic_variables: { customer_name: 'Ada Lovelace', phone_number: '+12125550199', is_fraud_flagged: false }
+        });
+        expect(formats).toHaveBeenCalledWith({ inputFormat: 'pcm_16000', outputFormat: 'ulaw_8000' });
+        expect(provider.isOpen()).toBe(true);
+    });
+
+    test('relays caller audio and commits the turn once', async () => {
+        const provider = await connect();
+        socket().sent = [];
+
+        provider.sendAudio(Buffer.from([1, 2, 3, 4]));
+        provider.flushAudio();
+        provider.flushAudio();
+
+        expect(socket().sent).toEqual([
+            { user_audio_chunk: Buffer.from([1, 2, 3, 4]).toString('base64') },
+            { type: 'input_audio_buffer.commit' },
+            { type: 'response.create' }
+        ]);
+    });
+
+    test('emits the agent\'s audio, transcripts, interruptions and tool calls', async () => {
+        const provider = await connect();
+        const events = [];
+        for (const name of ['audio', 'transcript', 'interruption', 'toolCall']) {
+            provider.on(name, payload => events.push([name, payload]));
+        }
+
+        socket().receive({ type: 'audio', audio_event: { audio_base_64: Buffer.from([9, 8]).toString('base64') } });
+        socket().receive({ type: 'user_transcript', user_transcription_event: { user_transcript: 'What is my balance?' } });
+        socket().receive({ type: 'agent_response', agent_response_event: { agent_response: 'It is $5,000.' } });
+        socket().receive({ type: 'interruption' });
+        socket().receive({
+            type: 'client_tool_call',
+            client_tool_call: { tool_call_id: 'tool-1', tool_name: 'prepare_transfer', parameters: { amount: 25 } }
+        });
+
+        expect(events).toEqual([
+            ['audio', Buffer.from([9, 8])],
+            ['transcript', { role: 'user', text: 'What is my balance?' }],
+            ['transcript', { role: 'agent', text: 'It is $5,000.' }],
+            ['interruption', undefined],
+            ['toolCall', { id: 'tool-1', name: 'prepare_transfer', parameters: { amount: 25 } }]
+        ]);
+
+        provider.sendToolResult('tool-1', { success: true }, false);
+        expect(socket().sent.pop()).toEqual({
+            type: 'client_tool_result',
+            tool_call_id: 'tool-1',
+            result: '{"success":true}',
+            is_error: false
+        });
+    });
+});
+
+describe('OpenAIRealtimeProvider', () => {
+    async function connect(context = customerContext) {
+        process.env.OPENAI_API_KEY = 'sk-test';
+        const provider = new OpenAIRealtimeProvider({ callId: 'call-1', customerContext: context });
+        await provider.connect();
+        return provider;
+    }
+
+    test('needs an API key', async () => {
+        await expect(new OpenAIRealtimeProvider({}).connect()).rejects.toThrow('OPENAI_API_KEY is not set');
+        expect(WebSocket.instances).toHaveLength(0);
+    });
+
+    test('configures the session for the caller with the agent tools', async () => {
+        const provider = await connect();
+        const [update] = socket().sent;
+
+        expect(socket().options.headers.Authorization).toBe('Bearer sk-test');
+        expect(provider.inputFormat).toBe('pcm_24000');
+        expect(update.type).toBe('session.update');
+        expect(update.session.instructions).toContain('Customer name: Ada Lovelace');
+        expect(update.session).toMatchObject({ input_audio_format: 'pcm16', turn_detection: { type: 'server_vad' } });
+        expect(update.session.tools).toEqual([{
+            type: 'function',
+            name: 'prepare_transfer',
+            description: 'Set up a transfer',
+            parameters: {
+                type: 'object',
+                properties: { amount: { type: 'number' }, memo: { type: 'string' } },
+                required: ['amount']
+            }
+        }]);
+    });
+
+    test('tells the agent when the caller wasn\'t identified', async () => {
+        await connect(null);
+
+        expect(socket().sent[0].session.instructions).toContain('The caller could not be identified');
+    });
+
+    test('relays audio both ways and answers tool calls', async () => {
+        const provider = await connect();
+        const events = [];
+        for (const name of ['audio', 'interruption', 'toolCall']) {
+            provider.on(name, payload => events.push([name, payload]));
+        }
+        socket().sent = [];
+
+        provider.sendAudio(Buffer.from([1, 2]));
+        socket().receive({ type: 'response.audio.delta', delta: Buffer.from([3, 4]).toString('base64') });
+        socket().receive({ type: 'input_audio_buffer.speech_started' });
+        socket().receive({ type: 'response.function_call_arguments.done', call_id: 'fn-1', name: 'prepare_transfer', arguments: '{"amount":25}' });
+        provider.sendToolResult('fn-1', { success: true });
+
+        expect(events).toEqual([
+            ['audio', Buffer.from([3, 4])],
+            ['interruption', undefined],
+            ['toolCall', { id: 'fn-1', name: 'prepare_transfer', parameters: { amount: 25 } }]
+        ]);
+        expect(socket().sent).toEqual([
+            { type: 'input_audio_buffer.append', audio: Buffer.from([1, 2]).toString('base64') },
+            { type: 'conversation.item.create', item: { type: 'function_call_output', call_id: 'fn-1', output: '{"success":true}' } },
+            { type: 'response.create' }
+        ]);
+    });
+
+    test('stops sending once closed', async () => {
+        const provider = await connect();
+        const closed = jest.fn();
+        provider.on('close', closed);
+
+        provider.close();
+        provider.sendAudio(Buffer.from([1, 2]));
+
+        expect(closed).toHaveBeenCalledWith({ code: 1000, reason: '' });
+        expect(socket().sent).toHaveLength(1); // just the session.update
+    });
+});
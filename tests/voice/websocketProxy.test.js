@@ -0,0 +1,109 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+jest.mock('../../src/voice/callsHandler', () => ({
+    correlator: { resolve: jest.fn(), recordMissing: jest.fn() },
+    saveTranscript: jest.fn()
+}));
+jest.mock('../../src/voice/agentTools', () => ({ runTool: jest.fn() }));
+jest.mock('../../src/voice/providers', () => ({
+    createConversationProvider: jest.fn(),
+    startProviders: jest.fn(),
+    stopProviders: jest.fn()
+}));
+
+const callsHandler = require('../../src/voice/callsHandler');
+const { createConversationProvider } = require('../../src/voice/providers');
+const WebSocketProxy = require('../../src/voice/websocketProxy');
+const { parseControlMessage } = WebSocketProxy;
+
+// Stands in for the AI service: connects at once and records what the bridge sends it
+class FakeProvider extends EventEmitter {
+    constructor() {
+        super();
+        this.inputFormat = 'pcm_16000';
+        this.outputFormat = 'pcm_16000';
+        this.audio = [];
+    }
+
+    async connect() {}
+    isOpen() { return true; }
+    close() {}
+    sendAudio(audio) { this.audio.push(audio); }
+    flushAudio() {}
+    requestGreeting() {}
+}
+
+const customerContext = { name: 'Ada Lovelace', phoneNumber: '+12125550199' };
+
+let proxy;
+let url;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    proxy = new WebSocketProxy();
+    await new Promise(resolve => proxy.server.listen(0, resolve));
+    url = `ws://127.0.0.1:${proxy.server.address().port}/`;
+});
+
+afterAll(async () => {
+    proxy.wss.close();
+    await new Promise(resolve => proxy.server.close(resolve));
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    callsHandler.correlator.resolve.mockReset().mockResolvedValue({
+        session: { callId: 'call-1', userContext: customerContext, conversationProvider: null }
+    });
+    createConversationProvider.mockReset().mockImplementation(() => new FakeProvider());
+});
+
+function waitFor(condition) {
+    return new Promise(resolve => {
+        const wait = setInterval(() => {
+            if (condition()) {
+                clearInterval(wait);
+                resolve();
+            }
+        }, 10);
+    });
+}
+
+// Connect as Infobip, send the given frames, wait for the bridge to create the call's provider and hang up
+async function stream(frames) {
+    const infobip = new WebSocket(url);
+    await new Promise((resolve, reject) => {
+        infobip.once('open', resolve);
+        infobip.once('error', reject);
+    });
+    frames.forEach(frame => infobip.send(frame));
+    await waitFor(() => createConversationProvider.mock.results.length > 0);
+    // Let the provider connect and the buffer flush
+    await new Promise(resolve => setTimeout(resolve, 50));
+    infobip.close();
+    await waitFor(() => proxy.wss.clients.size === 0);
+    return createConversationProvider.mock.results[0].value;
+}
+
+describe('Infobip control messages', () => {
+    test.each([
+        ['a text frame', JSON.stringify({ customData: { correlationToken: 'token-1' } })],
+        ['a binary frame', Buffer.from(JSON.stringify({ customData: { correlationToken: 'token-1' } }))]
+    ])('correlate the call from a first message in %s that holds only the token', async (kind, frame) => {
+        const provider = await stream([frame]);
+
+        expect(callsHandler.correlator.resolve).toHaveBeenCalledWith('token-1');
+        expect(createConversationProvider).toHaveBeenCalledWith(null, { callId: 'call-1', customerContext });
+        expect(provider.audio).toEqual([]);
+    });
+
+    test('are told apart from audio by their content', () => {
+        expect(parseControlMessage(Buffer.from(' {"event":"start","call-id":"abc"}'))).toEqual({ event: 'start', 'call-id': 'abc' });
+        expect(parseControlMessage(Buffer.from('{"correlationToken":"token-1"}'))).toEqual({ correlationToken: 'token-1' });
+        expect(parseControlMessage(Buffer.alloc(640))).toBeNull();
+        expect(parseControlMessage(Buffer.from([0x7b, 0x00, 0xff, 0x10]))).toBeNull();
+        expect(parseControlMessage(Buffer.from('[1, 2]'))).toBeNull();
+    });
+});
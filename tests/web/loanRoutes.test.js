@@ -0,0 +1,71 @@
+process.env.DATABASE_URL = 'memory://';
+
+const express = require('express');
+const DatabaseFactory = require('../../src/database/DatabaseFactory');
+
+let server;
+let baseUrl;
+let repository;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    repository = DatabaseFactory.create();
+    await repository.initialize();
+    await repository.registerUser({
+        name: 'Ada Lovelace',
+        phoneNumber: '+12125550199',
+        companyName: 'Analytical Engines',
+        fakeAccountBalance: 5000,
+        loanApplicationStatus: 'None',
+        fraudScenario: false,
+        accounts: []
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/loans', require('../../src/web/loanRoutes'));
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/loans`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.DATABASE_URL;
+    DatabaseFactory.reset();
+    jest.restoreAllMocks();
+});
+
+function quote(body, headers = {}) {
+    return fetch(`${baseUrl}/quote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+describe('POST /api/loans/quote', () => {
+    const request = { phoneNumber: '+12125550199', loanType: 'Personal Loan', loanAmount: 5000 };
+
+    test('needs the admin token and stores nothing without it', async () => {
+        const response = await quote(request);
+
+        expect(response.status).toBe(401);
+        expect(await repository.getUserLoanQuotes(1)).toEqual([]);
+    });
+
+    test('pre-qualifies a customer for demo staff', async () => {
+        const response = await quote(request, { Authorization: 'Bearer demo-admin-token' });
+
+        expect(response.status).toBe(201);
+        expect((await response.json()).success).toBe(true);
+    });
+
+    test('reports a missing loanAmount', async () => {
+        const response = await quote({ ...request, loanAmount: undefined }, { Authorization: 'Bearer demo-admin-token' });
+
+        expect(response.status).toBe(400);
+        expect((await response.json()).message).toBe('loanAmount is required.');
+    });
+});
@@ -0,0 +1,102 @@
+process.env.DATABASE_URL = 'memory://';
+
+const express = require('express');
+const DatabaseFactory = require('../../src/database/DatabaseFactory');
+
+const ADMIN = { Authorization: 'Bearer demo-admin-token' };
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await DatabaseFactory.create().initialize();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin/officers', require('../../src/web/officerRoutes'));
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/admin/officers`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.DATABASE_URL;
+    DatabaseFactory.reset();
+    jest.restoreAllMocks();
+});
+
+function request(path, { method = 'GET', body, headers = ADMIN } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body && JSON.stringify(body)
+    });
+}
+
+const newOfficer = {
+    name: 'Ada Lovelace',
+    department: 'Fraud Prevention',
+    phoneNumber: '(212) 555-0199',
+    skills: ['fraud_investigation'],
+    timeZone: 'UTC',
+    workingDays: [1, 2, 3, 4, 5, 6, 7],
+    shiftStart: '00:00',
+    shiftEnd: '23:59'
+};
+
+describe('/api/admin/officers', () => {
+    test('needs the admin token', async () => {
+        expect((await request('/', { headers: {} })).status).toBe(401);
+        expect((await request('/', { method: 'POST', body: newOfficer, headers: {} })).status).toBe(401);
+    });
+
+    test('lists the seeded officers with their availability', async () => {
+        const response = await request('/');
+        const { officers } = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(officers.length).toBeGreaterThan(0);
+        expect(officers.every(officer => officer.availability.status === 'no_phone' || officer.availability.status === 'inactive'))
+            .toBe(true);
+    });
+
+    test('adds an officer, refuses a duplicate name and routes transfers to them', async () => {
+        const created = await request('/', { method: 'POST', body: newOfficer });
+        const { officer } = await created.json();
+
+        expect(created.status).toBe(201);
+        expect(officer).toMatchObject({ name: 'Ada Lovelace', phoneNumber: '+12125550199', specialization: 'fraud_investigation' });
+        expect(officer.availability.status).toBe('available');
+
+        const duplicate = await request('/', { method: 'POST', body: { ...newOfficer, name: 'ada lovelace' } });
+        expect(duplicate.status).toBe(409);
+
+        const routing = await (await request('/route?reason=fraud')).json();
+        expect(routing.officer.id).toBe(officer.id);
+        expect(routing.fallback).toBe(false);
+    });
+
+    test('reports invalid fields and unknown officers', async () => {
+        const invalid = await request('/', { method: 'POST', body: { ...newOfficer, name: 'Grace Hopper', capacity: 99 } });
+        expect(invalid.status).toBe(400);
+        expect((await invalid.json()).message).toBe('capacity must be between 1 and 20');
+
+        expect((await request('/9999')).status).toBe(404);
+    });
+
+    test('deactivates an officer so routing skips them', async () => {
+        const { officers } = await (await request('/')).json();
+        const ada = officers.find(officer => officer.name === 'Ada Lovelace');
+
+        const response = await request(`/${ada.id}`, { method: 'DELETE' });
+        const { officer } = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(officer.active).toBe(false);
+        expect(officer.availability.status).toBe('inactive');
+        expect((await (await request('/route?reason=fraud')).json()).officer).toBeNull();
+    });
+});
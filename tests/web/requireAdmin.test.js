@@ -0,0 +1,41 @@
+const { requireAdmin } = require('../../src/web/requireAdmin');
+
+// Runs the middleware and reports whether it let the request through or the status it answered with
+function run(authorization) {
+    let outcome = null;
+    const res = {
+        status(code) {
+            outcome = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    requireAdmin({ headers: authorization ? { authorization } : {} }, res, () => {
+        outcome = 'next';
+    });
+    return outcome;
+}
+
+afterEach(() => {
+    delete process.env.ADMIN_TOKEN;
+});
+
+describe('requireAdmin', () => {
+    test('accepts the configured admin token', () => {
+        process.env.ADMIN_TOKEN = 's3cret';
+        expect(run('Bearer s3cret')).toBe('next');
+    });
+
+    test('rejects a missing or wrong token', () => {
+        process.env.ADMIN_TOKEN = 's3cret';
+        expect(run()).toBe(401);
+        expect(run('Bearer demo-admin-token')).toBe(401);
+        expect(run('s3cret')).toBe(401);
+    });
+
+    test('falls back to the demo token when ADMIN_TOKEN is unset', () => {
+        expect(run('Bearer demo-admin-token')).toBe('next');
+    });
+});
@@ -0,0 +1,204 @@
+const { createHmac } = require('crypto');
+
+const SECRET = 'whsec_test';
+
+let verifyWebhook;
+let getStats;
+let ReplayCache;
+
+function sign(timestamp, body, secret = SECRET) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function infobipRequest(body, { timestamp = Date.now(), signature } = {}) {
+    const rawBody = JSON.stringify(body);
+    return {
+        body,
+        rawBody: Buffer.from(rawBody),
+        headers: {
+            'x-timestamp': String(timestamp),
+            'x-signature': signature === undefined ? `sha256=${sign(timestamp, rawBody)}` : signature
+        }
+    };
+}
+
+function elevenLabsRequest(body, { seconds = Math.floor(Date.now() / 1000) } = {}) {
+    const rawBody = JSON.stringify(body);
+    return {
+        body,
+        rawBody: Buffer.from(rawBody),
+        headers: { 'elevenlabs-signature': `t=${seconds},v0=${sign(seconds, rawBody)}` }
+    };
+}
+
+// Runs the middleware and reports whether it let the request through or the status it answered with
+function run(middleware, req) {
+    let outcome = null;
+    const res = {
+        status(code) {
+            outcome = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    middleware(req, res, () => {
+        outcome = 'next';
+    });
+    return outcome;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    // The replay cache and counters are module state, so each test gets a fresh copy
+    jest.resetModules();
+    ({ verifyWebhook, getStats, ReplayCache } = require('../../src/web/webhookVerification'));
+    process.env.VOICE_WEBHOOK_SECRET = SECRET;
+    process.env.ELEVENLABS_WEBHOOK_SECRET = SECRET;
+});
+
+afterEach(() => {
+    delete process.env.VOICE_WEBHOOK_SECRET;
+    delete process.env.ELEVENLABS_WEBHOOK_SECRET;
+    delete process.env.WEBHOOK_VERIFICATION_REQUIRED;
+});
+
+describe('verifyWebhook signatures', () => {
+    test('accepts a correctly signed infobip webhook', () => {
+        expect(run(verifyWebhook('infobip'), infobipRequest({ eventId: 'evt-1' }))).toBe('next');
+        expect(getStats().infobip.verified).toBe(1);
+    });
+
+    test('accepts a correctly signed ElevenLabs webhook', () => {
+        expect(run(verifyWebhook('elevenlabs'), elevenLabsRequest({ conversation_id: 'conv-1' }))).toBe('next');
+    });
+
+    test('rejects a missing signature', () => {
+        expect(run(verifyWebhook('infobip'), infobipRequest({ eventId: 'evt-1' }, { signature: '' }))).toBe(401);
+        expect(getStats().infobip.rejected.missing_signature).toBe(1);
+    });
+
+    test('rejects a signature made with another secret', () => {
+        const timestamp = Date.now();
+        const req = infobipRequest({ eventId: 'evt-1' }, { timestamp, signature: sign(timestamp, '{"eventId":"evt-1"}', 'wrong') });
+        expect(run(verifyWebhook('infobip'), req)).toBe(401);
+        expect(getStats().infobip.rejected.bad_signature).toBe(1);
+    });
+
+    test('rejects a body changed after signing', () => {
+        const req = infobipRequest({ eventId: 'evt-1', amount: 10 });
+        req.rawBody = Buffer.from(JSON.stringify({ eventId: 'evt-1', amount: 10000 }));
+        expect(run(verifyWebhook('infobip'), req)).toBe(401);
+    });
+
+    test('rejects a malformed signature without throwing', () => {
+        expect(run(verifyWebhook('infobip'), infobipRequest({ eventId: 'evt-1' }, { signature: 'not-hex' }))).toBe(401);
+    });
+
+    test('reads custom header names', () => {
+        const middleware = verifyWebhook('infobip', { signatureHeader: 'x-hub-signature', timestampHeader: 'x-hub-time' });
+        const req = infobipRequest({ eventId: 'evt-1' });
+        req.headers = { 'x-hub-signature': req.headers['x-signature'], 'x-hub-time': req.headers['x-timestamp'] };
+        expect(run(middleware, req)).toBe('next');
+    });
+});
+
+describe('verifyWebhook freshness and replays', () => {
+    test('rejects a timestamp outside the tolerance window', () => {
+        const middleware = verifyWebhook('infobip', { toleranceMs: 60 * 1000 });
+        expect(run(middleware, infobipRequest({ eventId: 'evt-1' }, { timestamp: Date.now() - 2 * 60 * 1000 }))).toBe(401);
+        expect(run(middleware, infobipRequest({ eventId: 'evt-2' }, { timestamp: Date.now() + 2 * 60 * 1000 }))).toBe(401);
+        expect(getStats().infobip.rejected.stale_timestamp).toBe(2);
+    });
+
+    test('accepts ISO timestamps', () => {
+        expect(run(verifyWebhook('infobip'), infobipRequest({ eventId: 'evt-1' }, { timestamp: new Date().toISOString() }))).toBe('next');
+    });
+
+    test('rejects a replayed delivery', () => {
+        const middleware = verifyWebhook('infobip');
+        const req = infobipRequest({ eventId: 'evt-1' });
+        expect(run(middleware, req)).toBe('next');
+        expect(run(middleware, req)).toBe(401);
+        expect(getStats().infobip.rejected).toMatchObject({ total: 1, replayed: 1 });
+    });
+
+    test('accepts later webhooks for the same event or conversation', () => {
+        const infobip = verifyWebhook('infobip');
+        const timestamp = Date.now();
+        expect(run(infobip, infobipRequest({ eventId: 'evt-1' }, { timestamp }))).toBe('next');
+        expect(run(infobip, infobipRequest({ eventId: 'evt-1' }, { timestamp: timestamp + 1000 }))).toBe('next');
+
+        const elevenLabs = verifyWebhook('elevenlabs');
+        const seconds = Math.floor(Date.now() / 1000);
+        expect(run(elevenLabs, elevenLabsRequest({ conversation_id: 'conv-1', type: 'post_call_transcription' }, { seconds }))).toBe('next');
+        expect(run(elevenLabs, elevenLabsRequest({ conversation_id: 'conv-1', type: 'post_call_audio' }, { seconds }))).toBe('next');
+        expect(getStats().elevenlabs.rejected.replayed).toBe(0);
+    });
+
+    test('keeps replay keys per provider', () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const infobipReq = infobipRequest({ id: 'shared-1' }, { timestamp });
+        const elevenLabsReq = elevenLabsRequest({ id: 'shared-1' }, { seconds: timestamp });
+        expect(run(verifyWebhook('infobip'), infobipReq)).toBe('next');
+        expect(run(verifyWebhook('elevenlabs'), elevenLabsReq)).toBe('next');
+    });
+});
+
+describe('verifyWebhook without a secret', () => {
+    beforeEach(() => {
+        delete process.env.VOICE_WEBHOOK_SECRET;
+    });
+
+    test('lets webhooks through by default, warning once at setup', () => {
+        console.warn.mockClear();
+        const middleware = verifyWebhook('infobip');
+
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('VOICE_WEBHOOK_SECRET is not set'));
+        expect(run(middleware, { body: {}, headers: {} })).toBe('next');
+        expect(run(middleware, { body: {}, headers: {} })).toBe('next');
+        expect(getStats().infobip.unverifiedAllowed).toBe(2);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects webhooks when verification is required', () => {
+        expect(run(verifyWebhook('infobip', { required: true }), { body: {}, headers: {} })).toBe(401);
+        expect(getStats().infobip.rejected.not_configured).toBe(1);
+    });
+
+    test('requires verification on every route with WEBHOOK_VERIFICATION_REQUIRED', () => {
+        process.env.WEBHOOK_VERIFICATION_REQUIRED = 'true';
+        expect(run(verifyWebhook('infobip'), { body: {}, headers: {} })).toBe(401);
+        expect(run(verifyWebhook('infobip', { required: false }), { body: {}, headers: {} })).toBe('next');
+    });
+
+    test('refuses an unknown provider', () => {
+        expect(() => verifyWebhook('twilio')).toThrow('Unknown webhook provider "twilio"');
+    });
+});
+
+describe('ReplayCache', () => {
+    test('forgets keys once they expire', () => {
+        const cache = new ReplayCache();
+        expect(cache.add('a', 1000, 0)).toBe(true);
+        expect(cache.add('a', 1000, 999)).toBe(false);
+        expect(cache.add('a', 1000, 1000)).toBe(true);
+    });
+
+    test('drops the oldest keys when full', () => {
+        const cache = new ReplayCache(2);
+        cache.add('a', 1000, 0);
+        cache.add('b', 1000, 0);
+        cache.add('c', 1000, 0);
+        expect(cache.add('a', 1000, 1)).toBe(true);
+        expect(cache.add('c', 1000, 1)).toBe(false);
+    });
+});